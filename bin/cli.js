@@ -6,12 +6,30 @@ const create = require('../src/commands/create');
 const solve = require('../src/commands/solve');
 const leaderboard = require('../src/commands/leaderboard');
 const updateReadme = require('../src/commands/updateReadme');
+const migrate = require('../src/commands/migrate');
+const status = require('../src/commands/status');
+const list = require('../src/commands/list');
+const search = require('../src/commands/search');
+const claim = require('../src/commands/claim');
+const release = require('../src/commands/release');
+const sync = require('../src/commands/sync');
+const worktrees = require('../src/commands/worktrees');
+const exportSite = require('../src/commands/export');
+const timeline = require('../src/commands/timeline');
+const { setDryRun } = require('../src/utils/dryRun');
+const { setOffline } = require('../src/utils/offline');
 const packageInfo = require('../package.json');
 
 program
   .name('flagtrack')
   .description('event Progress Tracker and Task Management Tool')
-  .version(packageInfo.version);
+  .version(packageInfo.version)
+  .option('--dry-run', 'print planned file writes and git operations without running them')
+  .option('--offline', 'skip fetch, pull and push; queue pushes for `flagtrack sync`')
+  .hook('preAction', command => {
+    setDryRun(command.opts().dryRun);
+    setOffline(command.opts().offline);
+  });
 
 program
   .command('setup')
@@ -21,16 +39,100 @@ program
 program
   .command('create')
   .description('Create a new event challenge task')
+  .option('-e, --event <name>', 'event the task belongs to')
+  .option('-s, --sub-event <name>', 'sub-event/round to create the task in')
+  .option('-c, --category <name>', 'challenge category')
+  .option('-n, --num <number>', 'task number within the category')
+  .option('--name <name>', 'task name')
+  .option('--no-branch', 'do not create a task branch (also skips commit and push)')
+  .option('--no-push', 'do not push the task branch to the remote')
+  .option('--worktree', 'check the task branch out in its own worktree')
+  .option('--no-worktree', 'check the task branch out here, even if git.worktrees is set')
   .action(create);
 
 program
   .command('solve')
   .description('Check or set flag for completed task')
+  .option('-f, --flag <flag>', 'the captured flag')
+  .option('-p, --points <points>', 'points awarded for the challenge')
+  .option('--solver <names>', 'who solved the challenge, comma separated for several solvers')
+  .option('--merge', 'merge the task branch when the task is complete')
+  .option('--no-merge', 'keep the task branch open')
+  .option('--strategy <strategy>', 'how to finish the branch: merge, squash, rebase or pr')
   .action(solve);
 
+program
+  .command('claim')
+  .description('Mark the current task as in progress by you')
+  .option('--as <name>', 'claim the task for someone else (defaults to git user.name)')
+  .option('--force', 'take over a task claimed by someone else')
+  .option('--no-push', 'do not push the claim commit')
+  .action(claim);
+
+program
+  .command('release')
+  .description('Release your claim on the current task')
+  .option('--force', 'release a task claimed by someone else')
+  .option('--no-push', 'do not push the release commit')
+  .action(release);
+
+program
+  .command('sync')
+  .description('Push the changes that were queued while offline')
+  .option('--list', 'only show the queued pushes')
+  .action(sync);
+
+program
+  .command('worktrees')
+  .description('List task worktrees and clean up merged ones')
+  .option('--prune', 'remove worktrees that are missing or merged into the default branch')
+  .action(worktrees);
+
+program
+  .command('status')
+  .description('Show the current task and the progress of its sub-event')
+  .option('--json', 'print the status as JSON')
+  .action(status);
+
+program
+  .command('list')
+  .description('List challenges with filtering and sorting')
+  .option('-e, --event <name>', 'only challenges of this event')
+  .option('-s, --sub-event <name>', 'only challenges of this sub-event')
+  .option('-c, --category <name>', 'only challenges of this category')
+  .option('--solver <name>', 'only challenges solved by this person')
+  .option('--solved', 'only solved challenges')
+  .option('--unsolved', 'only unsolved challenges')
+  .option('--min-points <points>', 'only challenges worth at least this many points')
+  .option('--max-points <points>', 'only challenges worth at most this many points')
+  .option('--sort <field>', 'sort by number, points or name', 'number')
+  .option('--reverse', 'reverse the sort order')
+  .option('--format <format>', 'output as table, json or csv', 'table')
+  .action(list);
+
+program
+  .command('search <query>')
+  .description('Search the writeups and notes of all tasks')
+  .option('-r, --regex', 'treat the query as a regular expression')
+  .option('--case-sensitive', 'match case')
+  .option('--section <heading>', 'only search writeup sections whose heading contains this text, e.g. "Steps"')
+  .option('-e, --event <name>', 'only tasks of this event')
+  .option('-s, --sub-event <name>', 'only tasks of this sub-event')
+  .option('-c, --category <name>', 'only tasks of this category')
+  .option('-C, --context <lines>', 'lines of context around each match', '1')
+  .action(search);
+
 program
   .command('leaderboard')
   .description('Generate a leaderboard of challenge solvers')
+  .option('--scoring <mode>', 'credit solvers with full, split, first or weighted points (default: leaderboard.scoring or full)')
+  .option('--format <format>', 'output as table, md, json or csv; skips the export prompt')
+  .option('-o, --output <file>', 'write the md, json or csv output to a file')
+  .option('-e, --event <name>', 'only challenges of this event')
+  .option('-s, --sub-event <name>', 'only challenges of this sub-event')
+  .option('-c, --category <name>', 'only challenges of this category')
+  .option('--since <date>', 'only count solves from this date or time on (plain dates are UTC)')
+  .option('--until <date>', 'only count solves up to this date or time (plain dates are UTC)')
   .action(leaderboard);
 
 program
@@ -38,6 +140,26 @@ program
   .description('Update the README with the current event progress')
   .action(updateReadme);
 
+program
+  .command('timeline')
+  .description('Show when challenges were created, claimed and solved, from the git history')
+  .option('-e, --event <name>', 'only challenges of this event')
+  .option('-s, --sub-event <name>', 'only challenges of this sub-event')
+  .option('--format <format>', 'output as text, json or csv', 'text')
+  .option('--svg <file>', 'also write a chart of the points over time as SVG')
+  .action(timeline);
+
+program
+  .command('export <format>')
+  .description('Export the progress data; html writes a static dashboard site')
+  .option('-o, --output <dir>', 'output directory (default: .flagtrack/site)')
+  .action(exportSite);
+
+program
+  .command('migrate')
+  .description('Convert writeups with bold metadata lines to YAML front matter')
+  .action(migrate);
+
 program.parse(process.argv);
 
 // If no command is provided, show help
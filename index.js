@@ -8,9 +8,31 @@ const create = require('./src/commands/create');
 const solve = require('./src/commands/solve');
 const leaderboard = require('./src/commands/leaderboard');
 const updateReadme = require('./src/commands/updateReadme');
+const migrate = require('./src/commands/migrate');
+const status = require('./src/commands/status');
+const list = require('./src/commands/list');
+const search = require('./src/commands/search');
+const claim = require('./src/commands/claim');
+const release = require('./src/commands/release');
+const sync = require('./src/commands/sync');
+const worktrees = require('./src/commands/worktrees');
+const exportSite = require('./src/commands/export');
+const timeline = require('./src/commands/timeline');
 const { loadConfig } = require('./src/utils/configManager');
 const gitHelpers = require('./src/utils/gitHelpers');
 const helpers = require('./src/utils/helpers');
+const eventModel = require('./src/utils/eventModel');
+const writeup = require('./src/utils/writeup');
+const dryRun = require('./src/utils/dryRun');
+const offline = require('./src/utils/offline');
+const team = require('./src/utils/team');
+const dates = require('./src/utils/dates');
+const template = require('./src/utils/template');
+const redaction = require('./src/utils/redaction');
+const progress = require('./src/utils/progress');
+const markdown = require('./src/utils/markdown');
+const timelineUtils = require('./src/utils/timeline');
+const charts = require('./src/utils/charts');
 
 module.exports = {
   commands: {
@@ -18,13 +40,35 @@ module.exports = {
     create,
     solve,
     leaderboard,
-    updateReadme
+    updateReadme,
+    migrate,
+    status,
+    list,
+    search,
+    claim,
+    release,
+    sync,
+    worktrees,
+    exportSite,
+    timeline
   },
   utils: {
     config: {
       loadConfig
     },
     git: gitHelpers,
-    helpers
+    helpers,
+    eventModel,
+    writeup,
+    dryRun,
+    offline,
+    team,
+    dates,
+    template,
+    redaction,
+    progress,
+    markdown,
+    timeline: timelineUtils,
+    charts
   }
 };
@@ -0,0 +1,96 @@
+const path = require('path');
+const chalk = require('chalk');
+const { loadConfig } = require('../utils/configManager');
+const { findRepoRoot, getGitUserName, getGitUserEmail, commitFiles } = require('../utils/gitHelpers');
+const { findCurrentTask, findRemoteClaims } = require('../utils/challenges');
+const { readWriteup, writeWriteup } = require('../utils/writeup');
+const { formatDate } = require('../utils/dates');
+const { getTeam, findMember, normalizeSolvers } = require('../utils/team');
+
+/**
+ * Claim the current task so teammates can see who is working on it.
+ * Records the assignee and start time in the writeup and commits it; the push
+ * makes the claim visible to teammates, whose claims are checked on the remote
+ * branches as well.
+ *
+ * @param {Object} [options] - Command line options
+ * @param {string} [options.as] - Assignee name (defaults to the git user); roster aliases resolve to the display name
+ * @param {boolean} [options.force=false] - Take over a task claimed by someone else
+ * @param {boolean} [options.push=true] - Push the claim commit to the remote
+ */
+async function claim(options = {}) {
+  console.log(chalk.blue('🔨 Claiming task'));
+
+  try {
+    const config = await loadConfig();
+    if (!config) {
+      console.log(chalk.yellow('⚠️ No configuration found. Run `flagtrack setup` first.'));
+      process.exit(1);
+    }
+
+    const repoRoot = await findRepoRoot();
+    if (!repoRoot) {
+      console.log(chalk.yellow('⚠️ Could not find repository root.'));
+      process.exit(1);
+    }
+
+    const { task } = await findCurrentTask(repoRoot, config);
+    if (!task) {
+      throw new Error('Could not determine the task. Check out a task branch or run from a task folder.');
+    }
+
+    const writeup = await readWriteup(task.writeupPath);
+    const taskName = writeup.name || task.folderName;
+    const name = (options.as || await getGitUserName() || '').trim();
+    if (!name) {
+      throw new Error('Could not determine your name. Pass --as <name> or set git user.name.');
+    }
+    
+    // Claims are recorded by roster name, like solvers; without --as, the git email finds you too
+    const team = getTeam(config);
+    const self = options.as ? null : findMember(team, await getGitUserEmail());
+    const assignee = self ? self.name : normalizeSolvers(team, [name])[0];
+
+    if (writeup.isSolved) {
+      console.log(chalk.yellow(`⚠️ ${taskName} is already solved${writeup.solver ? ` by ${writeup.solver}` : ''}. Nothing to claim.`));
+      return;
+    }
+
+    // A teammate's claim is committed on their task branch, so without a claim
+    // here the remote branches are checked too
+    let current = writeup.assignee ? { assignee: writeup.assignee, claimed: writeup.claimed, branch: null } : null;
+    if (!current) {
+      const remoteClaim = (await findRemoteClaims(repoRoot, path.dirname(task.path), task.folderName, config))
+        .find(remote => remote.folder === task.folderName);
+      if (remoteClaim) {
+        current = { assignee: remoteClaim.writeup.assignee, claimed: remoteClaim.writeup.claimed, branch: remoteClaim.branch };
+      }
+    }
+
+    const claimedAt = current && current.claimed ? formatDate(current.claimed, config) : 'unknown';
+    const where = current && current.branch ? ` on ${current.branch}` : '';
+    if (current && normalizeSolvers(team, [current.assignee])[0] === assignee) {
+      console.log(chalk.blue(`You already claimed ${taskName}${where} (since ${claimedAt}).`));
+      return;
+    }
+
+    if (current && !options.force) {
+      throw new Error(`${taskName} is already claimed by ${current.assignee}${where} (since ${claimedAt}). Pass --force to take it over.`);
+    }
+
+    if (current) {
+      console.log(chalk.yellow(`⚠️ Taking over ${taskName} from ${current.assignee}${where}.`));
+    }
+
+    await writeWriteup(task.writeupPath, { assignee, claimed: new Date().toISOString() });
+    console.log(chalk.green(`✅ ${taskName} is now in progress by ${assignee}.`));
+
+    await commitFiles([task.writeupPath], `Claim task: ${taskName} (${assignee})`, { push: options.push !== false, config });
+
+  } catch (error) {
+    console.error(chalk.red('❌ Claim failed:'), error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = claim;
@@ -1,13 +1,32 @@
-const inquirer = require('inquirer');
 const fs = require('fs-extra');
 const path = require('path');
 const chalk = require('chalk');
-const simpleGit = require('simple-git');
 const { loadConfig } = require('../utils/configManager');
-const { findRepoRoot, isGitRepo, getCurrentBranch, getGitUserName } = require('../utils/gitHelpers');
-const { slugify, getEventContext } = require('../utils/helpers');
+const { findRepoRoot, isGitRepo, getCurrentBranch, getDefaultBranch, getGitUserName, getWorktreeDir } = require('../utils/gitHelpers');
+const { slugify, getEventContext, resolveOption, selectEvent } = require('../utils/helpers');
+const { getCategoryNames, getCategoryPath, getTaskDirName, getTaskBranchName } = require('../utils/eventModel');
+const { renderWriteup, readWriteup } = require('../utils/writeup');
+const { describeClaim, findRemoteClaims } = require('../utils/challenges');
+const { getGit, files } = require('../utils/dryRun');
+const { pushOrQueue } = require('../utils/offline');
+const { formatDate } = require('../utils/dates');
 
-async function create() {
+/**
+ * Create a new challenge task.
+ * Values passed as flags skip their prompt; anything missing is taken from the
+ * current directory or prompted for when running in a terminal.
+ *
+ * @param {Object} [options] - Command line options
+ * @param {string} [options.event] - Event name
+ * @param {string} [options.subEvent] - Sub-event/round name
+ * @param {string} [options.category] - Category name
+ * @param {string|number} [options.num] - Task number
+ * @param {string} [options.name] - Task name
+ * @param {boolean} [options.branch=true] - Create and check out a task branch
+ * @param {boolean} [options.push=true] - Push the task branch to the remote
+ * @param {boolean} [options.worktree] - Check the task branch out in its own worktree (defaults to git.worktrees in the config)
+ */
+async function create(options = {}) {
   console.log(chalk.blue('🧩 Creating a new event challenge task'));
   
   try {
@@ -18,130 +37,68 @@ async function create() {
       process.exit(1);
     }
     
-    // Determine current working directory and check if we're in a event directory
-    const currentDir = process.cwd();
-    const eventRoot = config.parentDir ? path.resolve(config.parentDir) : null;
-    
-    // Get the event structure from config
-    const structure = config.structure || {};
-    
-    // Get all event names from the structure
-    const eventNames = Object.keys(structure);
-    
-    // Detect if we're in an event directory by checking if current directory name matches any event
-    const currentDirName = path.basename(currentDir);
-    let selectedEvent = null;
-    
-    // Check if we're in a event directory
-    const isInEvent = eventNames.includes(currentDirName);
-    
-    if (isInEvent) {
-      // We're already in an event directory
-      selectedEvent = currentDirName;
-      console.log(chalk.blue(`Working in event directory: ${selectedEvent}`));
-    } else {
-      // We're not in an event directory, check if we're in the event root or somewhere else
-      const parentDir = path.dirname(currentDir);
-      const parentDirName = path.basename(parentDir);
-      
-      if (parentDirName === config.eventName || currentDirName === config.eventName) {
-        // We're either in the event root directory or one level below it
-        // Ask user which event to work with
-        const { event } = await inquirer.prompt([
-          {
-            type: 'list',
-            name: 'event',
-            message: 'Select an event/round to create a task for:',
-            choices: eventNames
-          }
-        ]);
-        selectedEvent = event;
-      } else {
-        // We're not in any recognizable event directory
-        console.log(chalk.yellow('⚠️ Not in a recognized event directory.'));
-        
-        // Ask user which event to work with
-        const { event } = await inquirer.prompt([
-          {
-            type: 'list',
-            name: 'event',
-            message: 'Select an event/round to create a task for:',
-            choices: eventNames
-          }
-        ]);
-        selectedEvent = event;
-      }
+    const repoRoot = await findRepoRoot();
+    if (!repoRoot) {
+      console.log(chalk.yellow('⚠️ Could not find repository root.'));
+      process.exit(1);
     }
     
-    // Get categories for the selected event
-    const eventCategories = structure[selectedEvent]?.categories || {};
-    
-    // Format categories for display
-    const categoryChoices = Object.entries(eventCategories).map(([key, value]) => ({
-      name: `${value}`,
-      value: value
-    }));
+    // Resolve event and sub-event from flags, the current directory or a prompt
+    const context = await getEventContext(config);
+    const { eventName, subEventName } = await selectEvent(config, context, options);
+    console.log(chalk.blue(`Working in ${eventName} > ${subEventName}`));
     
-    if (categoryChoices.length === 0) {
-      console.log(chalk.red(`❌ No categories found for event "${selectedEvent}".`));
+    // Get categories for the selected sub-event
+    const categories = getCategoryNames(config, eventName, subEventName);
+    if (categories.length === 0) {
+      console.log(chalk.red(`❌ No categories found for ${eventName} > ${subEventName}.`));
       process.exit(1);
     }
     
+    // Default to the category folder we are standing in
+    const inContextSubEvent = context.eventName === eventName && context.subEventName === subEventName;
+    const contextCategory = inContextSubEvent && categories.includes(context.categoryName)
+      ? context.categoryName
+      : undefined;
+    
     // Get category choice
-    const { category } = await inquirer.prompt([
-      {
-        type: 'list',
-        name: 'category',
-        message: `Choose a category for ${selectedEvent}:`,
-        choices: categoryChoices
-      }
-    ]);
+    const category = await resolveOption(options.category || contextCategory, {
+      type: 'list',
+      name: 'category',
+      message: `Choose a category for ${subEventName}:`,
+      choices: categories.map(name => ({ name, value: name }))
+    }, 'category');
     
     // Get task number
-    const { taskNum } = await inquirer.prompt([
-      {
-        type: 'input',
-        name: 'taskNum',
-        message: 'Enter task number (e.g. 1, 2, 10):',
-        validate: input => {
-          const num = parseInt(String(input).trim());
-          return !isNaN(num) && num > 0 ? true : 'Please enter a valid positive number';
-        },
-        filter: input => parseInt(String(input).trim())        
-      }
-    ]);
+    const taskNum = await resolveOption(options.num, {
+      type: 'input',
+      name: 'taskNum',
+      message: 'Enter task number (e.g. 1, 2, 10):',
+      validate: input => {
+        const num = parseInt(String(input).trim());
+        return !isNaN(num) && num > 0 ? true : 'Please enter a valid positive number';
+      },
+      filter: input => parseInt(String(input).trim())        
+    }, 'num');
     
     // Get task name
-    const { taskName } = await inquirer.prompt([
-      {
-        type: 'input',
-        name: 'taskName',
-        message: 'Enter task name:',
-        validate: input => input.trim() ? true : 'Task name cannot be empty'
-      }
-    ]);
-    
-    // Determine the task root directory (where tasks will be created)
-    let taskRoot;
-    
-    if (isInEvent) {
-      // If we're in the event directory, use the current directory
-      taskRoot = currentDir;
-    } else if (eventRoot) {
-      // If we have a event root, use that plus the selected event
-      taskRoot = path.join(eventRoot, selectedEvent);
-    } else {
-      // Fallback: use current directory plus event name plus selected event
-      taskRoot = path.join(currentDir, config.eventName, selectedEvent);
-    }
+    const taskName = await resolveOption(options.name, {
+      type: 'input',
+      name: 'taskName',
+      message: 'Enter task name:',
+      validate: input => input.trim() ? true : 'Task name cannot be empty'
+    }, 'name');
     
-    // Ensure the task root directory exists
-    await fs.ensureDir(taskRoot);
-    console.log(chalk.blue(`Creating task in directory: ${taskRoot}`));
+    const categoryPath = getCategoryPath(repoRoot, config, eventName, subEventName, category);
+    console.log(chalk.blue(`Creating task in directory: ${categoryPath}`));
     
     // Create task structure
-    await createTaskStructure(taskRoot, category, taskName, taskNum, {
-      categories: eventCategories
+    await createTaskStructure(categoryPath, category, taskName, taskNum, {
+      branch: options.branch !== false,
+      push: options.push !== false,
+      worktree: options.worktree !== undefined ? options.worktree : Boolean(config.git && config.git.worktrees),
+      repoRoot,
+      config
     });
     
   } catch (error) {
@@ -150,79 +107,78 @@ async function create() {
   }
 }
 
-async function createTaskStructure(eventRoot, category, taskName, taskNum, config) {
-  // Find category number
-  const catNum = Object.entries(config.categories)
-    .find(([key, value]) => value === category)[0];
-  
-  const categoryFolder = path.join(eventRoot, `${String(catNum).padStart(2, '0')}_${category}`);
-  await fs.ensureDir(categoryFolder);
+/**
+ * Create the folder layout and writeup for a task, then branch, commit and push it
+ * @param {string} categoryPath - Category folder the task is created in
+ * @param {string} category - Category name
+ * @param {string} taskName - Human readable task name
+ * @param {number} taskNum - Task number within the category
+ * @param {Object} [options] - Git workflow options
+ * @param {boolean} [options.branch=true] - Create and check out a task branch
+ * @param {boolean} [options.push=true] - Push the task branch to the remote
+ * @param {boolean} [options.worktree=false] - Create the task branch in its own worktree
+ * @param {string} [options.repoRoot] - Repository root, needed to map the task into a worktree
+ * @param {Object} [options.config] - Loaded config, read for the git settings
+ */
+async function createTaskStructure(categoryPath, category, taskName, taskNum, options = {}) {
+  const { branch = true, push = true, worktree = false, repoRoot, config } = options;
   
   const taskSlug = slugify(taskName);
-  let taskFolderName = `${String(taskNum).padStart(2, '0')}_${taskSlug}`;
-  let taskFolder = path.join(categoryFolder, taskFolderName);
+  let taskFolderName = getTaskDirName(taskNum, taskName);
+  
+  // Someone may already be working on this task number
+  await warnIfClaimed(categoryPath, taskNum, repoRoot, config);
   
   // Check if we're in a git repo and create branch if appropriate
-  let branchCreated = false;
-  if (await isGitRepo()) {
-    branchCreated = await createAndCheckoutBranch(category, taskNum, taskSlug);
-    if (!branchCreated) {
+  let branchName = null;
+  let worktreePath = null;
+  if (!branch) {
+    console.log(chalk.blue('Skipping branch creation (--no-branch).'));
+  } else if (await isGitRepo()) {
+    if (worktree) {
+      const created = await createTaskWorktree(category, taskNum, taskSlug, config);
+      if (created) {
+        ({ branchName, worktreePath } = created);
+        // Write the task into the new checkout instead of the current one
+        categoryPath = path.join(worktreePath, path.relative(repoRoot, categoryPath));
+      }
+    } else {
+      branchName = await createAndCheckoutBranch(category, taskNum, taskSlug, config);
+    }
+    if (!branchName) {
       console.log(chalk.yellow('⚠️ Continuing without branch creation...'));
     }
+  } else {
+    console.log(chalk.yellow('⚠️ Not in a git repository. Skipping branch creation.'));
   }
   
+  await files.ensureDir(categoryPath);
+  let taskFolder = path.join(categoryPath, taskFolderName);
+  
   // Check if task folder already exists and handle automatically
   if (await fs.pathExists(taskFolder)) {
     console.log(chalk.yellow(`⚠️ Task folder '${taskFolderName}' already exists in ${category}.`));
     // Generate a unique folder name by appending a timestamp
     const timestamp = Math.floor(Date.now() / 1000).toString().slice(-6);
-    taskFolderName = `${String(taskNum).padStart(2, '0')}_${taskSlug}_${timestamp}`;
-    taskFolder = path.join(categoryFolder, taskFolderName);
+    taskFolderName = `${taskFolderName}_${timestamp}`;
+    taskFolder = path.join(categoryPath, taskFolderName);
     console.log(chalk.blue(`Creating task with unique name: ${taskFolderName}`));
   }
   
   // Create folder structure
-  await fs.ensureDir(taskFolder);
+  await files.ensureDir(taskFolder);
   const folderTemplate = ['challenge_files', 'workspace', 'exploit', 'screenshots'];
   for (const folder of folderTemplate) {
-    await fs.ensureDir(path.join(taskFolder, folder));
+    await files.ensureDir(path.join(taskFolder, folder));
   }
   
   // Get creator name
   const creatorName = await getGitUserName() || 'Unknown';
   
   // Create writeup.md
-  const writeupContent = `# 🧩 ${taskName}
-
-**Category:** ${category}  
-**Points:** TBD  
-**Flag:** \`TBD\`  
-**Solver:** TBD
-
----
-
-## 📝 Challenge Description
-
-> _Paste the description or summarize it here._
-
----
-
-## 🛠️ Steps to writeup
-
-_Detail every major step you took, including tools, commands, reasoning, etc._
-
----
-
-## 🧠 Notes & Takeaways
-
-_Interesting techniques, things you learned, or anything to remember for next time._
-
----
-`;
-
   const writeupPath = path.join(taskFolder, 'writeup.md');
   if (!await fs.pathExists(writeupPath)) {
-    await fs.writeFile(writeupPath, writeupContent, 'utf-8');
+    await files.writeFile(writeupPath, renderWriteup(taskName, category));
   }
   
   // Create other files
@@ -230,16 +186,19 @@ _Interesting techniques, things you learned, or anything to remember for next ti
   for (const file of fileTemplate) {
     const filePath = path.join(taskFolder, file);
     if (!await fs.pathExists(filePath)) {
-      await fs.createFile(filePath);
+      await files.createFile(filePath);
     }
   }
   
   console.log(chalk.green(`\n✅ Created task at: ${taskFolder}`));
+  if (worktreePath) {
+    console.log(chalk.blue(`📂 The task has its own worktree. Continue with: cd ${worktreePath}`));
+  }
   
   // Automatically handle git workflow if branch was created
-  if (branchCreated) {
+  if (branchName) {
     try {
-      const git = simpleGit();
+      const git = getGit(worktreePath || undefined);
       
       // Add all files in the task folder
       console.log(chalk.blue('📋 Adding files to git...'));
@@ -250,15 +209,20 @@ _Interesting techniques, things you learned, or anything to remember for next ti
       console.log(chalk.blue(`💾 Committing with message: "${commitMessage}"...`));
       await git.commit(commitMessage);
       
+      if (!push) {
+        console.log(chalk.blue('Skipping push (--no-push). Branch created locally only.'));
+        return;
+      }
+      
       // Check if there's a remote repository
       try {
         const remotes = await git.getRemotes();
         if (remotes && remotes.length > 0) {
           // Push branch to remote with upstream tracking
-          const branchName = await getCurrentBranch();
           console.log(chalk.blue(`🚀 Publishing branch "${branchName}" to remote...`));
-          await git.push('origin', branchName, ['--set-upstream']);
-          console.log(chalk.green(`✅ Branch published and ready to work on!`));
+          if (await pushOrQueue(git, config, 'origin', branchName, ['--set-upstream'])) {
+            console.log(chalk.green(`✅ Branch published and ready to work on!`));
+          }
         } else {
           console.log(chalk.yellow('⚠️ No remote repository found. Branch created locally only.'));
         }
@@ -272,50 +236,136 @@ _Interesting techniques, things you learned, or anything to remember for next ti
   }
 }
 
-async function createAndCheckoutBranch(category, taskNum, taskSlug) {
+/**
+ * Warn about existing tasks with the same number that someone has claimed,
+ * here or on a remote branch, where teammates' claims are committed
+ * @param {string} categoryPath - Category folder
+ * @param {number} taskNum - Task number about to be created
+ * @param {string} [repoRoot] - Repository root path; without it, only local tasks are checked
+ * @param {Object} [config] - Loaded config, for the date display and offline settings
+ */
+async function warnIfClaimed(categoryPath, taskNum, repoRoot, config) {
+  const prefix = getTaskDirName(taskNum, '');
+  const claims = [];
+  
+  // The category folder does not exist yet during a dry run
+  if (await fs.pathExists(categoryPath)) {
+    const entries = await fs.readdir(categoryPath, { withFileTypes: true });
+    
+    for (const entry of entries) {
+      if (!entry.isDirectory() || !entry.name.startsWith(prefix)) continue;
+      
+      const writeupPath = path.join(categoryPath, entry.name, 'writeup.md');
+      if (!await fs.pathExists(writeupPath)) continue;
+      
+      claims.push({ folder: entry.name, writeup: await readWriteup(writeupPath), branch: null });
+    }
+  }
+  
+  if (repoRoot) {
+    claims.push(...await findRemoteClaims(repoRoot, categoryPath, prefix, config));
+  }
+  
+  // The same claim shows here and on the remote branch it was pushed to
+  const warned = new Set();
+  for (const { folder, writeup, branch } of claims) {
+    const claim = describeClaim(writeup);
+    if (!claim || warned.has(`${folder}\n${writeup.assignee}`)) continue;
+    warned.add(`${folder}\n${writeup.assignee}`);
+    
+    const since = writeup.claimed ? formatDate(writeup.claimed, config) : 'unknown';
+    console.log(chalk.yellow(`⚠️ Task '${folder}' is already ${claim}${branch ? ` on ${branch}` : ''} (since ${since}).`));
+  }
+}
+
+/**
+ * Create the task branch and check it out. Task branches start from the
+ * default branch unless `git.branch_from_any` is set in the config.
+ * @param {string} category - Category name
+ * @param {number} taskNum - Task number within the category
+ * @param {string} taskSlug - Slugified task name
+ * @param {Object} [config] - Loaded config
+ * @returns {Promise<string|null>} Name of the new branch, or null if none was created
+ */
+async function createAndCheckoutBranch(category, taskNum, taskSlug, config) {
   try {
-    // Check if on main branch
+    // Check if on the default branch
     const currentBranch = await getCurrentBranch();
-    if (currentBranch !== 'main' && currentBranch !== 'master') {
-      console.log(chalk.yellow(`⚠️ Warning: You are not on the main branch (current: ${currentBranch}).`));
-      console.log(chalk.yellow('Branch creation is only available when on the main/master branch.'));
-      return false;
+    const defaultBranch = await getDefaultBranch(config);
+    if (currentBranch !== defaultBranch) {
+      if (!(config && config.git && config.git.branch_from_any)) {
+        console.log(chalk.yellow(`⚠️ Warning: You are not on the default branch ${defaultBranch} (current: ${currentBranch}).`));
+        console.log(chalk.yellow(`Branch creation is only available when on ${defaultBranch}. Set git.branch_from_any in the config to branch from anywhere.`));
+        return null;
+      }
+      console.log(chalk.blue(`Branching from ${currentBranch} instead of ${defaultBranch}.`));
     }
     
-    // Format branch name
-    const catSlug = slugify(category).toLowerCase();
-    const branchName = `${catSlug}-${String(taskNum).padStart(2, '0')}-${taskSlug}`;
+    const git = getGit();
+    const branchName = await getUniqueBranchName(git, getTaskBranchName(category, taskNum, taskSlug));
     
-    const git = simpleGit();
+    // Create new branch
+    await git.branch([branchName]);
+    console.log(chalk.green(`✅ Created new branch: ${branchName}`));
     
-    // Check if branch exists
-    const branchSummary = await git.branch();
-    const branchExists = branchSummary.all.includes(branchName);
+    // Checkout to branch
+    await git.checkout(branchName);
+    console.log(chalk.green(`✅ Switched to branch: ${branchName}`));
     
-    if (branchExists) {
-      console.log(chalk.yellow(`⚠️ Branch '${branchName}' already exists. Creating a unique branch instead.`));
-      // Create a unique branch name by appending timestamp
-      const timestamp = Math.floor(Date.now() / 1000).toString().slice(-6);
-      const uniqueBranchName = `${branchName}-${timestamp}`;
-      await git.branch([uniqueBranchName]);
-      await git.checkout(uniqueBranchName);
-      console.log(chalk.green(`✅ Created and switched to new branch: ${uniqueBranchName}`));
-    } else {
-      // Create new branch
-      await git.branch([branchName]);
-      console.log(chalk.green(`✅ Created new branch: ${branchName}`));
-      
-      // Checkout to branch
-      await git.checkout(branchName);
-      console.log(chalk.green(`✅ Switched to branch: ${branchName}`));
+    return branchName;
+    
+  } catch (error) {
+    console.log(chalk.red(`❌ Git operation failed: ${error.message}`));
+    return null;
+  }
+}
+
+/**
+ * Create the task branch from the default branch in a new worktree, so the
+ * current checkout is left alone and tasks can be worked on side by side.
+ * @param {string} category - Category name
+ * @param {number} taskNum - Task number within the category
+ * @param {string} taskSlug - Slugified task name
+ * @param {Object} [config] - Loaded config
+ * @returns {Promise<{branchName: string, worktreePath: string}|null>} The new branch and worktree, or null on failure
+ */
+async function createTaskWorktree(category, taskNum, taskSlug, config) {
+  try {
+    const git = getGit();
+    const defaultBranch = await getDefaultBranch(config);
+    const branchName = await getUniqueBranchName(git, getTaskBranchName(category, taskNum, taskSlug));
+    const worktreePath = path.join(await getWorktreeDir(config), branchName);
+    
+    if (await fs.pathExists(worktreePath)) {
+      throw new Error(`${worktreePath} already exists. Run \`flagtrack worktrees --prune\` or remove it first.`);
     }
     
-    return true;
+    await git.raw(['worktree', 'add', '-b', branchName, worktreePath, defaultBranch]);
+    console.log(chalk.green(`✅ Created branch ${branchName} from ${defaultBranch} in worktree ${worktreePath}`));
+    
+    return { branchName, worktreePath };
     
   } catch (error) {
-    console.log(chalk.red(`❌ Git operation failed: ${error.message}`));
-    return false;
+    console.log(chalk.red(`❌ Could not create worktree: ${error.message}`));
+    return null;
   }
 }
 
+/**
+ * Append a timestamp to a branch name that is already taken
+ * @param {Object} git - simple-git instance
+ * @param {string} branchName - Preferred branch name
+ * @returns {Promise<string>} A branch name that does not exist yet
+ */
+async function getUniqueBranchName(git, branchName) {
+  const branchSummary = await git.branch();
+  if (!branchSummary.all.includes(branchName)) {
+    return branchName;
+  }
+  
+  console.log(chalk.yellow(`⚠️ Branch '${branchName}' already exists. Creating a unique branch instead.`));
+  const timestamp = Math.floor(Date.now() / 1000).toString().slice(-6);
+  return `${branchName}-${timestamp}`;
+}
+
 module.exports = create;
\ No newline at end of file
@@ -0,0 +1,455 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const { loadConfig } = require('../utils/configManager');
+const { findRepoRoot } = require('../utils/gitHelpers');
+const { processSolvers, describeClaim } = require('../utils/challenges');
+const { findCompetitionData } = require('../utils/progress');
+const { readWriteup, splitFrontMatter } = require('../utils/writeup');
+const { slugify } = require('../utils/helpers');
+const { files } = require('../utils/dryRun');
+const { formatDate } = require('../utils/dates');
+const { escapeHtml, renderMarkdown } = require('../utils/markdown');
+
+const FORMATS = ['html'];
+
+// Inline styles and table sorting, so every page works on its own
+const STYLE = `
+body { font-family: system-ui, sans-serif; margin: 0 auto; max-width: 72rem; padding: 1rem 2rem; color: #1f2328; line-height: 1.5; }
+nav { border-bottom: 1px solid #d0d7de; margin-bottom: 1.5rem; padding-bottom: .5rem; }
+a { color: #0969da; text-decoration: none; }
+a:hover { text-decoration: underline; }
+table { border-collapse: collapse; margin: 1rem 0; width: 100%; }
+th, td { border: 1px solid #d0d7de; padding: .35rem .6rem; text-align: left; }
+th { background: #f6f8fa; }
+table.sortable th { cursor: pointer; user-select: none; }
+table.sortable th[data-order="asc"]::after { content: " ▲"; }
+table.sortable th[data-order="desc"]::after { content: " ▼"; }
+code, pre { background: #f6f8fa; border-radius: 4px; font-family: ui-monospace, monospace; }
+code { padding: .1rem .3rem; }
+pre { overflow-x: auto; padding: .8rem; }
+pre code { padding: 0; }
+img { max-width: 100%; }
+blockquote { border-left: 4px solid #d0d7de; color: #57606a; margin-left: 0; padding-left: 1rem; }
+dl { display: grid; gap: .25rem 1rem; grid-template-columns: max-content auto; }
+dt { font-weight: 600; }
+dd { margin: 0; }
+footer { border-top: 1px solid #d0d7de; color: #57606a; font-size: .85rem; margin-top: 2rem; padding-top: .5rem; }
+`;
+
+const SORT_SCRIPT = `
+document.querySelectorAll('table.sortable th').forEach(th => {
+  th.addEventListener('click', () => {
+    const table = th.closest('table');
+    const body = table.tBodies[0];
+    const ascending = th.dataset.order !== 'asc';
+    table.querySelectorAll('th').forEach(other => delete other.dataset.order);
+    th.dataset.order = ascending ? 'asc' : 'desc';
+    const value = row => {
+      const cell = row.cells[th.cellIndex];
+      return cell.dataset.sort !== undefined ? cell.dataset.sort : cell.textContent.trim();
+    };
+    const rows = Array.from(body.rows).sort((a, b) => {
+      const x = value(a);
+      const y = value(b);
+      const order = x !== '' && y !== '' && !isNaN(x) && !isNaN(y)
+        ? x - y
+        : x.localeCompare(y, undefined, { numeric: true });
+      return ascending ? order : -order;
+    });
+    rows.forEach(row => body.appendChild(row));
+  });
+});
+`;
+
+/**
+ * Export the challenge data in another format. The only format is html, a
+ * static site with a page per event, solver and writeup.
+ * @param {string} format - Export format
+ * @param {Object} [options] - Command options
+ * @param {string} [options.output] - Output directory, default .flagtrack/site, which is gitignored
+ */
+async function exportSite(format, options = {}) {
+  try {
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Unknown export format "${format}". Supported formats: ${FORMATS.join(', ')}.`);
+    }
+
+    const repoRoot = await findRepoRoot();
+    if (!repoRoot) {
+      console.log(chalk.yellow('⚠️ Could not find repository root.'));
+      process.exit(1);
+    }
+
+    const config = await loadConfig();
+    if (!config) {
+      console.log(chalk.yellow('⚠️ No configuration found. Run `flagtrack setup` first.'));
+      process.exit(1);
+    }
+
+    const outputDir = path.resolve(options.output || path.join(repoRoot, '.flagtrack', 'site'));
+    console.log(chalk.blue(`🌐 Exporting the dashboard to ${outputDir}`));
+
+    const competitions = await findCompetitionData(repoRoot, config);
+    const site = await buildSite(competitions, repoRoot, formatDate(new Date(), config));
+
+    // The default directory is inside the repository, so it ignores itself
+    // to keep the site (and the flags on it) out of commits
+    if (!options.output) {
+      await files.ensureDir(outputDir);
+      await files.writeFile(path.join(outputDir, '.gitignore'), '*\n');
+    }
+
+    for (const page of site.pages) {
+      const pagePath = path.join(outputDir, page.file);
+      await files.ensureDir(path.dirname(pagePath));
+      await files.writeFile(pagePath, page.html);
+    }
+
+    let copied = 0;
+    for (const image of site.images) {
+      if (!await fs.pathExists(image.source)) {
+        console.log(chalk.yellow(`⚠️ Image ${path.relative(repoRoot, image.source)} not found. Linked from ${image.page}.`));
+        continue;
+      }
+      const target = path.join(outputDir, image.file);
+      await files.ensureDir(path.dirname(target));
+      await files.copyFile(image.source, target);
+      copied++;
+    }
+
+    console.log(chalk.green(`✅ Exported ${site.pages.length} pages and ${copied} image${copied === 1 ? '' : 's'} to ${outputDir}`));
+    console.log(chalk.cyan(`Open ${path.join(outputDir, 'index.html')} or copy the directory to a web server.`));
+
+  } catch (error) {
+    console.error(chalk.red('❌ Export failed:'), error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Build every page of the site
+ * @param {Object} competitions - Result of findCompetitionData
+ * @param {string} repoRoot - Repository root path
+ * @param {string} updated - Formatted export time
+ * @returns {Promise<{ pages: Array<{ file: string, html: string }>, images: Array<{ source: string, file: string, page: string }> }>}
+ *   Pages and the local images they show, with paths relative to the output directory
+ */
+async function buildSite(competitions, repoRoot, updated) {
+  const pages = [];
+  const images = [];
+  const solvers = {};
+  const eventSlugs = new Set();
+  const solverSlugs = new Set();
+  const events = [];
+
+  for (const eventName of Object.keys(competitions).sort()) {
+    const event = {
+      name: eventName,
+      file: `events/${uniqueSlug(eventName, eventSlugs)}.html`,
+      subEvents: []
+    };
+
+    for (const subEventName of Object.keys(competitions[eventName].subEvents).sort()) {
+      const categories = competitions[eventName].subEvents[subEventName].categories;
+      const challenges = Object.keys(categories).sort()
+        .flatMap(catNum => categories[catNum].challenges.sort((a, b) => a.num.localeCompare(b.num)))
+        .map(challenge => ({
+          ...challenge,
+          event: eventName,
+          subEvent: subEventName,
+          file: `writeups/${toPosixPath(challenge.path)}/index.html`,
+          solvers: challenge.isCompleted ? processSolvers(challenge.solver) : []
+        }));
+
+      for (const challenge of challenges) {
+        for (const solverName of challenge.solvers) {
+          const key = solverName.toLowerCase();
+          if (!solvers[key]) {
+            solvers[key] = { name: solverName, file: `solvers/${uniqueSlug(solverName, solverSlugs)}.html`, challenges: [] };
+          }
+          solvers[key].challenges.push(challenge);
+        }
+      }
+
+      event.subEvents.push({ name: subEventName, challenges });
+    }
+
+    events.push(event);
+  }
+
+  const solverList = Object.values(solvers)
+    .map(solver => ({ ...solver, points: solver.challenges.reduce((sum, c) => sum + (c.points || 0), 0) }))
+    .sort((a, b) => b.points - a.points || b.challenges.length - a.challenges.length || a.name.localeCompare(b.name));
+  const solverFile = name => (solvers[name.toLowerCase()] || {}).file;
+
+  pages.push({ file: 'index.html', html: renderIndex(events, solverList, updated) });
+
+  for (const event of events) {
+    pages.push({ file: event.file, html: renderEventPage(event, solverFile, updated) });
+
+    for (const challenge of event.subEvents.flatMap(subEvent => subEvent.challenges)) {
+      const page = await renderWriteupPage(challenge, repoRoot, solverFile, updated);
+      pages.push({ file: challenge.file, html: page.html });
+      images.push(...page.images.map(source => ({
+        source,
+        file: `writeups/${toPosixPath(path.relative(repoRoot, source))}`,
+        page: path.relative(repoRoot, challenge.writeupPath)
+      })));
+    }
+  }
+
+  for (const solver of solverList) {
+    pages.push({ file: solver.file, html: renderSolverPage(solver, updated) });
+  }
+
+  return { pages, images };
+}
+
+/**
+ * Render the overview page
+ * @param {Array} events - Events with their sub-events and challenges
+ * @param {Array} solverList - Solvers, best first
+ * @param {string} updated - Formatted export time
+ * @returns {string} HTML
+ */
+function renderIndex(events, solverList, updated) {
+  const all = events.flatMap(event => event.subEvents.flatMap(subEvent => subEvent.challenges));
+  const totals = countChallenges(all);
+
+  const eventRows = events.map(event => {
+    const stats = countChallenges(event.subEvents.flatMap(subEvent => subEvent.challenges));
+    return `<tr><td><a href="${link('index.html', event.file)}">${escapeHtml(event.name)}</a></td>` +
+      `<td data-sort="${stats.percent}">${stats.solved}/${stats.total} (${stats.percent}%)</td>` +
+      `<td>${stats.points}</td></tr>`;
+  });
+
+  const solverRows = solverList.map((solver, index) => (
+    `<tr><td>${index + 1}</td><td><a href="${link('index.html', solver.file)}">${escapeHtml(solver.name)}</a></td>` +
+    `<td>${solver.points}</td><td>${solver.challenges.length}</td></tr>`
+  ));
+
+  return renderPage('index.html', 'CTF Dashboard', `
+<h1>CTF Dashboard</h1>
+<p><strong>Progress:</strong> ${totals.solved}/${totals.total} challenges (${totals.percent}%) · <strong>Points:</strong> ${totals.points}</p>
+<h2>Events</h2>
+${renderTable(['Event', 'Progress', 'Points'], eventRows)}
+<h2>Solvers</h2>
+${solverRows.length > 0 ? renderTable(['Rank', 'Solver', 'Points', 'Solved'], solverRows) : '<p>No challenges solved yet.</p>'}`, updated);
+}
+
+/**
+ * Render the page of an event, with a challenge table per sub-event
+ * @param {Object} event - Event with its sub-events and challenges
+ * @param {function(string): (string|undefined)} solverFile - Page of a solver
+ * @param {string} updated - Formatted export time
+ * @returns {string} HTML
+ */
+function renderEventPage(event, solverFile, updated) {
+  const stats = countChallenges(event.subEvents.flatMap(subEvent => subEvent.challenges));
+
+  const sections = event.subEvents.map(subEvent => {
+    const subStats = countChallenges(subEvent.challenges);
+    const rows = subEvent.challenges.map(challenge => {
+      const claim = describeClaim(challenge);
+      const status = challenge.isCompleted ? ['✅ Solved', 0] : claim ? [`🔨 ${claim}`, 1] : ['❌ Open', 2];
+      const solverLinks = challenge.solvers.map(name => (
+        solverFile(name) ? `<a href="${link(event.file, solverFile(name))}">${escapeHtml(name)}</a>` : escapeHtml(name)
+      ));
+
+      return `<tr><td>${escapeHtml(challenge.num)}</td>` +
+        `<td><a href="${link(event.file, challenge.file)}">${escapeHtml(challenge.name)}</a></td>` +
+        `<td>${escapeHtml(challenge.category)}</td>` +
+        `<td data-sort="${challenge.points !== null ? challenge.points : ''}">${challenge.points !== null ? challenge.points : 'TBD'}</td>` +
+        `<td data-sort="${status[1]}">${escapeHtml(status[0])}</td>` +
+        `<td>${solverLinks.join(', ')}</td>` +
+        `<td>${challenge.flag ? `<code>${escapeHtml(challenge.flag)}</code>` : ''}</td></tr>`;
+    });
+
+    return `<h2>${escapeHtml(subEvent.name)} (${subStats.solved}/${subStats.total} · ${subStats.points} pts)</h2>
+${renderTable(['#', 'Challenge', 'Category', 'Points', 'Status', 'Solvers', 'Flag'], rows)}`;
+  });
+
+  return renderPage(event.file, event.name, `
+<h1>${escapeHtml(event.name)}</h1>
+<p><strong>Progress:</strong> ${stats.solved}/${stats.total} challenges (${stats.percent}%) · <strong>Points:</strong> ${stats.points}</p>
+${sections.join('\n')}`, updated);
+}
+
+/**
+ * Render the page of a solver
+ * @param {Object} solver - Solver with the challenges they solved
+ * @param {string} updated - Formatted export time
+ * @returns {string} HTML
+ */
+function renderSolverPage(solver, updated) {
+  const rows = solver.challenges.map(challenge => (
+    `<tr><td><a href="${link(solver.file, challenge.file)}">${escapeHtml(challenge.name)}</a></td>` +
+    `<td>${escapeHtml(challenge.event)}</td><td>${escapeHtml(challenge.subEvent)}</td>` +
+    `<td>${escapeHtml(challenge.category)}</td><td>${challenge.points || 0}</td></tr>`
+  ));
+
+  return renderPage(solver.file, solver.name, `
+<h1>${escapeHtml(solver.name)}</h1>
+<p><strong>Solved:</strong> ${solver.challenges.length} challenges · <strong>Points:</strong> ${solver.points}</p>
+${renderTable(['Challenge', 'Event', 'Sub-event', 'Category', 'Points'], rows)}`, updated);
+}
+
+/**
+ * Render the writeup of a challenge. Flags that are redacted for the event
+ * are redacted in the writeup text too.
+ * @param {Object} challenge - Challenge with its page file and solvers
+ * @param {string} repoRoot - Repository root path
+ * @param {function(string): (string|undefined)} solverFile - Page of a solver
+ * @param {string} updated - Formatted export time
+ * @returns {Promise<{ html: string, images: string[] }>} Page and the absolute paths of its local images
+ */
+async function renderWriteupPage(challenge, repoRoot, solverFile, updated) {
+  const writeup = await readWriteup(challenge.writeupPath);
+  let { body } = splitFrontMatter(writeup.content);
+  if (writeup.flag && writeup.flag !== challenge.flag) {
+    body = body.split(writeup.flag).join(challenge.flag);
+  }
+
+  // Local images are copied next to the page, keeping their path relative to the writeup
+  const images = [];
+  const taskDir = path.dirname(challenge.writeupPath);
+  const content = renderMarkdown(body, {
+    resolveImage: src => {
+      if (/^([a-z][a-z0-9+.-]*:|\/|#)/i.test(src)) {
+        return src;
+      }
+      let source;
+      try {
+        source = path.resolve(taskDir, decodeURI(src.split(/[?#]/)[0]));
+      } catch (error) {
+        return src;
+      }
+      if (path.relative(repoRoot, source).startsWith('..')) {
+        return src;
+      }
+      images.push(source);
+      return encodePath(toPosixPath(path.relative(taskDir, source)));
+    }
+  });
+
+  const solverLinks = challenge.solvers.map(name => (
+    solverFile(name) ? `<a href="${link(challenge.file, solverFile(name))}">${escapeHtml(name)}</a>` : escapeHtml(name)
+  ));
+
+  const html = renderPage(challenge.file, challenge.name, `
+<dl>
+<dt>Event</dt><dd>${escapeHtml(challenge.event)} / ${escapeHtml(challenge.subEvent)}</dd>
+<dt>Category</dt><dd>${escapeHtml(challenge.category)}</dd>
+<dt>Points</dt><dd>${challenge.points !== null ? challenge.points : 'TBD'}</dd>
+<dt>Solvers</dt><dd>${solverLinks.join(', ') || '-'}</dd>
+<dt>Flag</dt><dd>${challenge.flag ? `<code>${escapeHtml(challenge.flag)}</code>` : 'TBD'}</dd>
+</dl>
+${content}`, updated);
+
+  return { html, images };
+}
+
+/**
+ * Wrap page content in the site layout
+ * @param {string} file - Page path relative to the output directory
+ * @param {string} title - Page title
+ * @param {string} content - Page HTML
+ * @param {string} updated - Formatted export time
+ * @returns {string} Complete HTML document
+ */
+function renderPage(file, title, content, updated) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<nav><a href="${link(file, 'index.html')}">🏠 Dashboard</a></nav>
+<main>${content}
+</main>
+<footer>Generated by flagtrack on ${escapeHtml(updated)}</footer>
+<script>${SORT_SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render a sortable table
+ * @param {string[]} headers - Column headers
+ * @param {string[]} rows - Row HTML
+ * @returns {string} HTML
+ */
+function renderTable(headers, rows) {
+  return `<table class="sortable">
+<thead><tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>`;
+}
+
+/**
+ * Count solved challenges and points
+ * @param {Array} challenges - Challenges
+ * @returns {{ total: number, solved: number, points: number, percent: number }} Counts
+ */
+function countChallenges(challenges) {
+  const solved = challenges.filter(c => c.isCompleted);
+  return {
+    total: challenges.length,
+    solved: solved.length,
+    points: solved.reduce((sum, c) => sum + (c.points || 0), 0),
+    percent: challenges.length ? Math.round((solved.length / challenges.length) * 100) : 0
+  };
+}
+
+/**
+ * Pick a file name for a page that is not taken yet
+ * @param {string} name - Event or solver name
+ * @param {Set<string>} used - Names taken so far, updated in place
+ * @returns {string} Slug
+ */
+function uniqueSlug(name, used) {
+  const base = slugify(name) || 'page';
+  let slug = base;
+  for (let i = 2; used.has(slug); i++) {
+    slug = `${base}_${i}`;
+  }
+  used.add(slug);
+  return slug;
+}
+
+/**
+ * Use forward slashes in a relative path, as pages are addressed in the site
+ * @param {string} filePath - Relative file system path
+ * @returns {string} Path with forward slashes
+ */
+function toPosixPath(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
+/**
+ * Encode the segments of a path for use in a URL
+ * @param {string} urlPath - Path with forward slashes
+ * @returns {string} Encoded path
+ */
+function encodePath(urlPath) {
+  return urlPath.split('/').map(segment => encodeURIComponent(segment)).join('/');
+}
+
+/**
+ * Relative link between two pages of the site
+ * @param {string} from - Linking page, relative to the output directory
+ * @param {string} to - Target, relative to the output directory
+ * @returns {string} Relative URL
+ */
+function link(from, to) {
+  return encodePath(path.posix.relative(path.posix.dirname(from), to));
+}
+
+module.exports = exportSite;
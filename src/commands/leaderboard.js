@@ -1,39 +1,49 @@
-const fs = require('fs-extra');
 const path = require('path');
 const chalk = require('chalk');
 const inquirer = require('inquirer');
 const { findRepoRoot } = require('../utils/gitHelpers');
 const { loadConfig } = require('../utils/configManager');
-const { getEventContext } = require('../utils/helpers');
+const { scanAllChallenges } = require('../utils/challenges');
+const { getChallengeHistory } = require('../utils/progress');
+const { isInteractive } = require('../utils/helpers');
+const { files } = require('../utils/dryRun');
+const { getTeam } = require('../utils/team');
+const { formatDate } = require('../utils/dates');
+const { createFlagRedactor } = require('../utils/redaction');
+const { SCORING_MODES, getScoring, percentOf, roundPoints, processLeaderboardData } = require('../utils/scoring');
 
-/**
- * Process solver string to handle team efforts and multiple solvers
- * @param {string} solverStr - The solver string from writeup
- * @returns {string[]} Array of individual solvers
- */
-function processSolvers(solverStr) {
-  if (!solverStr || solverStr === 'TBD' || solverStr === 'Unknown') {
-    return [];
-  }
-  
-  // Handle "Team effort" case
-  if (solverStr.toLowerCase().includes('team effort')) {
-    return ['Team effort'];
-  }
-  
-  // Split by commas, ampersands, and "and" to handle multiple solvers
-  return solverStr
-    .split(/,|\s+and\s+|&/)
-    .map(name => name.trim())
-    .filter(name => name.length > 0);
-}
+const FORMATS = ['table', 'md', 'json', 'csv'];
+
+// Formats of --output files by extension, when --format is not given
+const FORMAT_EXTENSIONS = { '.md': 'md', '.markdown': 'md', '.json': 'json', '.csv': 'csv' };
+
+const CSV_COLUMNS = ['rank', 'name', 'points', 'solved', 'share', 'percentPoints', 'percentSolved', 'categories', 'competitions'];
 
 /**
- * Generate and display leaderboard
+ * Generate and display leaderboard. Without --format, the table is printed and,
+ * in a terminal, an export is offered; with it, nothing is asked.
+ * @param {Object} [options] - Command line options
+ * @param {string} [options.scoring] - Scoring mode, overrides leaderboard.scoring in the config
+ * @param {string} [options.format] - Output as table, md, json or csv
+ * @param {string} [options.output] - Write the md, json or csv output to this file
+ * @param {string} [options.event] - Only challenges of this event
+ * @param {string} [options.subEvent] - Only challenges of this sub-event
+ * @param {string} [options.category] - Only challenges of this category
+ * @param {string} [options.since] - Only solves from this date or time on
+ * @param {string} [options.until] - Only solves up to this date or time
  */
-async function leaderboard() {
+async function leaderboard(options = {}) {
   try {
-    console.log(chalk.blue('📊 Generating event leaderboard'));
+    const format = getFormat(options);
+    const since = parseDateOption(options.since, 'since');
+    const until = parseDateOption(options.until, 'until', true);
+    
+    // Keep Markdown, JSON and CSV printed to stdout clean of messages
+    const quiet = format !== null && format !== 'table' && !options.output;
+    
+    if (!quiet) {
+      console.log(chalk.blue('📊 Generating event leaderboard'));
+    }
     
     // Load config
     const config = await loadConfig();
@@ -49,17 +59,43 @@ async function leaderboard() {
       process.exit(1);
     }
     
-    // Get all challenges
-    const challenges = await scanAllChallenges(repoRoot, config);
-    console.log(chalk.green(`✅ Found ${challenges.length} challenges`));
+    const scoring = getScoring(config, options.scoring);
+    
+    // Get the selected challenges, with flags redacted as set up for their event
+    const redact = createFlagRedactor(config);
+    let challenges = filterChallenges(await scanAllChallenges(repoRoot, config, { warnings: !quiet }), options)
+      .map(challenge => ({ ...challenge, flag: redact(challenge.flag, challenge.competition) }));
+    if (since || until) {
+      challenges = await limitSolvesToPeriod(challenges, repoRoot, since, until, !quiet);
+    }
+    if (!quiet) {
+      console.log(chalk.green(`✅ Found ${challenges.length} challenges`));
+    }
     
     // Extract solver data
-    const { solvers, totals } = processLeaderboardData(challenges);
+    const { solvers, totals } = processLeaderboardData(challenges, getTeam(config), scoring);
+    
+    if (format !== null && format !== 'table') {
+      const content = formatLeaderboard(solvers, totals, format, config);
+      if (options.output) {
+        const outputPath = path.resolve(options.output);
+        await files.ensureDir(path.dirname(outputPath));
+        await files.writeFile(outputPath, content);
+        console.log(chalk.green(`✅ Leaderboard written to ${outputPath}`));
+      } else {
+        console.log(content);
+      }
+      return;
+    }
     
     // Display leaderboard
     displayLeaderboard(solvers, totals);
     
-    // Optional: Export leaderboard
+    // Only offer an export when nothing was asked for and someone can answer
+    if (format !== null || !isInteractive()) {
+      return;
+    }
+    
     const { exportOption } = await inquirer.prompt([
       {
         type: 'list',
@@ -75,7 +111,7 @@ async function leaderboard() {
     ]);
     
     if (exportOption !== 'none') {
-      await exportLeaderboard(solvers, totals, exportOption, repoRoot);
+      await exportLeaderboard(solvers, totals, exportOption, repoRoot, config);
     }
     
   } catch (error) {
@@ -85,204 +121,100 @@ async function leaderboard() {
 }
 
 /**
- * Scan all challenges in the repository
- * @param {string} repoRoot - Repository root path
- * @param {Object} config - Configuration object
- * @returns {Promise<Array>} Array of challenge objects
+ * Work out the output format from --format, or from the --output extension
+ * @param {Object} options - Command line options
+ * @returns {string|null} The format, or null when neither was given
+ * @throws {Error} If the format is unknown or does not fit --output
  */
-async function scanAllChallenges(repoRoot, config) {
-  const challenges = [];
-  const eventRoot = await getEventContext(config);
-  
-  // Check if parent directory is specified
-  const parentDir = config.parentDir;
-  let competitionsRoot = eventRoot;
-  
-  if (parentDir) {
-    const parentDirPath = path.join(repoRoot, parentDir);
-    if (await fs.pathExists(parentDirPath)) {
-      // Check if we're in a structure with multiple events
-      competitionsRoot = parentDirPath;
+function getFormat(options) {
+  if (options.format !== undefined) {
+    if (!FORMATS.includes(options.format)) {
+      throw new Error(`Invalid value for --format: "${options.format}". Expected one of: ${FORMATS.join(', ')}`);
+    }
+    if (options.format === 'table' && options.output) {
+      throw new Error('--output needs --format md, json or csv.');
     }
+    return options.format;
   }
   
-  // Determine if we're dealing with a single event or multiple
-  let competitions = {};
-  
-  if (competitionsRoot === eventRoot) {
-    // Single event
-    competitions[config.eventName] = {
-      path: eventRoot,
-      categories: {}
-    };
-  } else {
-    // Multiple events
-    try {
-      const items = await fs.readdir(competitionsRoot, { withFileTypes: true });
-      for (const item of items) {
-        if (item.isDirectory() && !item.name.startsWith('.')) {
-          competitions[item.name] = {
-            path: path.join(competitionsRoot, item.name),
-            categories: {}
-          };
-        }
-      }
-    } catch (error) {
-      console.log(chalk.yellow(`⚠️ Error reading competitions: ${error.message}`));
+  if (options.output) {
+    const format = FORMAT_EXTENSIONS[path.extname(options.output).toLowerCase()];
+    if (!format) {
+      throw new Error(`Cannot tell the format of "${options.output}" from its extension. Add --format md, json or csv.`);
     }
+    return format;
   }
   
-  // Go through each competition
-  for (const compName in competitions) {
-    const compPath = competitions[compName].path;
-    
-    // Find categories
-    try {
-      const items = await fs.readdir(compPath, { withFileTypes: true });
-      const categoryPattern = /^\d{2}_/;
-      
-      for (const item of items) {
-        if (item.isDirectory() && categoryPattern.test(item.name)) {
-          const categoryPath = path.join(compPath, item.name);
-          const categoryName = item.name.substring(3); // Remove the "XX_" prefix
-          
-          // Find tasks in category
-          try {
-            const taskItems = await fs.readdir(categoryPath, { withFileTypes: true });
-            
-            for (const taskItem of taskItems) {
-              if (taskItem.isDirectory()) {
-                const taskPath = path.join(categoryPath, taskItem.name);
-                const writeupPath = path.join(taskPath, 'writeup.md');
-                
-                if (await fs.pathExists(writeupPath)) {
-                  try {
-                    // Extract challenge metadata
-                    const content = await fs.readFile(writeupPath, 'utf-8');
-                    
-                    // Extract challenge name
-                    const nameMatch = content.match(/# 🧩 (.+)/);
-                    const name = nameMatch ? nameMatch[1] : taskItem.name;
-                    
-                    // Extract points
-                    const pointsMatch = content.match(/\*\*Points:\*\* (\d+)/);
-                    const points = pointsMatch ? parseInt(pointsMatch[1]) : 0;
-                    
-                    // Extract flag
-                    const flagMatch = content.match(/\*\*Flag:\*\* `(.+)`/);
-                    const flag = flagMatch ? flagMatch[1] : null;
-                    const isCompleted = flag && flag !== 'TBD';
-                    
-                    // Extract solver
-                    const solverMatch = content.match(/\*\*Solver:\*\* (.+)/);
-                    const solver = solverMatch ? solverMatch[1].trim() : null;
-                    
-                    challenges.push({
-                      name,
-                      points,
-                      category: categoryName,
-                      isCompleted,
-                      solver,
-                      competition: compName,
-                      taskNum: taskItem.name.substring(0, 2), // Get "XX" from "XX_taskname"
-                      path: taskPath
-                    });
-                    
-                  } catch (error) {
-                    console.log(chalk.yellow(`⚠️ Error processing ${writeupPath}: ${error.message}`));
-                  }
-                }
-              }
-            }
-          } catch (error) {
-            console.log(chalk.yellow(`⚠️ Error reading tasks in ${categoryPath}: ${error.message}`));
-          }
-        }
-      }
-    } catch (error) {
-      console.log(chalk.yellow(`⚠️ Error reading categories in ${compPath}: ${error.message}`));
-    }
+  return null;
+}
+
+/**
+ * Parse a --since or --until date. Plain dates are whole days in UTC.
+ * @param {string|undefined} value - Option value, e.g. 2025-04-03 or 2025-04-03T18:00:00Z
+ * @param {string} flag - Option name used in the error message
+ * @param {boolean} [endOfDay=false] - Move a plain date to the end of its day
+ * @returns {Date|null} The date, or null if not given
+ * @throws {Error} If the value is not a date
+ */
+function parseDateOption(value, flag, endOfDay = false) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  
+  const text = String(value).trim();
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(text) ? new Date(`${text}T00:00:00Z`) : new Date(text);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid value for --${flag}: "${value}" is not a date`);
+  }
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+    date.setUTCMilliseconds(-1);
   }
+  return date;
+}
+
+/**
+ * Keep the challenges of the event, sub-event and category filters. Names are
+ * matched case-insensitively.
+ * @param {Array} challenges - Result of scanAllChallenges
+ * @param {Object} filters - Command line options
+ * @returns {Array} Matching challenges
+ */
+function filterChallenges(challenges, filters) {
+  const same = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
   
-  return challenges;
+  return challenges.filter(challenge =>
+    (!filters.event || same(challenge.competition, filters.event)) &&
+    (!filters.subEvent || same(challenge.subEvent, filters.subEvent)) &&
+    (!filters.category || same(challenge.category, filters.category))
+  );
 }
 
 /**
- * Process challenge data into leaderboard format
- * @param {Array} challenges - Array of challenge objects
- * @returns {Object} Object with solvers and totals data
+ * Count only the solves of a period. The solve time is the commit that set the
+ * flag; challenges solved outside the period, or in no commit yet, count as open.
+ * @param {Array} challenges - Challenges to check
+ * @param {string} repoRoot - Repository root path
+ * @param {Date|null} since - Earliest solve time
+ * @param {Date|null} until - Latest solve time
+ * @param {boolean} [warnings=true] - Print warnings about unreadable history; off for md, json and csv on stdout
+ * @returns {Promise<Array>} The challenges, with isCompleted cleared outside the period
  */
-function processLeaderboardData(challenges) {
-  const solvers = {};
-  const totals = {
-    challenges: challenges.length,
-    solved: 0,
-    points: 0,
-    categories: new Set(),
-    competitions: new Set()
-  };
+async function limitSolvesToPeriod(challenges, repoRoot, since, until, warnings = true) {
+  const limited = [];
   
-  // Process each challenge
   for (const challenge of challenges) {
-    // Update totals
-    totals.categories.add(challenge.category);
-    totals.competitions.add(challenge.competition);
-    
-    if (challenge.isCompleted) {
-      totals.solved++;
-      totals.points += challenge.points;
-      
-      // Process solvers
-      const solversList = processSolvers(challenge.solver);
-      
-      for (const solverName of solversList) {
-        if (!solvers[solverName]) {
-          solvers[solverName] = {
-            name: solverName,
-            points: 0,
-            solved: 0,
-            challenges: [],
-            categories: new Set(),
-            competitions: new Set()
-          };
-        }
-        
-        // Update solver stats
-        const solver = solvers[solverName];
-        solver.points += challenge.points;
-        solver.solved += 1;
-        solver.challenges.push({
-          name: challenge.name,
-          points: challenge.points,
-          category: challenge.category,
-          competition: challenge.competition
-        });
-        solver.categories.add(challenge.category);
-        solver.competitions.add(challenge.competition);
-      }
+    if (!challenge.isCompleted) {
+      limited.push(challenge);
+      continue;
     }
+    
+    const { solved } = await getChallengeHistory(repoRoot, path.join(challenge.path, 'writeup.md'), { warnings });
+    const inPeriod = solved !== null && (!since || solved >= since) && (!until || solved <= until);
+    limited.push(inPeriod ? challenge : { ...challenge, isCompleted: false });
   }
   
-  // Calculate percentage solved for each solver
-  Object.values(solvers).forEach(solver => {
-    solver.percentSolved = (solver.solved / totals.solved * 100).toFixed(1);
-    solver.percentPoints = (solver.points / totals.points * 100).toFixed(1);
-  });
-  
-  // Convert to array and sort
-  const sortedSolvers = Object.values(solvers).sort((a, b) => {
-    if (b.points !== a.points) return b.points - a.points; // Sort by points first
-    return b.solved - a.solved; // Then by number of challenges solved
-  });
-  
-  return { 
-    solvers: sortedSolvers,
-    totals: {
-      ...totals,
-      categories: totals.categories.size,
-      competitions: totals.competitions.size
-    }
-  };
+  return limited;
 }
 
 /**
@@ -298,8 +230,9 @@ function displayLeaderboard(solvers, totals) {
   console.log();
   
   console.log(chalk.blue(`Total Challenges: ${totals.challenges}`));
-  console.log(chalk.blue(`Solved: ${totals.solved} (${(totals.solved / totals.challenges * 100).toFixed(1)}%)`));
+  console.log(chalk.blue(`Solved: ${totals.solved} (${percentOf(totals.solved, totals.challenges)}%)`));
   console.log(chalk.blue(`Total Points: ${totals.points}`));
+  console.log(chalk.blue(`Scoring: ${totals.scoring} (${SCORING_MODES[totals.scoring]})`));
   console.log(chalk.blue(`Categories: ${totals.categories}`));
   console.log(chalk.blue(`Competitions: ${totals.competitions}`));
   console.log();
@@ -363,7 +296,7 @@ function displayLeaderboard(solvers, totals) {
       }
     }
     
-    console.log(chalk.cyan(`${solver.name}: ${topCategory} (${topCount} challenges, ${topPoints} points)`));
+    console.log(chalk.cyan(`${solver.name}: ${topCategory} (${topCount} challenges, ${roundPoints(topPoints)} points)`));
   });
 }
 
@@ -373,52 +306,83 @@ function displayLeaderboard(solvers, totals) {
  * @param {Object} totals - Total statistics
  * @param {string} format - Export format ('md' or 'json')
  * @param {string} repoRoot - Repository root path
+ * @param {Object} [config] - Loaded config, for the date display settings
  */
-async function exportLeaderboard(solvers, totals, format, repoRoot) {
+async function exportLeaderboard(solvers, totals, format, repoRoot, config) {
   const timestamp = new Date().toISOString().replace(/:/g, '-').split('.')[0];
   
   // Create stats directory if it doesn't exist
   const statsDir = path.join(repoRoot, '.flagtrack', 'stats');
-  await fs.ensureDir(statsDir);
+  await files.ensureDir(statsDir);
   
   if (format === 'md') {
     // Create Markdown version
-    const mdContent = generateMarkdownLeaderboard(solvers, totals);
     const mdFilePath = path.join(statsDir, `leaderboard-${timestamp}.md`);
-    await fs.writeFile(mdFilePath, mdContent, 'utf-8');
+    await files.writeFile(mdFilePath, formatLeaderboard(solvers, totals, 'md', config));
     console.log(chalk.green(`✅ Markdown leaderboard exported to ${mdFilePath}`));
   } else if (format === 'json') {
     // Create JSON version
-    const jsonContent = JSON.stringify(
-      { solvers: solvers.map(s => ({ 
-        ...s, 
-        categories: Array.from(s.categories),
-        competitions: Array.from(s.competitions) 
-      })), totals }, 
-      null, 2
-    );
     const jsonFilePath = path.join(statsDir, `leaderboard-${timestamp}.json`);
-    await fs.writeFile(jsonFilePath, jsonContent, 'utf-8');
+    await files.writeFile(jsonFilePath, formatLeaderboard(solvers, totals, 'json', config));
     console.log(chalk.green(`✅ JSON leaderboard exported to ${jsonFilePath}`));
   }
 }
 
+/**
+ * Render the leaderboard as Markdown, JSON or CSV
+ * @param {Array} solvers - Sorted array of solver objects
+ * @param {Object} totals - Total statistics
+ * @param {string} format - md, json or csv
+ * @param {Object} [config] - Loaded config, for the date display settings
+ * @returns {string} File content
+ */
+function formatLeaderboard(solvers, totals, format, config) {
+  if (format === 'md') {
+    return generateMarkdownLeaderboard(solvers, totals, config);
+  }
+  
+  if (format === 'csv') {
+    const escape = value => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = solvers.map((solver, index) => ({
+      ...solver,
+      rank: index + 1,
+      categories: Array.from(solver.categories).join(', '),
+      competitions: Array.from(solver.competitions).join(', ')
+    }));
+    return [CSV_COLUMNS.join(','), ...rows.map(row => CSV_COLUMNS.map(column => escape(row[column])).join(','))].join('\n');
+  }
+  
+  return JSON.stringify(
+    { solvers: solvers.map(s => ({ 
+      ...s, 
+      categories: Array.from(s.categories),
+      competitions: Array.from(s.competitions) 
+    })), totals }, 
+    null, 2
+  );
+}
+
 /**
  * Generate Markdown version of leaderboard
  * @param {Array} solvers - Sorted array of solver objects
  * @param {Object} totals - Total statistics
+ * @param {Object} [config] - Loaded config, for the date display settings
  * @returns {string} Markdown content
  */
-function generateMarkdownLeaderboard(solvers, totals) {
+function generateMarkdownLeaderboard(solvers, totals, config) {
   let md = `# event Leaderboard
 
-> Generated on ${new Date().toISOString().split('T')[0]} by flagtrack
+> Generated on ${formatDate(new Date(), config, 'YYYY-MM-DD')} by flagtrack
 
 ## Summary
 
 - **Total Challenges:** ${totals.challenges}
-- **Solved Challenges:** ${totals.solved} (${(totals.solved / totals.challenges * 100).toFixed(1)}%)
+- **Solved Challenges:** ${totals.solved} (${percentOf(totals.solved, totals.challenges)}%)
 - **Total Points:** ${totals.points}
+- **Scoring:** ${totals.scoring} (${SCORING_MODES[totals.scoring]})
 - **Categories:** ${totals.categories}
 - **Competitions:** ${totals.competitions}
 
@@ -462,7 +426,7 @@ function generateMarkdownLeaderboard(solvers, totals) {
       }
     }
     
-    md += `- **${solver.name}**: ${topCategory} (${topCount} challenges, ${topPoints} points)\n`;
+    md += `- **${solver.name}**: ${topCategory} (${topCount} challenges, ${roundPoints(topPoints)} points)\n`;
   });
 
   return md;
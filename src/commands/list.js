@@ -0,0 +1,226 @@
+const path = require('path');
+const chalk = require('chalk');
+const { loadConfig } = require('../utils/configManager');
+const { findRepoRoot } = require('../utils/gitHelpers');
+const { processSolvers, scanAllChallenges, describeClaim } = require('../utils/challenges');
+
+const SORT_FIELDS = ['number', 'points', 'name'];
+const FORMATS = ['table', 'json', 'csv'];
+const CSV_COLUMNS = ['event', 'subEvent', 'category', 'num', 'name', 'points', 'solved', 'solver', 'assignee', 'claimed', 'flag', 'path'];
+
+/**
+ * List challenges, filtered and sorted, as a table, JSON or CSV
+ * @param {Object} [options] - Command line options
+ * @param {string} [options.event] - Only challenges of this event
+ * @param {string} [options.subEvent] - Only challenges of this sub-event
+ * @param {string} [options.category] - Only challenges of this category
+ * @param {string} [options.solver] - Only challenges solved by this person
+ * @param {boolean} [options.solved] - Only solved challenges
+ * @param {boolean} [options.unsolved] - Only unsolved challenges
+ * @param {string|number} [options.minPoints] - Minimum points (inclusive)
+ * @param {string|number} [options.maxPoints] - Maximum points (inclusive)
+ * @param {string} [options.sort='number'] - Sort by number, points or name
+ * @param {boolean} [options.reverse=false] - Reverse the sort order
+ * @param {string} [options.format='table'] - Output as table, json or csv
+ */
+async function list(options = {}) {
+  try {
+    const { sort = 'number', format = 'table' } = options;
+    checkChoice(sort, SORT_FIELDS, 'sort');
+    checkChoice(format, FORMATS, 'format');
+    const minPoints = parsePoints(options.minPoints, 'min-points');
+    const maxPoints = parsePoints(options.maxPoints, 'max-points');
+
+    if (options.solved && options.unsolved) {
+      throw new Error('--solved and --unsolved cannot be used together.');
+    }
+
+    const config = await loadConfig();
+    if (!config) {
+      console.log(chalk.yellow('⚠️ No configuration found. Run `flagtrack setup` first.'));
+      process.exit(1);
+    }
+
+    const repoRoot = await findRepoRoot();
+    if (!repoRoot) {
+      console.log(chalk.yellow('⚠️ Could not find repository root.'));
+      process.exit(1);
+    }
+
+    // Keep JSON and CSV output clean of warnings
+    const challenges = await scanAllChallenges(repoRoot, config, { warnings: format === 'table' });
+
+    const selected = sortChallenges(
+      filterChallenges(challenges, { ...options, minPoints, maxPoints }),
+      sort,
+      options.reverse
+    );
+
+    if (format === 'json') {
+      console.log(JSON.stringify(selected.map(challenge => toRow(challenge, repoRoot)), null, 2));
+    } else if (format === 'csv') {
+      console.log(toCsv(selected.map(challenge => toRow(challenge, repoRoot))));
+    } else {
+      displayTable(selected, challenges.length);
+    }
+
+  } catch (error) {
+    console.error(chalk.red('❌ Listing challenges failed:'), error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Make sure an option value is one of the allowed choices
+ * @param {string} value - Option value
+ * @param {string[]} choices - Allowed values
+ * @param {string} flag - Option name used in the error message
+ */
+function checkChoice(value, choices, flag) {
+  if (!choices.includes(value)) {
+    throw new Error(`Invalid value for --${flag}: "${value}". Expected one of: ${choices.join(', ')}`);
+  }
+}
+
+/**
+ * Parse a points bound option
+ * @param {string|number|undefined} value - Option value
+ * @param {string} flag - Option name used in the error message
+ * @returns {number|null} The bound, or null if not given
+ */
+function parsePoints(value, flag) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (!/^\d+$/.test(String(value).trim())) {
+    throw new Error(`Invalid value for --${flag}: "${value}" is not a number`);
+  }
+  return parseInt(String(value).trim(), 10);
+}
+
+/**
+ * Apply the list filters. Names are matched case-insensitively.
+ * @param {Array} challenges - Result of scanAllChallenges
+ * @param {Object} filters - List options with parsed points bounds
+ * @returns {Array} Matching challenges
+ */
+function filterChallenges(challenges, filters) {
+  const same = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+  return challenges.filter(challenge => {
+    if (filters.event && !same(challenge.competition, filters.event)) return false;
+    if (filters.subEvent && !same(challenge.subEvent, filters.subEvent)) return false;
+    if (filters.category && !same(challenge.category, filters.category)) return false;
+    if (filters.solved && !challenge.isCompleted) return false;
+    if (filters.unsolved && challenge.isCompleted) return false;
+
+    if (filters.solver && !processSolvers(challenge.solver).some(name => same(name, filters.solver))) {
+      return false;
+    }
+
+    // Challenges without points never match a points range
+    if (filters.minPoints !== null && (challenge.points === null || challenge.points < filters.minPoints)) return false;
+    if (filters.maxPoints !== null && (challenge.points === null || challenge.points > filters.maxPoints)) return false;
+
+    return true;
+  });
+}
+
+/**
+ * Sort challenges. Number order is event, sub-event, category and task number.
+ * @param {Array} challenges - Challenges to sort
+ * @param {string} field - number, points or name
+ * @param {boolean} [reverse=false] - Reverse the order
+ * @returns {Array} Sorted copy
+ */
+function sortChallenges(challenges, field, reverse = false) {
+  const byNumber = (a, b) =>
+    a.competition.localeCompare(b.competition) ||
+    a.subEvent.localeCompare(b.subEvent) ||
+    a.categoryNum.localeCompare(b.categoryNum) ||
+    a.taskNum.localeCompare(b.taskNum);
+
+  const comparators = {
+    number: byNumber,
+    // Unknown points sort last
+    points: (a, b) => (a.points === null) - (b.points === null) || (b.points || 0) - (a.points || 0) || byNumber(a, b),
+    name: (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }) || byNumber(a, b)
+  };
+
+  const sorted = [...challenges].sort(comparators[field]);
+  return reverse ? sorted.reverse() : sorted;
+}
+
+/**
+ * Flatten a challenge for JSON and CSV output
+ * @param {Object} challenge - Challenge from scanAllChallenges
+ * @param {string} repoRoot - Repository root, paths are made relative to it
+ * @returns {Object} Output row
+ */
+function toRow(challenge, repoRoot) {
+  return {
+    event: challenge.competition,
+    subEvent: challenge.subEvent,
+    category: challenge.category,
+    num: challenge.taskNum,
+    name: challenge.name,
+    points: challenge.points,
+    solved: Boolean(challenge.isCompleted),
+    solver: challenge.solver,
+    assignee: describeClaim(challenge) ? challenge.assignee : null,
+    claimed: describeClaim(challenge) ? challenge.claimed : null,
+    flag: challenge.flag,
+    path: path.relative(repoRoot, challenge.path)
+  };
+}
+
+/**
+ * Render rows as CSV with a header line
+ * @param {Object[]} rows - Output rows
+ * @returns {string} CSV text
+ */
+function toCsv(rows) {
+  const escape = value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [CSV_COLUMNS.join(','), ...rows.map(row => CSV_COLUMNS.map(column => escape(row[column])).join(','))].join('\n');
+}
+
+/**
+ * Print challenges as a console table
+ * @param {Array} challenges - Challenges to show
+ * @param {number} total - Number of challenges before filtering
+ */
+function displayTable(challenges, total) {
+  console.log(chalk.blue(`📋 Showing ${challenges.length} of ${total} challenges`));
+
+  if (challenges.length === 0) {
+    return;
+  }
+
+  console.log();
+  console.log(chalk.bold('Event               | Category     | #  | Challenge                 | Points | Status | Solver'));
+  console.log(chalk.bold('--------------------|--------------|----|---------------------------|--------|--------|-------'));
+
+  for (const challenge of challenges) {
+    const event = `${challenge.competition}/${challenge.subEvent}`.padEnd(20).substring(0, 20);
+    const category = challenge.category.padEnd(13).substring(0, 13);
+    const num = challenge.taskNum.padEnd(3);
+    const name = challenge.name.padEnd(26).substring(0, 26);
+    const points = (challenge.points !== null ? String(challenge.points) : 'TBD').padEnd(7);
+    const claim = describeClaim(challenge);
+    const status = challenge.isCompleted ? '✅' : claim ? '🔨' : '❌';
+    const solver = claim || challenge.solver || '';
+
+    const line = `${event}| ${category}| ${num}| ${name}| ${points}| ${status}     | ${solver}`;
+    if (challenge.isCompleted) {
+      console.log(chalk.green(line));
+    } else {
+      console.log(claim ? chalk.magenta(line) : line);
+    }
+  }
+}
+
+module.exports = list;
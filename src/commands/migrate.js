@@ -0,0 +1,71 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const { loadConfig } = require('../utils/configManager');
+const { findRepoRoot } = require('../utils/gitHelpers');
+const { findTasks } = require('../utils/eventModel');
+const { parseWriteup, migrateWriteup, reportWarnings } = require('../utils/writeup');
+const { isDryRun } = require('../utils/dryRun');
+
+/**
+ * Convert writeups that use bold metadata lines to YAML front matter.
+ * Writeups that already have front matter are left alone.
+ *
+ * @param {Object} [options] - Command line options
+ * @param {boolean} [options.dryRun=false] - Only list the writeups that would be converted (also set by the global --dry-run)
+ */
+async function migrate(options = {}) {
+  console.log(chalk.blue('🔁 Migrating writeups to front matter'));
+
+  try {
+    const dryRun = options.dryRun || isDryRun();
+    const config = await loadConfig();
+    if (!config) {
+      console.log(chalk.yellow('⚠️ No configuration found. Run `flagtrack setup` first.'));
+      process.exit(1);
+    }
+
+    const repoRoot = await findRepoRoot();
+    if (!repoRoot) {
+      console.log(chalk.yellow('⚠️ Could not find repository root.'));
+      process.exit(1);
+    }
+
+    const tasks = await findTasks(repoRoot, config);
+    let migrated = 0;
+
+    for (const task of tasks) {
+      const relativePath = path.relative(repoRoot, task.writeupPath);
+      const content = await fs.readFile(task.writeupPath, 'utf-8');
+      const record = parseWriteup(content);
+
+      if (record.format === 'frontmatter') {
+        continue;
+      }
+
+      reportWarnings(relativePath, record.warnings);
+
+      if (dryRun) {
+        console.log(chalk.blue(`Would migrate ${relativePath}`));
+      } else {
+        await fs.writeFile(task.writeupPath, migrateWriteup(content), 'utf-8');
+        console.log(chalk.green(`✅ Migrated ${relativePath}`));
+      }
+      migrated++;
+    }
+
+    if (migrated === 0) {
+      console.log(chalk.green('✅ All writeups already use front matter.'));
+    } else if (dryRun) {
+      console.log(chalk.blue(`${migrated} of ${tasks.length} writeups would be migrated.`));
+    } else {
+      console.log(chalk.green(`🎉 Migrated ${migrated} of ${tasks.length} writeups. Review the changes and commit them.`));
+    }
+
+  } catch (error) {
+    console.error(chalk.red('❌ Migration failed:'), error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = migrate;
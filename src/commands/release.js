@@ -0,0 +1,65 @@
+const chalk = require('chalk');
+const { loadConfig } = require('../utils/configManager');
+const { findRepoRoot, getGitUserName, getGitUserEmail, commitFiles } = require('../utils/gitHelpers');
+const { findCurrentTask } = require('../utils/challenges');
+const { readWriteup, writeWriteup } = require('../utils/writeup');
+const { getTeam, findMember, normalizeSolvers } = require('../utils/team');
+
+/**
+ * Release the claim on the current task so someone else can pick it up.
+ * Removes the assignee and start time from the writeup and commits it.
+ *
+ * @param {Object} [options] - Command line options
+ * @param {boolean} [options.force=false] - Release a task claimed by someone else
+ * @param {boolean} [options.push=true] - Push the release commit to the remote
+ */
+async function release(options = {}) {
+  console.log(chalk.blue('🔓 Releasing task'));
+
+  try {
+    const config = await loadConfig();
+    if (!config) {
+      console.log(chalk.yellow('⚠️ No configuration found. Run `flagtrack setup` first.'));
+      process.exit(1);
+    }
+
+    const repoRoot = await findRepoRoot();
+    if (!repoRoot) {
+      console.log(chalk.yellow('⚠️ Could not find repository root.'));
+      process.exit(1);
+    }
+
+    const { task } = await findCurrentTask(repoRoot, config);
+    if (!task) {
+      throw new Error('Could not determine the task. Check out a task branch or run from a task folder.');
+    }
+
+    const writeup = await readWriteup(task.writeupPath);
+    const taskName = writeup.name || task.folderName;
+
+    if (!writeup.assignee) {
+      console.log(chalk.blue(`${taskName} is not claimed. Nothing to release.`));
+      return;
+    }
+
+    // Claims are recorded by roster name, so find yourself the way claim does
+    const team = getTeam(config);
+    const userName = await getGitUserName();
+    const self = findMember(team, await getGitUserEmail());
+    const user = self ? self.name : (userName ? normalizeSolvers(team, [userName])[0] : null);
+    if (normalizeSolvers(team, [writeup.assignee])[0] !== user && !options.force) {
+      throw new Error(`${taskName} is claimed by ${writeup.assignee}, not you. Pass --force to release it anyway.`);
+    }
+
+    await writeWriteup(task.writeupPath, { assignee: null, claimed: null });
+    console.log(chalk.green(`✅ Released ${taskName} (was claimed by ${writeup.assignee}).`));
+
+    await commitFiles([task.writeupPath], `Release task: ${taskName}`, { push: options.push !== false, config });
+
+  } catch (error) {
+    console.error(chalk.red('❌ Release failed:'), error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = release;
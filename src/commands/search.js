@@ -0,0 +1,182 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const { loadConfig } = require('../utils/configManager');
+const { findRepoRoot } = require('../utils/gitHelpers');
+const { findTasks } = require('../utils/eventModel');
+
+const SEARCH_FILES = ['writeup.md', 'notes.txt'];
+const HEADING_PATTERN = /^#{1,6}\s+(.*)$/;
+
+/**
+ * Search the writeups and notes of all tasks
+ * @param {string} query - Text (or regex with --regex) to look for
+ * @param {Object} [options] - Command line options
+ * @param {boolean} [options.regex=false] - Treat the query as a regular expression
+ * @param {boolean} [options.caseSensitive=false] - Match case
+ * @param {string} [options.section] - Only search writeup sections whose heading contains this text
+ * @param {string} [options.event] - Only tasks of this event
+ * @param {string} [options.subEvent] - Only tasks of this sub-event
+ * @param {string} [options.category] - Only tasks of this category
+ * @param {string|number} [options.context=1] - Lines of context around each match
+ */
+async function search(query, options = {}) {
+  try {
+    const pattern = buildPattern(query, options);
+    const context = parseContext(options.context);
+
+    const config = await loadConfig();
+    if (!config) {
+      console.log(chalk.yellow('⚠️ No configuration found. Run `flagtrack setup` first.'));
+      process.exit(1);
+    }
+
+    const repoRoot = await findRepoRoot();
+    if (!repoRoot) {
+      console.log(chalk.yellow('⚠️ Could not find repository root.'));
+      process.exit(1);
+    }
+
+    console.log(chalk.blue(`🔍 Searching for ${options.regex ? `/${query}/` : `"${query}"`}`));
+
+    const same = (a, b) => a.toLowerCase() === String(b).toLowerCase();
+    const tasks = (await findTasks(repoRoot, config)).filter(task =>
+      (!options.event || same(task.event, options.event)) &&
+      (!options.subEvent || same(task.subEvent, options.subEvent)) &&
+      (!options.category || same(task.category, options.category))
+    );
+
+    let matchCount = 0;
+    let fileCount = 0;
+
+    for (const task of tasks) {
+      // notes.txt has no sections, so it is skipped when searching one
+      const files = options.section ? ['writeup.md'] : SEARCH_FILES;
+
+      for (const file of files) {
+        const filePath = path.join(task.path, file);
+        if (!await fs.pathExists(filePath)) continue;
+
+        const lines = (await fs.readFile(filePath, 'utf-8')).replace(/\r?\n$/, '').split(/\r?\n/);
+        const matches = findMatches(lines, pattern, options.section);
+        if (matches.length === 0) continue;
+
+        fileCount++;
+        matchCount += matches.length;
+        printMatches(path.relative(repoRoot, filePath), lines, matches, pattern, context);
+      }
+    }
+
+    if (matchCount === 0) {
+      console.log(chalk.yellow(`No matches in ${tasks.length} tasks.`));
+    } else {
+      console.log(chalk.green(`✅ ${matchCount} ${matchCount === 1 ? 'match' : 'matches'} in ${fileCount} ${fileCount === 1 ? 'file' : 'files'}`));
+    }
+
+  } catch (error) {
+    console.error(chalk.red('❌ Search failed:'), error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Turn the query into a global regex
+ * @param {string} query - Search text or regex source
+ * @param {Object} options - Search options
+ * @returns {RegExp} Pattern used to find and highlight matches
+ */
+function buildPattern(query, options) {
+  if (!query) {
+    throw new Error('Search query cannot be empty');
+  }
+
+  const source = options.regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const flags = options.caseSensitive ? 'g' : 'gi';
+
+  try {
+    return new RegExp(source, flags);
+  } catch (error) {
+    throw new Error(`Invalid regular expression: ${error.message}`);
+  }
+}
+
+/**
+ * Parse the --context option
+ * @param {string|number|undefined} value - Option value
+ * @returns {number} Lines of context
+ */
+function parseContext(value) {
+  if (value === undefined) {
+    return 1;
+  }
+  if (!/^\d+$/.test(String(value).trim())) {
+    throw new Error(`Invalid value for --context: "${value}" is not a number`);
+  }
+  return parseInt(String(value).trim(), 10);
+}
+
+/**
+ * Find the lines matching a pattern
+ * @param {string[]} lines - File lines
+ * @param {RegExp} pattern - Search pattern
+ * @param {string} [section] - Only lines under a heading containing this text
+ * @returns {number[]} Indexes of matching lines
+ */
+function findMatches(lines, pattern, section) {
+  const matches = [];
+  const wanted = section ? section.toLowerCase() : null;
+  let inSection = !wanted;
+
+  lines.forEach((line, index) => {
+    const heading = line.match(HEADING_PATTERN);
+    if (wanted && heading) {
+      inSection = heading[1].toLowerCase().includes(wanted);
+    }
+
+    pattern.lastIndex = 0;
+    if (inSection && pattern.test(line)) {
+      matches.push(index);
+    }
+  });
+
+  return matches;
+}
+
+/**
+ * Print the matches of one file with surrounding context, grep style
+ * @param {string} relativePath - File path shown in the header
+ * @param {string[]} lines - File lines
+ * @param {number[]} matches - Indexes of matching lines
+ * @param {RegExp} pattern - Search pattern, used for highlighting
+ * @param {number} context - Lines of context around each match
+ */
+function printMatches(relativePath, lines, matches, pattern, context) {
+  console.log();
+  console.log(chalk.cyan.bold(relativePath));
+
+  const matched = new Set(matches);
+  let lastPrinted = -1;
+
+  for (const index of matches) {
+    const start = Math.max(0, index - context, lastPrinted + 1);
+    const end = Math.min(lines.length - 1, index + context);
+
+    if (lastPrinted !== -1 && start > lastPrinted + 1) {
+      console.log(chalk.gray('--'));
+    }
+
+    for (let i = start; i <= end; i++) {
+      const lineNo = String(i + 1).padStart(4);
+      if (matched.has(i)) {
+        const highlighted = lines[i].replace(pattern, match => chalk.yellow.bold(match));
+        console.log(`${chalk.green(lineNo)}: ${highlighted}`);
+      } else {
+        console.log(chalk.gray(`${lineNo}- ${lines[i]}`));
+      }
+    }
+
+    lastPrinted = end;
+  }
+}
+
+module.exports = search;
@@ -1,70 +1,64 @@
-const inquirer = require('inquirer');
 const fs = require('fs-extra');
 const path = require('path');
 const chalk = require('chalk');
-const YAML = require('yaml');
 const { createGitHubActions, isGitRepo, findRepoRoot } = require('../utils/gitHelpers');
-const { initConfig, saveConfig, loadConfig, configExists, getConfigPath } = require('../utils/configManager');
-const { formatDirectoryName, slugify, pickEvent, getEventContext, addCategoriesToSubEvent } = require('../utils/helpers');
+const { initConfig, loadConfig, configExists, getConfigPath } = require('../utils/configManager');
+const { pickEvent, addCategoriesToSubEvent } = require('../utils/helpers');
+const { getSubEventPath, getCategoryNames, getCategoryPath } = require('../utils/eventModel');
+const { isDryRun } = require('../utils/dryRun');
 
 async function setup() {
   console.log(chalk.blue('=== Setting up 🚩🏃‍♂️ ==='));
 
-  // Check if we're in a git repository
-  if (!await isGitRepo()) {
-    console.log(chalk.yellow('⚠️ Error: Not in a git repository. Some features will not work properly.'));
-    console.log(chalk.yellow('Please initialize a git repository with `git init`.'));
-    process.exit(1);
-  }
-  // Store directory deepness
-  const eventContext = await getEventContext();
-  
-  // Check if we're in an existing event project directory
-  const isExistingProject = await configExists();
-  let createNewEvent = false;
-  let createNewSubEvent = false;
+  try {
+    if (isDryRun()) {
+      throw new Error('setup does not support --dry-run.');
+    }
+    
+    // Check if we're in a git repository
+    if (!await isGitRepo()) {
+      console.log(chalk.yellow('⚠️ Error: Not in a git repository. Some features will not work properly.'));
+      console.log(chalk.yellow('Please initialize a git repository with `git init`.'));
+      process.exit(1);
+    }
 
-  let eventName = null;
-  let subEventName = null;
+    const repoRoot = await findRepoRoot();
 
-  // If we have an existing config
-  if (isExistingProject){
-    const config =  await loadConfig();
-    const configPath = await getConfigPath()
+    // Existing projects reuse their config, new ones get a config
+    const config = await configExists() ? await loadConfig() : await initConfig();
 
-    // Check if we are in root
-    if (!eventContext.depth){
-      [eventName, subEventName] = await pickEvent(config);
-      // If we want to create new main event
-      if (eventName == "New"){
-        createNewEvent = true;
-        createNewSubEvent = true;
-      } else {
-        createNewSubEvent = true;
-      }
-    // We are not in root
-    } else {
-      // Setup categories
+    // GitHub Actions are created once; delete the workflow to recreate it for new readme settings
+    if (!(await fs.pathExists(path.join(repoRoot, '.github', 'workflows', 'update-readme.yml')))) {
+      await createGitHubActions(repoRoot, config);
     }
 
-  } else {
-    // Setup config structure, github actions
-    const config = await initConfig();
-    const configPath = await getConfigPath();
-    createNewEvent = true;
-    createNewSubEvent = true;
-  }
-  // Add new event
-  if (createNewEvent){
-    createGitHubActions();
-  }
-  // Add categories
-  if (createNewSubEvent){
-    const config = await loadConfig();
+    if (!config.events) {
+      config.events = {};
+    }
+
+    // Pick (or create) the event and sub-event to set up
+    const { eventName, subEventName } = await pickEvent(config);
+
+    if (!config.events[eventName]) {
+      config.events[eventName] = { sub_events: {} };
+    }
+
+    // Add categories, this also registers a new sub-event and saves the config
     const configPath = await getConfigPath();
     await addCategoriesToSubEvent(eventName, subEventName, config, configPath);
+
+    // Create the folders for the sub-event and its categories
+    await fs.ensureDir(getSubEventPath(repoRoot, eventName, subEventName));
+    for (const category of getCategoryNames(config, eventName, subEventName)) {
+      await fs.ensureDir(getCategoryPath(repoRoot, config, eventName, subEventName, category));
+    }
+
+    console.log(chalk.green(`✅ ${eventName} > ${subEventName} is ready at ${path.join(eventName, subEventName)}`));
+    console.log(chalk.blue('Run `flagtrack create` to start working on a challenge.'));
+  } catch (error) {
+    console.error(chalk.red('❌ Setup failed:'), error.message);
+    process.exit(1);
   }
-  // Create categories
 }
 
-module.exports = setup;
\ No newline at end of file
+module.exports = setup;
@@ -1,13 +1,31 @@
 const fs = require('fs-extra');
 const path = require('path');
 const chalk = require('chalk');
-const simpleGit = require('simple-git');
 const inquirer = require('inquirer');
-const { getCurrentBranch, getGitUserName } = require('../utils/gitHelpers');
+const { getCurrentBranch, getDefaultBranch, getGitUserName, getGitUserEmail, findRepoRoot, listWorktrees } = require('../utils/gitHelpers');
 const { loadConfig } = require('../utils/configManager');
-const { getEventContext } = require('../utils/helpers');
+const { getEventContext, resolveOption, isInteractive, selectEvent } = require('../utils/helpers');
+const { findTasks, findTaskByBranch } = require('../utils/eventModel');
+const { readWriteup, writeWriteup, isComplete, reportWarnings, splitSolvers } = require('../utils/writeup');
+const { getTeam, findMember, matchSolvers, getCoAuthorTrailers, withTrailers } = require('../utils/team');
+const { getGit } = require('../utils/dryRun');
+const { isOffline, pushOrQueue } = require('../utils/offline');
 
-async function solve() {
+const MERGE_STRATEGIES = ['merge', 'squash', 'rebase', 'pr'];
+
+/**
+ * Record the flag, points and solver of the current task and optionally merge it.
+ * Values passed as flags skip their prompt; anything missing is prompted for
+ * when running in a terminal.
+ *
+ * @param {Object} [options] - Command line options
+ * @param {string} [options.flag] - The captured flag
+ * @param {string|number} [options.points] - Points awarded for the challenge
+ * @param {string} [options.solver] - Who solved the challenge, comma separated for several solvers
+ * @param {boolean} [options.merge] - Merge (true) or keep (false) the task branch without asking
+ * @param {string} [options.strategy] - merge, squash, rebase or pr (defaults to git.merge_strategy in the config)
+ */
+async function solve(options = {}) {
   console.log(chalk.blue('🏁 Checking task completion status'));
   
   try {
@@ -18,6 +36,8 @@ async function solve() {
       process.exit(1);
     }
     
+    const strategy = getMergeStrategy(options, config);
+    
     // Find current task from the branch name
     const currentBranch = await getCurrentBranch();
     if (!currentBranch) {
@@ -25,20 +45,24 @@ async function solve() {
       process.exit(1);
     }
     
-    // Don't allow solve on main/master branch
-    if (currentBranch === 'main' || currentBranch === 'master') {
-      console.log(chalk.red('❌ Cannot run solve on main/master branch.'));
+    // Don't allow solve on the default branch
+    const defaultBranch = await getDefaultBranch(config);
+    if (currentBranch === defaultBranch) {
+      console.log(chalk.red(`❌ Cannot run solve on the default branch (${defaultBranch}).`));
       console.log(chalk.yellow('Please checkout a task branch first.'));
       process.exit(1);
     }
     
+    const repoRoot = await findRepoRoot();
+    const context = await getEventContext(config);
+    
     // Try to find task from branch name
-    let taskInfo = await findTaskFromBranch(currentBranch, config);
+    let taskInfo = await findTaskByBranch(repoRoot, config, currentBranch, context);
     if (!taskInfo) {
       // If task not found from branch, allow manual selection
       console.log(chalk.yellow('⚠️ Could not determine task from branch name.'));
       console.log(chalk.blue('Please select the task manually:'));
-      const taskPath = await selectTaskManually(config);
+      const taskPath = await selectTaskManually(repoRoot, config, context);
       if (!taskPath) {
         console.log(chalk.red('❌ No task selected.'));
         process.exit(1);
@@ -54,20 +78,13 @@ async function solve() {
     }
     
     // Read the writeup and check for required fields
-    const writeupContent = await fs.readFile(writeupPath, 'utf-8');
-    
-    // Check for flag, points, and solver
-    const flagMatch = writeupContent.match(/\*\*Flag:\*\* `(.+)`/);
-    const flag = flagMatch ? flagMatch[1] : null;
-    const isFlagMissing = !flag || flag === 'TBD';
-    
-    const pointsMatch = writeupContent.match(/\*\*Points:\*\* (\d+|TBD)/);
-    const points = pointsMatch ? pointsMatch[1] : null;
-    const isPointsMissing = !points || points === 'TBD';
+    const writeup = await readWriteup(writeupPath);
+    reportWarnings(writeupPath, writeup.warnings);
     
-    const solverMatch = writeupContent.match(/\*\*Solver:\*\* (.+)/);
-    const solver = solverMatch ? solverMatch[1].trim() : null;
-    const isSolverMissing = !solver || solver === 'TBD';
+    const { flag, points, solver } = writeup;
+    const isFlagMissing = flag === null;
+    const isPointsMissing = points === null;
+    const isSolverMissing = solver === null;
     
     // If everything is filled, ask if they want to finish the task
     if (!isFlagMissing && !isPointsMissing && !isSolverMissing) {
@@ -75,19 +92,12 @@ async function solve() {
       console.log(chalk.green(`🏆 Flag: ${flag}`));
       console.log(chalk.green(`💯 Points: ${points}`));
       console.log(chalk.green(`👤 Solver: ${solver}`));
+      warnIgnoredOptions(options, { flag, points, solver });
       
-      const { finishTask } = await inquirer.prompt([
-        {
-          type: 'confirm',
-          name: 'finishTask',
-          message: 'Do you want to merge this branch to main and delete it?',
-          default: true
-        }
-      ]);
+      const finishTask = await confirmMerge(options, `Do you want to ${describeStrategy(strategy, defaultBranch)}?`);
       
       if (finishTask) {
-        await mergeAndDeleteBranch(currentBranch);
-        console.log(chalk.green('🎉 Task completed and branch cleaned up!'));
+        await finishTaskBranch(currentBranch, defaultBranch, strategy, { ...writeup, writeupPath: path.relative(repoRoot, writeupPath) }, config);
       } else {
         console.log(chalk.blue('Task remains open. Run `flagtrack solve` again when ready to merge.'));
       }
@@ -95,15 +105,18 @@ async function solve() {
       return;
     }
     
-    // First, ask if they solved the flag
-    const { solvedFlag } = await inquirer.prompt([
-      {
+    warnIgnoredOptions(options, { flag, points, solver });
+    
+    // First, ask if they solved the flag (passing --flag answers this)
+    let solvedFlag = true;
+    if (options.flag === undefined && (isFlagMissing || isInteractive())) {
+      solvedFlag = await resolveOption(undefined, {
         type: 'confirm',
         name: 'solvedFlag',
         message: 'Did you solve the flag?',
         default: true
-      }
-    ]);
+      }, 'flag');
+    }
     
     // If they didn't solve it, don't continue
     if (!solvedFlag && isFlagMissing) {
@@ -111,102 +124,70 @@ async function solve() {
       return;
     }
     
-    // Prepare to update the writeup
-    let updatedContent = writeupContent;
-    let isUpdated = false;
+    // Collect the fields to fill in
+    const updates = {};
     
     // Update flag if missing
     if (isFlagMissing) {
-      const { flagValue } = await inquirer.prompt([
-        {
-          type: 'input',
-          name: 'flagValue',
-          message: 'Enter the flag:',
-          validate: input => input.trim() ? true : 'Flag cannot be empty'
-        }
-      ]);
-      
-      if (flagMatch) {
-        // Replace existing TBD flag
-        updatedContent = updatedContent.replace(/\*\*Flag:\*\* `TBD`/, `**Flag:** \`${flagValue}\``);
-      } else {
-        // Add flag after category
-        updatedContent = updatedContent.replace(/\*\*Category:\*\* (.+)/, `**Category:** $1\n**Flag:** \`${flagValue}\``);
-      }
-      isUpdated = true;
+      const flagValue = await resolveOption(options.flag, {
+        type: 'input',
+        name: 'flagValue',
+        message: 'Enter the flag:',
+        validate: input => input.trim() ? true : 'Flag cannot be empty'
+      }, 'flag');
+      updates.flag = flagValue;
     }
     
     // Update solver if missing
     if (isSolverMissing) {
-      const { solverName } = await inquirer.prompt([
-        {
-          type: 'input',
-          name: 'solverName',
-          message: 'Who solved this challenge?',
-          default: solvedFlag ? (await getGitUserName() || 'Unknown') : 'Team effort'
-        }
-      ]);
-      
-      if (solverMatch) {
-        // Replace existing TBD solver
-        updatedContent = updatedContent.replace(/\*\*Solver:\*\* TBD/, `**Solver:** ${solverName}`);
-      } else {
-        // Add solver after flag
-        updatedContent = updatedContent.replace(/\*\*Flag:\*\* `(.+)`/, `**Flag:** \`$1\`\n**Solver:** ${solverName}`);
-      }
-      isUpdated = true;
+      updates.solver = await resolveSolvers(options, getTeam(config), solvedFlag);
     }
     
     // Update points if missing
     if (isPointsMissing) {
-      const { pointsValue } = await inquirer.prompt([
-        {
-          type: 'input',
-          name: 'pointsValue',
-          message: 'Enter the points for this challenge:',
-          validate: input => {
-            const number = parseInt(input.trim());
-            return !isNaN(number) && number > 0 ? true : 'Please enter a valid positive number';
-          }
+      const pointsValue = await resolveOption(options.points, {
+        type: 'input',
+        name: 'pointsValue',
+        message: 'Enter the points for this challenge:',
+        // Whole numbers only, as the writeup parser reads points
+        validate: input => {
+          const text = String(input).trim();
+          return /^\d+$/.test(text) && parseInt(text, 10) > 0 ? true : 'Please enter a valid positive whole number';
         }
-      ]);
-      
-      if (pointsMatch) {
-        // Replace existing TBD points
-        updatedContent = updatedContent.replace(/\*\*Points:\*\* TBD/, `**Points:** ${pointsValue}`);
-      } else {
-        // Add points after category
-        updatedContent = updatedContent.replace(/\*\*Category:\*\* (.+)/, `**Category:** $1\n**Points:** ${pointsValue}`);
-      }
-      isUpdated = true;
+      }, 'points');
+      updates.points = parseInt(String(pointsValue).trim(), 10);
     }
     
-    // If content was updated, write back to file
-    if (isUpdated) {
-      await fs.writeFile(writeupPath, updatedContent, 'utf-8');
+    // If anything was filled in, write it back to the file
+    let record = writeup;
+    if (Object.keys(updates).length > 0) {
+      record = await writeWriteup(writeupPath, updates);
       console.log(chalk.green('✅ Writeup updated with missing information.'));
       
       // Commit the changes
       try {
-        const git = simpleGit();
+        const git = getGit();
         await git.add(writeupPath);
         
-        // Create appropriate commit message
+        // Create appropriate commit message, crediting the other solvers
         let commitMessage = 'Update task';
         if (isFlagMissing && solvedFlag) {
-          const solverName = updatedContent.match(/\*\*Solver:\*\* (.+)/)[1].trim();
-          commitMessage = `Add flag solution by ${solverName}`;
+          commitMessage = `Add flag solution by ${record.solver}`;
         } else if (isPointsMissing) {
           commitMessage = 'Add points to task';
         }
+        if (updates.solver) {
+          commitMessage = withTrailers(commitMessage, getCoAuthorTrailers(getTeam(config), record.solvers, await getGitUserName(), await getGitUserEmail()));
+        }
         
         await git.commit(commitMessage);
         console.log(chalk.green('✅ Changes committed.'));
         
         // Push changes
         try {
-          await git.push();
-          console.log(chalk.green('✅ Changes pushed to remote.'));
+          if (await pushOrQueue(git, config)) {
+            console.log(chalk.green('✅ Changes pushed to remote.'));
+          }
         } catch (pushError) {
           console.log(chalk.yellow(`⚠️ Could not push changes: ${pushError.message}`));
         }
@@ -216,23 +197,12 @@ async function solve() {
     }
     
     // If everything is now complete, ask about merging
-    if (updatedContent.match(/\*\*Flag:\*\* `(.+?)`/) && 
-        updatedContent.match(/\*\*Points:\*\* (\d+)/) && 
-        updatedContent.match(/\*\*Solver:\*\* (.+)/) &&
-        !updatedContent.includes('TBD')) {
-      
-      const { finishTask } = await inquirer.prompt([
-        {
-          type: 'confirm',
-          name: 'finishTask',
-          message: 'Task is now complete! Merge this branch to main and delete it?',
-          default: true
-        }
-      ]);
+    if (isComplete(record)) {
+
+      const finishTask = await confirmMerge(options, `Task is now complete! Do you want to ${describeStrategy(strategy, defaultBranch)}?`);
       
       if (finishTask) {
-        await mergeAndDeleteBranch(currentBranch);
-        console.log(chalk.green('🎉 Task completed and branch cleaned up!'));
+        await finishTaskBranch(currentBranch, defaultBranch, strategy, { ...record, writeupPath: path.relative(repoRoot, writeupPath) }, config);
       } else {
         console.log(chalk.blue('Task marked as complete but branch remains open.'));
         console.log(chalk.blue('Run `flagtrack solve` again when ready to merge.'));
@@ -248,39 +218,259 @@ async function solve() {
   }
 }
 
-async function mergeAndDeleteBranch(currentBranch) {
+/**
+ * Ask who solved the challenge. With a team roster in the config the solvers
+ * are picked from it; otherwise (or from --solver) names are entered comma
+ * separated and matched against the roster.
+ *
+ * @param {Object} options - Command line options
+ * @param {Array} team - Team members from getTeam
+ * @param {boolean} solvedFlag - Whether the current user found the flag
+ * @returns {Promise<string[]>} Solver names
+ */
+async function resolveSolvers(options, team, solvedFlag) {
+  const userName = await getGitUserName();
+  
+  if (team.length > 0 && options.solver === undefined && isInteractive()) {
+    const self = solvedFlag ? findMember(team, userName) : null;
+    const { solverNames } = await inquirer.prompt([
+      {
+        type: 'checkbox',
+        name: 'solverNames',
+        message: 'Who solved this challenge?',
+        choices: team.map(member => member.name),
+        default: self ? [self.name] : [],
+        validate: answer => answer.length > 0 ? true : 'Pick at least one solver'
+      }
+    ]);
+    return solverNames;
+  }
+  
+  const answer = await resolveOption(options.solver, {
+    type: 'input',
+    name: 'solverName',
+    message: 'Who solved this challenge? (comma separated)',
+    default: solvedFlag ? (userName || 'Unknown') : 'Team effort',
+    validate: input => splitSolvers(input).length > 0 ? true : 'Solver cannot be empty'
+  }, 'solver');
+  return matchSolvers(team, splitSolvers(answer));
+}
+
+/**
+ * Decide whether to merge the task branch, using --merge/--no-merge when given
+ * @param {Object} options - Command line options
+ * @param {string} message - Confirmation prompt shown in a terminal
+ * @returns {Promise<boolean>} True if the branch should be merged
+ */
+async function confirmMerge(options, message) {
+  if (typeof options.merge === 'boolean') {
+    return options.merge;
+  }
+  
+  if (!isInteractive()) {
+    console.log(chalk.yellow('⚠️ No terminal available to confirm the merge. Pass --merge to merge without asking.'));
+    return false;
+  }
+  
+  const { finishTask } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'finishTask',
+      message,
+      default: true
+    }
+  ]);
+  
+  return finishTask;
+}
+
+/**
+ * Warn about flag values that were ignored because the writeup already has them
+ * @param {Object} options - Command line options
+ * @param {Object} existing - Values already recorded in the writeup (null if missing)
+ */
+function warnIgnoredOptions(options, existing) {
+  for (const key of ['flag', 'points', 'solver']) {
+    if (options[key] !== undefined && existing[key] && String(options[key]) !== String(existing[key])) {
+      console.log(chalk.yellow(`⚠️ Ignoring --${key}: the writeup already records "${existing[key]}".`));
+    }
+  }
+}
+
+/**
+ * Pick the merge strategy from --strategy or git.merge_strategy in the config
+ * @param {Object} options - Command line options
+ * @param {Object} config - Loaded config
+ * @returns {string} One of MERGE_STRATEGIES
+ */
+function getMergeStrategy(options, config) {
+  if (options.strategy !== undefined) {
+    if (!MERGE_STRATEGIES.includes(options.strategy)) {
+      throw new Error(`Invalid value for --strategy: "${options.strategy}". Expected one of: ${MERGE_STRATEGIES.join(', ')}`);
+    }
+    return options.strategy;
+  }
+  
+  const configured = config.git && config.git.merge_strategy;
+  if (configured === undefined || configured === null) {
+    return 'merge';
+  }
+  if (!MERGE_STRATEGIES.includes(configured)) {
+    throw new Error(`Invalid git.merge_strategy in config: "${configured}". Expected one of: ${MERGE_STRATEGIES.join(', ')}`);
+  }
+  return configured;
+}
+
+/**
+ * Describe what finishing the task does, for the confirmation prompt
+ * @param {string} strategy - Merge strategy
+ * @param {string} mainBranch - Default branch
+ * @returns {string} Action phrase
+ */
+function describeStrategy(strategy, mainBranch) {
+  switch (strategy) {
+    case 'squash':
+      return `squash this branch into ${mainBranch} and delete it`;
+    case 'rebase':
+      return `rebase this branch onto ${mainBranch}, fast-forward and delete it`;
+    case 'pr':
+      return `push this branch and prepare a pull request into ${mainBranch}`;
+    default:
+      return `merge this branch to ${mainBranch} and delete it`;
+  }
+}
+
+/**
+ * Finish the task branch with the chosen strategy and report the outcome.
+ * Exits with an error when the branch could not be finished.
+ *
+ * @param {string} currentBranch - Task branch
+ * @param {string} mainBranch - Default branch
+ * @param {string} strategy - Merge strategy
+ * @param {Object} record - Writeup record plus its repository relative writeupPath
+ * @param {Object} [config] - Loaded config, read for offline mode
+ */
+async function finishTaskBranch(currentBranch, mainBranch, strategy, record, config) {
+  if (strategy === 'pr') {
+    if (await preparePullRequest(currentBranch, mainBranch, record, config)) {
+      console.log(chalk.green('🎉 Task complete! The branch is ready for review.'));
+      return;
+    }
+  } else if (await mergeAndDeleteBranch(currentBranch, mainBranch, strategy, record, config)) {
+    console.log(chalk.green('🎉 Task completed and branch cleaned up!'));
+    return;
+  }
+  
+  console.log(chalk.yellow('The task is recorded, but its branch is still open.'));
+  process.exit(1);
+}
+
+/**
+ * Bring the task branch into the default branch, push it and delete the task branch.
+ * On a conflict the merge is undone and the task branch checked out again.
+ * Offline, the default branch is not fetched or pulled and pushes are queued.
+ * A task branch in its own worktree is merged from the checkout of the
+ * default branch, and its worktree is removed afterwards.
+ *
+ * @param {string} currentBranch - Task branch to merge
+ * @param {string} mainBranch - Branch to merge into
+ * @param {string} [strategy='merge'] - merge, squash or rebase
+ * @param {Object} [record] - Writeup record, used for the squash commit message
+ * @param {Object} [config] - Loaded config, read for offline mode
+ * @returns {Promise<boolean>} True if the merge went through
+ */
+async function mergeAndDeleteBranch(currentBranch, mainBranch, strategy = 'merge', record = {}, config) {
+  const worktrees = await listWorktrees();
+  const taskWorktree = worktrees.find(worktree => worktree.branch === currentBranch && !worktree.main);
+  
+  // The merge happens where the default branch is checked out, the main worktree otherwise
+  const mainWorktree = taskWorktree && (worktrees.find(worktree => worktree.branch === mainBranch) || worktrees[0]);
+  const git = getGit(mainWorktree ? mainWorktree.path : undefined);
+  const taskGit = taskWorktree ? getGit(taskWorktree.path) : null;
+  
   try {
-    const git = simpleGit();
-    
     // Check if we have any uncommitted changes
-    const status = await git.status();
-    if (status.files.length > 0) {
-      console.log(chalk.yellow('⚠️ You have uncommitted changes. Please commit or stash them first.'));
-      return false;
+    for (const checkout of [git, taskGit].filter(Boolean)) {
+      const status = await checkout.status();
+      if (status.files.length > 0) {
+        console.log(chalk.yellow('⚠️ You have uncommitted changes. Please commit or stash them first.'));
+        return false;
+      }
     }
     
-    // Get main branch name (either main or master)
-    const branches = await git.branch();
-    const mainBranch = branches.all.includes('main') ? 'main' : 'master';
+    const offline = isOffline(config);
     
     // Make sure we have the latest changes from main
-    console.log(chalk.blue(`📥 Fetching latest changes from ${mainBranch}...`));
-    await git.fetch('origin', mainBranch);
+    if (offline) {
+      console.log(chalk.yellow(`📴 Offline: merging into the local ${mainBranch} without fetching.`));
+    } else {
+      console.log(chalk.blue(`📥 Fetching latest changes from ${mainBranch}...`));
+      await git.fetch('origin', mainBranch);
+    }
     
     // Checkout main branch
     console.log(chalk.blue(`🔄 Switching to ${mainBranch} branch...`));
     await git.checkout(mainBranch);
     
     // Pull latest changes
-    await git.pull('origin', mainBranch);
-    
-    // Merge the task branch
-    console.log(chalk.blue(`🔀 Merging ${currentBranch} into ${mainBranch}...`));
-    await git.merge([currentBranch, '--no-ff', '-m', `Merge task branch '${currentBranch}'`]);
-    
+    if (!offline) {
+      await git.pull('origin', mainBranch);
+    }
+  } catch (error) {
+    console.log(chalk.red(`❌ Error during merge: ${error.message}`));
+    console.log(chalk.yellow('You may need to resolve conflicts or complete the merge manually.'));
+    return false;
+  }
+  
+  // The step that failed decides what there is to undo
+  let step = strategy;
+  try {
+    if (strategy === 'squash') {
+      console.log(chalk.blue(`🔀 Squashing ${currentBranch} into ${mainBranch}...`));
+      await git.merge(['--squash', currentBranch]);
+      // A squash drops the branch commits, so credit the solvers again
+      const trailers = getCoAuthorTrailers(getTeam(config), record.solvers || [], await getGitUserName(), await getGitUserEmail());
+      await git.commit(withTrailers(`Solve task: ${record.name || currentBranch}`, trailers));
+    } else if (strategy === 'rebase') {
+      console.log(chalk.blue(`🔀 Rebasing ${currentBranch} onto ${mainBranch}...`));
+      if (taskGit) {
+        await taskGit.rebase([mainBranch]);
+      } else {
+        await git.checkout(currentBranch);
+        await git.rebase([mainBranch]);
+        await git.checkout(mainBranch);
+      }
+      step = 'fast-forward';
+      await git.merge(['--ff-only', currentBranch]);
+    } else {
+      console.log(chalk.blue(`🔀 Merging ${currentBranch} into ${mainBranch}...`));
+      await git.merge([currentBranch, '--no-ff', '-m', `Merge task branch '${currentBranch}'`]);
+    }
+  } catch (error) {
+    console.log(chalk.red(`❌ Could not ${strategy} ${currentBranch} into ${mainBranch}: ${error.message}`));
+    await abortMerge(git, currentBranch, mainBranch, step, taskGit);
+    return false;
+  }
+  
+  try {
     // Push the changes to main
     console.log(chalk.blue(`📤 Pushing changes to ${mainBranch}...`));
-    await git.push('origin', mainBranch);
+    await pushOrQueue(git, config, 'origin', mainBranch);
+    
+    // The branch cannot be deleted while a worktree has it checked out
+    if (taskWorktree) {
+      console.log(chalk.blue(`🧹 Removing worktree ${taskWorktree.path}...`));
+      try {
+        // Solve usually runs from inside the task worktree, so leave it first
+        process.chdir(mainWorktree.path);
+        await git.raw(['worktree', 'remove', taskWorktree.path]);
+      } catch (error) {
+        console.log(chalk.yellow(`⚠️ Could not remove worktree: ${error.message}`));
+        console.log(chalk.yellow(`Remove it with \`git worktree remove ${taskWorktree.path}\`, then delete the branch with \`git branch -D ${currentBranch}\`.`));
+        return true;
+      }
+      console.log(chalk.blue(`📂 Continue in ${mainWorktree.path}`));
+    }
     
     // Delete the branch locally
     console.log(chalk.blue(`🗑️ Deleting local branch ${currentBranch}...`));
@@ -289,7 +479,7 @@ async function mergeAndDeleteBranch(currentBranch) {
     // Delete the branch on remote
     console.log(chalk.blue(`🗑️ Deleting remote branch ${currentBranch}...`));
     try {
-      await git.push('origin', `:${currentBranch}`);
+      await pushOrQueue(git, config, 'origin', `:${currentBranch}`);
     } catch (error) {
       console.log(chalk.yellow(`⚠️ Could not delete remote branch: ${error.message}`));
       console.log(chalk.yellow('This is often normal for protected branches or if the branch was never pushed.'));
@@ -298,151 +488,197 @@ async function mergeAndDeleteBranch(currentBranch) {
     return true;
   } catch (error) {
     console.log(chalk.red(`❌ Error during merge: ${error.message}`));
-    console.log(chalk.yellow('You may need to resolve conflicts or complete the merge manually.'));
+    console.log(chalk.yellow(`The merge is done locally on ${mainBranch}. Push it manually with \`git push origin ${mainBranch}\`.`));
     return false;
   }
 }
 
-async function findTaskFromBranch(branchName, config) {
-  // Try to parse branch name in format: category-tasknum-name
-  const branchPattern = /^([a-z]+)-(\d+)-(.+)$/;
-  const match = branchName.match(branchPattern);
-  
-  if (!match) {
-    return null;
+/**
+ * Check whether a rebase is stopped in the repository or worktree
+ * @param {Object} git - simple-git instance
+ * @returns {Promise<boolean>} True if `git rebase --abort` has something to abort
+ */
+async function isRebasing(git) {
+  const statePaths = await git.raw(['rev-parse', '--path-format=absolute', '--git-path', 'rebase-merge', '--git-path', 'rebase-apply']);
+  for (const statePath of statePaths.split('\n').map(line => line.trim()).filter(Boolean)) {
+    if (await fs.pathExists(statePath)) {
+      return true;
+    }
   }
-  
-  const category = match[1];
-  const taskNum = match[2].padStart(2, '0');
-  
-  // Find the category folder
-  const eventRoot = await getEventContext(config);
-  
-  // Find the category number from name
-  let categoryNum = null;
-  for (const [num, name] of Object.entries(config.categories)) {
-    if (name.toLowerCase() === category) {
-      categoryNum = num.padStart(2, '0');
-      break;
+  return false;
+}
+
+/**
+ * Undo a failed merge, squash or rebase so the repository is left as it was,
+ * switch back to the task branch, then explain how to resolve the conflict by hand.
+ *
+ * @param {Object} git - simple-git instance
+ * @param {string} currentBranch - Task branch
+ * @param {string} mainBranch - Default branch
+ * @param {string} step - Step that failed: merge, squash, rebase, or fast-forward after a rebase
+ * @param {Object} [taskGit] - simple-git instance of the task worktree, if it has one
+ */
+async function abortMerge(git, currentBranch, mainBranch, step, taskGit) {
+  let undone = true;
+  try {
+    if (step === 'rebase') {
+      // The rebase may have failed before it started, e.g. in the checkout
+      if (await isRebasing(taskGit || git)) {
+        await (taskGit || git).rebase(['--abort']);
+      }
+    } else if (step === 'squash') {
+      // A squash leaves no MERGE_HEAD to abort; the tree was clean before
+      await git.reset(['--hard', 'HEAD']);
+    } else if (step === 'merge') {
+      await git.merge(['--abort']);
     }
+    // A failed fast-forward changes nothing; the task branch stays rebased
+  } catch (error) {
+    console.log(chalk.red(`❌ Could not undo the ${step}: ${error.message}`));
+    console.log(chalk.yellow('Check `git status` and finish or abort the operation manually.'));
+    undone = false;
   }
   
-  if (!categoryNum) {
-    return null;
+  // A task worktree never left its branch
+  if (!taskGit) {
+    try {
+      await git.checkout(currentBranch);
+    } catch (error) {
+      console.log(chalk.red(`❌ Could not switch back to ${currentBranch}: ${error.message}`));
+      return;
+    }
+  }
+  if (!undone) {
+    console.log(chalk.yellow(`You are back on ${currentBranch}.`));
+    return;
   }
   
-  // Look for matching task folder
-  const categoryPath = path.join(eventRoot, `${categoryNum}_${capitalizeName(category)}`);
-  if (!await fs.pathExists(categoryPath)) {
-    return null;
+  if (step === 'fast-forward') {
+    console.log(chalk.yellow(`↩️ ${currentBranch} was rebased, but ${mainBranch} could not be fast-forwarded to it. You are back on ${currentBranch}.`));
+  } else {
+    console.log(chalk.yellow(`↩️ Nothing was changed. You are back on ${currentBranch}.`));
+  }
+  console.log(chalk.yellow('To resolve the conflicts:'));
+  if (step === 'rebase' || step === 'fast-forward') {
+    console.log(chalk.yellow(`  1. git rebase ${mainBranch}`));
+    console.log(chalk.yellow('  2. Fix the conflicts, then `git add <files>` and `git rebase --continue`'));
+  } else {
+    console.log(chalk.yellow(`  1. git merge ${mainBranch}`));
+    console.log(chalk.yellow('  2. Fix the conflicts, then `git add <files>` and `git commit`'));
   }
+  console.log(chalk.yellow('  3. Run `flagtrack solve` again'));
+}
+
+/**
+ * Push the task branch and print a pull request title and description,
+ * leaving the merge to the review process.
+ *
+ * @param {string} currentBranch - Task branch
+ * @param {string} mainBranch - Branch the pull request targets
+ * @param {Object} record - Writeup record plus its repository relative writeupPath
+ * @param {Object} [config] - Loaded config, read for offline mode
+ * @returns {Promise<boolean>} True if the branch is ready for a pull request
+ */
+async function preparePullRequest(currentBranch, mainBranch, record, config) {
+  const git = getGit();
   
-  // List all task folders and find one that starts with the task number
-  const taskFolders = await fs.readdir(categoryPath, { withFileTypes: true });
-  for (const item of taskFolders) {
-    if (item.isDirectory() && item.name.startsWith(`${taskNum}_`)) {
-      return {
-        path: path.join(categoryPath, item.name),
-        category,
-        taskNum
-      };
+  try {
+    const status = await git.status();
+    if (status.files.length > 0) {
+      console.log(chalk.yellow('⚠️ You have uncommitted changes. Please commit or stash them first.'));
+      return false;
     }
+    
+    const remotes = await git.getRemotes();
+    if (!remotes || remotes.length === 0) {
+      console.log(chalk.yellow('⚠️ No remote repository found. Push the branch before opening a pull request.'));
+    } else {
+      console.log(chalk.blue(`📤 Pushing ${currentBranch} to remote...`));
+      await pushOrQueue(git, config, 'origin', currentBranch, ['--set-upstream']);
+    }
+  } catch (error) {
+    console.log(chalk.red(`❌ Could not push ${currentBranch}: ${error.message}`));
+    return false;
   }
   
-  return null;
-}
-
-function capitalizeName(str) {
-  return str.charAt(0).toUpperCase() + str.slice(1);
+  const name = record.name || currentBranch;
+  console.log(chalk.blue(`\n📝 Open a pull request from ${currentBranch} into ${mainBranch}:\n`));
+  console.log(`Title: Solve ${name}${record.category ? ` (${record.category})` : ''}`);
+  console.log();
+  console.log(`Solves **${name}**.`);
+  console.log();
+  console.log(`- Category: ${record.category || 'Unknown'}`);
+  console.log(`- Points: ${record.points !== null && record.points !== undefined ? record.points : 'Unknown'}`);
+  console.log(`- Solver: ${record.solver || 'Unknown'}`);
+  if (record.writeupPath) {
+    console.log(`- Writeup: ${record.writeupPath}`);
+  }
+  console.log();
+  
+  return true;
 }
 
-async function selectTaskManually(config) {
+/**
+ * Let the user pick a task when it cannot be derived from the branch name.
+ * A task folder we are standing in is used without asking.
+ *
+ * @param {string} repoRoot - Repository root path
+ * @param {Object} config - Loaded config
+ * @param {Object} context - Result of getEventContext
+ * @returns {Promise<string|null>} Path of the selected task, or null if none
+ */
+async function selectTaskManually(repoRoot, config, context) {
   try {
-    const eventRoot = await getEventContext(config);
-    
-    // Get all categories
-    const categories = [];
-    for (const [num, name] of Object.entries(config.categories)) {
-      const categoryPath = path.join(eventRoot, `${num.padStart(2, '0')}_${name}`);
-      if (await fs.pathExists(categoryPath)) {
-        categories.push({
-          num: num.padStart(2, '0'),
-          name,
-          path: categoryPath
-        });
-      }
+    if (context.taskPath && await fs.pathExists(path.join(context.taskPath, 'writeup.md'))) {
+      console.log(chalk.blue(`Using task in current directory: ${path.basename(context.taskPath)}`));
+      return context.taskPath;
     }
     
+    const { eventName, subEventName } = await selectEvent(config, context);
+    const tasks = await findTasks(repoRoot, config, { eventName, subEventName });
+    
+    // Get all categories that hold tasks
+    const categories = [...new Set(tasks.map(task => task.category))];
+    
     if (categories.length === 0) {
       console.log(chalk.yellow('⚠️ No categories found.'));
       return null;
     }
     
     // Let user select category
-    const { categoryIndex } = await inquirer.prompt([
-      {
-        type: 'list',
-        name: 'categoryIndex',
-        message: 'Select a category:',
-        choices: categories.map((cat, index) => ({
-          name: cat.name,
-          value: index
-        }))
-      }
-    ]);
-    
-    const selectedCategory = categories[categoryIndex];
-    
-    // Get all tasks in the selected category
-    const tasks = [];
-    const taskFolders = await fs.readdir(selectedCategory.path, { withFileTypes: true });
-    
-    for (const item of taskFolders) {
-      if (item.isDirectory()) {
-        const taskPath = path.join(selectedCategory.path, item.name);
-        const writeupPath = path.join(taskPath, 'writeup.md');
-        
-        if (await fs.pathExists(writeupPath)) {
-          // Extract task name from writeup if possible
-          let taskName = item.name;
-          try {
-            const content = await fs.readFile(writeupPath, 'utf-8');
-            const nameMatch = content.match(/# 🧩 (.+)/);
-            if (nameMatch) {
-              taskName = nameMatch[1];
-            }
-          } catch (e) {
-            // Ignore error and use folder name
-          }
-          
-          tasks.push({
-            name: taskName,
-            path: taskPath,
-            folderName: item.name
-          });
+    const selectedCategory = await resolveOption(undefined, {
+      type: 'list',
+      name: 'category',
+      message: 'Select a category:',
+      choices: categories
+    }, 'category');
+    
+    const categoryTasks = [];
+    for (const task of tasks.filter(task => task.category === selectedCategory)) {
+      // Extract task name from writeup if possible
+      let taskName = task.folderName;
+      try {
+        const { name } = await readWriteup(task.writeupPath);
+        if (name) {
+          taskName = name;
         }
+      } catch (e) {
+        // Ignore error and use folder name
       }
-    }
-    
-    if (tasks.length === 0) {
-      console.log(chalk.yellow(`⚠️ No tasks found in category ${selectedCategory.name}.`));
-      return null;
+      
+      categoryTasks.push({ ...task, name: taskName });
     }
     
     // Let user select task
-    const { taskIndex } = await inquirer.prompt([
-      {
-        type: 'list',
-        name: 'taskIndex',
-        message: 'Select a task:',
-        choices: tasks.map((task, index) => ({
-          name: `${task.folderName} - ${task.name}`,
-          value: index
-        }))
-      }
-    ]);
-    
-    return tasks[taskIndex].path;
+    return await resolveOption(undefined, {
+      type: 'list',
+      name: 'taskPath',
+      message: 'Select a task:',
+      choices: categoryTasks.map(task => ({
+        name: `${task.folderName} - ${task.name}`,
+        value: task.path
+      }))
+    }, 'task');
     
   } catch (error) {
     console.error(chalk.red('❌ Error selecting task:'), error.message);
@@ -0,0 +1,187 @@
+const path = require('path');
+const chalk = require('chalk');
+const { loadConfig } = require('../utils/configManager');
+const { formatDate } = require('../utils/dates');
+const { findRepoRoot } = require('../utils/gitHelpers');
+const { findTasks, getCategoryNames } = require('../utils/eventModel');
+const { findCurrentTask, describeClaim } = require('../utils/challenges');
+const { readWriteup, isComplete } = require('../utils/writeup');
+
+/**
+ * Show the active task and the progress of the sub-event it belongs to.
+ * The task comes from the current branch, or from the task folder we are in.
+ *
+ * @param {Object} [options] - Command line options
+ * @param {boolean} [options.json=false] - Print the status as JSON
+ */
+async function status(options = {}) {
+  try {
+    if (!options.json) {
+      console.log(chalk.blue('📍 Checking task status'));
+    }
+
+    const config = await loadConfig();
+    if (!config) {
+      console.log(chalk.yellow('⚠️ No configuration found. Run `flagtrack setup` first.'));
+      process.exit(1);
+    }
+
+    const repoRoot = await findRepoRoot();
+    if (!repoRoot) {
+      console.log(chalk.yellow('⚠️ Could not find repository root.'));
+      process.exit(1);
+    }
+
+    const report = await collectStatus(repoRoot, config);
+
+    if (options.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      displayStatus(report, config);
+    }
+
+  } catch (error) {
+    console.error(chalk.red('❌ Status check failed:'), error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Gather the active task and per-category progress
+ * @param {string} repoRoot - Repository root path
+ * @param {Object} config - Loaded config
+ * @returns {Promise<Object>} Status report
+ */
+async function collectStatus(repoRoot, config) {
+  const { task: activeTask, branch, context } = await findCurrentTask(repoRoot, config);
+
+  const eventName = activeTask ? activeTask.event : context.eventName;
+  const subEventName = activeTask ? activeTask.subEvent : context.subEventName;
+
+  const report = {
+    branch,
+    event: eventName,
+    subEvent: subEventName,
+    task: null,
+    categories: [],
+    totals: { solved: 0, unsolved: 0, total: 0, points: 0 }
+  };
+
+  if (activeTask) {
+    const writeup = await readWriteup(activeTask.writeupPath);
+    report.task = {
+      name: writeup.name || activeTask.folderName,
+      category: activeTask.category,
+      path: path.relative(repoRoot, activeTask.path),
+      flag: writeup.flag,
+      points: writeup.points,
+      solver: writeup.solver,
+      assignee: writeup.assignee,
+      claimed: writeup.claimed,
+      solved: writeup.isSolved,
+      complete: isComplete(writeup),
+      warnings: writeup.warnings
+    };
+  }
+
+  if (!eventName || !subEventName) {
+    return report;
+  }
+
+  // Count solved and unsolved tasks per category, in config order
+  const categories = {};
+  for (const name of getCategoryNames(config, eventName, subEventName)) {
+    categories[name] = { name, solved: 0, unsolved: 0, total: 0, points: 0 };
+  }
+
+  const tasks = await findTasks(repoRoot, config, { eventName, subEventName });
+  for (const task of tasks) {
+    if (!categories[task.category]) {
+      categories[task.category] = { name: task.category, solved: 0, unsolved: 0, total: 0, points: 0 };
+    }
+
+    const stats = categories[task.category];
+    const writeup = await readWriteup(task.writeupPath);
+
+    stats.total++;
+    if (writeup.isSolved) {
+      stats.solved++;
+      stats.points += writeup.points || 0;
+    } else {
+      stats.unsolved++;
+    }
+  }
+
+  report.categories = Object.values(categories);
+  for (const stats of report.categories) {
+    report.totals.solved += stats.solved;
+    report.totals.unsolved += stats.unsolved;
+    report.totals.total += stats.total;
+    report.totals.points += stats.points;
+  }
+
+  return report;
+}
+
+/**
+ * Print a status report to the console
+ * @param {Object} report - Result of collectStatus
+ * @param {Object} [config] - Loaded config, for the date display settings
+ */
+function displayStatus(report, config) {
+  console.log();
+
+  if (report.event) {
+    const location = report.subEvent ? `${report.event} > ${report.subEvent}` : report.event;
+    console.log(chalk.blue(`🏁 Event: ${location}`));
+  } else {
+    console.log(chalk.yellow('⚠️ Not inside an event. Run from an event folder or check out a task branch.'));
+  }
+
+  console.log(chalk.blue(`🌿 Branch: ${report.branch || 'unknown'}`));
+
+  const task = report.task;
+  if (task) {
+    console.log(chalk.blue(`🧩 Task: ${task.name} (${task.category})`));
+    console.log(chalk.blue(`   Path:   ${task.path}`));
+    console.log(task.flag ? chalk.green(`   Flag:   ${task.flag}`) : chalk.yellow('   Flag:   TBD'));
+    console.log(task.points !== null ? chalk.green(`   Points: ${task.points}`) : chalk.yellow('   Points: TBD'));
+    console.log(task.solver ? chalk.green(`   Solver: ${task.solver}`) : chalk.yellow('   Solver: TBD'));
+
+    const claim = describeClaim({ ...task, isSolved: task.solved });
+    if (claim) {
+      console.log(chalk.magenta(`   🔨 ${claim} since ${task.claimed ? formatDate(task.claimed, config) : 'unknown'}`));
+    }
+
+    for (const warning of task.warnings) {
+      console.log(chalk.yellow(`   ⚠️ ${warning}`));
+    }
+
+    if (task.complete) {
+      console.log(chalk.green('✅ Task is complete. Run `flagtrack solve` to merge it.'));
+    } else {
+      console.log(chalk.blue('Run `flagtrack solve` to record the missing details.'));
+    }
+  } else {
+    console.log(chalk.blue('🧩 Task: none (not on a task branch or in a task folder)'));
+  }
+
+  if (report.categories.length === 0) {
+    return;
+  }
+
+  console.log();
+  console.log(chalk.bold('Category            | Solved | Unsolved | Points'));
+  console.log(chalk.bold('--------------------|--------|----------|-------'));
+
+  for (const stats of report.categories) {
+    const name = stats.name.padEnd(20).substring(0, 20);
+    const line = `${name}| ${stats.solved.toString().padEnd(7)}| ${stats.unsolved.toString().padEnd(9)}| ${stats.points}`;
+    console.log(stats.total > 0 && stats.unsolved === 0 ? chalk.green(line) : line);
+  }
+
+  const { totals } = report;
+  console.log(chalk.bold(`${'Total'.padEnd(20)}| ${totals.solved.toString().padEnd(7)}| ${totals.unsolved.toString().padEnd(9)}| ${totals.points}`));
+}
+
+module.exports = status;
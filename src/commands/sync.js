@@ -0,0 +1,76 @@
+const chalk = require('chalk');
+const { loadConfig } = require('../utils/configManager');
+const { isGitRepo } = require('../utils/gitHelpers');
+const { getGit } = require('../utils/dryRun');
+const { isOffline, readQueue, writeQueue } = require('../utils/offline');
+const { formatDate } = require('../utils/dates');
+
+/**
+ * Replay the pushes that were queued while working offline, oldest first.
+ * Stops at the first push that fails so the order is kept; remote branch
+ * deletions that have nothing to delete are dropped.
+ *
+ * @param {Object} [options] - Command line options
+ * @param {boolean} [options.list=false] - Only show the queued pushes
+ */
+async function sync(options = {}) {
+  console.log(chalk.blue('🔄 Syncing queued pushes'));
+
+  try {
+    if (!await isGitRepo()) {
+      console.log(chalk.yellow('⚠️ Not in a git repository.'));
+      process.exit(1);
+    }
+
+    const queue = await readQueue();
+    if (queue.length === 0) {
+      console.log(chalk.green('✅ Nothing to sync.'));
+      return;
+    }
+
+    if (options.list) {
+      const config = await loadConfig();
+      for (const entry of queue) {
+        console.log(`${formatDate(entry.queuedAt, config)}  git push ${[entry.remote, entry.branch, ...entry.options].join(' ')}`);
+      }
+      console.log(chalk.blue(`${queue.length} queued push${queue.length === 1 ? '' : 'es'}.`));
+      return;
+    }
+
+    if (isOffline()) {
+      throw new Error('Cannot sync with --offline.');
+    }
+
+    const git = getGit();
+    const remaining = [...queue];
+
+    while (remaining.length > 0) {
+      const entry = remaining[0];
+      const description = entry.branch.startsWith(':')
+        ? `Deleting ${entry.branch.slice(1)} on ${entry.remote}`
+        : `Pushing ${entry.branch} to ${entry.remote}`;
+      console.log(chalk.blue(`📤 ${description}...`));
+
+      try {
+        await git.push(entry.remote, entry.branch, entry.options);
+      } catch (error) {
+        if (!entry.branch.startsWith(':') || !/remote ref does not exist/i.test(error.message)) {
+          await writeQueue(remaining);
+          throw new Error(`${description} failed: ${error.message}\n${remaining.length} push${remaining.length === 1 ? '' : 'es'} still queued.`);
+        }
+        console.log(chalk.yellow(`⚠️ ${entry.branch.slice(1)} does not exist on ${entry.remote}. Skipping.`));
+      }
+
+      remaining.shift();
+    }
+
+    await writeQueue(remaining);
+    console.log(chalk.green(`✅ Synced ${queue.length} queued push${queue.length === 1 ? '' : 'es'}.`));
+
+  } catch (error) {
+    console.error(chalk.red('❌ Sync failed:'), error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = sync;
@@ -0,0 +1,121 @@
+const path = require('path');
+const chalk = require('chalk');
+const { loadConfig } = require('../utils/configManager');
+const { findRepoRoot } = require('../utils/gitHelpers');
+const { processSolvers, scanAllChallenges } = require('../utils/challenges');
+const { getChallengeHistory } = require('../utils/progress');
+const { getTeam, normalizeSolvers } = require('../utils/team');
+const { files } = require('../utils/dryRun');
+const { formatDate } = require('../utils/dates');
+const { buildTimeline, timelineToCsv, renderTimelineSvg } = require('../utils/timeline');
+
+const FORMATS = ['text', 'json', 'csv'];
+
+// Console labels of the timeline event types
+const EVENT_LABELS = {
+  created: chalk.blue('➕ Created'),
+  claimed: chalk.magenta('🔨 Claimed'),
+  solved: chalk.green('✅ Solved ')
+};
+
+/**
+ * Show when challenges were created, claimed and solved, reconstructed from
+ * the git history of their writeups, and optionally write a chart of the
+ * team's points over time
+ * @param {Object} [options] - Command line options
+ * @param {string} [options.event] - Only challenges of this event
+ * @param {string} [options.subEvent] - Only challenges of this sub-event
+ * @param {string} [options.format='text'] - Output as text, json or csv
+ * @param {string} [options.svg] - Write the points chart as SVG to this file
+ */
+async function timeline(options = {}) {
+  try {
+    const { format = 'text' } = options;
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Invalid value for --format: "${format}". Expected one of: ${FORMATS.join(', ')}`);
+    }
+
+    const config = await loadConfig();
+    if (!config) {
+      console.log(chalk.yellow('⚠️ No configuration found. Run `flagtrack setup` first.'));
+      process.exit(1);
+    }
+
+    const repoRoot = await findRepoRoot();
+    if (!repoRoot) {
+      console.log(chalk.yellow('⚠️ Could not find repository root.'));
+      process.exit(1);
+    }
+
+    if (format === 'text') {
+      console.log(chalk.blue('📈 Reading the challenge history from git'));
+    }
+
+    // Keep JSON and CSV output clean of warnings
+    const same = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+    const challenges = (await scanAllChallenges(repoRoot, config, { warnings: format === 'text' }))
+      .filter(challenge => !options.event || same(challenge.competition, options.event))
+      .filter(challenge => !options.subEvent || same(challenge.subEvent, options.subEvent));
+
+    const team = getTeam(config);
+    const entries = [];
+    for (const challenge of challenges) {
+      entries.push({
+        challenge: { ...challenge, solvers: normalizeSolvers(team, processSolvers(challenge.solver)) },
+        history: await getChallengeHistory(repoRoot, path.join(challenge.path, 'writeup.md'), { warnings: format === 'text' })
+      });
+    }
+
+    const events = buildTimeline(entries);
+
+    if (format === 'json') {
+      console.log(JSON.stringify(events, null, 2));
+    } else if (format === 'csv') {
+      console.log(timelineToCsv(events));
+    } else {
+      displayTimeline(events, config);
+    }
+
+    if (options.svg) {
+      const svgPath = path.resolve(options.svg);
+      await files.ensureDir(path.dirname(svgPath));
+      await files.writeFile(svgPath, renderTimelineSvg(events, config));
+      if (format === 'text') {
+        console.log(chalk.green(`📊 Wrote the points chart to ${svgPath}`));
+      }
+    }
+
+  } catch (error) {
+    console.error(chalk.red('❌ Timeline failed:'), error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Print timeline events, oldest first
+ * @param {Array<Object>} events - Result of buildTimeline
+ * @param {Object} config - Loaded config, for the date display settings
+ */
+function displayTimeline(events, config) {
+  if (events.length === 0) {
+    console.log(chalk.yellow('⚠️ No committed challenges found.'));
+    return;
+  }
+
+  console.log();
+  for (const event of events) {
+    const where = `${event.event} / ${event.subEvent} / ${event.category} / ${event.challenge}`;
+    let details = '';
+    if (event.type === 'solved') {
+      const solvers = event.solvers.length > 0 ? ` by ${event.solvers.join(', ')}` : '';
+      details = chalk.gray(` (+${event.points} pts${solvers}, ${event.totalPoints} total)`);
+    }
+    console.log(`${formatDate(event.time, config)}  ${EVENT_LABELS[event.type]}  ${where}${details}`);
+  }
+
+  const solved = events.filter(event => event.type === 'solved').length;
+  console.log();
+  console.log(chalk.blue(`${solved} solved, ${events[events.length - 1].totalPoints} points`));
+}
+
+module.exports = timeline;
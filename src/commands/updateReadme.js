@@ -1,9 +1,158 @@
 const fs = require('fs-extra');
 const path = require('path');
 const chalk = require('chalk');
-const simpleGit = require('simple-git');
 const { loadConfig } = require('../utils/configManager');
 const { findRepoRoot } = require('../utils/gitHelpers');
+const { describeClaim, scanAllChallenges } = require('../utils/challenges');
+const { findCompetitionData } = require('../utils/progress');
+const { files } = require('../utils/dryRun');
+const { formatDate } = require('../utils/dates');
+const { renderTemplate } = require('../utils/template');
+const { slugify } = require('../utils/helpers');
+const { getReadmeSettings } = require('../utils/readme');
+const { getScoring, processLeaderboardData } = require('../utils/scoring');
+const { getTeam } = require('../utils/team');
+const { renderProgressBadge, renderCategoryChart, renderSolverChart } = require('../utils/charts');
+
+// Only the part between these comments is rewritten when both are present
+const START_MARKER = '<!-- flagtrack:start -->';
+const END_MARKER = '<!-- flagtrack:end -->';
+
+/**
+ * Category sections with a table of their challenges
+ * @param {string} heading - Markdown heading of a category, e.g. "####"
+ * @returns {string} Template for the categories of a sub-event
+ */
+function categoryTemplate(heading) {
+  return `{{#categories}}
+${heading} {{name}} ({{solved}}/{{total}} - {{points}} pts)
+
+| # | Challenge | Points | Status | Solver | Flag |
+|:---:|:----------|:------:|:------:|:-------|:------|
+{{#challenges}}
+| {{num}} | [{{displayName}}]({{path}}/writeup.md) | {{points}} | {{status}} | {{solver}} | {{flag}} |
+{{/challenges}}
+
+{{/categories}}
+`;
+}
+
+// Built-in templates by file kind, and the file in .flagtrack/ that replaces them
+const TEMPLATES = {
+  // The root README of the single layout, with every challenge
+  readme: {
+    file: 'readme-template.md',
+    template: `# event Competitions Progress Tracker
+
+> Last updated: {{updated}}
+
+{{#badge}}
+![Progress]({{badge}})
+
+{{/badge}}
+{{#events}}
+## {{name}}
+
+{{#badge}}
+![{{name}} progress]({{badge}})
+
+{{/badge}}
+**Progress:** {{solved}}/{{total}} challenges ({{percent}}%)  
+**Points:** {{points}}
+
+{{#categoryChart}}
+![{{name}} categories]({{categoryChart}})
+
+{{/categoryChart}}
+{{#subEvents}}
+### {{name}} ({{solved}}/{{total}} - {{points}} pts)
+
+${categoryTemplate('####')}{{/subEvents}}
+{{^last}}
+---
+
+{{/last}}
+{{/events}}
+{{#solverChart}}
+---
+
+## Solvers
+
+![Solver contributions]({{solverChart}})
+
+{{/solverChart}}
+`
+  },
+  
+  // The root README of the split layout
+  summary: {
+    file: 'summary-template.md',
+    template: `# event Competitions Progress Tracker
+
+> Last updated: {{updated}}
+
+{{#badge}}
+![Progress]({{badge}})
+
+{{/badge}}
+**Progress:** {{solved}}/{{total}} challenges ({{percent}}%)  
+**Points:** {{points}}
+
+| Event | Progress | Points |
+|:------|:--------:|:------:|
+{{#events}}
+| [{{name}}]({{link}}) | {{solved}}/{{total}} ({{percent}}%) | {{points}} |
+{{/events}}
+{{#solverChart}}
+
+## Solvers
+
+![Solver contributions]({{solverChart}})
+{{/solverChart}}
+`
+  },
+  
+  event: {
+    file: 'event-template.md',
+    template: `# {{name}}
+
+> Last updated: {{updated}}
+
+{{#badge}}
+![{{name}} progress]({{badge}})
+
+{{/badge}}
+**Progress:** {{solved}}/{{total}} challenges ({{percent}}%)  
+**Points:** {{points}}
+
+{{#categoryChart}}
+![{{name}} categories]({{categoryChart}})
+
+{{/categoryChart}}
+| Sub-event | Progress | Points |
+|:----------|:--------:|:------:|
+{{#subEvents}}
+| [{{name}}]({{link}}) | {{solved}}/{{total}} ({{percent}}%) | {{points}} |
+{{/subEvents}}
+
+{{#subEvents}}
+## {{name}} ({{solved}}/{{total}} - {{points}} pts)
+
+${categoryTemplate('###')}{{/subEvents}}`
+  },
+  
+  subEvent: {
+    file: 'sub-event-template.md',
+    template: `# {{event}}: {{name}}
+
+> Last updated: {{updated}}
+
+**Progress:** {{solved}}/{{total}} challenges ({{percent}}%)  
+**Points:** {{points}}
+
+${categoryTemplate('##')}`
+  }
+};
 
 async function updateReadme() {
   console.log(chalk.blue('📊 Generating event progress README'));
@@ -15,339 +164,351 @@ async function updateReadme() {
       process.exit(1);
     }
     
-    // Generate README content
-    const readmeContent = await generateReadme(repoRoot);
+    // Generate the root README, the event READMEs of the split layout and the charts they show
+    const { readmes: [readme, ...eventReadmes], charts } = await generateReadme(repoRoot);
     
-    // Write README to root directory
-    const readmePath = path.join(repoRoot, 'README.md');
-    await fs.writeFile(readmePath, readmeContent, 'utf-8');
+    for (const chart of charts) {
+      await files.ensureDir(path.dirname(chart.path));
+      await files.writeFile(chart.path, chart.content);
+    }
     
-    console.log(chalk.green(`📝 Generated README.md at ${readmePath}`));
+    // Write them, keeping hand-written parts around the markers
+    for (const file of [readme, ...eventReadmes]) {
+      const existing = await fs.pathExists(file.path) ? await fs.readFile(file.path, 'utf-8') : null;
+      await files.writeFile(file.path, applyMarkers(existing, file.content, path.relative(repoRoot, file.path)));
+    }
     
+    console.log(chalk.green(`📝 Generated README.md at ${readme.path}`));
+    if (eventReadmes.length > 0) {
+      console.log(chalk.green(`📝 Generated ${eventReadmes.length} event and sub-event READMEs`));
+    }
+    if (charts.length > 0) {
+      console.log(chalk.green(`📊 Generated ${charts.length} badges and charts in ${path.relative(repoRoot, path.dirname(charts[0].path))}`));
+    }
+  
   } catch (error) {
     console.error(chalk.red('❌ README generation failed:'), error.message);
     process.exit(1);
   }
 }
 
-async function generateReadme(eventRoot) {
-  // Find all competitions and their challenge data
-  const competitions = await findCompetitionData(eventRoot);
-  
-  // Get current time in Norwegian time (UTC+1)
-  const now = new Date();
-  const utcOffset = now.getTimezoneOffset();
-  const norwegianOffset = -60; // UTC+1 in minutes
-  const timezoneDiff = norwegianOffset - (-utcOffset);
+/**
+ * Sum up the challenges of a list of categories
+ * @param {Object[]} categories - Category objects holding challenges
+ * @returns {{ challenges: number, completed: number, points: number }}
+ */
+function summarize(categories) {
+  const stats = { challenges: 0, completed: 0, points: 0 };
   
-  const norwegianTime = new Date(now.getTime() + timezoneDiff * 60 * 1000);
-  const formattedTime = norwegianTime.toISOString().replace('T', ' ').slice(0, 19);
+  for (const category of categories) {
+    stats.challenges += category.challenges.length;
+    stats.completed += category.challenges.filter(c => c.isCompleted).length;
+    stats.points += category.challenges.reduce((sum, c) => sum + (c.isCompleted ? c.points || 0 : 0), 0);
+  }
   
-  // Generate README content
-  let readme = `# event Competitions Progress Tracker
-
-> Last updated: ${formattedTime}
-
-`;
-
-  // Add section for each competition
-  const sortedCompetitions = Object.keys(competitions).sort();
-  for (const compName of sortedCompetitions) {
-    const compData = competitions[compName];
-    const categories = compData.categories;
-    
-    // Calculate competition stats
-    let compChallenges = 0;
-    let compCompleted = 0;
-    let compPoints = 0;
-    
-    for (const catNum in categories) {
-      const category = categories[catNum];
-      compChallenges += category.challenges.length;
-      compCompleted += category.challenges.filter(c => c.isCompleted).length;
-      compPoints += category.challenges.reduce((sum, c) => sum + (c.isCompleted ? c.points : 0), 0);
-    }
-    
-    // Add competition header and stats
-    const progressPercentage = compChallenges ? Math.round((compCompleted / compChallenges) * 100) : 0;
-    readme += `## ${compName}
-
-**Progress:** ${compCompleted}/${compChallenges} challenges (${progressPercentage}%)  
-**Points:** ${compPoints}
+  return stats;
+}
 
-`;
-    
-    // Add category sections, sorted by category number
-    const sortedCategories = Object.keys(categories).sort();
-    for (const catNum of sortedCategories) {
-      const category = categories[catNum];
-      const categoryName = category.name;
-      const challenges = category.challenges.sort((a, b) => a.num.localeCompare(b.num));
-      
-      if (challenges.length === 0) {
-        continue; // Skip empty categories
-      }
-      
-      const completedInCategory = challenges.filter(c => c.isCompleted).length;
-      const categoryPoints = challenges.reduce((sum, c) => sum + (c.isCompleted ? c.points : 0), 0);
-      
-      readme += `### ${categoryName} (${completedInCategory}/${challenges.length} - ${categoryPoints} pts)
+/**
+ * Load a template from .flagtrack/, or the built-in one
+ * @param {string} repoRoot - Repository root path
+ * @param {string} kind - Key of TEMPLATES
+ * @returns {Promise<string>} Template source
+ */
+async function loadTemplate(repoRoot, kind) {
+  const templatePath = path.join(repoRoot, '.flagtrack', TEMPLATES[kind].file);
+  return await fs.pathExists(templatePath)
+    ? fs.readFile(templatePath, 'utf-8')
+    : TEMPLATES[kind].template;
+}
 
-| # | Challenge | Points | Status | Solver | Flag |
-|:---:|:----------|:------:|:------:|:-------|:------|
-`;
-      
-      for (const challenge of challenges) {
-        const status = challenge.isCompleted ? '✅' : '❌';
-        const pointsDisplay = challenge.points ? `${challenge.points}` : 'TBD';
-        
-        // Handle flag display with tooltips for long flags
-        let flagDisplay;
-        if (!challenge.flag || challenge.flag === 'TBD') {
-          flagDisplay = challenge.flag === 'TBD' ? '`TBD`' : 'No flag';
-        } else if (challenge.flag.length > 30) {
-          // Use HTML with title attribute for tooltip on hover
-          const escapedFlag = challenge.flag.replace(/"/g, '&quot;');
-          flagDisplay = `<code title="${escapedFlag}">${challenge.flag.slice(0, 27)}...</code>`;
-        } else {
-          flagDisplay = `\`${challenge.flag}\``;
-        }
-        
-        // Format challenge name with shorter display if needed
-        const challengeName = challenge.name;
-        const challengeDisplay = challengeName.length > 25 
-          ? `${challengeName.slice(0, 22)}...` 
-          : challengeName;
-        
-        // Add solver to the output
-        const solver = challenge.solver || 'Unknown';
-        
-        readme += `| ${challenge.num} | [${challengeDisplay}](${challenge.path}/writeup.md) | ${pointsDisplay} | ${status} | ${solver} | ${flagDisplay} |\n`;
-      }
-      
-      readme += '\n';
-    }
+/**
+ * Generate the README progress tracker. In the single layout, that is one
+ * README at the repository root; in the split layout, the root README only
+ * has a summary and every event and sub-event directory gets its own.
+ * @param {string} repoRoot - Repository root path
+ * @returns {Promise<{ readmes: Array<{ path: string, content: string }>, charts: Array<{ path: string, content: string }> }>}
+ *   Files to write: the READMEs, the root README first, and the SVG charts they link to
+ */
+async function generateReadme(repoRoot) {
+  const config = await loadConfig();
+  const settings = getReadmeSettings(config);
+  
+  // Find all competitions and their challenge data
+  const competitions = await findCompetitionData(repoRoot, config);
+  
+  // Shown in the timezone and format from the display config
+  const updated = formatDate(new Date(), config);
+  const readmePath = path.join(repoRoot, 'README.md');
+  const charts = settings.charts
+    ? buildCharts(competitions, await scanAllChallenges(repoRoot, config, { warnings: false }), path.join(repoRoot, settings.chartsDir), config)
+    : null;
+  const chartFiles = charts ? charts.files : [];
+  
+  if (settings.layout === 'single') {
+    const view = { updated, ...buildReadmeView(competitions, repoRoot, repoRoot, settings.filename, charts) };
+    return {
+      readmes: [{ path: readmePath, content: renderTemplate(await loadTemplate(repoRoot, 'readme'), view) }],
+      charts: chartFiles
+    };
+  }
+  
+  const readmes = [{
+    path: readmePath,
+    content: renderTemplate(
+      await loadTemplate(repoRoot, 'summary'),
+      { updated, ...buildReadmeView(competitions, repoRoot, repoRoot, settings.filename, charts) }
+    )
+  }];
+  const eventTemplate = await loadTemplate(repoRoot, 'event');
+  const subEventTemplate = await loadTemplate(repoRoot, 'subEvent');
+  
+  for (const compName of Object.keys(competitions).sort()) {
+    const eventDir = competitions[compName].path;
+    const event = buildEventView(compName, competitions[compName], repoRoot, eventDir, settings.filename, charts);
+    readmes.push({
+      path: path.join(eventDir, settings.filename),
+      content: renderTemplate(eventTemplate, { updated, ...event })
+    });
     
-    // Add separator between competitions except for the last one
-    if (compName !== sortedCompetitions[sortedCompetitions.length - 1]) {
-      readme += '---\n\n';
+    for (const subEventName of Object.keys(competitions[compName].subEvents).sort()) {
+      const subEventDir = competitions[compName].subEvents[subEventName].path;
+      const subEvent = buildEventView(compName, competitions[compName], repoRoot, subEventDir, settings.filename)
+        .subEvents.find(item => item.name === subEventName);
+      readmes.push({
+        path: path.join(subEventDir, settings.filename),
+        content: renderTemplate(subEventTemplate, { updated, event: compName, ...subEvent })
+      });
     }
   }
   
-  return readme;
+  return { readmes, charts: chartFiles };
 }
 
-async function findCompetitionData(eventRoot) {
-  const competitions = {};
-  const categoryPattern = /^\d{2}_/;
+/**
+ * Render the progress badges and charts: one badge for all events and one per
+ * event, a category chart per event and a chart of the solvers' points
+ * @param {Object} competitions - Result of findCompetitionData
+ * @param {Array} challenges - Result of scanAllChallenges, for the solver chart
+ * @param {string} chartsDir - Directory to write the charts to
+ * @param {Object} [config] - Loaded config, for the team roster and the leaderboard scoring
+ * @returns {{ files: Array<{ path: string, content: string }>, progress: string, solvers: string, events: Object }}
+ *   The files, and the paths of the charts for the views; events maps event names to { badge, categories }
+ */
+function buildCharts(competitions, challenges, chartsDir, config) {
+  const allCategories = Object.values(competitions).flatMap(comp =>
+    Object.values(comp.subEvents).flatMap(subEvent => Object.values(subEvent.categories))
+  );
+  const charts = {
+    files: [],
+    progress: path.join(chartsDir, 'progress.svg'),
+    solvers: path.join(chartsDir, 'solvers.svg'),
+    events: {}
+  };
   
-  // Load configuration to check for parent directory
-  const config = await loadConfig();
-  const parentDir = config && config.parentDir ? config.parentDir : null;
+  charts.files.push({ path: charts.progress, content: renderProgressBadge('progress', toCounts(summarize(allCategories))) });
   
-  // First, check if we have a parent directory
-  let competitionsRoot = eventRoot;
-  if (parentDir) {
-    const parentDirPath = path.join(eventRoot, parentDir);
-    if (await fs.pathExists(parentDirPath)) {
-      competitionsRoot = parentDirPath;
-    }
-  }
-  
-  // Find all directories that could be competitions
-  let items;
-  try {
-    items = await fs.readdir(competitionsRoot, { withFileTypes: true });
-  } catch (error) {
-    console.log(chalk.yellow(`⚠️ Could not read directory ${competitionsRoot}: ${error.message}`));
-    return competitions;
-  }
-  
-  for (const item of items) {
-    if (!item.isDirectory() || item.name.startsWith('.')) {
-      continue;
+  const slugs = new Set(['progress', 'solvers']);
+  for (const compName of Object.keys(competitions).sort()) {
+    let slug = slugify(compName) || 'event';
+    for (let i = 2; slugs.has(slug); i++) {
+      slug = `${slugify(compName) || 'event'}_${i}`;
     }
+    slugs.add(slug);
     
-    const itemPath = path.join(competitionsRoot, item.name);
-    
-    // Check if this directory contains category folders
-    let hasCategories = false;
-    try {
-      const subitems = await fs.readdir(itemPath, { withFileTypes: true });
-      for (const subitem of subitems) {
-        if (subitem.isDirectory() && categoryPattern.test(subitem.name)) {
-          hasCategories = true;
-          break;
+    // Categories of the same name are counted together across sub-events
+    const categories = {};
+    for (const subEvent of Object.values(competitions[compName].subEvents)) {
+      for (const category of Object.values(subEvent.categories)) {
+        if (!categories[category.name]) {
+          categories[category.name] = { challenges: [] };
         }
+        categories[category.name].challenges.push(...category.challenges);
       }
-    } catch (error) {
-      console.log(chalk.yellow(`⚠️ Could not read directory ${itemPath}: ${error.message}`));
-      continue;
     }
     
-    if (hasCategories) {
-      competitions[item.name] = {
-        path: itemPath,
-        categories: {}
-      };
-    }
-  }
-  
-  // For each competition, find all categories and challenges
-  for (const compName in competitions) {
-    const compData = competitions[compName];
-    const compPath = compData.path;
-    const categories = compData.categories;
-    
-    // Find all category folders
-    try {
-      const items = await fs.readdir(compPath, { withFileTypes: true });
-      
-      for (const item of items) {
-        if (item.isDirectory() && categoryPattern.test(item.name)) {
-          const categoryNum = item.name.slice(0, 2);
-          const categoryName = item.name.slice(3);
-          categories[categoryNum] = {
-            name: categoryName,
-            path: path.join(compPath, item.name),
-            challenges: []
-          };
-        }
-      }
-      
-      // Find all challenge folders within categories
-      for (const catNum in categories) {
-        const category = categories[catNum];
-        const catItems = await fs.readdir(category.path, { withFileTypes: true });
-        
-        for (const item of catItems) {
-          if (item.isDirectory()) {
-            const writeupPath = path.join(category.path, item.name, 'writeup.md');
-            
-            if (await fs.pathExists(writeupPath)) {
-              // Extract challenge number if it follows the pattern, otherwise use "00"
-              const challengeNum = categoryPattern.test(item.name) ? item.name.slice(0, 2) : '00';
-              
-              try {
-                const metadata = await extractMetadata(writeupPath, eventRoot);
-                
-                category.challenges.push({
-                  num: challengeNum,
-                  path: path.relative(eventRoot, path.join(category.path, item.name)),
-                  ...metadata
-                });
-              } catch (error) {
-                console.log(chalk.yellow(`⚠️ Error processing ${writeupPath}: ${error.message}`));
-              }
-            }
-          }
-        }
+    const event = {
+      badge: path.join(chartsDir, `${slug}.svg`),
+      categories: path.join(chartsDir, `${slug}-categories.svg`)
+    };
+    charts.events[compName] = event;
+    charts.files.push(
+      { path: event.badge, content: renderProgressBadge(compName, toCounts(summarize(Object.values(categories)))) },
+      {
+        path: event.categories,
+        content: renderCategoryChart(`${compName}: categories`, Object.keys(categories).sort().map(name => ({
+          name,
+          ...toCounts(summarize([categories[name]]))
+        })))
       }
-    } catch (error) {
-      console.log(chalk.yellow(`⚠️ Could not process competition ${compName}: ${error.message}`));
-    }
+    );
   }
   
-  if (Object.keys(competitions).length === 0) {
-    console.log(chalk.yellow('⚠️ No competitions found. Make sure your directory structure is correct.'));
-  }
+  // Solvers are credited as on the leaderboard: from the same scan, with its roster and scoring
+  const { solvers: solverList } = processLeaderboardData(challenges, getTeam(config), getScoring(config));
+  charts.files.push({ path: charts.solvers, content: renderSolverChart('Solver contributions', solverList) });
   
-  return competitions;
+  return charts;
 }
 
-async function extractMetadata(writeupPath, eventRoot) {
-  const content = await fs.readFile(writeupPath, 'utf-8');
-  
-  // Extract challenge name from first heading
-  const nameMatch = content.match(/# 🧩 (.+)/);
-  const name = nameMatch ? nameMatch[1] : 'Unknown Challenge';
-  
-  // Extract points
-  const pointsMatch = content.match(/\*\*Points:\*\* (\d+)/);
-  const points = pointsMatch && pointsMatch[1] !== 'TBD' ? parseInt(pointsMatch[1]) : 0;
+/**
+ * Build the values a README template is rendered with
+ * @param {Object} competitions - Result of findCompetitionData
+ * @param {string} repoRoot - Repository root path
+ * @param {string} baseDir - Directory of the README, links are relative to it
+ * @param {string} filename - Name of the event and sub-event READMEs, for links
+ * @param {Object|null} [charts] - Result of buildCharts, null without charts
+ * @returns {Object} Template values: solved, total, points, percent, the events list and the chart links
+ */
+function buildReadmeView(competitions, repoRoot, baseDir, filename, charts = null) {
+  const sortedCompetitions = Object.keys(competitions).sort();
   
-  // Extract category
-  const categoryMatch = content.match(/\*\*Category:\*\* (.+)/);
-  const category = categoryMatch ? categoryMatch[1].trim() : 'Uncategorized';
+  const events = sortedCompetitions.map((compName, index) => ({
+    ...buildEventView(compName, competitions[compName], repoRoot, baseDir, filename, charts),
+    last: index === sortedCompetitions.length - 1
+  }));
   
-  // Check if flag is present and is a real flag (not a placeholder)
-  const flagMatch = content.match(/\*\*Flag:\*\* `(.+)`/);
-  const flag = flagMatch ? flagMatch[1] : '';
+  return {
+    ...toCounts(summarize(Object.values(competitions).flatMap(comp =>
+      Object.values(comp.subEvents).flatMap(subEvent => Object.values(subEvent.categories))
+    ))),
+    badge: charts ? toLink(baseDir, charts.progress) : null,
+    solverChart: charts ? toLink(baseDir, charts.solvers) : null,
+    events
+  };
+}
+
+/**
+ * Build the template values of one event
+ * @param {string} compName - Event name
+ * @param {Object} competition - The event in findCompetitionData's result
+ * @param {string} repoRoot - Repository root path
+ * @param {string} baseDir - Directory of the README, links are relative to it
+ * @param {string} filename - Name of the event and sub-event READMEs, for links
+ * @param {Object|null} [charts] - Result of buildCharts, null without charts
+ * @returns {Object} Counts, link, chart links and the subEvents list
+ */
+function buildEventView(compName, competition, repoRoot, baseDir, filename, charts = null) {
+  const subEvents = competition.subEvents;
   
-  // Extract solver from the file
-  const solverMatch = content.match(/\*\*Solver:\*\* (.+)/);
-  const fileSolver = solverMatch ? solverMatch[1].trim() : 'Unknown';
+  // Calculate competition stats
+  const allCategories = Object.values(subEvents).flatMap(subEvent => Object.values(subEvent.categories));
+  const eventCharts = charts && charts.events[compName];
   
-  // A task is considered completed if:
-  // 1. A flag exists
-  // 2. The flag is not "TBD" (which indicates an unsolved challenge)
-  const isCompleted = flag && flag !== 'TBD';
+  return {
+    name: compName,
+    ...toCounts(summarize(allCategories)),
+    link: toLink(baseDir, path.join(competition.path, filename)),
+    badge: eventCharts ? toLink(baseDir, eventCharts.badge) : null,
+    categoryChart: eventCharts ? toLink(baseDir, eventCharts.categories) : null,
+    subEvents: Object.keys(subEvents).sort().map(subEventName => {
+      const categories = subEvents[subEventName].categories;
+      
+      return {
+        name: subEventName,
+        ...toCounts(summarize(Object.values(categories))),
+        link: toLink(baseDir, path.join(subEvents[subEventName].path, filename)),
+        // Category sections, sorted by category number, without empty ones
+        categories: Object.keys(categories).sort()
+          .map(catNum => categories[catNum])
+          .filter(category => category.challenges.length > 0)
+          .map(category => ({
+            name: category.name,
+            ...toCounts(summarize([category])),
+            challenges: category.challenges
+              .sort((a, b) => a.num.localeCompare(b.num))
+              .map(challenge => buildChallengeView(challenge, toLink(baseDir, path.join(repoRoot, challenge.path))))
+          }))
+      };
+    })
+  };
+}
+
+/**
+ * Rename summarize() counts for templates, where "challenges" is the list
+ * @param {{ challenges: number, completed: number, points: number }} stats - Counts
+ * @returns {{ total: number, solved: number, points: number, percent: number }} Template counts
+ */
+function toCounts(stats) {
+  return {
+    total: stats.challenges,
+    solved: stats.completed,
+    points: stats.points,
+    percent: stats.challenges ? Math.round((stats.completed / stats.challenges) * 100) : 0
+  };
+}
+
+/**
+ * Markdown link from one directory to a file or directory
+ * @param {string} fromDir - Directory of the linking README
+ * @param {string} target - Absolute path of the target
+ * @returns {string} Relative link with forward slashes
+ */
+function toLink(fromDir, target) {
+  return path.relative(fromDir, target).split(path.sep).join('/');
+}
+
+/**
+ * Build the template values of one challenge row
+ * @param {Object} challenge - Challenge from findCompetitionData
+ * @param {string} challengePath - Link to the challenge directory
+ * @returns {Object} Raw values plus display versions of the name, status, solver and flag
+ */
+function buildChallengeView(challenge, challengePath) {
+  const claim = describeClaim(challenge);
   
-  // If the challenge is completed, try to get the solver from git history
-  let gitSolver = null;
-  if (isCompleted) {
-    gitSolver = await getFlagSolver(eventRoot, writeupPath);
+  // Handle flag display with tooltips for long flags
+  let flagDisplay;
+  if (!challenge.flag) {
+    flagDisplay = '`TBD`';
+  } else if (challenge.flag.length > 30) {
+    // Use HTML with title attribute for tooltip on hover
+    const escapedFlag = challenge.flag.replace(/"/g, '&quot;');
+    flagDisplay = `<code title="${escapedFlag}">${challenge.flag.slice(0, 27)}...</code>`;
+  } else {
+    flagDisplay = `\`${challenge.flag}\``;
   }
   
-  // Prefer the git solver if available, otherwise use the file solver
-  const solver = gitSolver || fileSolver;
-  
   return {
-    name,
-    points,
-    category,
-    isCompleted,
-    hasFlag: Boolean(flag),
-    solver,
-    flag
+    num: challenge.num,
+    name: challenge.name,
+    // Format challenge name with shorter display if needed
+    displayName: challenge.name.length > 25 ? `${challenge.name.slice(0, 22)}...` : challenge.name,
+    path: challengePath,
+    category: challenge.category,
+    points: challenge.points !== null ? `${challenge.points}` : 'TBD',
+    isCompleted: challenge.isCompleted,
+    status: challenge.isCompleted ? '✅' : claim ? '🔨' : '❌',
+    // The solver, or who is working on it
+    solver: claim || challenge.solver || 'Unknown',
+    assignee: challenge.assignee,
+    flag: flagDisplay,
+    rawFlag: challenge.flag
   };
 }
 
-async function getFlagSolver(repoRoot, writeupPath) {
-  try {
-    const relativePath = path.relative(repoRoot, writeupPath);
-    
-    const git = simpleGit(repoRoot);
-    
-    // Get the git log with changes to the file showing who added/changed the flag
-    const logOptions = [
-      '-p',               // Show patches
-      '--follow',         // Follow file renames
-      '-S**Flag:** `',    // Look for string changes containing this pattern
-      '--',
-      relativePath
-    ];
-    
-    const logs = await git.log(logOptions);
-    
-    if (!logs || !logs.all || logs.all.length === 0) {
-      return null;
-    }
-    
-    // Parse the log to find commits that changed the flag from TBD to something else
-    for (const commit of logs.all) {
-      // Get the diff for this commit
-      const diff = await git.show([
-        commit.hash,
-        '--format=',  // No header, just diff
-        '-p',
-        relativePath
-      ]);
-      
-      // Look for the flag pattern change
-      const flagPattern = /-\s*\*\*Flag:\*\* `TBD`.*\n\+\s*\*\*Flag:\*\* `([^`]+)`/;
-      const flagMatch = diff.match(flagPattern);
-      
-      if (flagMatch) {
-        return commit.author_name.trim();
-      }
-    }
-    
-    return null;
-  } catch (error) {
-    console.log(chalk.yellow(`⚠️ Could not determine solver from git history: ${error.message}`));
-    return null;
+/**
+ * Put generated content into a README. When the README has marker comments,
+ * only the part between them is replaced and the rest is kept as written.
+ * @param {string|null} existing - Current README content, null if there is none
+ * @param {string} generated - Generated markdown
+ * @param {string} [name='README.md'] - File name for the error message
+ * @returns {string} New README content
+ * @throws {Error} If only one of the markers is present
+ */
+function applyMarkers(existing, generated, name = 'README.md') {
+  const start = existing === null ? -1 : existing.indexOf(START_MARKER);
+  const end = existing === null ? -1 : existing.indexOf(END_MARKER, start);
+  
+  if (start === -1 && (existing === null || !existing.includes(END_MARKER))) {
+    return generated;
   }
+  if (start === -1 || end === -1) {
+    throw new Error(`${name} must contain both ${START_MARKER} and ${END_MARKER}, in that order.`);
+  }
+  
+  const body = generated.endsWith('\n') ? generated : `${generated}\n`;
+  return `${existing.slice(0, start + START_MARKER.length)}\n${body}${existing.slice(end)}`;
 }
 
 module.exports = updateReadme;
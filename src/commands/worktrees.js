@@ -0,0 +1,118 @@
+const path = require('path');
+const chalk = require('chalk');
+const { loadConfig } = require('../utils/configManager');
+const { isGitRepo, getDefaultBranch, listWorktrees, getWorktreeDir } = require('../utils/gitHelpers');
+const { getGit } = require('../utils/dryRun');
+
+/**
+ * List the task worktrees, or clean up the ones that are no longer needed.
+ * Pruning drops worktrees whose folder was deleted and removes worktrees in
+ * the worktree directory whose branch is merged into the default branch.
+ * Worktrees with uncommitted changes are kept.
+ *
+ * @param {Object} [options] - Command line options
+ * @param {boolean} [options.prune=false] - Remove stale and merged worktrees
+ */
+async function worktrees(options = {}) {
+  console.log(chalk.blue('🌳 Task worktrees'));
+
+  try {
+    if (!await isGitRepo()) {
+      console.log(chalk.yellow('⚠️ Not in a git repository.'));
+      process.exit(1);
+    }
+
+    // The config only adds settings here, so a repo without one still works
+    const config = await loadConfig();
+    const defaultBranch = await getDefaultBranch(config);
+    const worktreeDir = await getWorktreeDir(config);
+    const merged = await getMergedBranches(defaultBranch);
+
+    const linked = (await listWorktrees()).filter(worktree => !worktree.main);
+    if (linked.length === 0) {
+      console.log(chalk.green('✅ No task worktrees.'));
+      return;
+    }
+
+    if (!options.prune) {
+      for (const worktree of linked) {
+        const status = describeWorktree(worktree, merged, defaultBranch);
+        console.log(`${(worktree.branch || '(detached)').padEnd(30)} ${worktree.path}${status ? chalk.yellow(`  [${status}]`) : ''}`);
+      }
+      console.log(chalk.blue(`${linked.length} worktree${linked.length === 1 ? '' : 's'} in use. Run \`flagtrack worktrees --prune\` to clean up.`));
+      return;
+    }
+
+    const git = getGit();
+    console.log(chalk.blue('🧹 Pruning worktrees whose folder is gone...'));
+    await git.raw(['worktree', 'prune']);
+
+    let removed = linked.filter(worktree => worktree.prunable).length;
+    for (const worktree of linked) {
+      if (worktree.prunable || !merged.includes(worktree.branch) || !isInside(worktree.path, worktreeDir)) {
+        continue;
+      }
+
+      try {
+        await git.raw(['worktree', 'remove', worktree.path]);
+        console.log(chalk.green(`✅ Removed ${worktree.path} (${worktree.branch} is merged into ${defaultBranch})`));
+        removed++;
+      } catch (error) {
+        console.log(chalk.yellow(`⚠️ Kept ${worktree.path}: ${error.message}`));
+      }
+    }
+
+    console.log(chalk.green(`✅ Pruned ${removed} worktree${removed === 1 ? '' : 's'}.`));
+
+  } catch (error) {
+    console.error(chalk.red('❌ Worktrees failed:'), error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Get the local branches that are fully merged into a branch
+ * @param {string} branch - Branch to compare against
+ * @returns {Promise<string[]>} Merged branch names
+ */
+async function getMergedBranches(branch) {
+  try {
+    const output = await getGit().raw(['branch', '--merged', branch, '--format=%(refname:short)']);
+    return output.split('\n').map(line => line.trim()).filter(name => name && name !== branch);
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Describe why a worktree could be cleaned up
+ * @param {Object} worktree - Worktree from listWorktrees
+ * @param {string[]} merged - Branches merged into the default branch
+ * @param {string} defaultBranch - Default branch
+ * @returns {string|null} Short status, or null if the worktree is in use
+ */
+function describeWorktree(worktree, merged, defaultBranch) {
+  if (worktree.prunable) {
+    return 'missing';
+  }
+  if (merged.includes(worktree.branch)) {
+    return `merged into ${defaultBranch}`;
+  }
+  return null;
+}
+
+/**
+ * Check whether a path is inside a directory
+ * @param {string} filePath - Path to check
+ * @param {string|null} dir - Directory
+ * @returns {boolean} True if the path is inside the directory
+ */
+function isInside(filePath, dir) {
+  if (!dir) {
+    return false;
+  }
+  const relative = path.relative(dir, filePath);
+  return Boolean(relative) && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+module.exports = worktrees;
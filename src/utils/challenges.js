@@ -0,0 +1,175 @@
+const path = require('path');
+const chalk = require('chalk');
+const { getCurrentBranch } = require('./gitHelpers');
+const { getGit } = require('./dryRun');
+const { isOffline } = require('./offline');
+const { getEventContext } = require('./helpers');
+const { findTasks, findTaskByBranch } = require('./eventModel');
+const { parseWriteup, readWriteup, reportWarnings, splitSolvers } = require('./writeup');
+
+/**
+ * Process solver string to handle team efforts and multiple solvers
+ * @param {string} solverStr - The solver string from writeup
+ * @returns {string[]} Array of individual solvers
+ */
+function processSolvers(solverStr) {
+  if (!solverStr || solverStr === 'TBD' || solverStr === 'Unknown') {
+    return [];
+  }
+
+  // Handle "Team effort" case
+  if (solverStr.toLowerCase().includes('team effort')) {
+    return ['Team effort'];
+  }
+
+  // Split by commas, ampersands, and "and" to handle multiple solvers
+  return splitSolvers(solverStr);
+}
+
+/**
+ * Scan all challenges in the repository
+ * @param {string} repoRoot - Repository root path
+ * @param {Object} config - Configuration object
+ * @param {Object} [options] - Scan options
+ * @param {boolean} [options.warnings=true] - Print writeup parse warnings
+ * @returns {Promise<Array>} Array of challenge objects; points is null when unknown
+ */
+async function scanAllChallenges(repoRoot, config, options = {}) {
+  const { warnings = true } = options;
+  const challenges = [];
+  const tasks = await findTasks(repoRoot, config);
+
+  for (const task of tasks) {
+    try {
+      // Extract challenge metadata
+      const writeup = await readWriteup(task.writeupPath);
+      if (warnings) {
+        reportWarnings(task.writeupPath, writeup.warnings);
+      }
+
+      challenges.push({
+        name: writeup.name || task.folderName,
+        points: writeup.points,
+        category: task.category,
+        isCompleted: writeup.isSolved,
+        solver: writeup.solver,
+        flag: writeup.flag,
+        tags: writeup.tags,
+        difficulty: writeup.meta.difficulty !== undefined ? writeup.meta.difficulty : null,
+        assignee: writeup.assignee,
+        claimed: writeup.claimed,
+        competition: task.event,
+        subEvent: task.subEvent,
+        categoryNum: task.categoryNum,
+        taskNum: task.taskNum,
+        path: task.path
+      });
+
+    } catch (error) {
+      if (warnings) {
+        console.log(chalk.yellow(`⚠️ Error processing ${task.writeupPath}: ${error.message}`));
+      }
+    }
+  }
+
+  return challenges;
+}
+
+/**
+ * Find the task being worked on: the one of the current branch, or else the
+ * task folder we are standing in
+ * @param {string} repoRoot - Repository root path
+ * @param {Object} config - Loaded config
+ * @returns {Promise<{ task: Object|null, branch: string|null, context: Object }>}
+ *   The task (as returned by findTasks), the current branch and the event context
+ */
+async function findCurrentTask(repoRoot, config) {
+  const context = await getEventContext(config);
+  const branch = await getCurrentBranch();
+
+  let task = branch ? await findTaskByBranch(repoRoot, config, branch, context) : null;
+  if (!task && context.taskPath) {
+    const contextTasks = await findTasks(repoRoot, config, context);
+    task = contextTasks.find(contextTask => contextTask.path === context.taskPath) || null;
+  }
+
+  return { task, branch, context };
+}
+
+/**
+ * Describe who is working on a task
+ * @param {Object} record - Parsed writeup or challenge with assignee/claimed
+ * @returns {string|null} "in progress by X", or null if unclaimed or solved
+ */
+function describeClaim(record) {
+  if (!record.assignee || record.isSolved || record.isCompleted) {
+    return null;
+  }
+  return `in progress by ${record.assignee}`;
+}
+
+/**
+ * Find claimed tasks on the remote branches. A claim is committed on its task
+ * branch, so teammates' claims only show there: the remotes are fetched
+ * (unless offline) and the writeups of a folder are read from every remote
+ * branch. Problems are reported as warnings; what was found so far is returned.
+ * @param {string} repoRoot - Repository root path
+ * @param {string} dirPath - Folder holding the task folders, e.g. a category folder
+ * @param {string} prefix - Only task folders whose name starts with this
+ * @param {Object} [config] - Loaded config, for offline mode
+ * @returns {Promise<Array<{ branch: string, folder: string, writeup: Object }>>} Claims with the remote branch they are on
+ */
+async function findRemoteClaims(repoRoot, dirPath, prefix, config) {
+  const claims = [];
+  const relativeDir = path.relative(repoRoot, dirPath).split(path.sep).join('/');
+  
+  try {
+    const git = getGit(repoRoot);
+    
+    if (!isOffline(config)) {
+      try {
+        await git.fetch(['--all', '--quiet']);
+      } catch (error) {
+        console.log(chalk.yellow(`⚠️ Could not fetch the remotes, checking the last fetched branches for claims: ${error.message}`));
+      }
+    }
+    
+    const branches = (await git.raw(['for-each-ref', '--format=%(refname:short)', 'refs/remotes']))
+      .split('\n')
+      .map(line => line.trim())
+      .filter(branch => branch && !branch.endsWith('/HEAD'));
+    
+    for (const branch of branches) {
+      const folders = (await git.raw(['ls-tree', '--name-only', branch, `${relativeDir}/`]))
+        .split('\n')
+        .map(line => line.trim().split('/').pop())
+        .filter(folder => folder && folder.startsWith(prefix));
+      
+      for (const folder of folders) {
+        let content;
+        try {
+          content = await git.show([`${branch}:${relativeDir}/${folder}/writeup.md`]);
+        } catch (error) {
+          continue; // Not a task folder
+        }
+        
+        const writeup = parseWriteup(content);
+        if (describeClaim(writeup)) {
+          claims.push({ branch, folder, writeup });
+        }
+      }
+    }
+  } catch (error) {
+    console.log(chalk.yellow(`⚠️ Could not check the remote branches for claims: ${error.message}`));
+  }
+  
+  return claims;
+}
+
+module.exports = {
+  processSolvers,
+  scanAllChallenges,
+  findCurrentTask,
+  describeClaim,
+  findRemoteClaims
+};
@@ -0,0 +1,167 @@
+/**
+ * SVG badges and bar charts for the README. They are written as local files
+ * and linked relatively, so they work without an external badge service.
+ */
+const { escapeHtml } = require('./markdown');
+
+// Badge colors from low to high progress
+const PROGRESS_COLORS = [
+  { min: 100, color: '#44cc11' },
+  { min: 75, color: '#97ca00' },
+  { min: 50, color: '#dfb317' },
+  { min: 25, color: '#fe7d37' },
+  { min: 0, color: '#e05d44' }
+];
+
+const EMPTY_COLOR = '#9f9f9f';
+const BAR_COLOR = '#0969da';
+const TRACK_COLOR = '#eaeef2';
+
+/**
+ * Estimate the width of text in the 11px sans-serif font of badges and charts
+ * @param {string} text - Text
+ * @returns {number} Width in pixels
+ */
+function textWidth(text) {
+  return Math.ceil([...String(text)].reduce((width, char) => {
+    if (/[il.,:;|!'() ]/.test(char)) return width + 3.5;
+    if (/[mwMW@%]/.test(char)) return width + 10;
+    if (/[A-Z0-9]/.test(char)) return width + 7.5;
+    return width + 6.5;
+  }, 0));
+}
+
+/**
+ * Pick the badge color of a progress percentage
+ * @param {number} percent - Solved challenges in percent
+ * @param {number} total - Number of challenges; grey without any
+ * @returns {string} CSS color
+ */
+function progressColor(percent, total) {
+  if (!total) {
+    return EMPTY_COLOR;
+  }
+  return PROGRESS_COLORS.find(step => percent >= step.min).color;
+}
+
+/**
+ * Render a flat badge with a label on the left and a message on the right
+ * @param {string} label - Left text, e.g. the event name
+ * @param {string} message - Right text, e.g. "3/10 (30%)"
+ * @param {string} color - Background color of the message
+ * @returns {string} SVG document
+ */
+function renderBadge(label, message, color) {
+  const labelWidth = textWidth(label) + 12;
+  const messageWidth = textWidth(message) + 12;
+  const width = labelWidth + messageWidth;
+  const title = escapeHtml(`${label}: ${message}`);
+
+  return `${[
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20" role="img" aria-label="${title}">`,
+    `<title>${title}</title>`,
+    '<linearGradient id="shade" x2="0" y2="100%"><stop offset="0" stop-color="#bbb" stop-opacity=".1"/><stop offset="1" stop-opacity=".1"/></linearGradient>',
+    `<clipPath id="round"><rect width="${width}" height="20" rx="3" fill="#fff"/></clipPath>`,
+    '<g clip-path="url(#round)">',
+    `<rect width="${labelWidth}" height="20" fill="#555"/>`,
+    `<rect x="${labelWidth}" width="${messageWidth}" height="20" fill="${color}"/>`,
+    `<rect width="${width}" height="20" fill="url(#shade)"/>`,
+    '</g>',
+    '<g fill="#fff" text-anchor="middle" font-family="Verdana,Geneva,DejaVu Sans,sans-serif" font-size="11">',
+    `<text x="${labelWidth / 2}" y="14">${escapeHtml(label)}</text>`,
+    `<text x="${labelWidth + messageWidth / 2}" y="14">${escapeHtml(message)}</text>`,
+    '</g>',
+    '</svg>'
+  ].join('\n')}\n`;
+}
+
+/**
+ * Render the progress badge of an event
+ * @param {string} name - Event name
+ * @param {{ solved: number, total: number, percent: number }} counts - Challenge counts
+ * @returns {string} SVG document
+ */
+function renderProgressBadge(name, counts) {
+  return renderBadge(name, `${counts.solved}/${counts.total} (${counts.percent}%)`, progressColor(counts.percent, counts.total));
+}
+
+/**
+ * Render a horizontal bar chart, one labelled row per bar
+ * @param {string} title - Chart title
+ * @param {Array<{ label: string, fraction: number, text: string }>} allBars - Bars, fraction between 0 and 1
+ * @param {string} emptyText - Shown when there are no bars
+ * @returns {string} SVG document
+ */
+function renderBars(title, allBars, emptyText) {
+  // Long labels are shortened to fit the label column
+  const bars = allBars.map(bar => ({ ...bar, label: bar.label.length > 22 ? `${bar.label.slice(0, 21)}…` : bar.label }));
+  const width = 520;
+  const rowHeight = 24;
+  const top = 34;
+  const labelWidth = Math.min(160, Math.max(60, ...bars.map(bar => textWidth(bar.label))) + 16);
+  const textColumn = Math.max(78, ...bars.map(bar => textWidth(bar.text))) + 12;
+  const barWidth = width - labelWidth - textColumn - 12;
+  const height = top + Math.max(bars.length, 1) * rowHeight + 8;
+
+  const lines = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="sans-serif" font-size="11">`,
+    `<title>${escapeHtml(title)}</title>`,
+    `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+    `<text x="12" y="20" font-size="13" font-weight="bold" fill="#1f2328">${escapeHtml(title)}</text>`
+  ];
+
+  if (bars.length === 0) {
+    lines.push(`<text x="12" y="${top + 16}" fill="#57606a">${escapeHtml(emptyText)}</text>`);
+  }
+
+  bars.forEach((bar, index) => {
+    const y = top + index * rowHeight;
+    const filled = Math.max(0, Math.min(1, bar.fraction)) * barWidth;
+    lines.push(
+      `<text x="${labelWidth - 8}" y="${y + 15}" text-anchor="end" fill="#1f2328">${escapeHtml(bar.label)}</text>`,
+      `<rect x="${labelWidth}" y="${y + 4}" width="${barWidth}" height="16" rx="3" fill="${TRACK_COLOR}"/>`,
+      `<rect x="${labelWidth}" y="${y + 4}" width="${filled.toFixed(1)}" height="16" rx="3" fill="${BAR_COLOR}"/>`,
+      `<text x="${labelWidth + barWidth + 8}" y="${y + 15}" fill="#57606a">${escapeHtml(bar.text)}</text>`
+    );
+  });
+
+  lines.push('</svg>');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Render the solved share of every category as bars
+ * @param {string} title - Chart title
+ * @param {Array<{ name: string, solved: number, total: number, points: number }>} categories - Category counts
+ * @returns {string} SVG document
+ */
+function renderCategoryChart(title, categories) {
+  return renderBars(title, categories.map(category => ({
+    label: category.name,
+    fraction: category.total ? category.solved / category.total : 0,
+    text: `${category.solved}/${category.total} · ${category.points} pts`
+  })), 'No challenges yet');
+}
+
+/**
+ * Render the points of every solver as bars, relative to the best solver
+ * @param {string} title - Chart title
+ * @param {Array<{ name: string, points: number, solved: number }>} solvers - Solvers, best first
+ * @returns {string} SVG document
+ */
+function renderSolverChart(title, solvers) {
+  const maxPoints = Math.max(0, ...solvers.map(solver => solver.points));
+
+  return renderBars(title, solvers.map(solver => ({
+    label: solver.name,
+    fraction: maxPoints ? solver.points / maxPoints : 0,
+    text: `${solver.points} pts · ${solver.solved} solved`
+  })), 'No solves yet');
+}
+
+module.exports = {
+  renderBadge,
+  renderProgressBadge,
+  renderCategoryChart,
+  renderSolverChart
+};
@@ -0,0 +1,85 @@
+/**
+ * Timestamps are stored as ISO 8601 in UTC and only converted when shown.
+ * The timezone and format come from the `display` section of the config:
+ *
+ *   display:
+ *     timezone: Europe/Oslo          # IANA timezone, default UTC
+ *     date_format: DD.MM.YYYY HH:mm  # default YYYY-MM-DD HH:mm:ss z
+ *
+ * Format tokens: YYYY, MM, DD, HH, mm, ss and z (timezone name). Anything
+ * else is copied as is.
+ */
+const DEFAULT_TIMEZONE = 'UTC';
+const DEFAULT_FORMAT = 'YYYY-MM-DD HH:mm:ss z';
+const TOKEN_PATTERN = /YYYY|MM|DD|HH|mm|ss|z/g;
+
+// Intl part that each format token is read from
+const TOKEN_PARTS = {
+  YYYY: 'year',
+  MM: 'month',
+  DD: 'day',
+  HH: 'hour',
+  mm: 'minute',
+  ss: 'second',
+  z: 'timeZoneName'
+};
+
+/**
+ * Read the display timezone and date format from the config
+ * @param {Object} [config] - Loaded config
+ * @returns {{timeZone: string, format: string}} Display settings
+ * @throws {Error} If the configured timezone is not a valid IANA timezone
+ */
+function getDateSettings(config) {
+  const display = (config && config.display) || {};
+  const timeZone = display.timezone ? String(display.timezone).trim() : DEFAULT_TIMEZONE;
+  const format = display.date_format ? String(display.date_format) : DEFAULT_FORMAT;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch (error) {
+    throw new Error(`Invalid display.timezone "${timeZone}" in the config. Use an IANA name such as Europe/Oslo.`);
+  }
+
+  return { timeZone, format };
+}
+
+/**
+ * Format a timestamp in the configured timezone and format
+ * @param {Date|string} value - Date or ISO timestamp
+ * @param {Object} [config] - Loaded config
+ * @param {string} [format] - Format to use instead of display.date_format
+ * @returns {string} Formatted date; text that is not a valid date is returned unchanged
+ */
+function formatDate(value, config, format) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) {
+    return String(value);
+  }
+
+  const settings = getDateSettings(config);
+  const parts = {};
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: settings.timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23',
+    timeZoneName: 'short'
+  });
+  for (const part of formatter.formatToParts(date)) {
+    parts[part.type] = part.value;
+  }
+
+  return (format || settings.format).replace(TOKEN_PATTERN, token => parts[TOKEN_PARTS[token]]);
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  DEFAULT_FORMAT,
+  getDateSettings,
+  formatDate
+};
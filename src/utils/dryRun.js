@@ -0,0 +1,187 @@
+const fs = require('fs-extra');
+const chalk = require('chalk');
+const simpleGit = require('simple-git');
+
+let dryRun = false;
+
+/**
+ * Turn dry-run mode on or off for the rest of the process
+ * @param {boolean} enabled - True to only print planned changes
+ */
+function setDryRun(enabled) {
+  dryRun = Boolean(enabled);
+}
+
+/**
+ * Check whether dry-run mode is on
+ * @returns {boolean} True if changes should only be printed
+ */
+function isDryRun() {
+  return dryRun;
+}
+
+/**
+ * Print a change that would have been made
+ * @param {string} action - Description of the change
+ */
+function logPlanned(action) {
+  console.log(chalk.cyan(`[dry-run] ${action}`));
+}
+
+/**
+ * Quote a value for display in a planned shell command
+ * @param {string} value - Argument
+ * @returns {string} The argument, quoted when it contains spaces or quotes
+ */
+function quote(value) {
+  const text = String(value);
+  return /[\s"']/.test(text) ? `"${text.replace(/"/g, '\\"')}"` : text;
+}
+
+/**
+ * Render simple-git method arguments as command line arguments
+ * @param {Array} args - Method arguments (strings, arrays or option objects)
+ * @returns {string} Space separated arguments
+ */
+function formatArgs(args) {
+  return args
+    .filter(arg => arg !== undefined && arg !== null && typeof arg !== 'function')
+    .flatMap(arg => (typeof arg === 'object' && !Array.isArray(arg) ? Object.keys(arg) : [].concat(arg)))
+    .map(quote)
+    .join(' ');
+}
+
+// simple-git methods that change the repository, and how to show them
+const GIT_MUTATIONS = {
+  add: files => `git add ${formatArgs([files])}`,
+  commit: message => `git commit -m ${quote(message)}`,
+  push: (...args) => `git push ${formatArgs(args)}`.trim(),
+  pull: (...args) => `git pull ${formatArgs(args)}`.trim(),
+  fetch: (...args) => `git fetch ${formatArgs(args)}`.trim(),
+  checkout: target => `git checkout ${formatArgs([target])}`,
+  merge: args => `git merge ${formatArgs([args])}`,
+  rebase: args => `git rebase ${formatArgs([args])}`,
+  reset: args => `git reset ${formatArgs([args])}`,
+  deleteLocalBranch: (branch, force) => `git branch ${force ? '-D' : '-d'} ${branch}`
+};
+
+/**
+ * Get a simple-git instance. In dry-run mode, commands that change the
+ * repository are printed instead of run; read-only commands still run.
+ *
+ * @param {...*} args - Arguments passed on to simple-git
+ * @returns {Object} simple-git instance
+ */
+function getGit(...args) {
+  const git = simpleGit(...args);
+  if (!dryRun) {
+    return git;
+  }
+
+  return new Proxy(git, {
+    get(target, prop) {
+      // `branch()` lists branches, `branch([name])` creates one
+      if (prop === 'branch') {
+        return branchArgs => {
+          if (branchArgs && branchArgs.length > 0) {
+            logPlanned(`git branch ${formatArgs([branchArgs])}`);
+            return Promise.resolve();
+          }
+          return target.branch();
+        };
+      }
+
+      // `raw` is only used for read-only commands, apart from worktree changes
+      if (prop === 'raw') {
+        return rawArgs => {
+          if (rawArgs[0] === 'worktree' && ['add', 'remove', 'prune'].includes(rawArgs[1])) {
+            logPlanned(`git ${formatArgs([rawArgs])}`);
+            return Promise.resolve('');
+          }
+          return target.raw(rawArgs);
+        };
+      }
+
+      if (GIT_MUTATIONS[prop]) {
+        return (...methodArgs) => {
+          logPlanned(GIT_MUTATIONS[prop](...methodArgs));
+          return Promise.resolve();
+        };
+      }
+
+      const value = target[prop];
+      return typeof value === 'function' ? value.bind(target) : value;
+    }
+  });
+}
+
+/**
+ * File system writes that are printed instead of made in dry-run mode
+ */
+const files = {
+  /**
+   * Create a directory and its parents
+   * @param {string} dirPath - Directory path
+   * @returns {Promise<void>}
+   */
+  async ensureDir(dirPath) {
+    if (dryRun) {
+      if (!await fs.pathExists(dirPath)) {
+        logPlanned(`mkdir -p ${quote(dirPath)}`);
+      }
+      return;
+    }
+    await fs.ensureDir(dirPath);
+  },
+
+  /**
+   * Write a file, replacing its content
+   * @param {string} filePath - File path
+   * @param {string} content - New content
+   * @returns {Promise<void>}
+   */
+  async writeFile(filePath, content) {
+    if (dryRun) {
+      logPlanned(`write ${quote(filePath)} (${Buffer.byteLength(content)} bytes)`);
+      return;
+    }
+    await fs.writeFile(filePath, content, 'utf-8');
+  },
+
+  /**
+   * Create an empty file if it does not exist yet
+   * @param {string} filePath - File path
+   * @returns {Promise<void>}
+   */
+  async createFile(filePath) {
+    if (dryRun) {
+      if (!await fs.pathExists(filePath)) {
+        logPlanned(`touch ${quote(filePath)}`);
+      }
+      return;
+    }
+    await fs.createFile(filePath);
+  },
+
+  /**
+   * Copy a file, replacing the target
+   * @param {string} source - File to copy
+   * @param {string} target - Target path
+   * @returns {Promise<void>}
+   */
+  async copyFile(source, target) {
+    if (dryRun) {
+      logPlanned(`cp ${quote(source)} ${quote(target)}`);
+      return;
+    }
+    await fs.copy(source, target);
+  }
+};
+
+module.exports = {
+  setDryRun,
+  isDryRun,
+  logPlanned,
+  getGit,
+  files
+};
@@ -0,0 +1,245 @@
+const path = require('path');
+const fs = require('fs-extra');
+const chalk = require('chalk');
+const { slugify, formatDirectoryName } = require('./helpers');
+
+/**
+ * The event model shared by every command.
+ *
+ * Config (`.flagtrack/config.yml`):
+ *
+ *   events:
+ *     <event>:
+ *       sub_events:
+ *         <subEvent>:
+ *           categories:
+ *             <category>: <category>
+ *
+ * Directory layout under the repo root:
+ *
+ *   <event>/<subEvent>/<NN>_<category>/<NN>_<task_slug>/writeup.md
+ *
+ * where the category number is the category's position in the config.
+ */
+
+// Matches numbered folders such as "01_Web" or "03_baby_rop"
+const NUMBERED_DIR_PATTERN = /^(\d{2})_(.+)$/;
+
+/**
+ * Split a numbered folder name into its number and name
+ * @param {string} dirName - Folder name, e.g. "01_Web"
+ * @returns {{ num: string, name: string }|null} Parsed parts, or null if not numbered
+ */
+function parseNumberedDir(dirName) {
+  const match = dirName.match(NUMBERED_DIR_PATTERN);
+  return match ? { num: match[1], name: match[2] } : null;
+}
+
+/**
+ * @param {Object} config - Loaded config
+ * @returns {string[]} Names of all configured events
+ */
+function getEventNames(config) {
+  return Object.keys(config?.events || {});
+}
+
+/**
+ * @param {Object} config - Loaded config
+ * @param {string} eventName - Event name
+ * @returns {string[]} Names of the event's sub-events
+ */
+function getSubEventNames(config, eventName) {
+  return Object.keys(config?.events?.[eventName]?.sub_events || {});
+}
+
+/**
+ * @param {Object} config - Loaded config
+ * @param {string} eventName - Event name
+ * @param {string} subEventName - Sub-event name
+ * @returns {string[]} Category names, in folder number order
+ */
+function getCategoryNames(config, eventName, subEventName) {
+  const categories = config?.events?.[eventName]?.sub_events?.[subEventName]?.categories || {};
+  return Object.values(categories);
+}
+
+/**
+ * @param {string} repoRoot - Repository root path
+ * @param {string} eventName - Event name
+ * @returns {string} Path of the event folder
+ */
+function getEventPath(repoRoot, eventName) {
+  return path.join(repoRoot, eventName);
+}
+
+/**
+ * @param {string} repoRoot - Repository root path
+ * @param {string} eventName - Event name
+ * @param {string} subEventName - Sub-event name
+ * @returns {string} Path of the sub-event folder
+ */
+function getSubEventPath(repoRoot, eventName, subEventName) {
+  return path.join(getEventPath(repoRoot, eventName), subEventName);
+}
+
+/**
+ * Get the numbered folder name of a configured category
+ * @param {Object} config - Loaded config
+ * @param {string} eventName - Event name
+ * @param {string} subEventName - Sub-event name
+ * @param {string} category - Category name
+ * @returns {string} Folder name, e.g. "02_Crypto"
+ */
+function getCategoryDirName(config, eventName, subEventName, category) {
+  const index = getCategoryNames(config, eventName, subEventName).indexOf(category);
+  if (index === -1) {
+    throw new Error(`Category "${category}" is not configured for ${eventName} > ${subEventName}.`);
+  }
+
+  return `${String(index + 1).padStart(2, '0')}_${category}`;
+}
+
+/**
+ * @param {string} repoRoot - Repository root path
+ * @param {Object} config - Loaded config
+ * @param {string} eventName - Event name
+ * @param {string} subEventName - Sub-event name
+ * @param {string} category - Category name
+ * @returns {string} Path of the category folder
+ */
+function getCategoryPath(repoRoot, config, eventName, subEventName, category) {
+  return path.join(
+    getSubEventPath(repoRoot, eventName, subEventName),
+    getCategoryDirName(config, eventName, subEventName, category)
+  );
+}
+
+/**
+ * @param {number|string} taskNum - Task number
+ * @param {string} taskName - Task name
+ * @returns {string} Task folder name, e.g. "03_baby_rop"
+ */
+function getTaskDirName(taskNum, taskName) {
+  return formatDirectoryName(taskName, taskNum);
+}
+
+/**
+ * @param {string} category - Category name
+ * @param {number|string} taskNum - Task number
+ * @param {string} taskSlug - Slugified task name
+ * @returns {string} Task branch name, e.g. "pwn-03-baby_rop"
+ */
+function getTaskBranchName(category, taskNum, taskSlug) {
+  return `${slugify(category)}-${String(taskNum).padStart(2, '0')}-${taskSlug}`;
+}
+
+/**
+ * Find every task (a folder holding a writeup.md) of the configured events.
+ * Category folders are discovered on disk, so folders that were renamed or
+ * removed from the config are still picked up.
+ *
+ * @param {string} repoRoot - Repository root path
+ * @param {Object} config - Loaded config
+ * @param {Object} [filter] - Only return tasks of this event/sub-event
+ * @param {string} [filter.eventName] - Event name
+ * @param {string} [filter.subEventName] - Sub-event name
+ * @returns {Promise<Array<Object>>} Task locations
+ */
+async function findTasks(repoRoot, config, filter = {}) {
+  const tasks = [];
+
+  for (const eventName of getEventNames(config)) {
+    if (filter.eventName && filter.eventName !== eventName) continue;
+
+    for (const subEventName of getSubEventNames(config, eventName)) {
+      if (filter.subEventName && filter.subEventName !== subEventName) continue;
+
+      const subEventPath = getSubEventPath(repoRoot, eventName, subEventName);
+      if (!await fs.pathExists(subEventPath)) continue;
+
+      try {
+        const categoryItems = await fs.readdir(subEventPath, { withFileTypes: true });
+
+        for (const categoryItem of categoryItems) {
+          const categoryDir = categoryItem.isDirectory() ? parseNumberedDir(categoryItem.name) : null;
+          if (!categoryDir) continue;
+
+          const categoryPath = path.join(subEventPath, categoryItem.name);
+          const taskItems = await fs.readdir(categoryPath, { withFileTypes: true });
+
+          for (const taskItem of taskItems) {
+            if (!taskItem.isDirectory()) continue;
+
+            const taskPath = path.join(categoryPath, taskItem.name);
+            const writeupPath = path.join(taskPath, 'writeup.md');
+            if (!await fs.pathExists(writeupPath)) continue;
+
+            const taskDir = parseNumberedDir(taskItem.name);
+
+            tasks.push({
+              event: eventName,
+              subEvent: subEventName,
+              category: categoryDir.name,
+              categoryNum: categoryDir.num,
+              taskNum: taskDir ? taskDir.num : '00',
+              taskSlug: taskDir ? taskDir.name : taskItem.name,
+              folderName: taskItem.name,
+              path: taskPath,
+              writeupPath
+            });
+          }
+        }
+      } catch (error) {
+        console.log(chalk.yellow(`⚠️ Error reading tasks in ${subEventPath}: ${error.message}`));
+      }
+    }
+  }
+
+  return tasks;
+}
+
+/**
+ * Find the task a branch created by `flagtrack create` belongs to.
+ * Branches may carry a numeric suffix when the name was already taken.
+ *
+ * @param {string} repoRoot - Repository root path
+ * @param {Object} config - Loaded config
+ * @param {string} branchName - Branch name
+ * @param {Object} [context] - Event context, used to prefer tasks of the current event
+ * @returns {Promise<Object|null>} The task location, or null if no task matches
+ */
+async function findTaskByBranch(repoRoot, config, branchName, context = {}) {
+  const tasks = await findTasks(repoRoot, config);
+
+  const matches = tasks.filter(task => {
+    const expected = getTaskBranchName(task.category, task.taskNum, task.taskSlug);
+    return branchName === expected || new RegExp(`^${escapeRegExp(expected)}-\\d+$`).test(branchName);
+  });
+
+  if (matches.length === 0) {
+    return null;
+  }
+
+  return matches.find(task => task.event === context.eventName && task.subEvent === context.subEventName)
+    || matches.find(task => task.event === context.eventName)
+    || matches[0];
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+  parseNumberedDir,
+  getEventNames,
+  getSubEventNames,
+  getCategoryNames,
+  getEventPath,
+  getSubEventPath,
+  getCategoryDirName,
+  getCategoryPath,
+  getTaskDirName,
+  getTaskBranchName,
+  findTasks,
+  findTaskByBranch
+};
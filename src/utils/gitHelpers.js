@@ -1,6 +1,10 @@
 const fs = require('fs-extra');
 const path = require('path');
 const simpleGit = require('simple-git');
+const chalk = require('chalk');
+const { getGit } = require('./dryRun');
+const { pushOrQueue } = require('./offline');
+const { getReadmeSettings } = require('./readme');
 
 /**
  * Check if the current directory is inside a git repository
@@ -31,18 +35,53 @@ async function getCurrentBranch() {
 }
 
 /**
- * Get the git user's name from the local or global config
- * @returns {Promise<string|null>} User name or null if not configured
+ * Get the branch tasks are branched from and merged back into.
+ * Uses `git.default_branch` from the config, then the branch origin/HEAD
+ * points to, and finally falls back to main or master.
+ *
+ * @param {Object} [config] - Loaded config
+ * @returns {Promise<string>} Default branch name
  */
-async function getGitUserName() {
+async function getDefaultBranch(config) {
+  const configured = config && config.git && config.git.default_branch;
+  if (configured && String(configured).trim()) {
+    return String(configured).trim();
+  }
+  
+  const git = simpleGit();
+  
+  try {
+    const ref = await git.raw(['symbolic-ref', '--quiet', 'refs/remotes/origin/HEAD']);
+    const match = ref.trim().match(/^refs\/remotes\/origin\/(.+)$/);
+    if (match) {
+      return match[1];
+    }
+  } catch (error) {
+    // No remote HEAD, e.g. a fresh repo without a clone
+  }
+  
+  try {
+    const branches = await git.branch();
+    return branches.all.includes('main') ? 'main' : 'master';
+  } catch (error) {
+    return 'main';
+  }
+}
+
+/**
+ * Read a git user setting from the local or global config
+ * @param {string} key - Setting, e.g. user.name
+ * @returns {Promise<string|null>} Value or null if not configured
+ */
+async function getGitUserSetting(key) {
   try {
     const git = simpleGit();
     
     // Try local config first
     try {
-      const localName = await git.raw(['config', 'user.name']);
-      if (localName && localName.trim()) {
-        return localName.trim();
+      const localValue = await git.raw(['config', key]);
+      if (localValue && localValue.trim()) {
+        return localValue.trim();
       }
     } catch (e) {
       // Ignore errors for local config
@@ -50,9 +89,9 @@ async function getGitUserName() {
     
     // Try global config
     try {
-      const globalName = await git.raw(['config', '--global', 'user.name']);
-      if (globalName && globalName.trim()) {
-        return globalName.trim();
+      const globalValue = await git.raw(['config', '--global', key]);
+      if (globalValue && globalValue.trim()) {
+        return globalValue.trim();
       }
     } catch (e) {
       // Ignore errors for global config
@@ -64,6 +103,22 @@ async function getGitUserName() {
   }
 }
 
+/**
+ * Get the git user's name from the local or global config
+ * @returns {Promise<string|null>} User name or null if not configured
+ */
+async function getGitUserName() {
+  return getGitUserSetting('user.name');
+}
+
+/**
+ * Get the git user's email from the local or global config
+ * @returns {Promise<string|null>} User email or null if not configured
+ */
+async function getGitUserEmail() {
+  return getGitUserSetting('user.email');
+}
+
 /**
  * Find the root of the git repository
  * @param {string} [startPath=process.cwd()] The path to start searching from
@@ -100,13 +155,109 @@ async function findRepoRoot(startPath = process.cwd()) {
   }
 }
 
+/**
+ * List the worktrees of the repository. The main worktree comes first.
+ * @returns {Promise<Array<{path: string, branch: string|null, head: string|null, main: boolean, prunable: boolean}>>}
+ *   Worktrees, or an empty list outside a repository
+ */
+async function listWorktrees() {
+  try {
+    const git = simpleGit();
+    const output = await git.raw(['worktree', 'list', '--porcelain']);
+    
+    return output.split(/\n\s*\n/).filter(block => block.trim()).map((block, index) => {
+      const worktree = { path: null, branch: null, head: null, main: index === 0, prunable: false };
+      for (const line of block.split('\n')) {
+        const [key, ...rest] = line.trim().split(' ');
+        const value = rest.join(' ');
+        if (key === 'worktree') worktree.path = value;
+        if (key === 'HEAD') worktree.head = value;
+        if (key === 'branch') worktree.branch = value.replace(/^refs\/heads\//, '');
+        if (key === 'prunable') worktree.prunable = true;
+      }
+      return worktree;
+    });
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Get the directory task worktrees are created in. `git.worktree_dir` in the
+ * config is relative to the main worktree; the default is a sibling folder
+ * named `<repo>-worktrees`.
+ *
+ * @param {Object} [config] - Loaded config
+ * @returns {Promise<string|null>} Worktree directory, or null outside a repository
+ */
+async function getWorktreeDir(config) {
+  const [mainWorktree] = await listWorktrees();
+  if (!mainWorktree) {
+    return null;
+  }
+  
+  const configured = config && config.git && config.git.worktree_dir;
+  if (configured) {
+    return path.resolve(mainWorktree.path, configured);
+  }
+  return path.join(path.dirname(mainWorktree.path), `${path.basename(mainWorktree.path)}-worktrees`);
+}
+
+/**
+ * Quote a value for a POSIX shell
+ * @param {string} value - Value to quote
+ * @returns {string} Single-quoted value
+ */
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Files the README workflow commits and ignores as triggers. With the split
+ * layout these are the root README and the file of every event (one level
+ * deep) and sub-event (two levels deep), plus the charts directory.
+ * @param {Object} [config] - Loaded config
+ * @returns {{ ignored: string[], added: string[] }} Path filter exclusions and shell words for git add
+ */
+function getWorkflowFiles(config) {
+  const settings = getReadmeSettings(config);
+  const ignored = ['README.md'];
+  const added = ['README.md'];
+  
+  if (settings.layout === 'split') {
+    ignored.push(`*/${settings.filename}`, `*/*/${settings.filename}`);
+    added.push(`*/${shellQuote(settings.filename)}`, `*/*/${shellQuote(settings.filename)}`);
+  }
+  
+  // The charts are SVG files, so they never trigger the workflow themselves
+  if (settings.charts) {
+    added.push(shellQuote(settings.chartsDir));
+  }
+  
+  return { ignored, added };
+}
+
 /**
  * Create GitHub Actions workflow file for auto-updating README
  * @param {string} repoRoot Path to the repository root
+ * @param {Object} [config] Loaded config; its readme settings decide which files are committed
  * @returns {Promise<boolean>} True if successful, false otherwise
  */
-async function createGitHubActions(repoRoot) {
+async function createGitHubActions(repoRoot, config) {
   try {
+    const workflowFiles = getWorkflowFiles(config);
+    const pathFilters = ['**/*.md', ...workflowFiles.ignored.map(file => `!${file}`)]
+      .map(filter => `      - '${filter.replace(/'/g, "''")}'`)
+      .join('\n');
+    // Globs that match nothing stay literal, so only existing files are added
+    const addStep = workflowFiles.added.length === 1
+      ? `git add ${workflowFiles.added[0]}`
+      : [
+        `for file in ${workflowFiles.added.join(' ')}; do`,
+        '            if [ -e "$file" ]; then git add "$file"; fi',
+        '          done'
+      ].join('\n');
+    
     // Create .github/workflows directory
     const workflowsDir = path.join(repoRoot, '.github', 'workflows');
     await fs.ensureDir(workflowsDir);
@@ -120,8 +271,7 @@ async function createGitHubActions(repoRoot) {
 on:
   push:
     paths:
-      - '**/*.md'
-      - '!README.md'
+${pathFilters}
   workflow_dispatch:  # Allow manual trigger
 jobs:
   update-readme:
@@ -150,7 +300,7 @@ jobs:
         run: |
           git config --local user.email "action@github.com"
           git config --local user.name "GitHub Action"
-          git add README.md
+          ${addStep}
           
           # Only commit if there are changes
           if git diff --staged --quiet; then
@@ -170,10 +320,65 @@ jobs:
   }
 }
 
+/**
+ * Commit files and push the current branch when a remote is configured.
+ * Progress and problems are reported on the console; nothing is thrown.
+ *
+ * @param {string[]} files - Paths to stage
+ * @param {string} message - Commit message
+ * @param {Object} [options] - Commit options
+ * @param {boolean} [options.push=true] - Push after committing
+ * @param {Object} [options.config] - Loaded config, pushes are queued in offline mode
+ * @returns {Promise<boolean>} True if the commit was created
+ */
+async function commitFiles(files, message, options = {}) {
+  const { push = true, config } = options;
+
+  if (!await isGitRepo()) {
+    console.log(chalk.yellow('⚠️ Not in a git repository. Changes were not committed.'));
+    return false;
+  }
+
+  const git = getGit();
+
+  try {
+    await git.add(files);
+    await git.commit(message);
+    console.log(chalk.green('✅ Changes committed.'));
+  } catch (error) {
+    console.log(chalk.yellow(`⚠️ Could not commit changes: ${error.message}`));
+    return false;
+  }
+
+  if (!push) {
+    return true;
+  }
+
+  try {
+    const remotes = await git.getRemotes();
+    if (!remotes || remotes.length === 0) {
+      console.log(chalk.yellow('⚠️ No remote repository found. Commit created locally only.'));
+      return true;
+    }
+    if (await pushOrQueue(git, config)) {
+      console.log(chalk.green('✅ Changes pushed to remote.'));
+    }
+  } catch (error) {
+    console.log(chalk.yellow(`⚠️ Could not push changes: ${error.message}`));
+  }
+
+  return true;
+}
+
 module.exports = {
   isGitRepo,
   getCurrentBranch,
+  getDefaultBranch,
   getGitUserName,
+  getGitUserEmail,
   findRepoRoot,
-  createGitHubActions
+  listWorktrees,
+  getWorktreeDir,
+  createGitHubActions,
+  commitFiles
 };
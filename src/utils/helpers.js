@@ -20,37 +20,65 @@ function slugify(str) {
 }
 
 /**
- * Checks if we're within a known event structure under the repo root.
- * Returns:
- *  - depth: how far we are from the repo root
- *  - eventName: name of the top-level event folder (if found)
- *  - path: current working directory
+ * Work out where in the event structure the current directory is.
+ * The layout under the repo root is <event>/<subEvent>/<NN_category>/<NN_task>,
+ * and only events and sub-events that exist in the config are recognized.
  *
  * @param {Object} config - Loaded event config
- * @returns {Promise<{ depth: number, eventName: string|null, path: string }>}
+ * @returns {Promise<{
+ *   depth: number,
+ *   repoRoot: string|null,
+ *   eventName: string|null,
+ *   subEventName: string|null,
+ *   categoryName: string|null,
+ *   taskPath: string|null,
+ *   path: string
+ * }>}
  */
 async function getEventContext(config) {
   const repoRoot = await findRepoRoot();
   const cwd = process.cwd();
 
+  const context = {
+    depth: 0,
+    repoRoot,
+    eventName: null,
+    subEventName: null,
+    categoryName: null,
+    taskPath: null,
+    path: cwd,
+  };
+
+  if (!repoRoot) {
+    return context;
+  }
+
   const relativePath = path.relative(repoRoot, cwd);
-  const depth = relativePath === '' ? 0 : relativePath.split(path.sep).length;
-  const segments = relativePath.split(path.sep);
+  const segments = relativePath === '' ? [] : relativePath.split(path.sep);
+  context.depth = segments.length;
 
-  let eventName = null;
+  const event = config?.events?.[segments[0]];
+  if (!event) {
+    return context;
+  }
+  context.eventName = segments[0];
 
-  if (depth >= 1 && config?.events) {
-    const possibleevent = segments[0];
-    if (config.events[possibleevent]) {
-      eventName = possibleevent;
-    }
+  if (!event.sub_events?.[segments[1]]) {
+    return context;
   }
+  context.subEventName = segments[1];
 
-  return {
-    depth,
-    eventName,
-    path: cwd,
-  };
+  const categoryMatch = segments[2] ? segments[2].match(/^\d{2}_(.+)$/) : null;
+  if (!categoryMatch) {
+    return context;
+  }
+  context.categoryName = categoryMatch[1];
+
+  if (segments[3]) {
+    context.taskPath = path.join(repoRoot, ...segments.slice(0, 4));
+  }
+
+  return context;
 }
 
 // Helper function to format directory names with numbering and replace spaces with hyphens
@@ -118,16 +146,33 @@ async function pickEvent(config) {
       subEventName = cwd;
       console.log(chalk.green(`📁 Detected sub-event folder: ${cwd}`));
     } else {
-      // Prompt user to pick one
+      // Prompt user to pick one, or add a new one
+      const NEW_SUB_EVENT_LABEL = chalk.greenBright('Create New Sub-event');
       const { selectedSubEvent } = await inquirer.prompt([
         {
           type: 'list',
           name: 'selectedSubEvent',
           message: chalk.magenta('Select a sub-event to work with:'),
-          choices: subEvents,
+          choices: [NEW_SUB_EVENT_LABEL, ...subEvents],
         },
       ]);
       subEventName = selectedSubEvent;
+
+      if (selectedSubEvent === NEW_SUB_EVENT_LABEL) {
+        const { newSubEventName } = await inquirer.prompt([
+          {
+            type: 'input',
+            name: 'newSubEventName',
+            message: chalk.yellow('Enter a name for the new sub-event:'),
+            validate: (input) => {
+              if (!input.trim()) return 'Sub-event name cannot be empty.';
+              if (subEvents.includes(input)) return 'Sub-event already exists.';
+              return true;
+            },
+          },
+        ]);
+        subEventName = newSubEventName;
+      }
     }
   }
 
@@ -137,6 +182,55 @@ async function pickEvent(config) {
   };
 }
 
+/**
+ * Resolve the event and sub-event a command works on. An explicit option wins,
+ * then the event the current directory is in, then a single configured
+ * choice; otherwise the user is prompted.
+ *
+ * @param {Object} config - The parsed config object
+ * @param {Object} [context] - Result of getEventContext
+ * @param {Object} [options] - Command line options
+ * @param {string} [options.event] - Event name
+ * @param {string} [options.subEvent] - Sub-event name
+ * @returns {Promise<{ eventName: string, subEventName: string }>}
+ */
+async function selectEvent(config, context = {}, options = {}) {
+  const eventNames = config?.events ? Object.keys(config.events) : [];
+  if (eventNames.length === 0) {
+    throw new Error('No events configured. Run `flagtrack setup` first.');
+  }
+
+  const eventName = await resolveOption(
+    options.event || context.eventName || (eventNames.length === 1 ? eventNames[0] : undefined),
+    {
+      type: 'list',
+      name: 'eventName',
+      message: chalk.blueBright('Select an event:'),
+      choices: eventNames,
+    },
+    'event'
+  );
+
+  const subEventNames = Object.keys(config.events[eventName]?.sub_events || {});
+  if (subEventNames.length === 0) {
+    throw new Error(`Event "${eventName}" has no sub-events. Run \`flagtrack setup\` to add one.`);
+  }
+
+  const contextSubEvent = context.eventName === eventName ? context.subEventName : null;
+  const subEventName = await resolveOption(
+    options.subEvent || contextSubEvent || (subEventNames.length === 1 ? subEventNames[0] : undefined),
+    {
+      type: 'list',
+      name: 'subEventName',
+      message: chalk.magenta(`Select a sub-event of ${eventName}:`),
+      choices: subEventNames,
+    },
+    'sub-event'
+  );
+
+  return { eventName, subEventName };
+}
+
 /**
  * Prompt user for categories, then add them to the config under the given event and sub-event.
  *
@@ -191,10 +285,60 @@ async function addCategoriesToSubEvent(eventName, subEvent, config, configPath)
   console.log(`✅ Categories added to ${eventName} > ${subEvent}:`, categoryList);
 }
 
+/**
+ * Check whether we can interactively prompt the user
+ * @returns {boolean} True if stdin is attached to a terminal
+ */
+function isInteractive() {
+  return Boolean(process.stdin.isTTY);
+}
+
+/**
+ * Resolve a value that may have been passed as a CLI flag, falling back to an
+ * inquirer prompt when it is missing and we are running in a terminal.
+ * Flag values go through the question's filter and validate functions too.
+ *
+ * @param {*} value - Value given on the command line (undefined if not given)
+ * @param {Object} question - Inquirer question used as fallback
+ * @param {string} flag - Flag name, used in error messages (e.g. "category")
+ * @returns {Promise<*>} The resolved value
+ */
+async function resolveOption(value, question, flag) {
+  if (value === undefined || value === null || value === '') {
+    if (!isInteractive()) {
+      throw new Error(`Missing required option --${flag} (no terminal available to prompt).`);
+    }
+
+    const answers = await inquirer.prompt([question]);
+    return answers[question.name];
+  }
+
+  const resolved = question.filter ? question.filter(value) : value;
+
+  if (question.validate) {
+    const result = question.validate(String(value));
+    if (result !== true) {
+      throw new Error(`Invalid value for --${flag}: ${result}`);
+    }
+  }
+
+  if (Array.isArray(question.choices)) {
+    const allowed = question.choices.map(choice => (typeof choice === 'object' ? choice.value : choice));
+    if (!allowed.includes(resolved)) {
+      throw new Error(`Invalid value for --${flag}: "${value}". Expected one of: ${allowed.join(', ')}`);
+    }
+  }
+
+  return resolved;
+}
+
 module.exports = {
   slugify,
+  isInteractive,
+  resolveOption,
   getEventContext,
   formatDirectoryName,
   pickEvent,
+  selectEvent,
   addCategoriesToSubEvent
 };
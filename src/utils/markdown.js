@@ -0,0 +1,218 @@
+/**
+ * A small Markdown to HTML renderer for writeups. It covers what writeups
+ * use: headings, paragraphs, emphasis, inline and fenced code, links,
+ * images, lists, block quotes, tables and horizontal rules. HTML in the
+ * Markdown is escaped rather than passed through.
+ */
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})\s*([\w+#.-]*).*$/;
+const HEADING_PATTERN = /^ {0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE_PATTERN = /^ {0,3}([-*_])(\s*\1){2,}\s*$/;
+const LIST_PATTERN = /^ {0,3}([-*+]|\d+[.)])\s+(.*)$/;
+const QUOTE_PATTERN = /^ {0,3}>\s?(.*)$/;
+const TABLE_DIVIDER_PATTERN = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render the inline Markdown of a line of text
+ * @param {string} text - Markdown text
+ * @param {Object} options - See renderMarkdown
+ * @returns {string} HTML
+ */
+function renderInline(text, options) {
+  // Code spans are set aside first so nothing inside them is formatted
+  const codeSpans = [];
+  let html = escapeHtml(text).replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => {
+    codeSpans.push(`<code>${code.trim()}</code>`);
+    return `\u0000${codeSpans.length - 1}\u0000`;
+  });
+
+  html = html
+    .replace(/!\[([^\]]*)\]\(\s*(\S+?)(?:\s+&quot;(.*?)&quot;)?\s*\)/g, (match, alt, src, title) => {
+      const href = options.resolveImage ? options.resolveImage(unescapeHtml(src)) : unescapeHtml(src);
+      return `<img src="${escapeHtml(href)}" alt="${alt}"${title ? ` title="${title}"` : ''}>`;
+    })
+    .replace(/\[([^\]]+)\]\(\s*(\S+?)(?:\s+&quot;(.*?)&quot;)?\s*\)/g, (match, label, href, title) => {
+      const target = options.resolveLink ? options.resolveLink(unescapeHtml(href)) : unescapeHtml(href);
+      return `<a href="${escapeHtml(safeUrl(target))}"${title ? ` title="${title}"` : ''}>${label}</a>`;
+    })
+    .replace(/(^|[\s(])(https?:\/\/[^\s<]+[^\s<.,:;"')\]])/g, '$1<a href="$2">$2</a>')
+    .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+    .replace(/(\*|\b_)(?=\S)([\s\S]*?\S)(\*|_\b)/g, (match, open, inner, close) => (
+      (open === '*') === (close === '*') ? `<em>${inner}</em>` : match
+    ))
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+    .replace(/ {2,}\n/g, '<br>\n');
+
+  return html.replace(/\u0000(\d+)\u0000/g, (match, index) => codeSpans[index]);
+}
+
+/**
+ * Undo escapeHtml, for URLs taken from escaped text
+ * @param {string} text - Escaped text
+ * @returns {string} Original text
+ */
+function unescapeHtml(text) {
+  return text
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, '\'')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Drop link targets that would run script
+ * @param {string} url - Link target
+ * @returns {string} The target, or "#" for javascript: and similar URLs
+ */
+function safeUrl(url) {
+  return /^\s*(javascript|vbscript|data):/i.test(url) ? '#' : url;
+}
+
+/**
+ * Split a table row into its cells
+ * @param {string} line - Table row
+ * @returns {string[]} Cell texts
+ */
+function splitRow(line) {
+  return line.trim().replace(/^\|/, '').replace(/\|$/, '').split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+/**
+ * Render Markdown to HTML
+ * @param {string} markdown - Markdown source
+ * @param {Object} [options] - Rendering options
+ * @param {function(string): string} [options.resolveImage] - Maps image sources, e.g. to copied files
+ * @param {function(string): string} [options.resolveLink] - Maps link targets
+ * @returns {string} HTML
+ */
+function renderMarkdown(markdown, options = {}) {
+  const lines = String(markdown).replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    // Fenced code block
+    const fence = line.match(FENCE_PATTERN);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++;
+      const language = fence[2] ? ` class="language-${escapeHtml(fence[2])}"` : '';
+      blocks.push(`<pre><code${language}>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    const heading = line.match(HEADING_PATTERN);
+    if (heading) {
+      const level = heading[1].length;
+      blocks.push(`<h${level}>${renderInline(heading[2], options)}</h${level}>`);
+      i++;
+      continue;
+    }
+
+    if (RULE_PATTERN.test(line)) {
+      blocks.push('<hr>');
+      i++;
+      continue;
+    }
+
+    if (QUOTE_PATTERN.test(line)) {
+      const quoted = [];
+      while (i < lines.length && QUOTE_PATTERN.test(lines[i])) {
+        quoted.push(lines[i].match(QUOTE_PATTERN)[1]);
+        i++;
+      }
+      blocks.push(`<blockquote>\n${renderMarkdown(quoted.join('\n'), options)}\n</blockquote>`);
+      continue;
+    }
+
+    const listItem = line.match(LIST_PATTERN);
+    if (listItem) {
+      const ordered = /\d/.test(listItem[1]);
+      const items = [];
+      while (i < lines.length) {
+        const item = lines[i].match(LIST_PATTERN);
+        if (item && /\d/.test(item[1]) === ordered) {
+          items.push(item[2]);
+        } else if (lines[i].trim() && /^\s/.test(lines[i]) && items.length > 0) {
+          // Indented continuation of the previous item
+          items[items.length - 1] += `\n${lines[i].trim()}`;
+        } else {
+          break;
+        }
+        i++;
+      }
+      const tag = ordered ? 'ol' : 'ul';
+      blocks.push(`<${tag}>\n${items.map(item => `<li>${renderInline(item, options)}</li>`).join('\n')}\n</${tag}>`);
+      continue;
+    }
+
+    // Table: a header row followed by a divider row
+    if (line.includes('|') && i + 1 < lines.length && TABLE_DIVIDER_PATTERN.test(lines[i + 1])) {
+      const header = splitRow(line);
+      const aligns = splitRow(lines[i + 1]).map(cell => (
+        cell.startsWith(':') && cell.endsWith(':') ? 'center' : cell.endsWith(':') ? 'right' : cell.startsWith(':') ? 'left' : null
+      ));
+      const cell = (tag, text, index) => (
+        `<${tag}${aligns[index] ? ` style="text-align: ${aligns[index]}"` : ''}>${renderInline(text, options)}</${tag}>`
+      );
+      const rows = [];
+      i += 2;
+      while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+        rows.push(splitRow(lines[i]));
+        i++;
+      }
+      blocks.push([
+        '<table>',
+        `<thead><tr>${header.map((text, index) => cell('th', text, index)).join('')}</tr></thead>`,
+        `<tbody>${rows.map(row => `<tr>${header.map((_, index) => cell('td', row[index] || '', index)).join('')}</tr>`).join('\n')}</tbody>`,
+        '</table>'
+      ].join('\n'));
+      continue;
+    }
+
+    // Paragraph: everything up to a blank line or the start of another block
+    const paragraph = [];
+    while (
+      i < lines.length && lines[i].trim() &&
+      !FENCE_PATTERN.test(lines[i]) && !HEADING_PATTERN.test(lines[i]) && !RULE_PATTERN.test(lines[i]) &&
+      !QUOTE_PATTERN.test(lines[i]) && !(paragraph.length > 0 && LIST_PATTERN.test(lines[i]))
+    ) {
+      paragraph.push(lines[i]);
+      i++;
+    }
+    blocks.push(`<p>${renderInline(paragraph.join('\n'), options)}</p>`);
+  }
+
+  return blocks.join('\n');
+}
+
+module.exports = {
+  escapeHtml,
+  renderMarkdown
+};
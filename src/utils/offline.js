@@ -0,0 +1,122 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const { getGit, files } = require('./dryRun');
+
+const QUEUE_FILE = 'flagtrack-push-queue.json';
+
+let offline = false;
+
+/**
+ * Force offline mode on or off for the rest of the process (`--offline`)
+ * @param {boolean} enabled - True to skip all network operations
+ */
+function setOffline(enabled) {
+  offline = Boolean(enabled);
+}
+
+/**
+ * Check whether network operations should be skipped, either because of
+ * `--offline` or because `git.offline` is set in the config
+ * @param {Object} [config] - Loaded config
+ * @returns {boolean} True if fetch, pull and push should be skipped
+ */
+function isOffline(config) {
+  return offline || Boolean(config && config.git && config.git.offline);
+}
+
+/**
+ * Path of the push queue. It lives in the git directory so it is never
+ * committed and is shared by all worktrees of the repository.
+ * @returns {Promise<string>} Queue file path
+ */
+async function getQueuePath() {
+  const gitDir = (await getGit().revparse(['--git-common-dir'])).trim();
+  return path.join(path.resolve(gitDir), QUEUE_FILE);
+}
+
+/**
+ * Read the pushes that were queued while offline
+ * @returns {Promise<Array<{remote: string, branch: string, options: string[], queuedAt: string}>>} Queued pushes, oldest first
+ * @throws {Error} If the queue file is not a JSON list
+ */
+async function readQueue() {
+  const queuePath = await getQueuePath();
+  if (!await fs.pathExists(queuePath)) {
+    return [];
+  }
+  
+  let queue;
+  try {
+    queue = JSON.parse(await fs.readFile(queuePath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`The push queue ${queuePath} is not valid JSON (${error.message}). Fix it, or delete it and push the queued branches by hand.`);
+  }
+  if (!Array.isArray(queue)) {
+    throw new Error(`The push queue ${queuePath} is not a list of pushes. Fix it, or delete it and push the queued branches by hand.`);
+  }
+  return queue;
+}
+
+/**
+ * Replace the push queue
+ * @param {Array} queue - Queued pushes, oldest first
+ */
+async function writeQueue(queue) {
+  const queuePath = await getQueuePath();
+  await files.writeFile(queuePath, `${JSON.stringify(queue, null, 2)}\n`);
+}
+
+/**
+ * Add a push to the queue. A newer push of the same branch replaces the
+ * older one, and deleting a remote branch drops its pending pushes.
+ *
+ * @param {string} remote - Remote name
+ * @param {string} branch - Branch to push, or `:branch` to delete it on the remote
+ * @param {string[]} [options=[]] - Extra push options
+ */
+async function queuePush(remote, branch, options = []) {
+  const target = branch.replace(/^:/, '');
+  const queue = (await readQueue()).filter(entry =>
+    entry.remote !== remote || entry.branch.replace(/^:/, '') !== target
+  );
+
+  queue.push({ remote, branch, options, queuedAt: new Date().toISOString() });
+  await writeQueue(queue);
+}
+
+/**
+ * Push a branch, or queue the push when offline
+ * @param {Object} git - simple-git instance
+ * @param {Object} [config] - Loaded config
+ * @param {string} [remote='origin'] - Remote name
+ * @param {string} [branch] - Branch or refspec, defaults to the current branch
+ * @param {string[]} [options=[]] - Extra push options
+ * @returns {Promise<boolean>} True if pushed, false if queued
+ */
+async function pushOrQueue(git, config, remote = 'origin', branch, options = []) {
+  if (!isOffline(config)) {
+    if (branch) {
+      await git.push(remote, branch, options);
+    } else {
+      await git.push();
+    }
+    return true;
+  }
+
+  const target = branch || (await git.branch()).current;
+  await queuePush(remote, target, options);
+
+  const action = target.startsWith(':') ? `deletion of ${target.slice(1)}` : `push of ${target}`;
+  console.log(chalk.yellow(`📴 Offline: queued ${action} to ${remote}. Run \`flagtrack sync\` when back online.`));
+  return false;
+}
+
+module.exports = {
+  setOffline,
+  isOffline,
+  readQueue,
+  writeQueue,
+  queuePush,
+  pushOrQueue
+};
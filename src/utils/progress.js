@@ -0,0 +1,246 @@
+const path = require('path');
+const chalk = require('chalk');
+const simpleGit = require('simple-git');
+const { findTasks, getEventPath, getSubEventPath } = require('./eventModel');
+const { readWriteup, reportWarnings } = require('./writeup');
+const { getTeam, findMember, normalizeSolvers, parseCoAuthors } = require('./team');
+const { createFlagRedactor } = require('./redaction');
+
+// A removed TBD flag and an added real one, as a bold line or a front matter key.
+// Git lists the removed lines of a change before the added ones, so other
+// fields changed in the same commit can come between the two.
+const FLAG_REMOVED_PATTERN = /^-\s*(?:\*\*Flag:\*\*\s*`TBD`.*|flag:\s*(?:TBD)?\s*)$/m;
+const FLAG_ADDED_PATTERN = /^\+\s*(?:\*\*Flag:\*\*\s*`(?!TBD`)[^`]+`.*|flag:\s*(?!TBD\s*$)\S.*)$/m;
+
+// A claim time being recorded, as a bold line or a front matter key
+const CLAIM_SET_PATTERN = /^\+\s*(?:\*\*Claimed:\*\*|claimed:)\s*(?!TBD\s*$)\S/m;
+
+/**
+ * Check whether a diff replaces the TBD flag with a real one
+ * @param {string} diff - Patch of a writeup
+ * @returns {boolean} True if one hunk removes the TBD flag and adds another
+ */
+function setsFlag(diff) {
+  return String(diff || '')
+    .split(/^(?=@@)/m)
+    .some(hunk => FLAG_REMOVED_PATTERN.test(hunk) && FLAG_ADDED_PATTERN.test(hunk));
+}
+
+/**
+ * Collect the challenges of every configured event, grouped as
+ * event → sub-event → category number → challenges
+ * @param {string} repoRoot - Repository root path
+ * @param {Object} config - Loaded config
+ * @returns {Promise<Object>} Competition data keyed by event name
+ */
+async function findCompetitionData(repoRoot, config) {
+  const competitions = {};
+  const team = getTeam(config);
+  const redact = createFlagRedactor(config);
+  const tasks = await findTasks(repoRoot, config);
+  
+  for (const task of tasks) {
+    if (!competitions[task.event]) {
+      competitions[task.event] = {
+        path: getEventPath(repoRoot, task.event),
+        subEvents: {}
+      };
+    }
+    
+    const subEvents = competitions[task.event].subEvents;
+    if (!subEvents[task.subEvent]) {
+      subEvents[task.subEvent] = {
+        path: getSubEventPath(repoRoot, task.event, task.subEvent),
+        categories: {}
+      };
+    }
+    
+    const categories = subEvents[task.subEvent].categories;
+    if (!categories[task.categoryNum]) {
+      categories[task.categoryNum] = {
+        name: task.category,
+        path: path.dirname(task.path),
+        challenges: []
+      };
+    }
+    
+    try {
+      const metadata = await extractMetadata(task.writeupPath, repoRoot, team);
+      
+      categories[task.categoryNum].challenges.push({
+        num: task.taskNum,
+        path: path.relative(repoRoot, task.path),
+        writeupPath: task.writeupPath,
+        ...metadata,
+        // Hidden while the event is running, if the event is set up that way
+        flag: redact(metadata.flag, task.event)
+      });
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️ Error processing ${task.writeupPath}: ${error.message}`));
+    }
+  }
+  
+  if (Object.keys(competitions).length === 0) {
+    console.log(chalk.yellow('⚠️ No competitions found. Make sure your directory structure is correct.'));
+  }
+  
+  return competitions;
+}
+
+/**
+ * Read the progress data of a challenge from its writeup
+ * @param {string} writeupPath - Path to writeup.md
+ * @param {string} eventRoot - Repository root used for git history lookups
+ * @param {Array} [team=[]] - Team roster from getTeam, used to show solvers by their display name
+ * @returns {Promise<Object>} Challenge metadata
+ */
+async function extractMetadata(writeupPath, eventRoot, team = []) {
+  const writeup = await readWriteup(writeupPath);
+  reportWarnings(writeupPath, writeup.warnings);
+  
+  // A task is considered completed once a real flag (not TBD) is recorded
+  const isCompleted = writeup.isSolved;
+  
+  // A solver list recorded by `flagtrack solve` is used as is; free-text
+  // solvers are checked against the git history of the flag
+  let gitSolvers = null;
+  if (isCompleted && !Array.isArray(writeup.meta.solver)) {
+    gitSolvers = await getFlagSolver(eventRoot, writeupPath, team);
+  }
+  
+  // Prefer the git solvers if available, otherwise use the file solvers
+  let solver = writeup.solver;
+  if (gitSolvers) {
+    solver = gitSolvers.join(', ');
+  } else if (team.length > 0 && writeup.solvers.length > 0) {
+    solver = normalizeSolvers(team, writeup.solvers).join(', ');
+  }
+  
+  return {
+    name: writeup.name || 'Unknown Challenge',
+    points: writeup.points,
+    category: writeup.category || 'Uncategorized',
+    isCompleted,
+    solver,
+    assignee: writeup.assignee ? normalizeSolvers(team, [writeup.assignee])[0] : writeup.assignee,
+    claimed: writeup.claimed,
+    flag: writeup.flag
+  };
+}
+
+/**
+ * Find who added the flag of a writeup: the author of the commit that replaced
+ * the TBD flag, plus everyone in its Co-authored-by trailers
+ * @param {string} repoRoot - Repository root
+ * @param {string} writeupPath - Path to writeup.md
+ * @param {Array} [team=[]] - Team roster; authors are matched by git email first
+ * @returns {Promise<string[]|null>} Solver names, or null if not found
+ */
+async function getFlagSolver(repoRoot, writeupPath, team = []) {
+  try {
+    const relativePath = path.relative(repoRoot, writeupPath);
+    
+    const git = simpleGit(repoRoot);
+    
+    // Get the git log with changes to the file showing who added/changed the flag
+    const logOptions = [
+      '-p',               // Show patches
+      '--follow',         // Follow file renames
+      '-G[Ff]lag:',       // Look for changes to the flag line or front matter key
+      '--',
+      relativePath
+    ];
+    
+    const logs = await git.log(logOptions);
+    
+    if (!logs || !logs.all || logs.all.length === 0) {
+      return null;
+    }
+    
+    // Parse the log to find commits that changed the flag from TBD to something else
+    for (const commit of logs.all) {
+      // Get the diff for this commit
+      const diff = await git.show([
+        commit.hash,
+        '--format=',  // No header, just diff
+        '-p',
+        relativePath
+      ]);
+      
+      // Look for the flag changing from TBD
+      if (setsFlag(diff)) {
+        const author = findMember(team, commit.author_email) ? commit.author_email : commit.author_name;
+        return normalizeSolvers(team, [author, ...parseCoAuthors(commit.body)]);
+      }
+    }
+    
+    return null;
+  } catch (error) {
+    console.log(chalk.yellow(`⚠️ Could not determine solver from git history: ${error.message}`));
+    return null;
+  }
+}
+
+/**
+ * Reconstruct when a challenge was created, first claimed and solved from the
+ * git history of its writeup: the commit that added the file, the first one
+ * that recorded a claim and the one that replaced the TBD flag
+ * @param {string} repoRoot - Repository root
+ * @param {string} writeupPath - Path to writeup.md
+ * @param {Object} [options] - History options
+ * @param {boolean} [options.warnings=true] - Print a warning when the history cannot be read
+ * @returns {Promise<{ created: Date|null, claimed: Date|null, solved: Date|null }>}
+ *   Commit times, null for what did not happen or is not committed
+ */
+async function getChallengeHistory(repoRoot, writeupPath, options = {}) {
+  const { warnings = true } = options;
+  const history = { created: null, claimed: null, solved: null };
+  
+  try {
+    const relativePath = path.relative(repoRoot, writeupPath);
+    const git = simpleGit(repoRoot);
+    
+    const logs = await git.log(['--follow', '--', relativePath]);
+    if (!logs || !logs.all || logs.all.length === 0) {
+      return history;
+    }
+    
+    // Oldest first, so the first match is when it happened
+    const commits = [...logs.all].reverse();
+    history.created = new Date(commits[0].date);
+    
+    for (const commit of commits) {
+      if (history.claimed && history.solved) {
+        break;
+      }
+      
+      const diff = await git.show([
+        commit.hash,
+        '--format=',  // No header, just diff
+        '-p',
+        relativePath
+      ]);
+      
+      if (!history.claimed && CLAIM_SET_PATTERN.test(diff)) {
+        history.claimed = new Date(commit.date);
+      }
+      if (!history.solved && setsFlag(diff)) {
+        history.solved = new Date(commit.date);
+      }
+    }
+    
+    return history;
+  } catch (error) {
+    if (warnings) {
+      console.log(chalk.yellow(`⚠️ Could not read the git history of ${writeupPath}: ${error.message}`));
+    }
+    return history;
+  }
+}
+
+module.exports = {
+  findCompetitionData,
+  extractMetadata,
+  getFlagSolver,
+  getChallengeHistory
+};
@@ -0,0 +1,42 @@
+/**
+ * README settings shared by the update command and the generated workflow
+ */
+const path = require('path');
+
+// Values of readme.layout: everything in the root README, or a summary there
+// and the tables in a README of every event and sub-event directory
+const LAYOUTS = ['single', 'split'];
+
+/**
+ * Read the README settings from the `readme` section of the config:
+ *
+ *   readme:
+ *     layout: split        # single (default) or split
+ *     filename: index.md   # name of the event and sub-event files, default README.md
+ *     charts: false        # leave out the SVG badges and charts, default true
+ *     charts_dir: docs     # where to write them, default .flagtrack/charts
+ *
+ * @param {Object} [config] - Loaded config
+ * @returns {{ layout: string, filename: string, charts: boolean, chartsDir: string }} README settings
+ * @throws {Error} If the layout is unknown
+ */
+function getReadmeSettings(config) {
+  const settings = (config && config.readme) || {};
+  const layout = settings.layout ? String(settings.layout).trim().toLowerCase() : 'single';
+  
+  if (!LAYOUTS.includes(layout)) {
+    throw new Error(`Invalid readme.layout "${settings.layout}" in the config. Use one of: ${LAYOUTS.join(', ')}.`);
+  }
+  
+  return {
+    layout,
+    filename: settings.filename ? String(settings.filename).trim() : 'README.md',
+    charts: settings.charts !== false,
+    chartsDir: settings.charts_dir ? String(settings.charts_dir).trim() : path.join('.flagtrack', 'charts')
+  };
+}
+
+module.exports = {
+  LAYOUTS,
+  getReadmeSettings
+};
@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+
+/**
+ * Flags can be kept out of the README and leaderboard exports while an event
+ * is still running, with the `flags` section of the event in the config:
+ *
+ *   events:
+ *     <event>:
+ *       flags:
+ *         redact: prefix                  # full, hash, prefix or none (default)
+ *         ends_at: 2025-05-04T18:00:00Z   # flags are shown again after this time
+ *       sub_events: ...
+ *
+ *   full    [redacted]
+ *   hash    sha256:<first 16 hex digits>, to compare flags without showing them
+ *   prefix  flag{...}, the part up to the first "{"
+ */
+const REDACTION_MODES = ['none', 'full', 'hash', 'prefix'];
+const REDACTED = '[redacted]';
+
+/**
+ * Read how flags of an event are shown at a given time
+ * @param {Object} config - Loaded config
+ * @param {string} eventName - Event name
+ * @param {Date} [now=new Date()] - Time to check the end of the event against
+ * @returns {string} One of the redaction modes; none once the event has ended
+ * @throws {Error} If the mode or end time in the config is invalid
+ */
+function getRedactionMode(config, eventName, now = new Date()) {
+  const settings = config?.events?.[eventName]?.flags || {};
+  const mode = settings.redact ? String(settings.redact).trim().toLowerCase() : 'none';
+
+  if (!REDACTION_MODES.includes(mode)) {
+    throw new Error(`Invalid flags.redact "${settings.redact}" for ${eventName}. Use one of: ${REDACTION_MODES.join(', ')}.`);
+  }
+
+  if (settings.ends_at) {
+    const endsAt = settings.ends_at instanceof Date ? settings.ends_at : new Date(settings.ends_at);
+    if (isNaN(endsAt.getTime())) {
+      throw new Error(`Invalid flags.ends_at "${settings.ends_at}" for ${eventName}. Use an ISO 8601 time such as 2025-05-04T18:00:00Z.`);
+    }
+    if (now >= endsAt) {
+      return 'none';
+    }
+  }
+
+  return mode;
+}
+
+/**
+ * Redact a flag
+ * @param {string|null} flag - Flag, null when unknown
+ * @param {string} mode - Redaction mode from getRedactionMode
+ * @returns {string|null} The redacted flag; unknown flags are returned unchanged
+ */
+function redactFlag(flag, mode) {
+  if (!flag || mode === 'none') {
+    return flag;
+  }
+
+  if (mode === 'hash') {
+    return `sha256:${crypto.createHash('sha256').update(flag).digest('hex').slice(0, 16)}`;
+  }
+
+  const prefix = flag.match(/^[^{]+\{/);
+  if (mode === 'prefix' && prefix) {
+    return `${prefix[0]}...}`;
+  }
+
+  return REDACTED;
+}
+
+/**
+ * Create a function that redacts flags by the settings of their event
+ * @param {Object} config - Loaded config
+ * @param {Date} [now=new Date()] - Time to check event end times against
+ * @returns {function(string|null, string): (string|null)} Takes a flag and its event name
+ * @throws {Error} If the settings of any event are invalid
+ */
+function createFlagRedactor(config, now = new Date()) {
+  const modes = {};
+  for (const eventName of Object.keys(config?.events || {})) {
+    modes[eventName] = getRedactionMode(config, eventName, now);
+  }
+
+  return (flag, eventName) => redactFlag(flag, modes[eventName] || 'none');
+}
+
+module.exports = {
+  REDACTION_MODES,
+  getRedactionMode,
+  redactFlag,
+  createFlagRedactor
+};
@@ -0,0 +1,210 @@
+/**
+ * Scoring of solvers, shared by the leaderboard and the README solver chart
+ */
+const { processSolvers } = require('./challenges');
+const { normalizeSolvers } = require('./team');
+
+// How the points of a challenge are credited to its solvers
+const SCORING_MODES = {
+  full: 'full points for every solver',
+  split: 'points split evenly among co-solvers',
+  first: 'points for the first listed solver only',
+  weighted: 'points times difficulty, split among co-solvers'
+};
+
+// Weights of difficulty names for the weighted mode, unless set in the config
+const DEFAULT_DIFFICULTY_WEIGHTS = {
+  easy: 1,
+  medium: 2,
+  hard: 3,
+  insane: 4
+};
+
+/**
+ * Read the scoring mode from the command line or the `leaderboard` section of
+ * the config:
+ *
+ *   leaderboard:
+ *     scoring: split         # full (default), split, first or weighted
+ *     difficulty_weights:    # for weighted; challenges without a difficulty count once
+ *       easy: 1
+ *       hard: 3
+ *
+ * @param {Object} [config] - Loaded config
+ * @param {string} [option] - Value of --scoring, wins over the config
+ * @returns {{ mode: string, weights: Object }} Scoring mode and difficulty weights by lowercase name
+ * @throws {Error} If the mode or a weight is invalid
+ */
+function getScoring(config, option) {
+  const settings = (config && config.leaderboard) || {};
+  const value = option !== undefined ? option : settings.scoring;
+  const mode = value ? String(value).trim().toLowerCase() : 'full';
+  const modes = Object.keys(SCORING_MODES);
+  
+  if (!modes.includes(mode)) {
+    throw new Error(option !== undefined
+      ? `Invalid value for --scoring: "${option}". Expected one of: ${modes.join(', ')}`
+      : `Invalid leaderboard.scoring "${settings.scoring}" in the config. Use one of: ${modes.join(', ')}.`);
+  }
+  
+  const weights = { ...DEFAULT_DIFFICULTY_WEIGHTS };
+  for (const [name, weight] of Object.entries(settings.difficulty_weights || {})) {
+    if (typeof weight !== 'number' || !(weight >= 0)) {
+      throw new Error(`Invalid leaderboard.difficulty_weights.${name} "${weight}" in the config. Use a number of 0 or more.`);
+    }
+    weights[name.toLowerCase()] = weight;
+  }
+  
+  return { mode, weights };
+}
+
+/**
+ * Find the difficulty weight of a challenge
+ * @param {string|number|null} difficulty - Difficulty from the writeup: a name or a number
+ * @param {Object} weights - Weights by lowercase difficulty name
+ * @returns {number} The weight; 1 without a difficulty or for an unknown name
+ */
+function getDifficultyWeight(difficulty, weights) {
+  if (typeof difficulty === 'number' && difficulty >= 0) {
+    return difficulty;
+  }
+  const weight = difficulty === null || difficulty === undefined ? undefined : weights[String(difficulty).trim().toLowerCase()];
+  return weight === undefined ? 1 : weight;
+}
+
+/**
+ * Work out what each solver of a challenge is credited with
+ * @param {number} points - Points of the challenge, already weighted
+ * @param {string[]} solverNames - Solvers in the order they are listed
+ * @param {string} mode - Scoring mode
+ * @returns {Array<{ name: string, points: number, share: number }>} Credited solvers; share is
+ *   the part of the solve they get, so the shares of a challenge add up to 1 except in full mode
+ */
+function creditSolvers(points, solverNames, mode) {
+  if (mode === 'first') {
+    return solverNames.slice(0, 1).map(name => ({ name, points, share: 1 }));
+  }
+  if (mode === 'split' || mode === 'weighted') {
+    return solverNames.map(name => ({ name, points: points / solverNames.length, share: 1 / solverNames.length }));
+  }
+  return solverNames.map(name => ({ name, points, share: 1 }));
+}
+
+/**
+ * Format a part of a whole as a percentage
+ * @param {number} part - Part
+ * @param {number} whole - Whole; 0 gives 0%
+ * @returns {string} Percentage with one decimal
+ */
+function percentOf(part, whole) {
+  return (whole ? part / whole * 100 : 0).toFixed(1);
+}
+
+/**
+ * Round points to two decimals, for split points like 100 / 3
+ * @param {number} value - Points
+ * @returns {number} Rounded points
+ */
+function roundPoints(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Process challenge data into leaderboard format. Solvers are resolved through
+ * the team roster and counted once per person, whatever spelling was used.
+ * @param {Array} challenges - Array of challenge objects
+ * @param {Array} [team=[]] - Team roster from getTeam
+ * @param {{ mode: string, weights: Object }} [scoring] - Result of getScoring, full credit by default
+ * @returns {Object} Object with solvers and totals data; totals.points are weighted in the weighted mode
+ */
+function processLeaderboardData(challenges, team = [], scoring = { mode: 'full', weights: DEFAULT_DIFFICULTY_WEIGHTS }) {
+  const solvers = {};
+  const totals = {
+    challenges: challenges.length,
+    solved: 0,
+    points: 0,
+    scoring: scoring.mode,
+    categories: new Set(),
+    competitions: new Set()
+  };
+  
+  // Process each challenge
+  for (const challenge of challenges) {
+    // Update totals
+    totals.categories.add(challenge.category);
+    totals.competitions.add(challenge.competition);
+    
+    if (challenge.isCompleted) {
+      const points = (challenge.points || 0) *
+        (scoring.mode === 'weighted' ? getDifficultyWeight(challenge.difficulty, scoring.weights) : 1);
+      totals.solved++;
+      totals.points += points;
+      
+      // Process solvers
+      const solversList = creditSolvers(points, normalizeSolvers(team, processSolvers(challenge.solver)), scoring.mode);
+      
+      for (const { name: solverName, points: credited, share } of solversList) {
+        const key = solverName.toLowerCase();
+        if (!solvers[key]) {
+          solvers[key] = {
+            name: solverName,
+            points: 0,
+            solved: 0,
+            share: 0,
+            challenges: [],
+            categories: new Set(),
+            competitions: new Set()
+          };
+        }
+        
+        // Update solver stats
+        const solver = solvers[key];
+        solver.points += credited;
+        solver.solved += 1;
+        solver.share += share;
+        solver.challenges.push({
+          name: challenge.name,
+          points: roundPoints(credited),
+          category: challenge.category,
+          competition: challenge.competition,
+          flag: challenge.flag
+        });
+        solver.categories.add(challenge.category);
+        solver.competitions.add(challenge.competition);
+      }
+    }
+  }
+  
+  // Calculate percentage solved for each solver, from their share of each
+  // solve so that the percentages of split modes add up to at most 100
+  Object.values(solvers).forEach(solver => {
+    solver.percentSolved = percentOf(solver.share, totals.solved);
+    solver.percentPoints = percentOf(solver.points, totals.points);
+    solver.points = roundPoints(solver.points);
+    solver.share = roundPoints(solver.share);
+  });
+  
+  // Convert to array and sort
+  const sortedSolvers = Object.values(solvers).sort((a, b) => {
+    if (b.points !== a.points) return b.points - a.points; // Sort by points first
+    return b.solved - a.solved; // Then by number of challenges solved
+  });
+  
+  return { 
+    solvers: sortedSolvers,
+    totals: {
+      ...totals,
+      points: roundPoints(totals.points),
+      categories: totals.categories.size,
+      competitions: totals.competitions.size
+    }
+  };
+}
+
+module.exports = {
+  SCORING_MODES,
+  getScoring,
+  percentOf,
+  roundPoints,
+  processLeaderboardData
+};
@@ -0,0 +1,178 @@
+const chalk = require('chalk');
+
+/**
+ * The team roster lives in the `team` section of the config. Each member is
+ * either a "Name <email>" string or an object:
+ *
+ *   team:
+ *     - name: Alice                  # display name
+ *       email: alice@example.com     # used for Co-authored-by trailers
+ *       emails: [alice@laptop.local] # other git author emails
+ *       aliases: [alice-laptop, ali]
+ *       handles: ['@al1ce']          # CTF platform or chat handles
+ *     - Bob <bob@example.com>
+ *
+ * Solver names, aliases, handles and git emails all resolve to the display
+ * name, case-insensitively.
+ */
+const MEMBER_PATTERN = /^(.*?)\s*<([^>]+)>$/;
+
+/**
+ * Turn a roster value that may be a single string or a list into a list
+ * @param {*} value - Config value
+ * @returns {string[]} Non-empty trimmed strings
+ */
+function toList(value) {
+  return [].concat(value === undefined || value === null ? [] : value)
+    .map(item => String(item).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Read the team roster from the config
+ * @param {Object} [config] - Loaded config
+ * @returns {Array<{name: string, email: string|null, emails: string[], aliases: string[], handles: string[]}>}
+ *   Team members, empty without a roster; emails includes the trailer email
+ */
+function getTeam(config) {
+  const entries = config && Array.isArray(config.team) ? config.team : [];
+
+  return entries
+    .map(entry => {
+      if (entry && typeof entry === 'object') {
+        const email = entry.email ? String(entry.email).trim() : null;
+        return {
+          name: String(entry.name || '').trim(),
+          email,
+          emails: toList([email, ...toList(entry.emails)].filter(Boolean)),
+          aliases: toList(entry.aliases),
+          handles: toList(entry.handles).map(handle => handle.replace(/^@/, ''))
+        };
+      }
+      const text = String(entry || '').trim();
+      const match = text.match(MEMBER_PATTERN);
+      const email = match ? match[2].trim() : null;
+      return { name: match ? match[1] : text, email, emails: email ? [email] : [], aliases: [], handles: [] };
+    })
+    .filter(member => member.name);
+}
+
+/**
+ * Find a team member by display name, alias, handle or git email, ignoring case
+ * @param {Array} team - Team members from getTeam
+ * @param {string} name - Name, alias, handle (with or without @) or email to look up
+ * @returns {Object|null} The member, or null if not in the roster
+ */
+function findMember(team, name) {
+  const wanted = String(name || '').trim().replace(/^@/, '').toLowerCase();
+  if (!wanted) {
+    return null;
+  }
+  return team.find(member =>
+    [member.name, ...member.aliases, ...member.handles, ...member.emails].some(value => value.toLowerCase() === wanted)
+  ) || null;
+}
+
+/**
+ * Resolve solver names to their display names. Names that are not in the
+ * roster keep their spelling; the same person is only listed once.
+ *
+ * @param {Array} team - Team members from getTeam
+ * @param {string[]} names - Solver names, aliases, handles or emails
+ * @returns {string[]} Display names without duplicates
+ */
+function normalizeSolvers(team, names) {
+  const solvers = [];
+
+  for (const name of names) {
+    const member = findMember(team, name);
+    const solverName = member ? member.name : String(name).trim();
+    if (solverName && !solvers.some(solver => solver.toLowerCase() === solverName.toLowerCase())) {
+      solvers.push(solverName);
+    }
+  }
+
+  return solvers;
+}
+
+/**
+ * Match solver names entered by the user against the roster, like
+ * normalizeSolvers, and report the names that are not in it
+ *
+ * @param {Array} team - Team members from getTeam
+ * @param {string[]} names - Solver names as entered
+ * @returns {string[]} Display names without duplicates
+ */
+function matchSolvers(team, names) {
+  if (team.length > 0) {
+    for (const name of names) {
+      if (!findMember(team, name)) {
+        console.log(chalk.yellow(`⚠️ ${name} is not in the team roster.`));
+      }
+    }
+  }
+
+  return normalizeSolvers(team, names);
+}
+
+/**
+ * Build Co-authored-by trailers for the solvers other than the commit author.
+ * The author is found in the roster by git email as well as name, as in the
+ * history. Solvers without an email in the roster cannot be credited this way.
+ *
+ * @param {Array} team - Team members from getTeam
+ * @param {string[]} solvers - Solver names
+ * @param {string|null} author - Name the commit is authored as
+ * @param {string|null} [authorEmail=null] - Email the commit is authored as
+ * @returns {string[]} Trailer lines
+ */
+function getCoAuthorTrailers(team, solvers, author, authorEmail = null) {
+  const trailers = [];
+  const authorMember = findMember(team, authorEmail) || findMember(team, author);
+
+  for (const solver of solvers) {
+    const member = findMember(team, solver);
+    if ((author && solver.toLowerCase() === author.toLowerCase()) || (member && member === authorMember)) {
+      continue;
+    }
+
+    if (member && member.email) {
+      trailers.push(`Co-authored-by: ${member.name} <${member.email}>`);
+    } else if (member) {
+      console.log(chalk.yellow(`⚠️ No email for ${member.name} in the team roster. Not adding a Co-authored-by trailer.`));
+    }
+  }
+
+  return trailers;
+}
+
+/**
+ * Append trailers to a commit message
+ * @param {string} message - Commit message
+ * @param {string[]} trailers - Trailer lines
+ * @returns {string} The message, followed by a blank line and the trailers if there are any
+ */
+function withTrailers(message, trailers) {
+  return trailers.length > 0 ? `${message}\n\n${trailers.join('\n')}` : message;
+}
+
+/**
+ * Read the names of the Co-authored-by trailers in a commit message
+ * @param {string} message - Commit message or body
+ * @returns {string[]} Co-author names
+ */
+function parseCoAuthors(message) {
+  return [...String(message || '').matchAll(/^Co-authored-by:\s*(.*?)\s*<[^>]*>\s*$/gim)]
+    .map(match => match[1])
+    .filter(Boolean);
+}
+
+module.exports = {
+  getTeam,
+  findMember,
+  normalizeSolvers,
+  matchSolvers,
+  getCoAuthorTrailers,
+  withTrailers,
+  parseCoAuthors
+};
@@ -0,0 +1,131 @@
+/**
+ * A small logic-less template language for generated markdown:
+ *
+ *   {{name}}                value, looked up in the current item first, then
+ *                           in the items around it; dotted paths like {{a.b}}
+ *   {{#list}}...{{/list}}   repeated for every item of a list, or rendered once
+ *                           when the value is truthy
+ *   {{^list}}...{{/list}}   rendered when the value is false, missing or empty
+ *   {{! comment }}          left out of the output
+ *
+ * Section and comment tags on a line of their own do not leave an empty line
+ * behind. Values are inserted as is, without escaping.
+ */
+const TAG_PATTERN = /\{\{\s*([#^/!]?)\s*([^}]*?)\s*\}\}/g;
+const STANDALONE_PATTERN = /^[ \t]*(\{\{\s*[#^/!][^}]*\}\})[ \t]*(?:\r?\n|$)/gm;
+
+/**
+ * Parse a template into a tree of text, value and section nodes
+ * @param {string} template - Template source
+ * @returns {Array} Nodes
+ * @throws {Error} If sections are not closed in order
+ */
+function parseTemplate(template) {
+  const source = template.replace(STANDALONE_PATTERN, '$1');
+  const root = { children: [] };
+  const stack = [root];
+  let position = 0;
+
+  for (const match of source.matchAll(TAG_PATTERN)) {
+    const [tag, type, name] = match;
+    const current = stack[stack.length - 1];
+
+    if (match.index > position) {
+      current.children.push({ type: 'text', value: source.slice(position, match.index) });
+    }
+    position = match.index + tag.length;
+
+    if (type === '!') {
+      continue;
+    }
+    if (type === '#' || type === '^') {
+      const section = { type: type === '#' ? 'section' : 'inverted', name, children: [] };
+      current.children.push(section);
+      stack.push(section);
+    } else if (type === '/') {
+      if (stack.length === 1 || current.name !== name) {
+        throw new Error(`Unexpected {{/${name}}} in template${stack.length > 1 ? `, expected {{/${current.name}}}` : ''}.`);
+      }
+      stack.pop();
+    } else {
+      current.children.push({ type: 'value', name });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed {{#${stack[stack.length - 1].name}}} in template.`);
+  }
+  if (position < source.length) {
+    root.children.push({ type: 'text', value: source.slice(position) });
+  }
+
+  return root.children;
+}
+
+/**
+ * Look a name up in the innermost item that has it
+ * @param {Array} contexts - Items from outermost to innermost
+ * @param {string} name - Name or dotted path; "." is the current item
+ * @returns {*} The value, or undefined
+ */
+function lookup(contexts, name) {
+  if (name === '.') {
+    return contexts[contexts.length - 1];
+  }
+
+  const [head, ...rest] = name.split('.');
+  for (let i = contexts.length - 1; i >= 0; i--) {
+    const context = contexts[i];
+    if (context !== null && typeof context === 'object' && head in context) {
+      return rest.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), context[head]);
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Render parsed nodes
+ * @param {Array} nodes - Result of parseTemplate
+ * @param {Array} contexts - Items from outermost to innermost
+ * @returns {string} Rendered text
+ */
+function renderNodes(nodes, contexts) {
+  let output = '';
+
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.value;
+      continue;
+    }
+
+    const value = lookup(contexts, node.name);
+    const empty = !value || (Array.isArray(value) && value.length === 0);
+
+    if (node.type === 'value') {
+      output += value === null || value === undefined ? '' : String(value);
+    } else if (node.type === 'inverted') {
+      output += empty ? renderNodes(node.children, contexts) : '';
+    } else if (Array.isArray(value)) {
+      output += value.map(item => renderNodes(node.children, [...contexts, item])).join('');
+    } else if (!empty) {
+      output += renderNodes(node.children, typeof value === 'object' ? [...contexts, value] : contexts);
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Render a template with the given values
+ * @param {string} template - Template source
+ * @param {Object} view - Values available to the template
+ * @returns {string} Rendered text
+ * @throws {Error} If the template is malformed
+ */
+function renderTemplate(template, view) {
+  return renderNodes(parseTemplate(template), [view]);
+}
+
+module.exports = {
+  renderTemplate
+};
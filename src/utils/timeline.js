@@ -0,0 +1,160 @@
+const { formatDate } = require('./dates');
+const { escapeHtml } = require('./markdown');
+
+// Order of events that happened in the same commit
+const EVENT_ORDER = { created: 0, claimed: 1, solved: 2 };
+
+const CSV_COLUMNS = ['time', 'type', 'event', 'subEvent', 'category', 'challenge', 'points', 'solvers', 'totalPoints'];
+
+/**
+ * Turn challenge histories into a list of timeline events
+ * @param {Array<{ challenge: Object, history: Object }>} entries - Challenges from scanAllChallenges
+ *   with their solvers resolved, and their history from getChallengeHistory
+ * @returns {Array<Object>} Events oldest first: time, type (created, claimed or solved), event,
+ *   subEvent, category, challenge, points, solvers and the team's total points after the event
+ */
+function buildTimeline(entries) {
+  const events = [];
+
+  for (const { challenge, history } of entries) {
+    for (const type of Object.keys(EVENT_ORDER)) {
+      // A challenge only counts as solved while its flag is still recorded
+      if (!history[type] || isNaN(history[type].getTime()) || (type === 'solved' && !challenge.isCompleted)) {
+        continue;
+      }
+      events.push({
+        time: history[type],
+        type,
+        event: challenge.competition,
+        subEvent: challenge.subEvent,
+        category: challenge.category,
+        challenge: challenge.name,
+        points: challenge.points || 0,
+        solvers: type === 'solved' ? challenge.solvers || [] : []
+      });
+    }
+  }
+
+  events.sort((a, b) => a.time - b.time || EVENT_ORDER[a.type] - EVENT_ORDER[b.type]);
+
+  let totalPoints = 0;
+  for (const event of events) {
+    if (event.type === 'solved') {
+      totalPoints += event.points;
+    }
+    event.totalPoints = totalPoints;
+  }
+
+  return events;
+}
+
+/**
+ * Format timeline events as CSV
+ * @param {Array<Object>} events - Result of buildTimeline
+ * @returns {string} CSV text with a header line; times in ISO 8601 UTC
+ */
+function timelineToCsv(events) {
+  const quote = value => {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const rows = events.map(event => [
+    event.time.toISOString(),
+    event.type,
+    event.event,
+    event.subEvent,
+    event.category,
+    event.challenge,
+    event.points,
+    event.solvers.join(', '),
+    event.totalPoints
+  ].map(quote).join(','));
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\n');
+}
+
+/**
+ * Round a maximum up to a value that divides into readable axis steps
+ * @param {number} value - Largest value on the axis
+ * @returns {number} 1, 2 or 5 times a power of ten, at least value
+ */
+function niceMax(value) {
+  if (value <= 0) {
+    return 100;
+  }
+  const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+  return [1, 2, 5, 10].map(step => step * magnitude).find(step => step >= value);
+}
+
+/**
+ * Render the team's cumulative points over time as an SVG step chart
+ * @param {Array<Object>} events - Result of buildTimeline
+ * @param {Object} [config] - Loaded config, for the date display settings
+ * @param {Object} [options] - Chart options
+ * @param {number} [options.width=800] - Width in pixels
+ * @param {number} [options.height=300] - Height in pixels
+ * @param {string} [options.title='Points over time'] - Chart title
+ * @returns {string} SVG document
+ */
+function renderTimelineSvg(events, config, options = {}) {
+  const { width = 800, height = 300, title = 'Points over time' } = options;
+  const margin = { top: 36, right: 24, bottom: 40, left: 56 };
+  const plotWidth = width - margin.left - margin.right;
+  const plotHeight = height - margin.top - margin.bottom;
+  const solves = events.filter(event => event.type === 'solved');
+
+  const start = events.length > 0 ? events[0].time.getTime() : Date.now();
+  const end = Math.max(events.length > 0 ? events[events.length - 1].time.getTime() : start, start + 60 * 60 * 1000);
+  const maxPoints = niceMax(solves.length > 0 ? solves[solves.length - 1].totalPoints : 0);
+
+  const x = time => (margin.left + ((time - start) / (end - start)) * plotWidth).toFixed(1);
+  const y = points => (margin.top + plotHeight - (points / maxPoints) * plotHeight).toFixed(1);
+
+  const lines = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="sans-serif" font-size="12">`,
+    `<title>${escapeHtml(title)}</title>`,
+    `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+    `<text x="${margin.left}" y="22" font-size="15" font-weight="bold" fill="#1f2328">${escapeHtml(title)}</text>`
+  ];
+
+  // Horizontal grid lines with point labels
+  for (let step = 0; step <= 4; step++) {
+    const points = (maxPoints / 4) * step;
+    lines.push(
+      `<line x1="${margin.left}" y1="${y(points)}" x2="${width - margin.right}" y2="${y(points)}" stroke="#d0d7de" stroke-width="1"/>`,
+      `<text x="${margin.left - 8}" y="${y(points)}" dy="4" text-anchor="end" fill="#57606a">${Math.round(points)}</text>`
+    );
+  }
+
+  // Time labels at the start, middle and end
+  [start, (start + end) / 2, end].forEach((time, index) => {
+    const anchor = ['start', 'middle', 'end'][index];
+    lines.push(`<text x="${x(time)}" y="${height - 14}" text-anchor="${anchor}" fill="#57606a">${escapeHtml(formatDate(new Date(time), config, 'YYYY-MM-DD HH:mm'))}</text>`);
+  });
+
+  if (solves.length === 0) {
+    lines.push(`<text x="${margin.left + plotWidth / 2}" y="${margin.top + plotHeight / 2}" text-anchor="middle" fill="#57606a">No solves yet</text>`);
+  } else {
+    let path = `M${x(start)},${y(0)}`;
+    for (const solve of solves) {
+      path += ` H${x(solve.time.getTime())} V${y(solve.totalPoints)}`;
+    }
+    path += ` H${x(end)}`;
+    lines.push(`<path d="${path}" fill="none" stroke="#0969da" stroke-width="2"/>`);
+
+    for (const solve of solves) {
+      const label = `${solve.challenge} (+${solve.points} pts${solve.solvers.length > 0 ? ` by ${solve.solvers.join(', ')}` : ''})`;
+      lines.push(`<circle cx="${x(solve.time.getTime())}" cy="${y(solve.totalPoints)}" r="3.5" fill="#0969da"><title>${escapeHtml(label)}</title></circle>`);
+    }
+  }
+
+  lines.push('</svg>');
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  buildTimeline,
+  timelineToCsv,
+  renderTimelineSvg
+};
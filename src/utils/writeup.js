@@ -0,0 +1,597 @@
+const fs = require('fs-extra');
+const chalk = require('chalk');
+const YAML = require('yaml');
+const { files } = require('./dryRun');
+
+/**
+ * Writeups carry their metadata in one of two formats.
+ *
+ * Front matter (written by `flagtrack create`):
+ *
+ *   ---
+ *   name: Task Name
+ *   category: Web
+ *   points: 250
+ *   flag: flag{...}
+ *   solver: [Alice, Bob]
+ *   tags: [jwt]
+ *   assignee: Bob
+ *   claimed: 2025-04-03T12:34:56.789Z
+ *   ---
+ *
+ * Legacy bold lines, in the order they appear in the old template:
+ *
+ *   # 🧩 Task Name
+ *
+ *   **Category:** Web
+ *   **Points:** 250
+ *   **Flag:** `flag{...}`
+ *   **Solver:** Alice, Bob
+ *   **Assignee:** Bob
+ *   **Claimed:** 2025-04-03T12:34:56.789Z
+ *
+ * Unknown values are written as TBD and parsed as null. The claim fields
+ * (assignee, claimed) are optional and removed again when a task is released.
+ * The solver is a list in front matter written by `flagtrack solve`, and free
+ * text (split on commas and "and") everywhere else.
+ */
+const FIELDS = ['category', 'points', 'flag', 'solver'];
+const CLAIM_FIELDS = ['assignee', 'claimed'];
+const LEGACY_FIELDS = [...FIELDS, ...CLAIM_FIELDS];
+
+const FIELD_LABELS = {
+  category: 'Category',
+  points: 'Points',
+  flag: 'Flag',
+  solver: 'Solver',
+  assignee: 'Assignee',
+  claimed: 'Claimed'
+};
+
+const PLACEHOLDER = 'TBD';
+const HEADING_PATTERN = /^#[ \t]+(?:🧩[ \t]*)?(.*?)[ \t]*$/m;
+const FRONT_MATTER_PATTERN = /^---[ \t]*\r?\n([\s\S]*?)\r?\n?---[ \t]*(?:\r?\n|$)/;
+
+/**
+ * Split writeup content into its front matter and body
+ * @param {string} content - Writeup markdown
+ * @returns {{ frontMatter: string|null, body: string }} Raw YAML (null if absent) and the rest
+ */
+function splitFrontMatter(content) {
+  const match = content.match(FRONT_MATTER_PATTERN);
+  if (!match) {
+    return { frontMatter: null, body: content };
+  }
+  return { frontMatter: match[1], body: content.slice(match[0].length) };
+}
+
+/**
+ * Build a regex matching the metadata line of a field
+ * @param {string} field - Field key
+ * @param {string} [flags] - Regex flags
+ * @returns {RegExp} Pattern capturing prefix, value and trailing whitespace
+ */
+function fieldPattern(field, flags = 'm') {
+  return new RegExp(`^(\\*\\*${FIELD_LABELS[field]}:\\*\\*[ \\t]*)(.*?)([ \\t]*)$`, flags);
+}
+
+/**
+ * Split a free-text solver value into names
+ * @param {string|null} value - Solver text, e.g. "Alice, Bob and Carol"
+ * @returns {string[]} Individual names
+ */
+function splitSolvers(value) {
+  if (!value) {
+    return [];
+  }
+  return String(value)
+    .split(/,|\s+and\s+|&/)
+    .map(name => name.trim())
+    .filter(name => name.length > 0);
+}
+
+/**
+ * Turn a raw metadata value into its typed form
+ * @param {string} field - Field key
+ * @param {string} raw - Raw text after the label
+ * @param {string[]} warnings - Warning list to append to
+ * @returns {string|number|null} Parsed value, null when unknown
+ */
+function parseValue(field, raw, warnings, fromYaml = false) {
+  if (raw === null || raw === undefined) {
+    return null;
+  }
+
+  let value = String(raw).trim();
+
+  if (field === 'flag' && !fromYaml) {
+    const codeMatch = value.match(/^`(.*)`$/);
+    if (codeMatch) {
+      value = codeMatch[1].trim();
+    } else if (value) {
+      warnings.push('Flag is not wrapped in backticks');
+    }
+  }
+
+  if (!value || value === PLACEHOLDER) {
+    return null;
+  }
+
+  if (field === 'points') {
+    if (!/^\d+$/.test(value)) {
+      warnings.push(`Points value "${value}" is not a number`);
+      return null;
+    }
+    return parseInt(value, 10);
+  }
+
+  return value;
+}
+
+/**
+ * Format a typed value for writing into the metadata line
+ * @param {string} field - Field key
+ * @param {string|number|null} value - Value, null for unknown
+ * @returns {string} Text written after the label
+ */
+function formatValue(field, value) {
+  if (Array.isArray(value)) {
+    return formatValue(field, value.join(', '));
+  }
+
+  const text = value === null || value === undefined || String(value).trim() === ''
+    ? PLACEHOLDER
+    : String(value).trim();
+
+  return field === 'flag' ? `\`${text}\`` : text;
+}
+
+/**
+ * Parse writeup content into a task record
+ * @param {string} content - Writeup markdown
+ * @returns {{
+ *   name: string|null,
+ *   category: string|null,
+ *   points: number|null,
+ *   flag: string|null,
+ *   solver: string|null,
+ *   solvers: string[],
+ *   tags: string[],
+ *   assignee: string|null,
+ *   claimed: string|null,
+ *   isSolved: boolean,
+ *   format: 'frontmatter'|'legacy',
+ *   meta: Object,
+ *   warnings: string[]
+ * }} Parsed record; unknown or missing values are null, meta holds all front matter keys
+ */
+function parseWriteup(content) {
+  const { frontMatter, body } = splitFrontMatter(content);
+
+  if (frontMatter !== null) {
+    let data;
+    try {
+      data = YAML.parse(frontMatter);
+    } catch (error) {
+      const record = parseLegacy(body);
+      record.warnings.unshift(`Invalid front matter: ${error.message.split('\n')[0]}`);
+      return record;
+    }
+
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+      const record = parseLegacy(body);
+      record.warnings.unshift('Front matter is not a key/value block');
+      return record;
+    }
+
+    return parseFrontMatter(data, body);
+  }
+
+  return parseLegacy(content);
+}
+
+/**
+ * Build a task record from parsed front matter
+ * @param {Object} data - Front matter values
+ * @param {string} body - Markdown after the front matter
+ * @returns {Object} Task record, see parseWriteup
+ */
+function parseFrontMatter(data, body) {
+  const warnings = [];
+  const record = { name: null };
+
+  if (data.name) {
+    record.name = String(data.name).trim();
+  } else {
+    const headingMatch = body.match(HEADING_PATTERN);
+    if (headingMatch && headingMatch[1]) {
+      record.name = headingMatch[1];
+    } else {
+      warnings.push('Missing name in front matter');
+    }
+  }
+
+  for (const field of FIELDS) {
+    if (!(field in data)) {
+      warnings.push(`Missing ${field} in front matter`);
+      record[field] = null;
+      continue;
+    }
+    record[field] = Array.isArray(data[field])
+      ? parseValue(field, data[field].filter(item => item !== null && item !== undefined).join(', '), warnings, true)
+      : parseValue(field, data[field], warnings, true);
+  }
+  record.solvers = Array.isArray(data.solver)
+    ? data.solver.filter(name => name !== null && name !== undefined && String(name).trim()).map(name => String(name).trim())
+    : splitSolvers(record.solver);
+
+  if (Array.isArray(data.tags)) {
+    record.tags = data.tags.filter(tag => tag !== null && tag !== undefined).map(String);
+  } else {
+    record.tags = data.tags ? [String(data.tags)] : [];
+  }
+
+  for (const field of CLAIM_FIELDS) {
+    record[field] = parseValue(field, data[field], warnings, true);
+  }
+
+  record.isSolved = record.flag !== null;
+  record.format = 'frontmatter';
+  record.meta = data;
+  record.warnings = warnings;
+
+  return record;
+}
+
+/**
+ * Build a task record from legacy bold metadata lines
+ * @param {string} content - Writeup markdown
+ * @returns {Object} Task record, see parseWriteup
+ */
+function parseLegacy(content) {
+  const warnings = [];
+  const record = { name: null };
+
+  const headingMatch = content.match(HEADING_PATTERN);
+  if (headingMatch && headingMatch[1]) {
+    record.name = headingMatch[1];
+  } else {
+    warnings.push('Missing "# 🧩 <name>" heading');
+  }
+
+  for (const field of FIELDS) {
+    const matches = [...content.matchAll(fieldPattern(field, 'gm'))];
+
+    if (matches.length === 0) {
+      warnings.push(`Missing **${FIELD_LABELS[field]}:** line`);
+      record[field] = null;
+      continue;
+    }
+
+    if (matches.length > 1) {
+      warnings.push(`Multiple **${FIELD_LABELS[field]}:** lines, using the first`);
+    }
+
+    record[field] = parseValue(field, matches[0][2], warnings);
+  }
+
+  for (const field of CLAIM_FIELDS) {
+    const match = content.match(fieldPattern(field));
+    record[field] = match ? parseValue(field, match[2], warnings) : null;
+  }
+
+  record.solvers = splitSolvers(record.solver);
+
+  record.tags = [];
+  record.isSolved = record.flag !== null;
+  record.format = 'legacy';
+  record.meta = {};
+  record.warnings = warnings;
+
+  return record;
+}
+
+/**
+ * Check whether a parsed writeup has a flag, points and solver recorded
+ * @param {Object} record - Result of parseWriteup
+ * @returns {boolean} True if nothing is left to fill in
+ */
+function isComplete(record) {
+  return record.flag !== null && record.points !== null && record.solver !== null;
+}
+
+/**
+ * Insert a metadata line for a field that is missing from the writeup.
+ * The line goes after the closest preceding field, before the closest following
+ * field, or below the heading when no metadata exists at all.
+ *
+ * @param {string[]} lines - Writeup lines (modified in place)
+ * @param {string} field - Field key to insert
+ * @param {string} text - Formatted value
+ */
+function insertField(lines, field, text) {
+  const lineOf = key => lines.findIndex(line => fieldPattern(key, '').test(line));
+  const label = `**${FIELD_LABELS[field]}:** ${text}`;
+  const index = LEGACY_FIELDS.indexOf(field);
+
+  for (const previous of LEGACY_FIELDS.slice(0, index).reverse()) {
+    const at = lineOf(previous);
+    if (at !== -1) {
+      // Keep the markdown line break on the line we insert after
+      const hadBreak = / {2}$/.test(lines[at]);
+      if (!hadBreak) {
+        lines[at] = `${lines[at].trimEnd()}  `;
+      }
+      lines.splice(at + 1, 0, hadBreak ? `${label}  ` : label);
+      return;
+    }
+  }
+
+  for (const next of LEGACY_FIELDS.slice(index + 1)) {
+    const at = lineOf(next);
+    if (at !== -1) {
+      lines.splice(at, 0, `${label}  `);
+      return;
+    }
+  }
+
+  const heading = lines.findIndex(line => HEADING_PATTERN.test(line));
+  lines.splice(heading + 1, 0, '', label);
+}
+
+/**
+ * Apply field updates to writeup content, leaving everything else untouched
+ * @param {string} content - Writeup markdown
+ * @param {Object} updates - Values to write, keyed by name/category/points/flag/solver.
+ *   null writes the TBD placeholder; undefined leaves the field alone. A list of
+ *   solvers is written as a YAML list, or comma separated in legacy writeups.
+ *   Front matter writeups also accept any other key (tags, url, ...).
+ * @returns {string} Updated writeup markdown
+ */
+function updateWriteup(content, updates) {
+  const { frontMatter, body } = splitFrontMatter(content);
+
+  if (frontMatter !== null) {
+    let document;
+    try {
+      document = YAML.parseDocument(frontMatter);
+    } catch (error) {
+      document = null;
+    }
+
+    if (document && document.errors.length === 0 && YAML.isMap(document.contents)) {
+      return updateFrontMatter(document, body, updates);
+    }
+  }
+
+  return updateLegacy(content, updates);
+}
+
+/**
+ * Apply field updates to a front matter writeup, keeping key order and comments
+ * @param {YAML.Document} document - Parsed front matter
+ * @param {string} body - Markdown after the front matter
+ * @param {Object} updates - Values to write, see updateWriteup
+ * @returns {string} Updated writeup markdown
+ */
+function updateFrontMatter(document, body, updates) {
+  let updatedBody = body;
+
+  for (const [key, value] of Object.entries(updates)) {
+    if (value === undefined) {
+      continue;
+    }
+
+    if (Array.isArray(value) && FIELDS.includes(key)) {
+      document.set(key, value.length > 0 ? document.createNode(value, { flow: true }) : PLACEHOLDER);
+    } else if (FIELDS.includes(key) || key === 'name') {
+      const text = value === null || String(value).trim() === '' ? PLACEHOLDER : value;
+      document.set(key, key === 'points' && /^\d+$/.test(String(text)) ? parseInt(text, 10) : text);
+    } else if (value === null) {
+      document.delete(key);
+    } else {
+      document.set(key, value);
+    }
+  }
+
+  // Keep the visible heading in sync with the name
+  if (updates.name !== undefined && updates.name !== null && HEADING_PATTERN.test(updatedBody)) {
+    updatedBody = updatedBody.replace(HEADING_PATTERN, () => `# 🧩 ${String(updates.name).trim()}`);
+  }
+
+  return `---\n${document.toString({ flowCollectionPadding: false })}---\n${updatedBody}`;
+}
+
+/**
+ * Apply field updates to legacy bold metadata lines
+ * @param {string} content - Writeup markdown
+ * @param {Object} updates - Values to write, see updateWriteup
+ * @returns {string} Updated writeup markdown
+ */
+function updateLegacy(content, updates) {
+  let updated = content;
+
+  if (updates.name !== undefined && updates.name !== null) {
+    if (HEADING_PATTERN.test(updated)) {
+      updated = updated.replace(HEADING_PATTERN, () => `# 🧩 ${String(updates.name).trim()}`);
+    } else {
+      updated = `# 🧩 ${String(updates.name).trim()}\n\n${updated}`;
+    }
+  }
+
+  for (const field of LEGACY_FIELDS) {
+    if (updates[field] === undefined) {
+      continue;
+    }
+
+    const pattern = fieldPattern(field);
+
+    // Optional fields are removed rather than set to TBD
+    if (CLAIM_FIELDS.includes(field) && updates[field] === null) {
+      updated = updated.replace(new RegExp(`${pattern.source}\\n?`, 'm'), '');
+      continue;
+    }
+
+    const text = formatValue(field, updates[field]);
+
+    if (pattern.test(updated)) {
+      updated = updated.replace(pattern, (match, prefix, value, trailing) => `${prefix}${text}${trailing}`);
+    } else {
+      const lines = updated.split('\n');
+      insertField(lines, field, text);
+      updated = lines.join('\n');
+    }
+  }
+
+  return updated;
+}
+
+/**
+ * Convert a legacy writeup to front matter. The bold metadata lines move into
+ * the front matter; the heading and the rest of the writeup stay as they are.
+ *
+ * @param {string} content - Writeup markdown
+ * @returns {string} Converted markdown (unchanged if it already has front matter)
+ */
+function migrateWriteup(content) {
+  const record = parseWriteup(content);
+  if (record.format === 'frontmatter') {
+    return content;
+  }
+
+  // Drop the first occurrence of each metadata line, as parseLegacy reads it
+  const lines = content.split('\n');
+  for (const field of LEGACY_FIELDS) {
+    const at = lines.findIndex(line => fieldPattern(field, '').test(line));
+    if (at !== -1) {
+      lines[at] = null;
+    }
+  }
+
+  // Collapse the blank lines left around the removed block
+  const body = lines
+    .filter(line => line !== null)
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n');
+
+  const data = {
+    name: record.name,
+    category: record.category,
+    points: record.points,
+    flag: record.flag,
+    solver: record.solver,
+    tags: []
+  };
+  for (const field of CLAIM_FIELDS) {
+    if (record[field] !== null) {
+      data[field] = record[field];
+    }
+  }
+
+  return `---\n${renderFrontMatter(data)}---\n\n${body.replace(/^\n+/, '')}`;
+}
+
+/**
+ * Serialize front matter values, writing unknown values as TBD
+ * @param {Object} data - Front matter values
+ * @returns {string} YAML block without the --- fences
+ */
+function renderFrontMatter(data) {
+  const values = {};
+  for (const [key, value] of Object.entries(data)) {
+    values[key] = value === null || value === undefined ? PLACEHOLDER : value;
+  }
+  return YAML.stringify(values, { flowCollectionPadding: false });
+}
+
+/**
+ * Render the writeup of a newly created task
+ * @param {string} taskName - Task name
+ * @param {string} category - Category name
+ * @returns {string} Writeup markdown
+ */
+function renderWriteup(taskName, category) {
+  const frontMatter = renderFrontMatter({
+    name: taskName,
+    category,
+    points: null,
+    flag: null,
+    solver: null,
+    tags: [],
+    created: new Date().toISOString()
+  });
+
+  return `---
+${frontMatter}---
+
+# 🧩 ${taskName}
+
+---
+
+## 📝 Challenge Description
+
+> _Paste the description or summarize it here._
+
+---
+
+## 🛠️ Steps to writeup
+
+_Detail every major step you took, including tools, commands, reasoning, etc._
+
+---
+
+## 🧠 Notes & Takeaways
+
+_Interesting techniques, things you learned, or anything to remember for next time._
+
+---
+`;
+}
+
+/**
+ * Read and parse a writeup file
+ * @param {string} writeupPath - Path to writeup.md
+ * @returns {Promise<Object>} Result of parseWriteup plus the raw content
+ */
+async function readWriteup(writeupPath) {
+  const content = await fs.readFile(writeupPath, 'utf-8');
+  return { ...parseWriteup(content), content };
+}
+
+/**
+ * Apply field updates to a writeup file
+ * @param {string} writeupPath - Path to writeup.md
+ * @param {Object} updates - Values to write, see updateWriteup
+ * @returns {Promise<Object>} The parsed record after the update
+ */
+async function writeWriteup(writeupPath, updates) {
+  const content = await fs.readFile(writeupPath, 'utf-8');
+  const updated = updateWriteup(content, updates);
+  await files.writeFile(writeupPath, updated);
+  return { ...parseWriteup(updated), content: updated };
+}
+
+/**
+ * Print the parse warnings of a writeup
+ * @param {string} writeupPath - Path shown with each warning
+ * @param {string[]} warnings - Warnings from parseWriteup
+ */
+function reportWarnings(writeupPath, warnings) {
+  for (const warning of warnings) {
+    console.log(chalk.yellow(`⚠️ ${writeupPath}: ${warning}`));
+  }
+}
+
+module.exports = {
+  PLACEHOLDER,
+  splitFrontMatter,
+  splitSolvers,
+  parseWriteup,
+  isComplete,
+  updateWriteup,
+  migrateWriteup,
+  renderWriteup,
+  readWriteup,
+  writeWriteup,
+  reportWarnings
+};
@@ -0,0 +1,199 @@
+const fs = require('fs');
+const mockFs = require('mock-fs');
+const claim = require('../../src/commands/claim');
+
+// Mock dependencies
+jest.mock('../../src/utils/gitHelpers', () => ({
+  findRepoRoot: jest.fn(),
+  getCurrentBranch: jest.fn(),
+  getGitUserName: jest.fn(),
+  getGitUserEmail: jest.fn(),
+  commitFiles: jest.fn()
+}));
+
+const mockGit = {
+  fetch: jest.fn(),
+  raw: jest.fn(),
+  show: jest.fn()
+};
+
+jest.mock('simple-git', () => jest.fn(() => mockGit));
+
+jest.mock('../../src/utils/configManager', () => ({
+  loadConfig: jest.fn()
+}));
+
+const mockConfig = {
+  events: {
+    Testevent: {
+      sub_events: {
+        Round1: {
+          originalName: 'Round1',
+          categories: { Web: 'Web' }
+        }
+      }
+    }
+  }
+};
+
+const writeupPath = '/mock/repo/root/Testevent/Round1/01_Web/02_upload/writeup.md';
+
+/**
+ * Build a legacy writeup fixture
+ * @param {string} [extra=''] - Lines appended after the solver line
+ * @param {string} [flag='TBD'] - Flag value
+ * @returns {string} Writeup markdown
+ */
+function writeup(extra = '', flag = 'TBD') {
+  return `# 🧩 Upload
+
+**Category:** Web
+**Points:** TBD
+**Flag:** \`${flag}\`
+**Solver:** TBD
+${extra}`;
+}
+
+// Mock console logs
+global.console.log = jest.fn();
+global.console.error = jest.fn();
+
+// Mock process.exit
+const originalExit = process.exit;
+process.exit = jest.fn();
+
+describe('Claim Command', () => {
+  let originalCwd;
+
+  beforeEach(() => {
+    mockFs({ [writeupPath]: writeup() });
+
+    originalCwd = process.cwd;
+    process.cwd = jest.fn().mockReturnValue('/mock/repo/root');
+
+    const gitHelpers = require('../../src/utils/gitHelpers');
+    gitHelpers.findRepoRoot.mockResolvedValue('/mock/repo/root');
+    gitHelpers.getCurrentBranch.mockResolvedValue('web-02-upload');
+    gitHelpers.getGitUserName.mockResolvedValue('Alice');
+    gitHelpers.commitFiles.mockResolvedValue(true);
+
+    // No remote branches unless a test adds them
+    require('simple-git').mockImplementation(() => mockGit);
+    mockGit.raw.mockResolvedValue('');
+
+    require('../../src/utils/configManager').loadConfig.mockResolvedValue(mockConfig);
+  });
+
+  afterEach(() => {
+    process.cwd = originalCwd;
+    mockFs.restore();
+  });
+
+  afterAll(() => {
+    process.exit = originalExit;
+  });
+
+  it('should record the git user as assignee and commit the writeup', async () => {
+    await claim();
+
+    const content = fs.readFileSync(writeupPath, 'utf8');
+    expect(content).toMatch(/\*\*Assignee:\*\* Alice {2}\n\*\*Claimed:\*\* \d{4}-\d{2}-\d{2}T/);
+    expect(require('../../src/utils/gitHelpers').commitFiles).toHaveBeenCalledWith(
+      [writeupPath],
+      'Claim task: Upload (Alice)',
+      { push: true, config: mockConfig }
+    );
+    expect(process.exit).not.toHaveBeenCalled();
+  });
+
+  it('should use --as and skip the push with --no-push', async () => {
+    await claim({ as: 'Bob', push: false });
+
+    expect(fs.readFileSync(writeupPath, 'utf8')).toContain('**Assignee:** Bob');
+    expect(require('../../src/utils/gitHelpers').commitFiles).toHaveBeenCalledWith(
+      [writeupPath],
+      'Claim task: Upload (Bob)',
+      { push: false, config: mockConfig }
+    );
+  });
+
+  it('should record the roster name of the git user', async () => {
+    const gitHelpers = require('../../src/utils/gitHelpers');
+    require('../../src/utils/configManager').loadConfig.mockResolvedValue({
+      ...mockConfig,
+      team: [{ name: 'Alice', email: 'alice@example.com', aliases: ['ali'] }, { name: 'Bob', aliases: ['bobby'] }]
+    });
+    gitHelpers.getGitUserName.mockResolvedValue('root');
+    gitHelpers.getGitUserEmail.mockResolvedValue('alice@example.com');
+
+    await claim();
+
+    expect(fs.readFileSync(writeupPath, 'utf8')).toContain('**Assignee:** Alice  \n');
+
+    mockFs({ [writeupPath]: writeup() });
+    await claim({ as: 'bobby' });
+
+    expect(fs.readFileSync(writeupPath, 'utf8')).toContain('**Assignee:** Bob  \n');
+  });
+
+  it('should recognise an own claim recorded by an alias', async () => {
+    require('../../src/utils/configManager').loadConfig.mockResolvedValue({ ...mockConfig, team: [{ name: 'Alice', aliases: ['ali'] }] });
+    mockFs({ [writeupPath]: writeup('**Assignee:** ali\n**Claimed:** 2025-04-03T12:00:00.000Z\n') });
+
+    await claim();
+
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('You already claimed Upload'));
+    expect(require('../../src/utils/gitHelpers').commitFiles).not.toHaveBeenCalled();
+  });
+
+  it('should refuse a task claimed by someone else', async () => {
+    mockFs({ [writeupPath]: writeup('**Assignee:** Bob\n**Claimed:** 2025-04-03T12:00:00.000Z\n') });
+
+    await claim();
+
+    expect(console.error).toHaveBeenCalledWith(
+      expect.stringContaining('Claim failed'),
+      'Upload is already claimed by Bob (since 2025-04-03 12:00:00 UTC). Pass --force to take it over.'
+    );
+    expect(process.exit).toHaveBeenCalledWith(1);
+    expect(require('../../src/utils/gitHelpers').commitFiles).not.toHaveBeenCalled();
+  });
+
+  it('should refuse a task claimed on a teammate\'s branch', async () => {
+    mockGit.raw.mockImplementation(args => Promise.resolve(
+      args[0] === 'for-each-ref' ? 'origin/main\norigin/web-02-upload-2\n'
+        : args[0] === 'ls-tree' && args[2] === 'origin/web-02-upload-2' ? 'Testevent/Round1/01_Web/02_upload\n'
+          : ''
+    ));
+    mockGit.show.mockResolvedValue(writeup('**Assignee:** Bob\n**Claimed:** 2025-04-03T12:00:00.000Z\n'));
+
+    await claim();
+
+    expect(mockGit.show).toHaveBeenCalledWith(['origin/web-02-upload-2:Testevent/Round1/01_Web/02_upload/writeup.md']);
+    expect(console.error).toHaveBeenCalledWith(
+      expect.stringContaining('Claim failed'),
+      'Upload is already claimed by Bob on origin/web-02-upload-2 (since 2025-04-03 12:00:00 UTC). Pass --force to take it over.'
+    );
+    expect(require('../../src/utils/gitHelpers').commitFiles).not.toHaveBeenCalled();
+  });
+
+  it('should take over a claimed task with --force', async () => {
+    mockFs({ [writeupPath]: writeup('**Assignee:** Bob\n**Claimed:** 2025-04-03T12:00:00.000Z\n') });
+
+    await claim({ force: true });
+
+    const content = fs.readFileSync(writeupPath, 'utf8');
+    expect(content).toContain('**Assignee:** Alice');
+    expect(content).not.toContain('Bob');
+    expect(require('../../src/utils/gitHelpers').commitFiles).toHaveBeenCalled();
+  });
+
+  it('should not claim a solved task', async () => {
+    mockFs({ [writeupPath]: writeup('', 'flag{upload}') });
+
+    await claim();
+
+    expect(fs.readFileSync(writeupPath, 'utf8')).not.toContain('Assignee');
+    expect(require('../../src/utils/gitHelpers').commitFiles).not.toHaveBeenCalled();
+  });
+});
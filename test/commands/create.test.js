@@ -2,50 +2,55 @@ const fs = require('fs-extra');
 const path = require('path');
 const mockFs = require('mock-fs');
 const create = require('../../src/commands/create');
+const { setDryRun } = require('../../src/utils/dryRun');
 
 // Mock dependencies
 jest.mock('inquirer', () => ({
   prompt: jest.fn()
 }));
 
-jest.mock('simple-git', () => {
-  const mockGit = {
-    add: jest.fn().mockResolvedValue(null),
-    commit: jest.fn().mockResolvedValue(null),
-    getRemotes: jest.fn().mockResolvedValue([{ name: 'origin' }]),
-    push: jest.fn().mockResolvedValue(null),
-    branch: jest.fn().mockResolvedValue({ all: ['main'] }),
-    checkout: jest.fn().mockResolvedValue(null)
-  };
-  return jest.fn(() => mockGit);
-});
+const mockGit = {
+  add: jest.fn(),
+  commit: jest.fn(),
+  getRemotes: jest.fn(),
+  push: jest.fn(),
+  branch: jest.fn(),
+  checkout: jest.fn(),
+  fetch: jest.fn(),
+  show: jest.fn(),
+  raw: jest.fn()
+};
+
+jest.mock('simple-git', () => jest.fn(() => mockGit));
 
 jest.mock('../../src/utils/gitHelpers', () => ({
-  findRepoRoot: jest.fn().mockResolvedValue('/mock/repo/root'),
-  isGitRepo: jest.fn().mockResolvedValue(true),
-  getCurrentBranch: jest.fn().mockResolvedValue('main'),
-  getGitUserName: jest.fn().mockResolvedValue('Test User')
+  findRepoRoot: jest.fn(),
+  isGitRepo: jest.fn(),
+  getCurrentBranch: jest.fn(),
+  getDefaultBranch: jest.fn(),
+  getGitUserName: jest.fn(),
+  getWorktreeDir: jest.fn()
 }));
 
 jest.mock('../../src/utils/configManager', () => ({
-  loadConfig: jest.fn().mockResolvedValue({
-    eventName: 'Testevent',
-    structure: {
-      Round1: {
-        categories: {
-          1: 'Web',
-          2: 'Crypto'
-        }
-      }
-    },
-    parentDir: 'Testevent'
-  })
+  loadConfig: jest.fn()
 }));
 
-jest.mock('../../src/utils/helpers', () => ({
-  slugify: jest.fn(str => str.toLowerCase().replace(/\s+/g, '_')),
-  getEventContext: jest.fn().mockResolvedValue('/mock/repo/root/Testevent/Round1')
-}));
+const mockConfig = {
+  events: {
+    Testevent: {
+      sub_events: {
+        Round1: {
+          originalName: 'Round1',
+          categories: {
+            Web: 'Web',
+            Crypto: 'Crypto'
+          }
+        }
+      }
+    }
+  }
+};
 
 // Mock console logs
 global.console.log = jest.fn();
@@ -57,8 +62,13 @@ process.exit = jest.fn();
 
 describe('Create Command', () => {
   let originalCwd;
+  let originalIsTTY;
 
   beforeEach(() => {
+    // Prompts are only shown when attached to a terminal
+    originalIsTTY = process.stdin.isTTY;
+    process.stdin.isTTY = true;
+
     // Save original cwd and mock it
     originalCwd = process.cwd;
     process.cwd = jest.fn().mockReturnValue('/mock/current');
@@ -78,12 +88,26 @@ describe('Create Command', () => {
     
     // Reset all mocks
     jest.clearAllMocks();
+    
+    const gitHelpers = require('../../src/utils/gitHelpers');
+    gitHelpers.findRepoRoot.mockResolvedValue('/mock/repo/root');
+    gitHelpers.isGitRepo.mockResolvedValue(true);
+    gitHelpers.getCurrentBranch.mockResolvedValue('main');
+    gitHelpers.getDefaultBranch.mockResolvedValue('main');
+    gitHelpers.getGitUserName.mockResolvedValue('Test User');
+    require('../../src/utils/configManager').loadConfig.mockResolvedValue(mockConfig);
+    
+    require('simple-git').mockImplementation(() => mockGit);
+    mockGit.getRemotes.mockResolvedValue([{ name: 'origin' }]);
+    mockGit.branch.mockResolvedValue({ all: ['main'] });
+    mockGit.raw.mockResolvedValue('');
   });
 
   afterEach(() => {
     // Restore filesystem and process.cwd
     mockFs.restore();
     process.cwd = originalCwd;
+    process.stdin.isTTY = originalIsTTY;
   });
 
   afterAll(() => {
@@ -122,9 +146,11 @@ describe('Create Command', () => {
     const taskPath = '/mock/repo/root/Testevent/Round1/01_Web/01_test_challenge';
     expect(await fs.pathExists(taskPath)).toBe(true);
     
-    // Verify writeup file was created
+    // Verify writeup file was created with front matter
     const writeupPath = path.join(taskPath, 'writeup.md');
     expect(await fs.pathExists(writeupPath)).toBe(true);
+    const writeup = await fs.readFile(writeupPath, 'utf-8');
+    expect(writeup).toMatch(/^---\nname: Test Challenge\ncategory: Web\npoints: TBD\nflag: TBD\nsolver: TBD\n/);
     
     // Verify expected directories were created
     const dirNames = ['challenge_files', 'workspace', 'exploit', 'screenshots'];
@@ -133,12 +159,11 @@ describe('Create Command', () => {
     }
     
     // Verify Git operations (branch creation, commit, push)
-    const simpleGit = require('simple-git')();
-    expect(simpleGit.branch).toHaveBeenCalled();
-    expect(simpleGit.checkout).toHaveBeenCalled();
-    expect(simpleGit.add).toHaveBeenCalled();
-    expect(simpleGit.commit).toHaveBeenCalledWith('Add task: Test Challenge');
-    expect(simpleGit.push).toHaveBeenCalled();
+    expect(mockGit.branch).toHaveBeenCalled();
+    expect(mockGit.checkout).toHaveBeenCalledWith('web-01-test_challenge');
+    expect(mockGit.add).toHaveBeenCalled();
+    expect(mockGit.commit).toHaveBeenCalledWith('Add task: Test Challenge');
+    expect(mockGit.push).toHaveBeenCalled();
   });
 
   it('should handle already existing task folder', async () => {
@@ -177,9 +202,8 @@ describe('Create Command', () => {
     expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Creating task with unique name'));
     
     // Verify Git operations still performed
-    const simpleGit = require('simple-git')();
-    expect(simpleGit.branch).toHaveBeenCalled();
-    expect(simpleGit.checkout).toHaveBeenCalled();
+    expect(mockGit.branch).toHaveBeenCalled();
+    expect(mockGit.checkout).toHaveBeenCalled();
   });
 
   it('should handle when not in a git repository', async () => {
@@ -222,6 +246,30 @@ describe('Create Command', () => {
     expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Not in a git repository'));
   });
 
+  it('should take event, sub-event and category from the current directory', async () => {
+    process.cwd = jest.fn().mockReturnValue('/mock/repo/root/Testevent/Round1/02_Crypto');
+    
+    const inquirer = require('inquirer');
+    inquirer.prompt.mockImplementation(questions => {
+      const questionName = questions[0].name;
+      
+      if (questionName === 'taskNum') {
+        return Promise.resolve({ taskNum: 4 });
+      }
+      
+      if (questionName === 'taskName') {
+        return Promise.resolve({ taskName: 'Context Task' });
+      }
+      
+      return Promise.reject(new Error(`Unexpected prompt: ${questionName}`));
+    });
+    
+    await create({ branch: false });
+    
+    expect(process.exit).not.toHaveBeenCalled();
+    expect(await fs.pathExists('/mock/repo/root/Testevent/Round1/02_Crypto/04_context_task/writeup.md')).toBe(true);
+  });
+
   it('should error if no config exists', async () => {
     // Mock loadConfig to return null (no config)
     const loadConfig = require('../../src/utils/configManager').loadConfig;
@@ -234,4 +282,207 @@ describe('Create Command', () => {
     expect(console.log).toHaveBeenCalledWith(expect.stringContaining('No configuration found'));
     expect(process.exit).toHaveBeenCalledWith(1);
   });
-});
\ No newline at end of file
+
+  describe('default branch', () => {
+    const flags = { subEvent: 'Round1', category: 'Web', num: 1, name: 'Branch Test' };
+
+    beforeEach(() => {
+      const gitHelpers = require('../../src/utils/gitHelpers');
+      gitHelpers.getCurrentBranch.mockResolvedValue('feature');
+      gitHelpers.getDefaultBranch.mockResolvedValue('trunk');
+    });
+
+    it('should only branch from the default branch', async () => {
+      await create(flags);
+
+      expect(require('../../src/utils/gitHelpers').getDefaultBranch).toHaveBeenCalledWith(mockConfig);
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('not on the default branch trunk (current: feature)'));
+      expect(mockGit.checkout).not.toHaveBeenCalled();
+      expect(await fs.pathExists('/mock/repo/root/Testevent/Round1/01_Web/01_branch_test')).toBe(true);
+    });
+
+    it('should branch from any branch when configured', async () => {
+      require('../../src/utils/configManager').loadConfig.mockResolvedValue({
+        ...mockConfig,
+        git: { default_branch: 'trunk', branch_from_any: true }
+      });
+
+      await create(flags);
+
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Branching from feature instead of trunk'));
+      expect(mockGit.checkout).toHaveBeenCalledWith('web-01-branch_test');
+    });
+  });
+
+  it('should create the task in its own worktree when configured', async () => {
+    require('../../src/utils/configManager').loadConfig.mockResolvedValue({
+      ...mockConfig,
+      git: { worktrees: true }
+    });
+    require('../../src/utils/gitHelpers').getWorktreeDir.mockResolvedValue('/mock/repo/root-worktrees');
+    const worktreePath = '/mock/repo/root-worktrees/web-01-parallel';
+
+    await create({ subEvent: 'Round1', category: 'Web', num: 1, name: 'Parallel' });
+
+    expect(mockGit.raw).toHaveBeenCalledWith(['worktree', 'add', '-b', 'web-01-parallel', worktreePath, 'main']);
+    expect(mockGit.checkout).not.toHaveBeenCalled();
+    expect(require('simple-git')).toHaveBeenCalledWith(worktreePath);
+
+    const taskPath = `${worktreePath}/Testevent/Round1/01_Web/01_parallel`;
+    expect(await fs.pathExists(`${taskPath}/writeup.md`)).toBe(true);
+    expect(await fs.pathExists('/mock/repo/root/Testevent/Round1/01_Web/01_parallel')).toBe(false);
+    expect(mockGit.add).toHaveBeenCalledWith(taskPath);
+    expect(mockGit.push).toHaveBeenCalledWith('origin', 'web-01-parallel', ['--set-upstream']);
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining(`Continue with: cd ${worktreePath}`));
+  });
+
+  it('should not use a worktree with --no-worktree', async () => {
+    require('../../src/utils/configManager').loadConfig.mockResolvedValue({
+      ...mockConfig,
+      git: { worktrees: true }
+    });
+
+    await create({ subEvent: 'Round1', category: 'Web', num: 1, name: 'In Place', worktree: false });
+
+    expect(mockGit.raw).not.toHaveBeenCalledWith(expect.arrayContaining(['worktree']));
+    expect(mockGit.checkout).toHaveBeenCalledWith('web-01-in_place');
+  });
+
+  it('should only print the planned changes with --dry-run', async () => {
+    setDryRun(true);
+    
+    try {
+      await create({ subEvent: 'Round1', category: 'Web', num: 1, name: 'Dry Run' });
+    } finally {
+      setDryRun(false);
+    }
+    
+    const taskPath = '/mock/repo/root/Testevent/Round1/01_Web/01_dry_run';
+    expect(await fs.pathExists(taskPath)).toBe(false);
+    expect(mockGit.checkout).not.toHaveBeenCalled();
+    expect(mockGit.commit).not.toHaveBeenCalled();
+    expect(mockGit.push).not.toHaveBeenCalled();
+    
+    const planned = console.log.mock.calls
+      .map(args => String(args[0]))
+      .filter(line => line.includes('[dry-run]'))
+      .map(line => line.replace(/^.*\[dry-run\] /, ''));
+    expect(planned).toEqual([
+      'git fetch --all --quiet',
+      'git branch web-01-dry_run',
+      'git checkout web-01-dry_run',
+      `mkdir -p ${taskPath}`,
+      `mkdir -p ${taskPath}/challenge_files`,
+      `mkdir -p ${taskPath}/workspace`,
+      `mkdir -p ${taskPath}/exploit`,
+      `mkdir -p ${taskPath}/screenshots`,
+      expect.stringMatching(new RegExp(`^write ${taskPath}/writeup.md \\(\\d+ bytes\\)$`)),
+      `touch ${taskPath}/notes.txt`,
+      `git add ${taskPath}`,
+      'git commit -m "Add task: Dry Run"',
+      'git push origin web-01-dry_run --set-upstream'
+    ]);
+  });
+
+  it('should warn when a task with the same number is already claimed', async () => {
+    await fs.outputFile(
+      '/mock/repo/root/Testevent/Round1/01_Web/01_login/writeup.md',
+      '# 🧩 Login\n\n**Flag:** `TBD`\n**Assignee:** Bob\n**Claimed:** 2025-04-03T12:00:00.000Z\n'
+    );
+    process.stdin.isTTY = false;
+
+    await create({ subEvent: 'Round1', category: 'Web', num: 1, name: 'Login Again', branch: false });
+
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining(
+      "Task '01_login' is already in progress by Bob (since 2025-04-03 12:00:00 UTC)"
+    ));
+    expect(await fs.pathExists('/mock/repo/root/Testevent/Round1/01_Web/01_login_again')).toBe(true);
+  });
+
+  it('should warn about a task claimed on a teammate\'s branch', async () => {
+    mockGit.raw.mockImplementation(args => Promise.resolve(
+      args[0] === 'for-each-ref' ? 'origin/HEAD\norigin/main\norigin/web-01-login\n'
+        : args[0] === 'ls-tree' && args[2] === 'origin/web-01-login' ? 'Testevent/Round1/01_Web/01_login\n'
+          : ''
+    ));
+    mockGit.show.mockResolvedValue('# 🧩 Login\n\n**Flag:** `TBD`\n**Assignee:** Carol\n**Claimed:** 2025-04-03T12:00:00.000Z\n');
+    process.stdin.isTTY = false;
+
+    await create({ subEvent: 'Round1', category: 'Web', num: 1, name: 'Login Again', branch: false });
+
+    expect(mockGit.fetch).toHaveBeenCalledWith(['--all', '--quiet']);
+    expect(mockGit.raw).toHaveBeenCalledWith(['ls-tree', '--name-only', 'origin/main', 'Testevent/Round1/01_Web/']);
+    expect(mockGit.show).toHaveBeenCalledWith(['origin/web-01-login:Testevent/Round1/01_Web/01_login/writeup.md']);
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining(
+      "Task '01_login' is already in progress by Carol on origin/web-01-login (since 2025-04-03 12:00:00 UTC)"
+    ));
+  });
+
+  it('should not fetch for claims when offline', async () => {
+    require('../../src/utils/configManager').loadConfig.mockResolvedValue({ ...mockConfig, git: { offline: true } });
+    process.stdin.isTTY = false;
+
+    await create({ subEvent: 'Round1', category: 'Web', num: 1, name: 'Offline', branch: false });
+
+    expect(mockGit.fetch).not.toHaveBeenCalled();
+    expect(mockGit.raw).toHaveBeenCalledWith(['for-each-ref', '--format=%(refname:short)', 'refs/remotes']);
+  });
+
+  describe('non-interactive flags', () => {
+    it('should create a task from flags without prompting', async () => {
+      const inquirer = require('inquirer');
+      process.stdin.isTTY = false;
+
+      await create({
+        event: 'Testevent',
+        subEvent: 'Round1',
+        category: 'Crypto',
+        num: '3',
+        name: 'Flag Only',
+        branch: false,
+        push: true
+      });
+
+      expect(inquirer.prompt).not.toHaveBeenCalled();
+      expect(process.exit).not.toHaveBeenCalled();
+
+      const taskPath = '/mock/repo/root/Testevent/Round1/02_Crypto/03_flag_only';
+      expect(await fs.pathExists(path.join(taskPath, 'writeup.md'))).toBe(true);
+    });
+
+    it('should only prompt for values that were not supplied', async () => {
+      const inquirer = require('inquirer');
+      inquirer.prompt.mockResolvedValue({ taskName: 'Prompted Name' });
+
+      await create({ subEvent: 'Round1', category: 'Web', num: 2, branch: false });
+
+      expect(inquirer.prompt).toHaveBeenCalledTimes(1);
+      expect(inquirer.prompt.mock.calls[0][0][0].name).toBe('taskName');
+      expect(await fs.pathExists('/mock/repo/root/Testevent/Round1/01_Web/02_prompted_name')).toBe(true);
+    });
+
+    it('should error when a required value is missing without a terminal', async () => {
+      const inquirer = require('inquirer');
+      process.stdin.isTTY = false;
+
+      await create({ subEvent: 'Round1', num: 1, name: 'No Category', branch: false });
+
+      expect(inquirer.prompt).not.toHaveBeenCalled();
+      expect(console.error).toHaveBeenCalledWith(
+        expect.stringContaining('Task creation failed'),
+        expect.stringContaining('--category')
+      );
+      expect(process.exit).toHaveBeenCalledWith(1);
+    });
+
+    it('should reject flag values that fail validation', async () => {
+      await create({ subEvent: 'Round1', category: 'Pwn', num: 1, name: 'Bad Category', branch: false });
+
+      expect(console.error).toHaveBeenCalledWith(
+        expect.stringContaining('Task creation failed'),
+        expect.stringContaining('Invalid value for --category')
+      );
+      expect(process.exit).toHaveBeenCalledWith(1);
+    });
+  });
+});
@@ -0,0 +1,182 @@
+const fs = require('fs-extra');
+const mockFs = require('mock-fs');
+const exportSite = require('../../src/commands/export');
+
+// Mock dependencies
+jest.mock('../../src/utils/gitHelpers', () => ({
+  findRepoRoot: jest.fn()
+}));
+
+const mockGit = {
+  log: jest.fn(),
+  show: jest.fn()
+};
+
+jest.mock('simple-git', () => jest.fn(() => mockGit));
+
+jest.mock('../../src/utils/configManager', () => ({
+  loadConfig: jest.fn()
+}));
+
+const mockConfig = {
+  events: {
+    'Spring CTF': {
+      sub_events: {
+        Quals: {
+          categories: { Web: 'Web', Pwn: 'Pwn' }
+        }
+      }
+    }
+  }
+};
+
+// Mock console logs
+global.console.log = jest.fn();
+global.console.error = jest.fn();
+
+// Mock process.exit
+const originalExit = process.exit;
+process.exit = jest.fn();
+
+const site = '/repo/.flagtrack/site';
+
+describe('Export Command', () => {
+  beforeEach(() => {
+    mockFs({
+      '/repo': {
+        'Spring CTF': {
+          'Quals': {
+            '01_Web': {
+              '01_login': {
+                'writeup.md': `---
+name: Login
+category: Web
+points: 100
+flag: flag{sql_injection}
+solver: [Alice, Bob]
+---
+
+# 🧩 Login
+
+Logging in as admin gave \`flag{sql_injection}\`.
+
+![The login form](images/form.png)
+![Missing](images/gone.png)
+`,
+                'images': { 'form.png': 'png' }
+              },
+              '02_upload': {
+                'writeup.md': `---
+name: Upload <script>
+category: Web
+points: 200
+flag: TBD
+solver: TBD
+---
+
+# 🧩 Upload
+`
+              }
+            },
+            '02_Pwn': {
+              '01_heap': {
+                'writeup.md': `---
+name: Heap
+category: Pwn
+points: 300
+flag: flag{heap}
+solver: Alice
+---
+
+# 🧩 Heap
+`
+              }
+            }
+          }
+        }
+      }
+    });
+
+    require('../../src/utils/gitHelpers').findRepoRoot.mockResolvedValue('/repo');
+    require('../../src/utils/configManager').loadConfig.mockResolvedValue(mockConfig);
+    require('simple-git').mockImplementation(() => mockGit);
+    mockGit.log.mockResolvedValue({ all: [] });
+  });
+
+  afterEach(() => {
+    mockFs.restore();
+  });
+
+  afterAll(() => {
+    process.exit = originalExit;
+  });
+
+  it('should write an overview with events and solvers', async () => {
+    await exportSite('html');
+
+    const index = await fs.readFile(`${site}/index.html`, 'utf8');
+    expect(index).toContain('2/3 challenges (67%)');
+    expect(index).toContain('<a href="events/spring_ctf.html">Spring CTF</a>');
+    expect(index).toMatch(/<td>1<\/td><td><a href="solvers\/alice.html">Alice<\/a><\/td><td>400<\/td><td>2<\/td>/);
+    expect(index).toContain('<table class="sortable">');
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Exported 7 pages and 1 image to'));
+  });
+
+  it('should write an event page with a sortable challenge table', async () => {
+    await exportSite('html');
+
+    const event = await fs.readFile(`${site}/events/spring_ctf.html`, 'utf8');
+    expect(event).toContain('<a href="../writeups/Spring%20CTF/Quals/01_Web/01_login/index.html">Login</a>');
+    expect(event).toContain('<a href="../solvers/bob.html">Bob</a>');
+    expect(event).toContain('Upload &lt;script&gt;');
+    expect(event).toContain('<td data-sort="2">❌ Open</td>');
+    expect(event).toContain('<code>flag{heap}</code>');
+  });
+
+  it('should render writeups and copy their local images', async () => {
+    await exportSite('html');
+
+    const writeup = await fs.readFile(`${site}/writeups/Spring CTF/Quals/01_Web/01_login/index.html`, 'utf8');
+    expect(writeup).toContain('<h1>🧩 Login</h1>');
+    expect(writeup).toContain('<img src="images/form.png" alt="The login form">');
+    expect(writeup).toContain('<a href="../../../../../solvers/alice.html">Alice</a>');
+    expect(await fs.readFile(`${site}/writeups/Spring CTF/Quals/01_Web/01_login/images/form.png`, 'utf8')).toBe('png');
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Image Spring CTF/Quals/01_Web/01_login/images/gone.png not found'));
+
+    const solver = await fs.readFile(`${site}/solvers/alice.html`, 'utf8');
+    expect(solver).toContain('<a href="../writeups/Spring%20CTF/Quals/02_Pwn/01_heap/index.html">Heap</a>');
+  });
+
+  it('should redact flags in pages and writeups while the event is running', async () => {
+    require('../../src/utils/configManager').loadConfig.mockResolvedValue({
+      events: { 'Spring CTF': { ...mockConfig.events['Spring CTF'], flags: { redact: 'prefix' } } }
+    });
+
+    await exportSite('html', { output: '/out' });
+
+    const event = await fs.readFile('/out/events/spring_ctf.html', 'utf8');
+    const writeup = await fs.readFile('/out/writeups/Spring CTF/Quals/01_Web/01_login/index.html', 'utf8');
+    expect(event).not.toContain('sql_injection');
+    expect(writeup).not.toContain('sql_injection');
+    expect(writeup).toContain('<code>flag{...}</code>');
+  });
+
+  it('should keep the default site directory out of git', async () => {
+    await exportSite('html');
+    expect(await fs.readFile(`${site}/.gitignore`, 'utf8')).toBe('*\n');
+
+    await exportSite('html', { output: '/out' });
+    expect(await fs.pathExists('/out/index.html')).toBe(true);
+    expect(await fs.pathExists('/out/.gitignore')).toBe(false);
+  });
+
+  it('should reject unknown formats', async () => {
+    await exportSite('pdf');
+
+    expect(console.error).toHaveBeenCalledWith(
+      expect.stringContaining('Export failed'),
+      'Unknown export format "pdf". Supported formats: html.'
+    );
+    expect(process.exit).toHaveBeenCalledWith(1);
+  });
+});
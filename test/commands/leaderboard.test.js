@@ -1,7 +1,13 @@
 const fs = require('fs-extra');
+const os = require('os');
 const path = require('path');
+const { spawnSync } = require('child_process');
 const mockFs = require('mock-fs');
 const leaderboard = require('../../src/commands/leaderboard');
+const { updateWriteup } = require('../../src/utils/writeup');
+
+// chalk loads hex color support lazily, which fails once the filesystem is mocked
+require('chalk').hex('#cd7f32');
 
 // Mock dependencies
 jest.mock('inquirer', () => ({
@@ -9,20 +15,55 @@ jest.mock('inquirer', () => ({
 }));
 
 jest.mock('../../src/utils/gitHelpers', () => ({
-  findRepoRoot: jest.fn().mockResolvedValue('/mock/repo/root')
+  findRepoRoot: jest.fn()
 }));
 
 jest.mock('../../src/utils/configManager', () => ({
-  loadConfig: jest.fn().mockResolvedValue({
-    eventName: 'Testevent',
-    categories: { 1: 'Web', 2: 'Crypto' },
-    parentDir: 'Testevent'
-  })
+  loadConfig: jest.fn()
 }));
 
-jest.mock('../../src/utils/helpers', () => ({
-  getEventContext: jest.fn().mockResolvedValue('/mock/repo/root/Testevent')
-}));
+const mockGit = {
+  log: jest.fn(),
+  show: jest.fn()
+};
+
+jest.mock('simple-git', () => jest.fn(() => mockGit));
+
+const mockConfig = {
+  events: {
+    Testevent: {
+      sub_events: {
+        Round1: {
+          originalName: 'Round1',
+          categories: { Web: 'Web', Crypto: 'Crypto' }
+        },
+        Round2: {
+          originalName: 'Round2',
+          categories: { Web: 'Web' }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Diff a writeup before and after `flagtrack solve`, as git show prints the
+ * solve commit. Runs before the filesystem is mocked.
+ * @returns {string} Unified diff
+ */
+function solveCommitDiff() {
+  const before = '# 🧩 Challenge Two\n**Category:** Web  \n**Points:** TBD  \n**Flag:** `TBD`  \n**Solver:** TBD\n';
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flagtrack-diff-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'before.md'), before);
+    fs.writeFileSync(path.join(dir, 'after.md'), updateWriteup(before, { points: 200, flag: 'flag{challenge_two}', solver: 'Bob' }));
+    return spawnSync('git', ['diff', '--no-index', '--', 'before.md', 'after.md'], { cwd: dir, encoding: 'utf8' }).stdout;
+  } finally {
+    fs.removeSync(dir);
+  }
+}
+
+const SOLVE_DIFF = solveCommitDiff();
 
 // Mock console logs
 global.console.log = jest.fn();
@@ -33,7 +74,13 @@ const originalExit = process.exit;
 process.exit = jest.fn();
 
 describe('Leaderboard Command', () => {
+  let originalIsTTY;
+
   beforeEach(() => {
+    // The export prompt is only shown when attached to a terminal
+    originalIsTTY = process.stdin.isTTY;
+    process.stdin.isTTY = true;
+
     // Setup mock filesystem with completed challenges and solvers
     mockFs({
       '/mock/repo/root': {
@@ -41,9 +88,10 @@ describe('Leaderboard Command', () => {
           'stats': {}
         },
         'Testevent': {
-          '01_Web': {
-            '01_challenge_one': {
-              'writeup.md': `# 🧩 Challenge One
+          'Round1': {
+            '01_Web': {
+              '01_challenge_one': {
+                'writeup.md': `# 🧩 Challenge One
 **Category:** Web  
 **Points:** 100  
 **Flag:** \`flag{challenge_one}\`  
@@ -55,9 +103,9 @@ describe('Leaderboard Command', () => {
 
 Test challenge 1
 `
-            },
-            '02_challenge_two': {
-              'writeup.md': `# 🧩 Challenge Two
+              },
+              '02_challenge_two': {
+                'writeup.md': `# 🧩 Challenge Two
 **Category:** Web  
 **Points:** 200  
 **Flag:** \`flag{challenge_two}\`  
@@ -69,11 +117,11 @@ Test challenge 1
 
 Test challenge 2
 `
-            }
-          },
-          '02_Crypto': {
-            '01_challenge_three': {
-              'writeup.md': `# 🧩 Challenge Three
+              }
+            },
+            '02_Crypto': {
+              '01_challenge_three': {
+                'writeup.md': `# 🧩 Challenge Three
 **Category:** Crypto  
 **Points:** 300  
 **Flag:** \`flag{challenge_three}\`  
@@ -85,9 +133,9 @@ Test challenge 2
 
 Test challenge 3
 `
-            },
-            '02_challenge_four': {
-              'writeup.md': `# 🧩 Challenge Four
+              },
+              '02_challenge_four': {
+                'writeup.md': `# 🧩 Challenge Four
 **Category:** Crypto  
 **Points:** 400  
 **Flag:** \`TBD\`  
@@ -99,6 +147,7 @@ Test challenge 3
 
 Test challenge 4
 `
+              }
             }
           }
         }
@@ -107,11 +156,15 @@ Test challenge 4
     
     // Reset all mocks
     jest.clearAllMocks();
+    
+    require('../../src/utils/gitHelpers').findRepoRoot.mockResolvedValue('/mock/repo/root');
+    require('../../src/utils/configManager').loadConfig.mockResolvedValue(mockConfig);
   });
 
   afterEach(() => {
     // Restore filesystem
     mockFs.restore();
+    process.stdin.isTTY = originalIsTTY;
   });
 
   afterAll(() => {
@@ -196,6 +249,216 @@ Test challenge 4
     expect(data.totals.solved).toBe(3);
   });
 
+  it('should redact flags in exports while the event is running', async () => {
+    require('../../src/utils/configManager').loadConfig.mockResolvedValue({
+      events: { Testevent: { ...mockConfig.events.Testevent, flags: { redact: 'full' } } }
+    });
+    require('inquirer').prompt.mockResolvedValueOnce({ exportOption: 'json' });
+
+    await leaderboard();
+
+    const statsDir = '/mock/repo/root/.flagtrack/stats';
+    const jsonFile = (await fs.readdir(statsDir)).find(file => file.endsWith('.json'));
+    const jsonContent = await fs.readFile(path.join(statsDir, jsonFile), 'utf8');
+    expect(jsonContent).not.toContain('flag{');
+    expect(JSON.parse(jsonContent).solvers[0].challenges[0].flag).toBe('[redacted]');
+  });
+
+  describe('scoring modes', () => {
+    // Alice and Bob solve a 300 point hard challenge together, Bob listed first
+    beforeEach(async () => {
+      await fs.outputFile('/mock/repo/root/Testevent/Round2/01_Web/01_shared/writeup.md', `---
+name: Shared
+category: Web
+points: 300
+flag: flag{shared}
+solver: [Bob, Alice]
+difficulty: hard
+---
+`);
+      require('inquirer').prompt.mockResolvedValueOnce({ exportOption: 'json' });
+    });
+
+    const exported = async () => {
+      const statsDir = '/mock/repo/root/.flagtrack/stats';
+      const jsonFile = (await fs.readdir(statsDir)).find(file => file.endsWith('.json'));
+      const data = JSON.parse(await fs.readFile(path.join(statsDir, jsonFile), 'utf8'));
+      return { ...data, byName: Object.fromEntries(data.solvers.map(solver => [solver.name, solver])) };
+    };
+
+    it('should give every solver the full points by default', async () => {
+      await leaderboard();
+
+      const data = await exported();
+      expect(data.totals).toMatchObject({ scoring: 'full', points: 900, solved: 4 });
+      expect(data.byName.Alice).toMatchObject({ points: 700, solved: 3, percentPoints: '77.8', percentSolved: '75.0' });
+      expect(data.byName.Bob).toMatchObject({ points: 500, solved: 2 });
+    });
+
+    it('should split the points among co-solvers', async () => {
+      await leaderboard({ scoring: 'split' });
+
+      const data = await exported();
+      expect(data.totals).toMatchObject({ scoring: 'split', points: 900 });
+      expect(data.byName.Alice).toMatchObject({ points: 550, solved: 3, share: 2.5, percentPoints: '61.1', percentSolved: '62.5' });
+      expect(data.byName.Bob).toMatchObject({ points: 350, percentPoints: '38.9', percentSolved: '37.5' });
+      expect(data.byName.Bob.challenges.find(challenge => challenge.name === 'Shared').points).toBe(150);
+    });
+
+    it('should only credit the first listed solver', async () => {
+      await leaderboard({ scoring: 'first' });
+
+      const data = await exported();
+      expect(data.byName.Alice).toMatchObject({ points: 400, solved: 2 });
+      expect(data.byName.Bob).toMatchObject({ points: 500, solved: 2, percentPoints: '55.6' });
+    });
+
+    it('should weight the points by difficulty from the config', async () => {
+      require('../../src/utils/configManager').loadConfig.mockResolvedValue({
+        ...mockConfig,
+        leaderboard: { scoring: 'weighted', difficulty_weights: { Hard: 2 } }
+      });
+
+      await leaderboard();
+
+      const data = await exported();
+      expect(data.totals).toMatchObject({ scoring: 'weighted', points: 1200 });
+      expect(data.byName.Alice).toMatchObject({ points: 700, percentPoints: '58.3' });
+      expect(data.byName.Bob).toMatchObject({ points: 500 });
+      const allCalls = console.log.mock.calls.flat().join('\n');
+      expect(allCalls).toMatch(/Scoring: weighted \(points times difficulty, split among co-solvers\)/);
+    });
+
+    it('should show the scoring mode in the Markdown export', async () => {
+      require('inquirer').prompt.mockReset().mockResolvedValueOnce({ exportOption: 'md' });
+
+      await leaderboard({ scoring: 'split' });
+
+      const statsDir = '/mock/repo/root/.flagtrack/stats';
+      const mdFile = (await fs.readdir(statsDir)).find(file => file.endsWith('.md'));
+      const md = await fs.readFile(path.join(statsDir, mdFile), 'utf8');
+      expect(md).toContain('- **Scoring:** split (points split evenly among co-solvers)');
+      expect(md).toContain('| 1 | Alice | 550 | 3 | 61.1% | 2 |');
+    });
+
+    it('should reject an unknown scoring mode', async () => {
+      await leaderboard({ scoring: 'random' });
+
+      expect(console.error).toHaveBeenCalledWith(
+        expect.stringContaining('Leaderboard generation failed'),
+        'Invalid value for --scoring: "random". Expected one of: full, split, first, weighted'
+      );
+      expect(process.exit).toHaveBeenCalledWith(1);
+    });
+
+    it('should reject an unknown scoring mode in the config', async () => {
+      require('../../src/utils/configManager').loadConfig.mockResolvedValue({ ...mockConfig, leaderboard: { scoring: 'fair' } });
+
+      await leaderboard();
+
+      expect(console.error).toHaveBeenCalledWith(
+        expect.stringContaining('Leaderboard generation failed'),
+        'Invalid leaderboard.scoring "fair" in the config. Use one of: full, split, first, weighted.'
+      );
+    });
+  });
+
+  describe('non-interactive output', () => {
+    const output = () => console.log.mock.calls.map(call => call.join(' ')).join('\n');
+
+    it('should not prompt without a terminal', async () => {
+      process.stdin.isTTY = false;
+
+      await leaderboard();
+
+      expect(require('inquirer').prompt).not.toHaveBeenCalled();
+      expect(output()).toContain('event LEADERBOARD');
+    });
+
+    it('should not prompt when a format is given', async () => {
+      await leaderboard({ format: 'table' });
+
+      expect(require('inquirer').prompt).not.toHaveBeenCalled();
+      expect(output()).toMatch(/Alice.*400/);
+    });
+
+    it('should print only JSON with --format json', async () => {
+      await leaderboard({ format: 'json' });
+
+      expect(console.log).toHaveBeenCalledTimes(1);
+      const data = JSON.parse(console.log.mock.calls[0][0]);
+      expect(data.solvers.map(solver => solver.name)).toEqual(['Alice', 'Bob']);
+      expect(data.totals).toMatchObject({ challenges: 4, solved: 3, points: 600 });
+    });
+
+    it('should print CSV with --format csv', async () => {
+      await leaderboard({ format: 'csv' });
+
+      expect(console.log.mock.calls[0][0].split('\n')).toEqual([
+        'rank,name,points,solved,share,percentPoints,percentSolved,categories,competitions',
+        '1,Alice,400,2,2,66.7,66.7,"Web, Crypto",Testevent',
+        '2,Bob,200,1,1,33.3,33.3,Web,Testevent'
+      ]);
+    });
+
+    it('should write the output to a file in the format of its extension', async () => {
+      await leaderboard({ output: '/mock/repo/root/stats/board.md' });
+
+      const md = await fs.readFile('/mock/repo/root/stats/board.md', 'utf8');
+      expect(md).toContain('# event Leaderboard');
+      expect(md).toContain('| 1 | Alice | 400 | 2 | 66.7% | 2 |');
+      expect(require('inquirer').prompt).not.toHaveBeenCalled();
+      expect(output()).toContain('Leaderboard written to /mock/repo/root/stats/board.md');
+    });
+
+    it('should filter by event, sub-event and category', async () => {
+      await leaderboard({ format: 'json', event: 'testevent', subEvent: 'round1', category: 'crypto' });
+
+      const data = JSON.parse(console.log.mock.calls[0][0]);
+      expect(data.solvers).toHaveLength(1);
+      expect(data.solvers[0]).toMatchObject({ name: 'Alice', points: 300, solved: 1 });
+      expect(data.totals).toMatchObject({ challenges: 2, solved: 1, points: 300 });
+    });
+
+    it('should only count the solves of a date range', async () => {
+      // Challenge one was solved on April 2nd, two on April 3rd, three on April 5th
+      const solvedOn = { '01_challenge_one': '2025-04-02T12:00:00Z', '02_challenge_two': '2025-04-03T23:30:00Z', '01_challenge_three': '2025-04-05T08:00:00Z' };
+      require('simple-git').mockImplementation(() => mockGit);
+      mockGit.log.mockImplementation(async args => ({ all: [{ hash: 'solve', date: solvedOn[args[args.length - 1].split('/')[3]] }] }));
+      // The solve commit changes points, flag and solver together
+      expect(SOLVE_DIFF).toMatch(/^-\*\*Points:\*\* TBD.*\n-\*\*Flag:\*\* `TBD`/m);
+      mockGit.show.mockResolvedValue(SOLVE_DIFF);
+
+      await leaderboard({ format: 'json', since: '2025-04-03', until: '2025-04-03' });
+
+      const data = JSON.parse(console.log.mock.calls[0][0]);
+      expect(data.solvers.map(solver => solver.name)).toEqual(['Bob']);
+      expect(data.totals).toMatchObject({ challenges: 4, solved: 1, points: 200 });
+    });
+
+    it('should keep JSON output clean when the history cannot be read', async () => {
+      require('simple-git').mockImplementation(() => mockGit);
+      mockGit.log.mockRejectedValue(new Error('not a git repository'));
+
+      await leaderboard({ format: 'json', since: '2025-04-03' });
+
+      expect(console.log).toHaveBeenCalledTimes(1);
+      expect(JSON.parse(console.log.mock.calls[0][0]).totals).toMatchObject({ solved: 0 });
+    });
+
+    it.each([
+      [{ format: 'xml' }, 'Invalid value for --format: "xml". Expected one of: table, md, json, csv'],
+      [{ format: 'table', output: 'board.txt' }, '--output needs --format md, json or csv.'],
+      [{ output: 'board.txt' }, 'Cannot tell the format of "board.txt" from its extension. Add --format md, json or csv.'],
+      [{ since: 'last week' }, 'Invalid value for --since: "last week" is not a date']
+    ])('should reject %o', async (options, message) => {
+      await leaderboard(options);
+
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Leaderboard generation failed'), message);
+      expect(process.exit).toHaveBeenCalledWith(1);
+    });
+  });
+
   it('should handle errors and exit gracefully', async () => {
     // Mock findRepoRoot to throw an error
     const findRepoRoot = require('../../src/utils/gitHelpers').findRepoRoot;
@@ -205,13 +468,13 @@ Test challenge 4
     await leaderboard();
     
     // Verify error handling
-    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Leaderboard generation failed'));
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Leaderboard generation failed'), 'Test error');
     expect(process.exit).toHaveBeenCalledWith(1);
   });
 
   it('should process solvers string correctly', async () => {
     // Add a challenge with multiple solvers
-    await fs.ensureDir('/mock/repo/root/Testevent/01_Web/03_challenge_multi');
+    await fs.ensureDir('/mock/repo/root/Testevent/Round1/01_Web/03_challenge_multi');
     const multiSolverWriteup = `# 🧩 Multi-Solver Challenge
 **Category:** Web  
 **Points:** 250  
@@ -224,7 +487,7 @@ Test challenge 4
 
 Challenge with multiple solvers
 `;
-    await fs.writeFile('/mock/repo/root/Testevent/01_Web/03_challenge_multi/writeup.md', multiSolverWriteup, 'utf8');
+    await fs.writeFile('/mock/repo/root/Testevent/Round1/01_Web/03_challenge_multi/writeup.md', multiSolverWriteup, 'utf8');
     
     // Mock inquirer to select "no export"
     const inquirer = require('inquirer');
@@ -238,9 +501,33 @@ Challenge with multiple solvers
     expect(allCalls).toMatch(/Charlie/);
   });
 
+  it('should count every spelling of a roster member as one solver', async () => {
+    require('../../src/utils/configManager').loadConfig.mockResolvedValue({
+      ...mockConfig,
+      team: [{ name: 'Alice Liddell', email: 'alice@example.com', aliases: ['alice', 'alice-laptop'], handles: ['@al1ce'] }]
+    });
+    await fs.outputFile('/mock/repo/root/Testevent/Round2/01_Web/02_alias/writeup.md', `# 🧩 Alias Challenge
+**Category:** Web  
+**Points:** 50  
+**Flag:** \`flag{alias}\`  
+**Solver:** alice-laptop and al1ce
+`);
+
+    const inquirer = require('inquirer');
+    inquirer.prompt.mockResolvedValueOnce({ exportOption: 'json' });
+
+    await leaderboard();
+
+    const statsDir = '/mock/repo/root/.flagtrack/stats';
+    const [jsonFile] = (await fs.readdir(statsDir)).filter(file => file.endsWith('.json'));
+    const data = JSON.parse(await fs.readFile(path.join(statsDir, jsonFile), 'utf8'));
+    expect(data.solvers.map(solver => solver.name)).toEqual(['Alice Liddell', 'Bob']);
+    expect(data.solvers[0]).toMatchObject({ points: 450, solved: 3 });
+  });
+
   it('should handle "Team effort" solver correctly', async () => {
     // Add a challenge with "Team effort" as solver
-    await fs.ensureDir('/mock/repo/root/Testevent/02_Crypto/03_team_challenge');
+    await fs.ensureDir('/mock/repo/root/Testevent/Round1/02_Crypto/03_team_challenge');
     const teamEffortWriteup = `# 🧩 Team Challenge
 **Category:** Crypto  
 **Points:** 500  
@@ -253,7 +540,7 @@ Challenge with multiple solvers
 
 Challenge solved by the whole team
 `;
-    await fs.writeFile('/mock/repo/root/Testevent/02_Crypto/03_team_challenge/writeup.md', teamEffortWriteup, 'utf8');
+    await fs.writeFile('/mock/repo/root/Testevent/Round1/02_Crypto/03_team_challenge/writeup.md', teamEffortWriteup, 'utf8');
     
     // Mock inquirer to select "no export"
     const inquirer = require('inquirer');
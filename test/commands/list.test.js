@@ -0,0 +1,183 @@
+const mockFs = require('mock-fs');
+const list = require('../../src/commands/list');
+
+// Mock dependencies
+jest.mock('../../src/utils/gitHelpers', () => ({
+  findRepoRoot: jest.fn()
+}));
+
+jest.mock('../../src/utils/configManager', () => ({
+  loadConfig: jest.fn()
+}));
+
+const mockConfig = {
+  events: {
+    Testevent: {
+      sub_events: {
+        Round1: {
+          originalName: 'Round1',
+          categories: { Web: 'Web', Crypto: 'Crypto' }
+        },
+        Round2: {
+          originalName: 'Round2',
+          categories: { Web: 'Web' }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Build a legacy writeup fixture
+ * @param {string} name - Challenge name
+ * @param {string} points - Points value
+ * @param {string} flag - Flag value
+ * @param {string} solver - Solver value
+ * @returns {string} Writeup markdown
+ */
+function writeup(name, points, flag, solver) {
+  return `# 🧩 ${name}
+
+**Points:** ${points}
+**Flag:** \`${flag}\`
+**Solver:** ${solver}
+`;
+}
+
+// Mock console logs
+global.console.log = jest.fn();
+global.console.error = jest.fn();
+
+// Mock process.exit
+const originalExit = process.exit;
+process.exit = jest.fn();
+
+/**
+ * Parse the JSON printed by `list --format json`
+ * @returns {Object[]} Printed rows
+ */
+function printedRows() {
+  return JSON.parse(console.log.mock.calls[0][0]);
+}
+
+describe('List Command', () => {
+  beforeEach(() => {
+    mockFs({
+      '/mock/repo/root/Testevent': {
+        'Round1': {
+          '01_Web': {
+            '01_login': { 'writeup.md': writeup('Login', '100', 'flag{login}', 'Alice') },
+            '02_upload': {
+              'writeup.md': `${writeup('Upload, v2', 'TBD', 'TBD', 'TBD')}**Assignee:** Carol\n**Claimed:** 2025-04-03T12:00:00.000Z\n`
+            }
+          },
+          '02_Crypto': {
+            '01_baby_rsa': { 'writeup.md': writeup('Baby RSA', '250', 'flag{rsa}', 'Bob and Alice') }
+          }
+        },
+        'Round2': {
+          '01_Web': {
+            '01_admin': { 'writeup.md': writeup('Admin "Panel"', '400', 'TBD', 'TBD') }
+          }
+        }
+      }
+    });
+
+    require('../../src/utils/gitHelpers').findRepoRoot.mockResolvedValue('/mock/repo/root');
+    require('../../src/utils/configManager').loadConfig.mockResolvedValue(mockConfig);
+  });
+
+  afterEach(() => {
+    mockFs.restore();
+  });
+
+  afterAll(() => {
+    process.exit = originalExit;
+  });
+
+  it('should list all challenges in number order as JSON', async () => {
+    await list({ format: 'json' });
+
+    const rows = printedRows();
+    expect(rows.map(row => row.path)).toEqual([
+      'Testevent/Round1/01_Web/01_login',
+      'Testevent/Round1/01_Web/02_upload',
+      'Testevent/Round1/02_Crypto/01_baby_rsa',
+      'Testevent/Round2/01_Web/01_admin'
+    ]);
+    expect(rows[1]).toEqual({
+      event: 'Testevent',
+      subEvent: 'Round1',
+      category: 'Web',
+      num: '02',
+      name: 'Upload, v2',
+      points: null,
+      solved: false,
+      solver: null,
+      assignee: 'Carol',
+      claimed: '2025-04-03T12:00:00.000Z',
+      flag: null,
+      path: 'Testevent/Round1/01_Web/02_upload'
+    });
+  });
+
+  it('should filter by sub-event, category and status', async () => {
+    await list({ format: 'json', subEvent: 'round1', category: 'web', unsolved: true });
+
+    expect(printedRows().map(row => row.name)).toEqual(['Upload, v2']);
+  });
+
+  it('should filter by any of several solvers', async () => {
+    await list({ format: 'json', solver: 'alice' });
+
+    expect(printedRows().map(row => row.name)).toEqual(['Login', 'Baby RSA']);
+  });
+
+  it('should filter by points range, skipping unknown points', async () => {
+    await list({ format: 'json', minPoints: '100', maxPoints: '300' });
+
+    expect(printedRows().map(row => row.name)).toEqual(['Login', 'Baby RSA']);
+  });
+
+  it('should sort by points and by name', async () => {
+    await list({ format: 'json', sort: 'points' });
+    expect(printedRows().map(row => row.points)).toEqual([400, 250, 100, null]);
+
+    console.log.mockClear();
+    await list({ format: 'json', sort: 'name', reverse: true });
+    expect(printedRows().map(row => row.name)).toEqual(['Upload, v2', 'Login', 'Baby RSA', 'Admin "Panel"']);
+  });
+
+  it('should output CSV with quoted values', async () => {
+    await list({ format: 'csv', solved: true, sort: 'name' });
+
+    expect(console.log.mock.calls[0][0]).toBe([
+      'event,subEvent,category,num,name,points,solved,solver,assignee,claimed,flag,path',
+      'Testevent,Round1,Crypto,01,Baby RSA,250,true,Bob and Alice,,,flag{rsa},Testevent/Round1/02_Crypto/01_baby_rsa',
+      'Testevent,Round1,Web,01,Login,100,true,Alice,,,flag{login},Testevent/Round1/01_Web/01_login'
+    ].join('\n'));
+
+    console.log.mockClear();
+    await list({ format: 'csv', event: 'Testevent', subEvent: 'Round2' });
+    expect(console.log.mock.calls[0][0].split('\n')[1]).toContain(',"Admin ""Panel""",');
+  });
+
+  it('should print a table by default', async () => {
+    await list();
+
+    const output = console.log.mock.calls.map(args => String(args[0])).join('\n');
+    expect(output).toContain('Showing 4 of 4 challenges');
+    expect(output).toMatch(/Testevent\/Round1\s+\| Crypto\s+\| 01 \| Baby RSA/);
+    expect(output).toMatch(/Upload, v2\s+\| TBD\s+\| 🔨\s+\| in progress by Carol/);
+  });
+
+  it('should reject invalid options', async () => {
+    await list({ sort: 'solver' });
+
+    expect(console.error).toHaveBeenCalledWith(
+      expect.stringContaining('Listing challenges failed'),
+      'Invalid value for --sort: "solver". Expected one of: number, points, name'
+    );
+    expect(process.exit).toHaveBeenCalledWith(1);
+  });
+});
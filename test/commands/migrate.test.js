@@ -0,0 +1,127 @@
+const fs = require('fs-extra');
+const mockFs = require('mock-fs');
+const migrate = require('../../src/commands/migrate');
+const { parseWriteup } = require('../../src/utils/writeup');
+
+// Mock dependencies
+jest.mock('../../src/utils/gitHelpers', () => ({
+  findRepoRoot: jest.fn()
+}));
+
+jest.mock('../../src/utils/configManager', () => ({
+  loadConfig: jest.fn()
+}));
+
+const mockConfig = {
+  events: {
+    Testevent: {
+      sub_events: {
+        Round1: {
+          originalName: 'Round1',
+          categories: { Web: 'Web' }
+        }
+      }
+    }
+  }
+};
+
+const legacyPath = '/mock/repo/root/Testevent/Round1/01_Web/01_legacy/writeup.md';
+const frontMatterPath = '/mock/repo/root/Testevent/Round1/01_Web/02_front_matter/writeup.md';
+
+const legacyWriteup = `# 🧩 Legacy Task
+
+**Category:** Web
+**Points:** 100
+**Flag:** \`flag{old_style}\`
+**Solver:** Alice
+
+---
+
+## 📝 Challenge Description
+
+> Some description
+`;
+
+const frontMatterWriteup = `---
+name: Front Matter Task
+category: Web
+points: TBD
+flag: TBD
+solver: TBD
+---
+
+# 🧩 Front Matter Task
+`;
+
+// Mock console logs
+global.console.log = jest.fn();
+global.console.error = jest.fn();
+
+// Mock process.exit
+const originalExit = process.exit;
+process.exit = jest.fn();
+
+describe('Migrate Command', () => {
+  beforeEach(() => {
+    mockFs({
+      '/mock/repo/root/Testevent/Round1/01_Web': {
+        '01_legacy': { 'writeup.md': legacyWriteup },
+        '02_front_matter': { 'writeup.md': frontMatterWriteup }
+      }
+    });
+
+    require('../../src/utils/gitHelpers').findRepoRoot.mockResolvedValue('/mock/repo/root');
+    require('../../src/utils/configManager').loadConfig.mockResolvedValue(mockConfig);
+  });
+
+  afterEach(() => {
+    mockFs.restore();
+  });
+
+  afterAll(() => {
+    process.exit = originalExit;
+  });
+
+  it('should convert legacy writeups to front matter', async () => {
+    await migrate();
+
+    const content = await fs.readFile(legacyPath, 'utf-8');
+    expect(content.startsWith('---\nname: Legacy Task\n')).toBe(true);
+    expect(content).not.toContain('**Points:**');
+    expect(content).toContain('# 🧩 Legacy Task');
+    expect(content).toContain('> Some description');
+
+    expect(parseWriteup(content)).toMatchObject({
+      format: 'frontmatter',
+      name: 'Legacy Task',
+      category: 'Web',
+      points: 100,
+      flag: 'flag{old_style}',
+      solver: 'Alice',
+      warnings: []
+    });
+  });
+
+  it('should leave front matter writeups untouched', async () => {
+    await migrate();
+
+    expect(await fs.readFile(frontMatterPath, 'utf-8')).toBe(frontMatterWriteup);
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Migrated 1 of 2 writeups'));
+  });
+
+  it('should only list writeups on a dry run', async () => {
+    await migrate({ dryRun: true });
+
+    expect(await fs.readFile(legacyPath, 'utf-8')).toBe(legacyWriteup);
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Would migrate Testevent/Round1/01_Web/01_legacy/writeup.md'));
+  });
+
+  it('should handle error and exit if migration fails', async () => {
+    require('../../src/utils/configManager').loadConfig.mockRejectedValueOnce(new Error('Test error'));
+
+    await migrate();
+
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Migration failed'), 'Test error');
+    expect(process.exit).toHaveBeenCalledWith(1);
+  });
+});
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const mockFs = require('mock-fs');
+const release = require('../../src/commands/release');
+
+// Mock dependencies
+jest.mock('../../src/utils/gitHelpers', () => ({
+  findRepoRoot: jest.fn(),
+  getCurrentBranch: jest.fn(),
+  getGitUserName: jest.fn(),
+  getGitUserEmail: jest.fn(),
+  commitFiles: jest.fn()
+}));
+
+jest.mock('../../src/utils/configManager', () => ({
+  loadConfig: jest.fn()
+}));
+
+const mockConfig = {
+  events: {
+    Testevent: {
+      sub_events: {
+        Round1: {
+          originalName: 'Round1',
+          categories: { Web: 'Web' }
+        }
+      }
+    }
+  }
+};
+
+const writeupPath = '/mock/repo/root/Testevent/Round1/01_Web/02_upload/writeup.md';
+
+const claimedWriteup = `---
+name: Upload
+category: Web
+points: TBD
+flag: TBD
+solver: TBD
+tags: []
+assignee: Bob
+claimed: 2025-04-03T12:00:00.000Z
+---
+
+# 🧩 Upload
+`;
+
+// Mock console logs
+global.console.log = jest.fn();
+global.console.error = jest.fn();
+
+// Mock process.exit
+const originalExit = process.exit;
+process.exit = jest.fn();
+
+describe('Release Command', () => {
+  let originalCwd;
+
+  beforeEach(() => {
+    mockFs({ [writeupPath]: claimedWriteup });
+
+    originalCwd = process.cwd;
+    process.cwd = jest.fn().mockReturnValue('/mock/repo/root');
+
+    const gitHelpers = require('../../src/utils/gitHelpers');
+    gitHelpers.findRepoRoot.mockResolvedValue('/mock/repo/root');
+    gitHelpers.getCurrentBranch.mockResolvedValue('web-02-upload');
+    gitHelpers.getGitUserName.mockResolvedValue('Bob');
+    gitHelpers.commitFiles.mockResolvedValue(true);
+
+    require('../../src/utils/configManager').loadConfig.mockResolvedValue(mockConfig);
+  });
+
+  afterEach(() => {
+    process.cwd = originalCwd;
+    mockFs.restore();
+  });
+
+  afterAll(() => {
+    process.exit = originalExit;
+  });
+
+  it('should remove the claim and commit the writeup', async () => {
+    await release();
+
+    const content = fs.readFileSync(writeupPath, 'utf8');
+    expect(content).not.toContain('assignee');
+    expect(content).not.toContain('claimed');
+    expect(require('../../src/utils/gitHelpers').commitFiles).toHaveBeenCalledWith(
+      [writeupPath],
+      'Release task: Upload',
+      { push: true, config: mockConfig }
+    );
+  });
+
+  it('should refuse to release a claim of someone else without --force', async () => {
+    require('../../src/utils/gitHelpers').getGitUserName.mockResolvedValue('Alice');
+
+    await release();
+
+    expect(console.error).toHaveBeenCalledWith(
+      expect.stringContaining('Release failed'),
+      'Upload is claimed by Bob, not you. Pass --force to release it anyway.'
+    );
+    expect(process.exit).toHaveBeenCalledWith(1);
+
+    process.exit.mockClear();
+    await release({ force: true, push: false });
+
+    expect(fs.readFileSync(writeupPath, 'utf8')).not.toContain('assignee');
+    expect(require('../../src/utils/gitHelpers').commitFiles).toHaveBeenCalledWith(
+      [writeupPath],
+      'Release task: Upload',
+      { push: false, config: mockConfig }
+    );
+  });
+
+  it('should release your own claim recorded by roster name', async () => {
+    const gitHelpers = require('../../src/utils/gitHelpers');
+    gitHelpers.getGitUserEmail.mockResolvedValue('bob@example.com');
+    require('../../src/utils/configManager').loadConfig.mockResolvedValue({
+      ...mockConfig,
+      team: [{ name: 'Bob', email: 'bob@example.com' }]
+    });
+    gitHelpers.getGitUserName.mockResolvedValue('Bob Builder');
+
+    await release();
+
+    expect(process.exit).not.toHaveBeenCalled();
+    expect(fs.readFileSync(writeupPath, 'utf8')).not.toContain('assignee');
+
+    mockFs({ [writeupPath]: claimedWriteup });
+    require('../../src/utils/configManager').loadConfig.mockResolvedValue({
+      ...mockConfig,
+      team: [{ name: 'Bob', aliases: ['Bob Builder'] }]
+    });
+
+    await release();
+
+    expect(process.exit).not.toHaveBeenCalled();
+    expect(fs.readFileSync(writeupPath, 'utf8')).not.toContain('assignee');
+  });
+
+  it('should do nothing for a task that is not claimed', async () => {
+    await release();
+    require('../../src/utils/gitHelpers').commitFiles.mockClear();
+
+    await release();
+
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('is not claimed'));
+    expect(require('../../src/utils/gitHelpers').commitFiles).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,148 @@
+const mockFs = require('mock-fs');
+const search = require('../../src/commands/search');
+
+// Mock dependencies
+jest.mock('../../src/utils/gitHelpers', () => ({
+  findRepoRoot: jest.fn()
+}));
+
+jest.mock('../../src/utils/configManager', () => ({
+  loadConfig: jest.fn()
+}));
+
+const mockConfig = {
+  events: {
+    Testevent: {
+      sub_events: {
+        Round1: {
+          originalName: 'Round1',
+          categories: { Web: 'Web', Pwn: 'Pwn' }
+        }
+      }
+    },
+    Otherevent: {
+      sub_events: {
+        Quals: {
+          originalName: 'Quals',
+          categories: { Web: 'Web' }
+        }
+      }
+    }
+  }
+};
+
+const webWriteup = `# 🧩 Login
+
+**Category:** Web
+
+---
+
+## 🛠️ Steps to writeup
+
+Ran sqlmap against the login form.
+Dumped the users table.
+
+---
+
+## 🧠 Notes & Takeaways
+
+Always try SQLMap first on login forms.
+`;
+
+// Mock console logs
+global.console.log = jest.fn();
+global.console.error = jest.fn();
+
+// Mock process.exit
+const originalExit = process.exit;
+process.exit = jest.fn();
+
+/**
+ * All console output as plain text
+ * @returns {string} Printed lines
+ */
+function output() {
+  return console.log.mock.calls.map(args => args.join(' ')).join('\n');
+}
+
+describe('Search Command', () => {
+  beforeEach(() => {
+    mockFs({
+      '/mock/repo/root/Testevent/Round1/01_Web/01_login': {
+        'writeup.md': webWriteup,
+        'notes.txt': 'sqlmap -u http://target/login --dump\n'
+      },
+      '/mock/repo/root/Testevent/Round1/02_Pwn/01_rop': {
+        'writeup.md': '# 🧩 ROP\n\n## 🛠️ Steps to writeup\n\nUsed pwntools and ROPgadget.\n',
+        'notes.txt': ''
+      },
+      '/mock/repo/root/Otherevent/Quals/01_Web/01_blog': {
+        'writeup.md': '# 🧩 Blog\n\n## 🛠️ Steps to writeup\n\nNo sqlmap needed here.\n'
+      }
+    });
+
+    require('../../src/utils/gitHelpers').findRepoRoot.mockResolvedValue('/mock/repo/root');
+    require('../../src/utils/configManager').loadConfig.mockResolvedValue(mockConfig);
+  });
+
+  afterEach(() => {
+    mockFs.restore();
+  });
+
+  afterAll(() => {
+    process.exit = originalExit;
+  });
+
+  it('should find matches in writeups and notes, ignoring case', async () => {
+    await search('sqlmap');
+
+    const text = output();
+    expect(text).toContain('Testevent/Round1/01_Web/01_login/writeup.md');
+    expect(text).toContain('Testevent/Round1/01_Web/01_login/notes.txt');
+    expect(text).toContain('Otherevent/Quals/01_Web/01_blog/writeup.md');
+    expect(text).toMatch(/ {3}9: Ran .*sqlmap.* against the login form\./);
+    expect(text).toMatch(/ {3}8- $/m);
+    expect(text).toContain('4 matches in 3 files');
+  });
+
+  it('should respect --case-sensitive', async () => {
+    await search('SQLMap', { caseSensitive: true });
+
+    expect(output()).toContain('1 match in 1 file');
+  });
+
+  it('should support regular expressions', async () => {
+    await search('pwntools|ROPgadget', { regex: true });
+
+    expect(output()).toContain('Testevent/Round1/02_Pwn/01_rop/writeup.md');
+    expect(output()).toContain('1 match in 1 file');
+  });
+
+  it('should limit the search to a section', async () => {
+    await search('sqlmap', { section: 'notes & takeaways' });
+
+    const text = output();
+    expect(text).toMatch(/ {2}16: Always try .*SQLMap/);
+    expect(text).not.toContain('notes.txt');
+    expect(text).toContain('1 match in 1 file');
+  });
+
+  it('should filter by event and category', async () => {
+    await search('sqlmap', { event: 'otherevent' });
+    expect(output()).toContain('1 match in 1 file');
+
+    console.log.mockClear();
+    await search('sqlmap', { category: 'Pwn' });
+    expect(output()).toContain('No matches in 1 tasks.');
+  });
+
+  it('should report invalid regular expressions', async () => {
+    await search('(unclosed', { regex: true });
+
+    expect(console.error).toHaveBeenCalledWith(
+      expect.stringContaining('Search failed'),
+      expect.stringContaining('Invalid regular expression')
+    );
+    expect(process.exit).toHaveBeenCalledWith(1);
+  });
+});
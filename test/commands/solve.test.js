@@ -2,43 +2,58 @@ const fs = require('fs-extra');
 const path = require('path');
 const mockFs = require('mock-fs');
 const solve = require('../../src/commands/solve');
+const { setDryRun } = require('../../src/utils/dryRun');
 
 // Mock dependencies
 jest.mock('inquirer', () => ({
   prompt: jest.fn()
 }));
 
-jest.mock('simple-git', () => {
-  const mockGit = {
-    add: jest.fn().mockResolvedValue(null),
-    commit: jest.fn().mockResolvedValue(null),
-    push: jest.fn().mockResolvedValue(null),
-    checkout: jest.fn().mockResolvedValue(null),
-    pull: jest.fn().mockResolvedValue(null),
-    merge: jest.fn().mockResolvedValue(null),
-    deleteLocalBranch: jest.fn().mockResolvedValue(null),
-    status: jest.fn().mockResolvedValue({ files: [] }),
-    branch: jest.fn().mockResolvedValue({ all: ['main', 'master'] })
-  };
-  return jest.fn(() => mockGit);
-});
+const mockGit = {
+  add: jest.fn().mockResolvedValue(null),
+  commit: jest.fn().mockResolvedValue(null),
+  push: jest.fn().mockResolvedValue(null),
+  checkout: jest.fn().mockResolvedValue(null),
+  fetch: jest.fn().mockResolvedValue(null),
+  pull: jest.fn().mockResolvedValue(null),
+  merge: jest.fn().mockResolvedValue(null),
+  deleteLocalBranch: jest.fn().mockResolvedValue(null),
+  status: jest.fn().mockResolvedValue({ files: [] }),
+  branch: jest.fn().mockResolvedValue({ all: ['main', 'master'] }),
+  rebase: jest.fn().mockResolvedValue(null),
+  reset: jest.fn().mockResolvedValue(null),
+  getRemotes: jest.fn().mockResolvedValue([]),
+  revparse: jest.fn(),
+  raw: jest.fn()
+};
+
+jest.mock('simple-git', () => jest.fn(() => mockGit));
 
 jest.mock('../../src/utils/gitHelpers', () => ({
-  getCurrentBranch: jest.fn().mockResolvedValue('web-01-test_challenge'),
-  getGitUserName: jest.fn().mockResolvedValue('Test User')
+  findRepoRoot: jest.fn(),
+  getCurrentBranch: jest.fn(),
+  getDefaultBranch: jest.fn(),
+  getGitUserName: jest.fn(),
+  getGitUserEmail: jest.fn(),
+  listWorktrees: jest.fn()
 }));
 
 jest.mock('../../src/utils/configManager', () => ({
-  loadConfig: jest.fn().mockResolvedValue({
-    eventName: 'Testevent',
-    categories: { 1: 'Web', 2: 'Crypto' },
-    parentDir: 'Testevent'
-  })
+  loadConfig: jest.fn()
 }));
 
-jest.mock('../../src/utils/helpers', () => ({
-  getEventContext: jest.fn().mockResolvedValue('/mock/repo/root/Testevent')
-}));
+const mockConfig = {
+  events: {
+    Testevent: {
+      sub_events: {
+        Round1: {
+          originalName: 'Round1',
+          categories: { Web: 'Web', Crypto: 'Crypto' }
+        }
+      }
+    }
+  }
+};
 
 // Mock console logs
 global.console.log = jest.fn();
@@ -49,13 +64,20 @@ const originalExit = process.exit;
 process.exit = jest.fn();
 
 describe('Solve Command', () => {
+  let originalIsTTY;
+
   beforeEach(() => {
+    // Prompts are only shown when attached to a terminal
+    originalIsTTY = process.stdin.isTTY;
+    process.stdin.isTTY = true;
+
     // Setup mock filesystem
     mockFs({
       '/mock/repo/root': {
         'Testevent': {
-          '01_Web': {
-            '01_test_challenge': {
+          'Round1': {
+            '01_Web': {
+              '01_test_challenge': {
               'writeup.md': `# 🧩 Test Challenge
 
 **Category:** Web  
@@ -82,6 +104,7 @@ _Steps_
 _Notes_
 
 ---`
+              }
             }
           }
         }
@@ -90,11 +113,24 @@ _Notes_
     
     // Reset all mocks
     jest.clearAllMocks();
+    
+    const gitHelpers = require('../../src/utils/gitHelpers');
+    gitHelpers.findRepoRoot.mockResolvedValue('/mock/repo/root');
+    gitHelpers.getCurrentBranch.mockResolvedValue('web-01-test_challenge');
+    gitHelpers.getDefaultBranch.mockResolvedValue('main');
+    gitHelpers.getGitUserName.mockResolvedValue('Test User');
+    gitHelpers.listWorktrees.mockResolvedValue([]);
+    require('../../src/utils/configManager').loadConfig.mockResolvedValue(mockConfig);
+    
+    require('simple-git').mockImplementation(() => mockGit);
+    mockGit.status.mockResolvedValue({ files: [] });
+    mockGit.branch.mockResolvedValue({ all: ['main', 'master'] });
   });
 
   afterEach(() => {
     // Restore filesystem
     mockFs.restore();
+    process.stdin.isTTY = originalIsTTY;
   });
 
   afterAll(() => {
@@ -134,7 +170,7 @@ _Notes_
     await solve();
     
     // Read the updated writeup file
-    const writeupPath = '/mock/repo/root/Testevent/01_Web/01_test_challenge/writeup.md';
+    const writeupPath = '/mock/repo/root/Testevent/Round1/01_Web/01_test_challenge/writeup.md';
     const writeupContent = await fs.readFile(writeupPath, 'utf-8');
     
     // Verify the writeup was updated with flag, points, and solver
@@ -143,10 +179,9 @@ _Notes_
     expect(writeupContent).toContain('**Solver:** Test User');
     
     // Verify Git operations
-    const simpleGit = require('simple-git')();
-    expect(simpleGit.add).toHaveBeenCalled();
-    expect(simpleGit.commit).toHaveBeenCalledWith(expect.stringContaining('Add flag solution'));
-    expect(simpleGit.push).toHaveBeenCalled();
+    expect(mockGit.add).toHaveBeenCalled();
+    expect(mockGit.commit).toHaveBeenCalledWith(expect.stringContaining('Add flag solution'));
+    expect(mockGit.push).toHaveBeenCalled();
   });
 
   it('should merge branch when task is finished', async () => {
@@ -154,7 +189,7 @@ _Notes_
     const inquirer = require('inquirer');
     
     // First, prepare a completed writeup
-    const writeupPath = '/mock/repo/root/Testevent/01_Web/01_test_challenge/writeup.md';
+    const writeupPath = '/mock/repo/root/Testevent/Round1/01_Web/01_test_challenge/writeup.md';
     const completedWriteup = `# 🧩 Test Challenge
 
 **Category:** Web  
@@ -191,12 +226,11 @@ _Notes_
     await solve();
     
     // Verify branch merge operations
-    const simpleGit = require('simple-git')();
-    expect(simpleGit.checkout).toHaveBeenCalledWith('main');
-    expect(simpleGit.pull).toHaveBeenCalled();
-    expect(simpleGit.merge).toHaveBeenCalled();
-    expect(simpleGit.push).toHaveBeenCalled();
-    expect(simpleGit.deleteLocalBranch).toHaveBeenCalled();
+    expect(mockGit.checkout).toHaveBeenCalledWith('main');
+    expect(mockGit.pull).toHaveBeenCalled();
+    expect(mockGit.merge).toHaveBeenCalled();
+    expect(mockGit.push).toHaveBeenCalled();
+    expect(mockGit.deleteLocalBranch).toHaveBeenCalled();
     
     // Verify success message
     expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Task completed and branch cleaned up'));
@@ -211,10 +245,46 @@ _Notes_
     await solve();
     
     // Verify error handling
-    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Cannot run solve on main/master branch'));
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Cannot run solve on the default branch (main)'));
     expect(process.exit).toHaveBeenCalledWith(1);
   });
 
+  it('should merge into the configured default branch', async () => {
+    const gitHelpers = require('../../src/utils/gitHelpers');
+    gitHelpers.getDefaultBranch.mockResolvedValue('ctf/main');
+    
+    await solve({ flag: 'CTF{trunk}', points: 100, solver: 'alice', merge: true });
+    
+    expect(gitHelpers.getDefaultBranch).toHaveBeenCalledWith(mockConfig);
+    expect(mockGit.fetch).toHaveBeenCalledWith('origin', 'ctf/main');
+    expect(mockGit.checkout).toHaveBeenCalledWith('ctf/main');
+    expect(mockGit.push).toHaveBeenCalledWith('origin', 'ctf/main', []);
+  });
+
+  it('should pick the solvers from the team roster', async () => {
+    require('../../src/utils/configManager').loadConfig.mockResolvedValue({
+      ...mockConfig,
+      team: [{ name: 'Test User', email: 'test@example.com' }, { name: 'Alice', email: 'alice@example.com' }]
+    });
+    const inquirer = require('inquirer');
+    const solverQuestions = [];
+    inquirer.prompt.mockImplementation(questions => {
+      const question = questions[0];
+      if (question.name === 'solverNames') {
+        solverQuestions.push(question);
+        return Promise.resolve({ solverNames: ['Test User', 'Alice'] });
+      }
+      const answers = { solvedFlag: true, flagValue: 'CTF{picked}', pointsValue: '100', finishTask: false };
+      return Promise.resolve({ [question.name]: answers[question.name] });
+    });
+
+    await solve();
+
+    expect(solverQuestions[0]).toMatchObject({ type: 'checkbox', choices: ['Test User', 'Alice'], default: ['Test User'] });
+    expect(solverQuestions[0].validate([])).not.toBe(true);
+    expect(mockGit.commit).toHaveBeenCalledWith('Add flag solution by Test User, Alice\n\nCo-authored-by: Alice <alice@example.com>');
+  });
+
   it('should handle when no flag is found yet', async () => {
     // Mock inquirer to indicate the flag is not solved yet
     const inquirer = require('inquirer');
@@ -227,9 +297,8 @@ _Notes_
     expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Task remains unsolved'));
     
     // Verify no Git operations were performed
-    const simpleGit = require('simple-git')();
-    expect(simpleGit.add).not.toHaveBeenCalled();
-    expect(simpleGit.commit).not.toHaveBeenCalled();
+    expect(mockGit.add).not.toHaveBeenCalled();
+    expect(mockGit.commit).not.toHaveBeenCalled();
   });
 
   it('should handle missing config', async () => {
@@ -255,12 +324,12 @@ _Notes_
     inquirer.prompt.mockImplementation(questions => {
       const questionName = questions[0].name;
       
-      if (questionName === 'categoryIndex') {
-        return Promise.resolve({ categoryIndex: 0 });
+      if (questionName === 'category') {
+        return Promise.resolve({ category: 'Web' });
       }
       
-      if (questionName === 'taskIndex') {
-        return Promise.resolve({ taskIndex: 0 });
+      if (questionName === 'taskPath') {
+        return Promise.resolve({ taskPath: questions[0].choices[0].value });
       }
       
       // For the solve flow questions
@@ -280,5 +349,345 @@ _Notes_
     
     // Verify warning about branch name
     expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Could not determine task from branch name'));
+    
+    // Verify the manually selected task was updated
+    const writeupContent = await fs.readFile('/mock/repo/root/Testevent/Round1/01_Web/01_test_challenge/writeup.md', 'utf-8');
+    expect(writeupContent).toContain('**Flag:** `flag{manually_selected}`');
+  });
+
+  describe('non-interactive flags', () => {
+    const writeupPath = '/mock/repo/root/Testevent/Round1/01_Web/01_test_challenge/writeup.md';
+
+    beforeEach(() => {
+      process.stdin.isTTY = false;
+    });
+
+    it('should record a solve from flags without prompting', async () => {
+      const inquirer = require('inquirer');
+
+      await solve({ flag: 'CTF{one_liner}', points: '300', solver: 'alice', merge: false });
+
+      expect(inquirer.prompt).not.toHaveBeenCalled();
+      expect(process.exit).not.toHaveBeenCalled();
+
+      const writeupContent = await fs.readFile(writeupPath, 'utf-8');
+      expect(writeupContent).toContain('**Flag:** `CTF{one_liner}`');
+      expect(writeupContent).toContain('**Points:** 300');
+      expect(writeupContent).toContain('**Solver:** alice');
+
+      expect(mockGit.commit).toHaveBeenCalledWith('Add flag solution by alice');
+      expect(mockGit.merge).not.toHaveBeenCalled();
+    });
+
+    it('should record a solve in front matter writeups', async () => {
+      await fs.writeFile(writeupPath, `---
+name: Test Challenge
+category: Web
+points: TBD
+flag: TBD
+solver: TBD
+tags: [web]
+---
+
+# 🧩 Test Challenge
+`, 'utf-8');
+
+      await solve({ flag: 'CTF{front_matter}', points: '300', solver: 'alice', merge: false });
+
+      const writeupContent = await fs.readFile(writeupPath, 'utf-8');
+      expect(writeupContent).toContain('points: 300\nflag: CTF{front_matter}\nsolver: [alice]\ntags: [web]\n');
+      expect(writeupContent).not.toContain('**Flag:**');
+      expect(mockGit.commit).toHaveBeenCalledWith('Add flag solution by alice');
+    });
+
+    it('should record several solvers with co-author trailers', async () => {
+      require('../../src/utils/configManager').loadConfig.mockResolvedValue({
+        ...mockConfig,
+        team: [
+          { name: 'Test User', email: 'test@example.com' },
+          { name: 'Alice', email: 'alice@example.com' },
+          'Bob <bob@example.com>'
+        ]
+      });
+
+      await solve({ flag: 'CTF{team}', points: 300, solver: 'test user, alice and BOB', merge: false });
+
+      const writeupContent = await fs.readFile(writeupPath, 'utf-8');
+      expect(writeupContent).toContain('**Solver:** Test User, Alice, Bob');
+      expect(mockGit.commit).toHaveBeenCalledWith([
+        'Add flag solution by Test User, Alice, Bob',
+        '',
+        'Co-authored-by: Alice <alice@example.com>',
+        'Co-authored-by: Bob <bob@example.com>'
+      ].join('\n'));
+    });
+
+    it('should resolve solver aliases and handles through the roster', async () => {
+      require('../../src/utils/configManager').loadConfig.mockResolvedValue({
+        ...mockConfig,
+        team: [{ name: 'Alice', email: 'alice@example.com', aliases: ['alice-laptop'], handles: ['@al1ce'] }]
+      });
+
+      await solve({ flag: 'CTF{alias}', points: 300, solver: 'alice-laptop, @al1ce', merge: false });
+
+      expect(await fs.readFile(writeupPath, 'utf-8')).toContain('**Solver:** Alice\n');
+      expect(console.log).not.toHaveBeenCalledWith(expect.stringContaining('not in the team roster'));
+    });
+
+    it('should keep solvers that are not in the roster without a trailer', async () => {
+      require('../../src/utils/configManager').loadConfig.mockResolvedValue({
+        ...mockConfig,
+        team: ['Alice <alice@example.com>']
+      });
+
+      await solve({ flag: 'CTF{guest}', points: 300, solver: 'alice,guest', merge: false });
+
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('guest is not in the team roster'));
+      expect(mockGit.commit).toHaveBeenCalledWith('Add flag solution by Alice, guest\n\nCo-authored-by: Alice <alice@example.com>');
+    });
+
+    it('should merge without asking when --merge is passed', async () => {
+      const inquirer = require('inquirer');
+
+      await solve({ flag: 'CTF{one_liner}', points: 300, solver: 'alice', merge: true });
+
+      expect(inquirer.prompt).not.toHaveBeenCalled();
+      expect(mockGit.merge).toHaveBeenCalled();
+      expect(mockGit.deleteLocalBranch).toHaveBeenCalledWith('web-01-test_challenge', true);
+    });
+
+    it('should error when the flag is missing without a terminal', async () => {
+      const inquirer = require('inquirer');
+
+      await solve({ points: 300, solver: 'alice' });
+
+      expect(inquirer.prompt).not.toHaveBeenCalled();
+      expect(console.error).toHaveBeenCalledWith(
+        expect.stringContaining('Error checking task'),
+        expect.stringContaining('--flag')
+      );
+      expect(process.exit).toHaveBeenCalledWith(1);
+      expect(mockGit.commit).not.toHaveBeenCalled();
+    });
+
+    it.each(['lots', '300abc', '12.5', '0'])('should reject invalid points %p', async points => {
+      await solve({ flag: 'CTF{x}', points, solver: 'alice' });
+
+      expect(console.error).toHaveBeenCalledWith(
+        expect.stringContaining('Error checking task'),
+        expect.stringContaining('Invalid value for --points')
+      );
+      expect(process.exit).toHaveBeenCalledWith(1);
+      expect(mockGit.commit).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('merge strategies', () => {
+    const branch = 'web-01-test_challenge';
+    const flags = { flag: 'CTF{strategy}', points: 100, solver: 'alice', merge: true };
+
+    beforeEach(() => {
+      process.stdin.isTTY = false;
+    });
+
+    it('should credit the solvers in the squash commit', async () => {
+      require('../../src/utils/configManager').loadConfig.mockResolvedValue({
+        ...mockConfig,
+        team: ['Alice <alice@example.com>']
+      });
+
+      await solve({ ...flags, solver: 'Alice, Test User', strategy: 'squash' });
+
+      expect(mockGit.commit).toHaveBeenLastCalledWith('Solve task: Test Challenge\n\nCo-authored-by: Alice <alice@example.com>');
+    });
+
+    it('should squash the task branch into one commit', async () => {
+      await solve({ ...flags, strategy: 'squash' });
+
+      expect(mockGit.merge).toHaveBeenCalledWith(['--squash', branch]);
+      expect(mockGit.commit).toHaveBeenLastCalledWith('Solve task: Test Challenge');
+      expect(mockGit.deleteLocalBranch).toHaveBeenCalledWith(branch, true);
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Task completed and branch cleaned up'));
+    });
+
+    it('should rebase and fast-forward when configured', async () => {
+      require('../../src/utils/configManager').loadConfig.mockResolvedValue({
+        ...mockConfig,
+        git: { merge_strategy: 'rebase' }
+      });
+
+      await solve(flags);
+
+      expect(mockGit.rebase).toHaveBeenCalledWith(['main']);
+      expect(mockGit.merge).toHaveBeenCalledWith(['--ff-only', branch]);
+      expect(mockGit.checkout.mock.calls.map(args => args[0])).toEqual(['main', branch, 'main']);
+    });
+
+    it('should abort a conflicting merge and go back to the task branch', async () => {
+      mockGit.merge.mockRejectedValueOnce(new Error('CONFLICTS: writeup.md:content'));
+
+      await solve(flags);
+
+      expect(mockGit.merge).toHaveBeenLastCalledWith(['--abort']);
+      expect(mockGit.checkout).toHaveBeenLastCalledWith(branch);
+      expect(mockGit.push).not.toHaveBeenCalledWith('origin', 'main', []);
+      expect(mockGit.deleteLocalBranch).not.toHaveBeenCalled();
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('git merge main'));
+      expect(console.log).not.toHaveBeenCalledWith(expect.stringContaining('Task completed and branch cleaned up'));
+      expect(process.exit).toHaveBeenCalledWith(1);
+    });
+
+    it('should undo a conflicting squash and rebase', async () => {
+      mockGit.merge.mockRejectedValueOnce(new Error('CONFLICTS'));
+      await solve({ ...flags, strategy: 'squash' });
+      expect(mockGit.reset).toHaveBeenCalledWith(['--hard', 'HEAD']);
+
+      // The stopped rebase leaves its state in the git directory
+      await fs.ensureDir('/mock/repo/root/.git/rebase-merge');
+      mockGit.raw.mockResolvedValue('/mock/repo/root/.git/rebase-merge\n/mock/repo/root/.git/rebase-apply\n');
+      mockGit.rebase.mockRejectedValueOnce(new Error('CONFLICTS'));
+      await solve({ ...flags, strategy: 'rebase' });
+      expect(mockGit.rebase).toHaveBeenLastCalledWith(['--abort']);
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('git rebase main'));
+      expect(mockGit.deleteLocalBranch).not.toHaveBeenCalled();
+    });
+
+    it('should go back to the task branch when the fast-forward after a rebase fails', async () => {
+      mockGit.raw.mockResolvedValue('/mock/repo/root/.git/rebase-merge\n/mock/repo/root/.git/rebase-apply\n');
+      mockGit.merge.mockRejectedValueOnce(new Error('Not possible to fast-forward, aborting.'));
+
+      await solve({ ...flags, strategy: 'rebase' });
+
+      expect(mockGit.rebase).not.toHaveBeenCalledWith(['--abort']);
+      expect(mockGit.checkout).toHaveBeenLastCalledWith(branch);
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining(`${branch} was rebased, but main could not be fast-forwarded`));
+      expect(console.log).not.toHaveBeenCalledWith(expect.stringContaining('Could not undo'));
+      expect(mockGit.deleteLocalBranch).not.toHaveBeenCalled();
+    });
+
+    it('should push the branch and print a pull request description', async () => {
+      mockGit.getRemotes.mockResolvedValue([{ name: 'origin' }]);
+
+      await solve({ ...flags, strategy: 'pr' });
+
+      expect(mockGit.push).toHaveBeenCalledWith('origin', branch, ['--set-upstream']);
+      expect(mockGit.merge).not.toHaveBeenCalled();
+      expect(mockGit.deleteLocalBranch).not.toHaveBeenCalled();
+      expect(console.log).toHaveBeenCalledWith('Title: Solve Test Challenge (Web)');
+      expect(console.log).toHaveBeenCalledWith('- Writeup: Testevent/Round1/01_Web/01_test_challenge/writeup.md');
+      expect(process.exit).not.toHaveBeenCalled();
+    });
+
+    it('should only print the planned changes with --dry-run', async () => {
+      const writeupPath = '/mock/repo/root/Testevent/Round1/01_Web/01_test_challenge/writeup.md';
+      const before = await fs.readFile(writeupPath, 'utf-8');
+      setDryRun(true);
+
+      try {
+        await solve(flags);
+      } finally {
+        setDryRun(false);
+      }
+
+      expect(await fs.readFile(writeupPath, 'utf-8')).toBe(before);
+      expect(mockGit.commit).not.toHaveBeenCalled();
+      expect(mockGit.merge).not.toHaveBeenCalled();
+      expect(mockGit.deleteLocalBranch).not.toHaveBeenCalled();
+
+      const planned = console.log.mock.calls
+        .map(args => String(args[0]))
+        .filter(line => line.includes('[dry-run]'))
+        .map(line => line.replace(/^.*\[dry-run\] /, ''));
+      expect(planned).toEqual([
+        expect.stringMatching(/^write .*writeup\.md \(\d+ bytes\)$/),
+        `git add ${writeupPath}`,
+        'git commit -m "Add flag solution by alice"',
+        'git push',
+        'git fetch origin main',
+        'git checkout main',
+        'git pull origin main',
+        `git merge ${branch} --no-ff -m "Merge task branch '${branch}'"`,
+        'git push origin main',
+        `git branch -D ${branch}`,
+        `git push origin :${branch}`
+      ]);
+    });
+
+    it('should skip fetch and pull and queue pushes when offline', async () => {
+      await fs.ensureDir('/mock/repo/root/.git');
+      mockGit.revparse.mockResolvedValue('/mock/repo/root/.git');
+      require('../../src/utils/configManager').loadConfig.mockResolvedValue({
+        ...mockConfig,
+        git: { offline: true }
+      });
+
+      await solve(flags);
+
+      expect(mockGit.fetch).not.toHaveBeenCalled();
+      expect(mockGit.pull).not.toHaveBeenCalled();
+      expect(mockGit.push).not.toHaveBeenCalled();
+      expect(mockGit.merge).toHaveBeenCalled();
+      expect(mockGit.deleteLocalBranch).toHaveBeenCalledWith(branch, true);
+
+      const queue = JSON.parse(await fs.readFile('/mock/repo/root/.git/flagtrack-push-queue.json', 'utf-8'));
+      expect(queue.map(entry => entry.branch)).toEqual(['main', `:${branch}`]);
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Task completed and branch cleaned up'));
+    });
+
+    describe('in a task worktree', () => {
+      const worktreePath = `/mock/repo/root-worktrees/${branch}`;
+
+      beforeEach(() => {
+        require('../../src/utils/gitHelpers').listWorktrees.mockResolvedValue([
+          { path: '/mock/repo/root', branch: 'main', main: true, prunable: false },
+          { path: worktreePath, branch, main: false, prunable: false }
+        ]);
+        jest.spyOn(process, 'chdir').mockImplementation(() => {});
+      });
+
+      afterEach(() => {
+        process.chdir.mockRestore();
+      });
+
+      it('should merge from the main worktree and remove the task worktree', async () => {
+        await solve(flags);
+
+        const simpleGit = require('simple-git');
+        expect(simpleGit).toHaveBeenCalledWith('/mock/repo/root');
+        expect(simpleGit).toHaveBeenCalledWith(worktreePath);
+        expect(mockGit.merge).toHaveBeenCalledWith([branch, '--no-ff', '-m', `Merge task branch '${branch}'`]);
+        expect(process.chdir).toHaveBeenCalledWith('/mock/repo/root');
+        expect(mockGit.raw).toHaveBeenCalledWith(['worktree', 'remove', worktreePath]);
+        expect(mockGit.raw.mock.invocationCallOrder[0]).toBeLessThan(mockGit.deleteLocalBranch.mock.invocationCallOrder[0]);
+        expect(mockGit.deleteLocalBranch).toHaveBeenCalledWith(branch, true);
+      });
+
+      it('should rebase inside the task worktree without switching branches', async () => {
+        await solve({ ...flags, strategy: 'rebase' });
+
+        expect(mockGit.rebase).toHaveBeenCalledWith(['main']);
+        expect(mockGit.checkout.mock.calls.map(args => args[0])).toEqual(['main']);
+        expect(mockGit.merge).toHaveBeenCalledWith(['--ff-only', branch]);
+      });
+
+      it('should keep the branch when the worktree cannot be removed', async () => {
+        mockGit.raw.mockRejectedValueOnce(new Error('contains modified or untracked files'));
+
+        await solve(flags);
+
+        expect(mockGit.deleteLocalBranch).not.toHaveBeenCalled();
+        expect(console.log).toHaveBeenCalledWith(expect.stringContaining(`git worktree remove ${worktreePath}`));
+      });
+    });
+
+    it('should reject an unknown strategy', async () => {
+      await solve({ ...flags, strategy: 'octopus' });
+
+      expect(console.error).toHaveBeenCalledWith(
+        expect.stringContaining('Error checking task'),
+        'Invalid value for --strategy: "octopus". Expected one of: merge, squash, rebase, pr'
+      );
+      expect(mockGit.merge).not.toHaveBeenCalled();
+    });
   });
-});
\ No newline at end of file
+});
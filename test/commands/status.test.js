@@ -0,0 +1,166 @@
+const mockFs = require('mock-fs');
+const status = require('../../src/commands/status');
+
+// Mock dependencies
+jest.mock('../../src/utils/gitHelpers', () => ({
+  findRepoRoot: jest.fn(),
+  getCurrentBranch: jest.fn()
+}));
+
+jest.mock('../../src/utils/configManager', () => ({
+  loadConfig: jest.fn()
+}));
+
+const mockConfig = {
+  events: {
+    Testevent: {
+      sub_events: {
+        Round1: {
+          originalName: 'Round1',
+          categories: { Web: 'Web', Crypto: 'Crypto', Pwn: 'Pwn' }
+        }
+      }
+    }
+  }
+};
+
+// Mock console logs
+global.console.log = jest.fn();
+global.console.error = jest.fn();
+
+// Mock process.exit
+const originalExit = process.exit;
+process.exit = jest.fn();
+
+/**
+ * Parse the JSON printed by `status --json`
+ * @returns {Object} The printed report
+ */
+function printedReport() {
+  const call = console.log.mock.calls.find(args => String(args[0]).startsWith('{'));
+  return JSON.parse(call[0]);
+}
+
+describe('Status Command', () => {
+  let originalCwd;
+
+  beforeEach(() => {
+    mockFs({
+      '/mock/repo/root/Testevent/Round1': {
+        '01_Web': {
+          '01_login': {
+            'writeup.md': `---
+name: Login
+category: Web
+points: 100
+flag: flag{login}
+solver: Alice
+---
+`
+          },
+          '02_upload': {
+            'writeup.md': `# 🧩 Upload
+
+**Category:** Web
+**Points:** TBD
+**Flag:** \`TBD\`
+**Solver:** TBD
+`
+          }
+        },
+        '02_Crypto': {
+          '01_baby_rsa': {
+            'writeup.md': `# 🧩 Baby RSA
+
+**Category:** Crypto
+**Points:** 250
+**Flag:** \`flag{rsa}\`
+**Solver:** Bob
+`
+          }
+        }
+      }
+    });
+
+    originalCwd = process.cwd;
+    process.cwd = jest.fn().mockReturnValue('/mock/repo/root');
+
+    const gitHelpers = require('../../src/utils/gitHelpers');
+    gitHelpers.findRepoRoot.mockResolvedValue('/mock/repo/root');
+    gitHelpers.getCurrentBranch.mockResolvedValue('web-02-upload');
+
+    require('../../src/utils/configManager').loadConfig.mockResolvedValue(mockConfig);
+  });
+
+  afterEach(() => {
+    process.cwd = originalCwd;
+    mockFs.restore();
+  });
+
+  afterAll(() => {
+    process.exit = originalExit;
+  });
+
+  it('should report the task of the current branch as JSON', async () => {
+    await status({ json: true });
+
+    const report = printedReport();
+    expect(report).toMatchObject({
+      branch: 'web-02-upload',
+      event: 'Testevent',
+      subEvent: 'Round1',
+      task: {
+        name: 'Upload',
+        category: 'Web',
+        path: 'Testevent/Round1/01_Web/02_upload',
+        flag: null,
+        points: null,
+        solver: null,
+        solved: false,
+        complete: false
+      },
+      totals: { solved: 2, unsolved: 1, total: 3, points: 350 }
+    });
+    expect(report.categories).toEqual([
+      { name: 'Web', solved: 1, unsolved: 1, total: 2, points: 100 },
+      { name: 'Crypto', solved: 1, unsolved: 0, total: 1, points: 250 },
+      { name: 'Pwn', solved: 0, unsolved: 0, total: 0, points: 0 }
+    ]);
+  });
+
+  it('should fall back to the task folder we are in', async () => {
+    require('../../src/utils/gitHelpers').getCurrentBranch.mockResolvedValue('main');
+    process.cwd.mockReturnValue('/mock/repo/root/Testevent/Round1/02_Crypto/01_baby_rsa');
+
+    await status({ json: true });
+
+    expect(printedReport().task).toMatchObject({ name: 'Baby RSA', solved: true, complete: true });
+  });
+
+  it('should report no task outside of an event', async () => {
+    require('../../src/utils/gitHelpers').getCurrentBranch.mockResolvedValue('main');
+
+    await status({ json: true });
+
+    expect(printedReport()).toMatchObject({ event: null, subEvent: null, task: null, categories: [] });
+  });
+
+  it('should print a readable overview', async () => {
+    await status();
+
+    const output = console.log.mock.calls.map(args => String(args[0])).join('\n');
+    expect(output).toContain('Event: Testevent > Round1');
+    expect(output).toContain('Task: Upload (Web)');
+    expect(output).toContain('Flag:   TBD');
+    expect(output).toMatch(/Crypto\s+\| 1\s+\| 0\s+\| 250/);
+  });
+
+  it('should handle error and exit if the status check fails', async () => {
+    require('../../src/utils/configManager').loadConfig.mockRejectedValueOnce(new Error('Test error'));
+
+    await status();
+
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Status check failed'), 'Test error');
+    expect(process.exit).toHaveBeenCalledWith(1);
+  });
+});
@@ -0,0 +1,144 @@
+const fs = require('fs-extra');
+const mockFs = require('mock-fs');
+const sync = require('../../src/commands/sync');
+const { setOffline } = require('../../src/utils/offline');
+
+// Mock dependencies
+const mockGit = {
+  revparse: jest.fn(),
+  push: jest.fn()
+};
+
+jest.mock('simple-git', () => jest.fn(() => mockGit));
+
+jest.mock('../../src/utils/gitHelpers', () => ({
+  isGitRepo: jest.fn()
+}));
+
+jest.mock('../../src/utils/configManager', () => ({
+  loadConfig: jest.fn()
+}));
+
+// Mock console logs
+global.console.log = jest.fn();
+global.console.error = jest.fn();
+
+// Mock process.exit
+const originalExit = process.exit;
+process.exit = jest.fn();
+
+const queuePath = '/repo/.git/flagtrack-push-queue.json';
+
+/**
+ * Build a queued push entry
+ * @param {string} branch - Branch or `:branch` deletion
+ * @param {string[]} [options=[]] - Push options
+ * @returns {Object} Queue entry
+ */
+function entry(branch, options = []) {
+  return { remote: 'origin', branch, options, queuedAt: '2025-04-03T12:00:00.000Z' };
+}
+
+/**
+ * Read the queue file back
+ * @returns {Promise<Object[]>} Queued pushes
+ */
+async function queuedBranches() {
+  return JSON.parse(await fs.readFile(queuePath, 'utf-8')).map(item => item.branch);
+}
+
+describe('Sync Command', () => {
+  beforeEach(() => {
+    require('simple-git').mockImplementation(() => mockGit);
+    mockGit.revparse.mockResolvedValue('/repo/.git');
+    mockGit.push.mockResolvedValue(null);
+    require('../../src/utils/gitHelpers').isGitRepo.mockResolvedValue(true);
+
+    mockFs({
+      [queuePath]: JSON.stringify([
+        entry('web-01-login', ['--set-upstream']),
+        entry('main'),
+        entry(':web-01-login')
+      ])
+    });
+  });
+
+  afterEach(() => {
+    setOffline(false);
+    mockFs.restore();
+  });
+
+  afterAll(() => {
+    process.exit = originalExit;
+  });
+
+  it('should replay the queue in order and empty it', async () => {
+    await sync();
+
+    expect(mockGit.push.mock.calls).toEqual([
+      ['origin', 'web-01-login', ['--set-upstream']],
+      ['origin', 'main', []],
+      ['origin', ':web-01-login', []]
+    ]);
+    expect(await queuedBranches()).toEqual([]);
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Synced 3 queued pushes'));
+  });
+
+  it('should stop at the first failed push and keep the rest queued', async () => {
+    mockGit.push
+      .mockResolvedValueOnce(null)
+      .mockRejectedValueOnce(new Error('Could not resolve host: github.com'));
+
+    await sync();
+
+    expect(mockGit.push).toHaveBeenCalledTimes(2);
+    expect(await queuedBranches()).toEqual(['main', ':web-01-login']);
+    expect(console.error).toHaveBeenCalledWith(
+      expect.stringContaining('Sync failed'),
+      expect.stringContaining('Pushing main to origin failed: Could not resolve host')
+    );
+    expect(process.exit).toHaveBeenCalledWith(1);
+  });
+
+  it('should skip deleting branches that never reached the remote', async () => {
+    mockGit.push
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(null)
+      .mockRejectedValueOnce(new Error("error: unable to delete 'web-01-login': remote ref does not exist"));
+
+    await sync();
+
+    expect(await queuedBranches()).toEqual([]);
+    expect(process.exit).not.toHaveBeenCalled();
+  });
+
+  it('should only list the queue with --list', async () => {
+    require('../../src/utils/configManager').loadConfig.mockResolvedValue({
+      display: { timezone: 'Europe/Oslo', date_format: 'DD.MM.YYYY HH:mm' }
+    });
+
+    await sync({ list: true });
+
+    expect(mockGit.push).not.toHaveBeenCalled();
+    expect(console.log).toHaveBeenCalledWith('03.04.2025 14:00  git push origin web-01-login --set-upstream');
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('3 queued pushes'));
+  });
+
+  it('should report an empty queue', async () => {
+    mockFs({ '/repo/.git': {} });
+
+    await sync();
+
+    expect(mockGit.push).not.toHaveBeenCalled();
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Nothing to sync'));
+  });
+
+  it('should refuse to sync with --offline', async () => {
+    setOffline(true);
+
+    await sync();
+
+    expect(mockGit.push).not.toHaveBeenCalled();
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Sync failed'), 'Cannot sync with --offline.');
+  });
+});
@@ -0,0 +1,162 @@
+const fs = require('fs-extra');
+const mockFs = require('mock-fs');
+const timeline = require('../../src/commands/timeline');
+
+// Mock dependencies
+jest.mock('../../src/utils/gitHelpers', () => ({
+  findRepoRoot: jest.fn()
+}));
+
+const mockGit = {
+  log: jest.fn(),
+  show: jest.fn()
+};
+
+jest.mock('simple-git', () => jest.fn(() => mockGit));
+
+jest.mock('../../src/utils/configManager', () => ({
+  loadConfig: jest.fn()
+}));
+
+const mockConfig = {
+  events: {
+    CTF: {
+      sub_events: {
+        Quals: { categories: { Web: 'Web' } },
+        Finals: { categories: { Web: 'Web' } }
+      }
+    }
+  }
+};
+
+// Commits per writeup, newest first as git log lists them
+const history = {
+  'CTF/Quals/01_Web/01_login/writeup.md': [
+    { hash: 'a3', date: '2025-04-03T12:00:00Z', diff: '-points: TBD\n-flag: TBD\n+points: 100\n+flag: flag{sqli}\n' },
+    { hash: 'a2', date: '2025-04-03T10:00:00Z', diff: '+claimed: 2025-04-03T10:00:00.000Z\n' },
+    { hash: 'a1', date: '2025-04-03T09:00:00Z', diff: '+flag: TBD\n' }
+  ],
+  'CTF/Quals/01_Web/02_upload/writeup.md': [
+    { hash: 'b1', date: '2025-04-03T09:30:00Z', diff: '+flag: TBD\n' }
+  ],
+  'CTF/Finals/01_Web/01_admin/writeup.md': [
+    { hash: 'c2', date: '2025-04-05T11:00:00Z', diff: '-points: TBD\n-flag: TBD\n-solver: TBD\n+points: 300\n+flag: flag{admin}\n+solver: Bob\n' },
+    { hash: 'c1', date: '2025-04-05T09:00:00Z', diff: '+flag: TBD\n' }
+  ]
+};
+
+const writeup = (name, points, flag, solver) => `---
+name: ${name}
+category: Web
+points: ${points}
+flag: ${flag}
+solver: ${solver}
+---
+`;
+
+// Mock console logs
+global.console.log = jest.fn();
+global.console.error = jest.fn();
+
+// Mock process.exit
+const originalExit = process.exit;
+process.exit = jest.fn();
+
+const output = () => console.log.mock.calls.map(call => call.join(' ')).join('\n');
+
+describe('Timeline Command', () => {
+  beforeEach(() => {
+    mockFs({
+      '/repo/CTF': {
+        'Quals': {
+          '01_Web': {
+            '01_login': { 'writeup.md': writeup('Login', 100, 'flag{sqli}', 'ali') },
+            '02_upload': { 'writeup.md': writeup('Upload', 200, 'TBD', 'TBD') }
+          }
+        },
+        'Finals': {
+          '01_Web': {
+            '01_admin': { 'writeup.md': writeup('Admin', 300, 'flag{admin}', 'Bob') }
+          }
+        }
+      }
+    });
+
+    require('../../src/utils/gitHelpers').findRepoRoot.mockResolvedValue('/repo');
+    require('../../src/utils/configManager').loadConfig.mockResolvedValue({
+      ...mockConfig,
+      team: [{ name: 'Alice', aliases: ['ali'] }]
+    });
+    require('simple-git').mockImplementation(() => mockGit);
+    mockGit.log.mockImplementation(async args => ({
+      all: (history[args[args.length - 1]] || []).map(({ hash, date }) => ({ hash, date }))
+    }));
+    mockGit.show.mockImplementation(async ([hash]) => (
+      Object.values(history).flat().find(commit => commit.hash === hash).diff
+    ));
+  });
+
+  afterEach(() => {
+    mockFs.restore();
+  });
+
+  afterAll(() => {
+    process.exit = originalExit;
+  });
+
+  it('should print the events oldest first', async () => {
+    await timeline();
+
+    const lines = output().split('\n').filter(line => line.includes(' / '));
+    expect(lines).toHaveLength(6);
+    expect(lines[0]).toMatch(/Created.*CTF \/ Quals \/ Web \/ Login$/);
+    expect(lines[3]).toMatch(/Solved.*Login \(\+100 pts by Alice, 100 total\)/);
+    expect(lines[5]).toMatch(/Solved.*Admin \(\+300 pts by Bob, 400 total\)/);
+    expect(output()).toContain('2 solved, 400 points');
+  });
+
+  it('should filter by event and sub-event', async () => {
+    await timeline({ event: 'ctf', subEvent: 'finals', format: 'json' });
+
+    const events = JSON.parse(console.log.mock.calls[0][0]);
+    expect(events.map(event => event.type)).toEqual(['created', 'solved']);
+    expect(events[1]).toMatchObject({ challenge: 'Admin', time: '2025-04-05T11:00:00.000Z', totalPoints: 300 });
+    expect(console.log).toHaveBeenCalledTimes(1);
+  });
+
+  it('should print CSV', async () => {
+    await timeline({ format: 'csv' });
+
+    const csv = console.log.mock.calls[0][0].split('\n');
+    expect(csv).toHaveLength(7);
+    expect(csv[4]).toBe('2025-04-03T12:00:00.000Z,solved,CTF,Quals,Web,Login,100,Alice,100');
+  });
+
+  it('should keep CSV output clean when the history cannot be read', async () => {
+    mockGit.log.mockRejectedValue(new Error('not a git repository'));
+
+    await timeline({ format: 'csv' });
+
+    expect(console.log).toHaveBeenCalledTimes(1);
+    expect(console.log.mock.calls[0][0].split('\n')[0]).toMatch(/^time,type,/);
+  });
+
+  it('should write the points chart as SVG', async () => {
+    await timeline({ svg: '/repo/docs/progress.svg' });
+
+    const svg = await fs.readFile('/repo/docs/progress.svg', 'utf8');
+    expect(svg).toContain('<title>Points over time</title>');
+    expect(svg).toContain('<title>Admin (+300 pts by Bob)</title>');
+    expect(output()).toContain('Wrote the points chart to /repo/docs/progress.svg');
+  });
+
+  it('should reject unknown formats', async () => {
+    await timeline({ format: 'xml' });
+
+    expect(console.error).toHaveBeenCalledWith(
+      expect.stringContaining('Timeline failed'),
+      'Invalid value for --format: "xml". Expected one of: text, json, csv'
+    );
+    expect(process.exit).toHaveBeenCalledWith(1);
+  });
+});
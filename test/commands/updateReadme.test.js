@@ -5,31 +5,37 @@ const updateReadme = require('../../src/commands/updateReadme');
 
 // Mock dependencies
 jest.mock('../../src/utils/gitHelpers', () => ({
-  findRepoRoot: jest.fn().mockResolvedValue('/mock/repo/root')
+  findRepoRoot: jest.fn()
 }));
 
-jest.mock('simple-git', () => {
-  const mockGit = {
-    log: jest.fn().mockResolvedValue({
-      all: [
-        { hash: 'hash1', author_name: 'Alice' },
-        { hash: 'hash2', author_name: 'Bob' }
-      ]
-    }),
-    show: jest.fn().mockResolvedValue(`-**Flag:** \`TBD\`
-+**Flag:** \`flag{challenge_one}\``)
-  };
-  return jest.fn(() => mockGit);
-});
+const mockGit = {
+  log: jest.fn(),
+  show: jest.fn()
+};
+
+jest.mock('simple-git', () => jest.fn(() => mockGit));
 
 jest.mock('../../src/utils/configManager', () => ({
-  loadConfig: jest.fn().mockResolvedValue({
-    eventName: 'Testevent',
-    categories: { 1: 'Web', 2: 'Crypto' },
-    parentDir: 'Testevent'
-  })
+  loadConfig: jest.fn()
 }));
 
+const mockConfig = {
+  events: {
+    Testevent: {
+      sub_events: {
+        Round1: {
+          originalName: 'Round1',
+          categories: { Web: 'Web', Crypto: 'Crypto' }
+        },
+        Round2: {
+          originalName: 'Round2',
+          categories: { Web: 'Web' }
+        }
+      }
+    }
+  }
+};
+
 // Mock console logs
 global.console.log = jest.fn();
 global.console.error = jest.fn();
@@ -44,9 +50,10 @@ describe('Update README Command', () => {
     mockFs({
       '/mock/repo/root': {
         'Testevent': {
-          '01_Web': {
-            '01_challenge_one': {
-              'writeup.md': `# 🧩 Challenge One
+          'Round1': {
+            '01_Web': {
+              '01_challenge_one': {
+                'writeup.md': `# 🧩 Challenge One
 **Category:** Web  
 **Points:** 100  
 **Flag:** \`flag{challenge_one}\`  
@@ -58,9 +65,9 @@ describe('Update README Command', () => {
 
 Test challenge 1
 `
-            },
-            '02_challenge_two': {
-              'writeup.md': `# 🧩 Challenge Two
+              },
+              '02_challenge_two': {
+                'writeup.md': `# 🧩 Challenge Two
 **Category:** Web  
 **Points:** 200  
 **Flag:** \`flag{challenge_two}\`  
@@ -72,11 +79,11 @@ Test challenge 1
 
 Test challenge 2
 `
-            }
-          },
-          '02_Crypto': {
-            '01_challenge_three': {
-              'writeup.md': `# 🧩 Challenge Three
+              }
+            },
+            '02_Crypto': {
+              '01_challenge_three': {
+                'writeup.md': `# 🧩 Challenge Three
 **Category:** Crypto  
 **Points:** 300  
 **Flag:** \`flag{challenge_three}\`  
@@ -88,9 +95,9 @@ Test challenge 2
 
 Test challenge 3
 `
-            },
-            '02_challenge_four': {
-              'writeup.md': `# 🧩 Challenge Four
+              },
+              '02_challenge_four': {
+                'writeup.md': `# 🧩 Challenge Four
 **Category:** Crypto  
 **Points:** 400  
 **Flag:** \`TBD\`  
@@ -102,6 +109,7 @@ Test challenge 3
 
 Test challenge 4
 `
+              }
             }
           }
         }
@@ -110,6 +118,24 @@ Test challenge 4
     
     // Reset all mocks
     jest.clearAllMocks();
+    
+    require('../../src/utils/gitHelpers').findRepoRoot.mockResolvedValue('/mock/repo/root');
+    require('../../src/utils/configManager').loadConfig.mockResolvedValue(mockConfig);
+    
+    // Only challenge one has a commit that flipped its flag from TBD
+    require('simple-git').mockImplementation(() => mockGit);
+    mockGit.log.mockResolvedValue({
+      all: [
+        { hash: 'hash1', author_name: 'Alice' },
+        { hash: 'hash2', author_name: 'Bob' }
+      ]
+    });
+    mockGit.show.mockImplementation(([hash, , , file]) => Promise.resolve(
+      hash === 'hash1' && file.includes('01_challenge_one')
+        ? `-**Flag:** \`TBD\`
++**Flag:** \`flag{challenge_one}\``
+        : ''
+    ));
   });
 
   afterEach(() => {
@@ -146,6 +172,193 @@ Test challenge 4
     expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Generated README.md'));
   });
 
+  it('should show the last update in the configured timezone and format', async () => {
+    require('../../src/utils/configManager').loadConfig.mockResolvedValue({
+      ...mockConfig,
+      display: { timezone: 'Europe/Oslo', date_format: 'DD.MM.YYYY HH:mm z' }
+    });
+
+    await updateReadme();
+
+    const readmeContent = await fs.readFile('/mock/repo/root/README.md', 'utf8');
+    expect(readmeContent).toMatch(/> Last updated: \d{2}\.\d{2}\.\d{4} \d{2}:\d{2} GMT\+[12]\n/);
+  });
+
+  it('should fail on an unknown timezone', async () => {
+    require('../../src/utils/configManager').loadConfig.mockResolvedValue({
+      ...mockConfig,
+      display: { timezone: 'Norwegian time' }
+    });
+
+    await updateReadme();
+
+    expect(console.error).toHaveBeenCalledWith(
+      expect.stringContaining('README generation failed'),
+      expect.stringContaining('Invalid display.timezone "Norwegian time"')
+    );
+    expect(process.exit).toHaveBeenCalledWith(1);
+  });
+
+  it('should write a summary at the root and the tables per event and sub-event in the split layout', async () => {
+    require('../../src/utils/configManager').loadConfig.mockResolvedValue({ ...mockConfig, readme: { layout: 'split' } });
+
+    await updateReadme();
+
+    const rootReadme = await fs.readFile('/mock/repo/root/README.md', 'utf8');
+    expect(rootReadme).toContain('**Progress:** 3/4 challenges (75%)');
+    expect(rootReadme).toContain('| [Testevent](Testevent/README.md) | 3/4 (75%) | 600 |');
+    expect(rootReadme).not.toContain('flag{');
+
+    const eventReadme = await fs.readFile('/mock/repo/root/Testevent/README.md', 'utf8');
+    expect(eventReadme).toMatch(/^# Testevent\n/);
+    expect(eventReadme).toContain('| [Round1](Round1/README.md) | 3/4 (75%) | 600 |');
+    expect(eventReadme).toContain('| 01 | [Challenge One](Round1/01_Web/01_challenge_one/writeup.md) | 100 | ✅ |');
+
+    const subEventReadme = await fs.readFile('/mock/repo/root/Testevent/Round1/README.md', 'utf8');
+    expect(subEventReadme).toMatch(/^# Testevent: Round1\n/);
+    expect(subEventReadme).toContain('## Crypto (1/2 - 300 pts)');
+    expect(subEventReadme).toContain('| 01 | [Challenge One](01_Web/01_challenge_one/writeup.md) | 100 | ✅ |');
+
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Generated 2 event and sub-event READMEs'));
+  });
+
+  it('should use the configured file name and templates for event READMEs', async () => {
+    require('../../src/utils/configManager').loadConfig.mockResolvedValue({
+      ...mockConfig,
+      readme: { layout: 'split', filename: 'index.md' }
+    });
+    await fs.outputFile('/mock/repo/root/.flagtrack/sub-event-template.md', '{{event}}/{{name}}: {{solved}} solved\n');
+
+    await updateReadme();
+
+    expect(await fs.readFile('/mock/repo/root/README.md', 'utf8')).toContain('(Testevent/index.md)');
+    expect(await fs.readFile('/mock/repo/root/Testevent/index.md', 'utf8')).toContain('(Round1/index.md)');
+    expect(await fs.readFile('/mock/repo/root/Testevent/Round1/index.md', 'utf8')).toBe('Testevent/Round1: 3 solved\n');
+    expect(await fs.pathExists('/mock/repo/root/Testevent/README.md')).toBe(false);
+  });
+
+  it('should write progress badges and charts and embed them', async () => {
+    await updateReadme();
+
+    const readmeContent = await fs.readFile('/mock/repo/root/README.md', 'utf8');
+    expect(readmeContent).toContain('![Testevent progress](.flagtrack/charts/testevent.svg)');
+    expect(readmeContent).toContain('![Testevent categories](.flagtrack/charts/testevent-categories.svg)');
+    expect(readmeContent).toContain('![Solver contributions](.flagtrack/charts/solvers.svg)');
+    expect(readmeContent).toContain('![Progress](.flagtrack/charts/progress.svg)');
+
+    const badge = await fs.readFile('/mock/repo/root/.flagtrack/charts/testevent.svg', 'utf8');
+    expect(badge).toContain('<title>Testevent: 3/4 (75%)</title>');
+    const categories = await fs.readFile('/mock/repo/root/.flagtrack/charts/testevent-categories.svg', 'utf8');
+    expect(categories).toContain('>1/2 · 300 pts</text>');
+    const solvers = await fs.readFile('/mock/repo/root/.flagtrack/charts/solvers.svg', 'utf8');
+    expect(solvers.indexOf('>Alice</text>')).toBeLessThan(solvers.indexOf('>Bob</text>'));
+    expect(solvers).toContain('>400 pts · 2 solved</text>');
+    expect(await fs.pathExists('/mock/repo/root/.flagtrack/charts/progress.svg')).toBe(true);
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Generated 4 badges and charts in .flagtrack/charts'));
+  });
+
+  it('should chart the solvers by roster name with the leaderboard scoring', async () => {
+    require('../../src/utils/configManager').loadConfig.mockResolvedValue({
+      ...mockConfig,
+      team: [{ name: 'Alice', aliases: ['ali'] }],
+      leaderboard: { scoring: 'split' }
+    });
+    await fs.writeFile('/mock/repo/root/Testevent/Round1/01_Web/01_challenge_one/writeup.md', `---
+name: Challenge One
+category: Web
+points: 100
+flag: flag{challenge_one}
+solver: [Alice, Bob]
+---
+
+# 🧩 Challenge One
+`);
+    const challengeThree = '/mock/repo/root/Testevent/Round1/02_Crypto/01_challenge_three/writeup.md';
+    await fs.writeFile(challengeThree, (await fs.readFile(challengeThree, 'utf8')).replace('**Solver:** Alice', '**Solver:** ali'));
+
+    await updateReadme();
+
+    const solvers = await fs.readFile('/mock/repo/root/.flagtrack/charts/solvers.svg', 'utf8');
+    expect(solvers).not.toContain('>ali</text>');
+    expect(solvers).toContain('>350 pts · 2 solved</text>');
+    expect(solvers).toContain('>250 pts · 2 solved</text>');
+  });
+
+  it('should chart the writeup solvers like the leaderboard, not the git authors', async () => {
+    mockGit.log.mockResolvedValue({ all: [{ hash: 'hash1', author_name: 'Carol' }] });
+
+    await updateReadme();
+
+    const readmeContent = await fs.readFile('/mock/repo/root/README.md', 'utf8');
+    expect(readmeContent).toMatch(/\[Challenge One\].*\| Carol \|/);
+    const solvers = await fs.readFile('/mock/repo/root/.flagtrack/charts/solvers.svg', 'utf8');
+    expect(solvers).not.toContain('>Carol</text>');
+    expect(solvers).toContain('>400 pts · 2 solved</text>');
+  });
+
+  it('should link the charts relative to each README of the split layout', async () => {
+    require('../../src/utils/configManager').loadConfig.mockResolvedValue({
+      ...mockConfig,
+      readme: { layout: 'split', charts_dir: 'docs/charts' }
+    });
+
+    await updateReadme();
+
+    const rootReadme = await fs.readFile('/mock/repo/root/README.md', 'utf8');
+    expect(rootReadme).toContain('![Progress](docs/charts/progress.svg)');
+    expect(rootReadme).toContain('![Solver contributions](docs/charts/solvers.svg)');
+    const eventReadme = await fs.readFile('/mock/repo/root/Testevent/README.md', 'utf8');
+    expect(eventReadme).toContain('![Testevent progress](../docs/charts/testevent.svg)');
+    expect(eventReadme).toContain('![Testevent categories](../docs/charts/testevent-categories.svg)');
+    expect(await fs.pathExists('/mock/repo/root/docs/charts/testevent.svg')).toBe(true);
+  });
+
+  it('should leave out the charts when they are turned off', async () => {
+    require('../../src/utils/configManager').loadConfig.mockResolvedValue({ ...mockConfig, readme: { charts: false } });
+
+    await updateReadme();
+
+    const readmeContent = await fs.readFile('/mock/repo/root/README.md', 'utf8');
+    expect(readmeContent).not.toContain('.svg');
+    expect(readmeContent).not.toContain('## Solvers');
+    expect(await fs.pathExists('/mock/repo/root/.flagtrack/charts')).toBe(false);
+  });
+
+  it('should reject an unknown README layout', async () => {
+    require('../../src/utils/configManager').loadConfig.mockResolvedValue({ ...mockConfig, readme: { layout: 'nested' } });
+
+    await updateReadme();
+
+    expect(console.error).toHaveBeenCalledWith(
+      expect.stringContaining('README generation failed'),
+      'Invalid readme.layout "nested" in the config. Use one of: single, split.'
+    );
+  });
+
+  it('should hide flags while the event is running', async () => {
+    require('../../src/utils/configManager').loadConfig.mockResolvedValue({
+      events: { Testevent: { ...mockConfig.events.Testevent, flags: { redact: 'prefix', ends_at: '2999-01-01T00:00:00Z' } } }
+    });
+
+    await updateReadme();
+
+    const readmeContent = await fs.readFile('/mock/repo/root/README.md', 'utf8');
+    expect(readmeContent).toMatch(/\[Challenge One\].*\| `flag\{\.\.\.\}` \|/);
+    expect(readmeContent).toMatch(/\[Challenge Four\].*\| `TBD` \|/);
+    expect(readmeContent).not.toContain('challenge_one}');
+  });
+
+  it('should show flags once the event has ended', async () => {
+    require('../../src/utils/configManager').loadConfig.mockResolvedValue({
+      events: { Testevent: { ...mockConfig.events.Testevent, flags: { redact: 'full', ends_at: '2025-01-01T00:00:00Z' } } }
+    });
+
+    await updateReadme();
+
+    const readmeContent = await fs.readFile('/mock/repo/root/README.md', 'utf8');
+    expect(readmeContent).toContain('`flag{challenge_one}`');
+  });
+
   it('should handle challenges with very long flags', async () => {
     // Add a challenge with a very long flag
     const longFlagWriteup = `# 🧩 Long Flag Challenge
@@ -161,8 +374,8 @@ Test challenge 4
 Challenge with long flag
 `;
     
-    await fs.ensureDir('/mock/repo/root/Testevent/01_Web/03_long_flag');
-    await fs.writeFile('/mock/repo/root/Testevent/01_Web/03_long_flag/writeup.md', longFlagWriteup, 'utf8');
+    await fs.ensureDir('/mock/repo/root/Testevent/Round1/01_Web/03_long_flag');
+    await fs.writeFile('/mock/repo/root/Testevent/Round1/01_Web/03_long_flag/writeup.md', longFlagWriteup, 'utf8');
     
     // Execute the update README command
     await updateReadme();
@@ -216,7 +429,7 @@ Challenge from Round 2
     await updateReadme();
     
     // Verify error handling
-    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('README generation failed'));
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('README generation failed'), 'Test error');
     expect(process.exit).toHaveBeenCalledWith(1);
   });
 
@@ -232,9 +445,129 @@ Challenge from Round 2
     expect(readmeContent).toContain('Challenge One') && expect(readmeContent).toContain('Alice');
     
     // Verify git operations were called to extract solver
-    const simpleGit = require('simple-git')();
-    expect(simpleGit.log).toHaveBeenCalled();
-    expect(simpleGit.show).toHaveBeenCalled();
+    expect(mockGit.log).toHaveBeenCalled();
+    expect(mockGit.show).toHaveBeenCalled();
+  });
+
+  it('should credit the co-authors of the commit that added the flag', async () => {
+    mockGit.log.mockResolvedValue({
+      all: [
+        { hash: 'hash1', author_name: 'Alice', body: 'Co-authored-by: Carol <carol@example.com>\nCo-authored-by: alice <alice@example.com>\n' }
+      ]
+    });
+
+    await updateReadme();
+
+    const readmeContent = await fs.readFile('/mock/repo/root/README.md', 'utf8');
+    expect(readmeContent).toMatch(/\[Challenge One\].*\| Alice, Carol \|/);
+  });
+
+  it('should show git authors and solvers by their roster name', async () => {
+    require('../../src/utils/configManager').loadConfig.mockResolvedValue({
+      ...mockConfig,
+      team: [
+        { name: 'Alice Liddell', email: 'alice@example.com', emails: ['alice@laptop.local'] },
+        { name: 'Bob Builder', aliases: ['bob'] }
+      ]
+    });
+    mockGit.log.mockResolvedValue({
+      all: [{ hash: 'hash1', author_name: 'root', author_email: 'alice@laptop.local', body: '' }]
+    });
+
+    await updateReadme();
+
+    const readmeContent = await fs.readFile('/mock/repo/root/README.md', 'utf8');
+    expect(readmeContent).toMatch(/\[Challenge One\].*\| Alice Liddell \|/);
+    expect(readmeContent).toMatch(/\[Challenge Two\].*\| Bob Builder \|/);
+    expect(readmeContent).not.toContain('root');
+  });
+
+  it('should use a solver list recorded by solve without checking git history', async () => {
+    await fs.writeFile('/mock/repo/root/Testevent/Round1/01_Web/01_challenge_one/writeup.md', `---
+name: Challenge One
+category: Web
+points: 100
+flag: flag{challenge_one}
+solver: [Dave, Erin]
+---
+
+# 🧩 Challenge One
+`);
+
+    await updateReadme();
+
+    const readmeContent = await fs.readFile('/mock/repo/root/README.md', 'utf8');
+    expect(readmeContent).toMatch(/\[Challenge One\].*\| Dave, Erin \|/);
+    expect(mockGit.show).not.toHaveBeenCalledWith(expect.arrayContaining([expect.stringContaining('01_challenge_one')]));
+  });
+
+  it('should show claimed challenges as in progress', async () => {
+    const writeupPath = '/mock/repo/root/Testevent/Round1/02_Crypto/02_challenge_four/writeup.md';
+    const content = await fs.readFile(writeupPath, 'utf8');
+    await fs.writeFile(writeupPath, content.replace('**Solver:** TBD', '**Solver:** TBD  \n**Assignee:** Carol  \n**Claimed:** 2025-04-03T12:00:00.000Z'), 'utf8');
+
+    await updateReadme();
+
+    const readmeContent = await fs.readFile('/mock/repo/root/README.md', 'utf8');
+    expect(readmeContent).toMatch(/\[Challenge Four\]\([^)]*\) \| 400 \| 🔨 \| in progress by Carol \|/);
+  });
+
+  it('should render a template from the .flagtrack directory', async () => {
+    await fs.outputFile('/mock/repo/root/.flagtrack/readme-template.md', `# {{solved}}/{{total}} solved
+{{#events}}
+{{#subEvents}}
+{{#categories}}
+{{#challenges}}
+{{#isCompleted}}
+- {{name}} ({{category}}, {{points}}) by {{solver}}: {{rawFlag}}
+{{/isCompleted}}
+{{/challenges}}
+{{/categories}}
+{{/subEvents}}
+{{/events}}
+`);
+
+    await updateReadme();
+
+    const readmeContent = await fs.readFile('/mock/repo/root/README.md', 'utf8');
+    expect(readmeContent).toBe(`# 3/4 solved
+- Challenge One (Web, 100) by Alice: flag{challenge_one}
+- Challenge Two (Web, 200) by Bob: flag{challenge_two}
+- Challenge Three (Crypto, 300) by Alice: flag{challenge_three}
+`);
+  });
+
+  it('should only replace the part between the markers of an existing README', async () => {
+    await fs.writeFile('/mock/repo/root/README.md', `# Our team
+
+Hand-written intro.
+
+<!-- flagtrack:start -->
+old progress
+<!-- flagtrack:end -->
+
+Hand-written footer.
+`);
+
+    await updateReadme();
+
+    const readmeContent = await fs.readFile('/mock/repo/root/README.md', 'utf8');
+    expect(readmeContent).toMatch(/^# Our team\n\nHand-written intro\.\n\n<!-- flagtrack:start -->\n# event Competitions Progress Tracker\n/);
+    expect(readmeContent).toMatch(/!\[Solver contributions\]\(\.flagtrack\/charts\/solvers\.svg\)\n\n<!-- flagtrack:end -->\n\nHand-written footer\.\n$/);
+    expect(readmeContent).not.toContain('old progress');
+  });
+
+  it('should refuse to write a README with only one marker', async () => {
+    const original = '# Our team\n\n<!-- flagtrack:start -->\nold progress\n';
+    await fs.writeFile('/mock/repo/root/README.md', original);
+
+    await updateReadme();
+
+    expect(console.error).toHaveBeenCalledWith(
+      expect.stringContaining('README generation failed'),
+      'README.md must contain both <!-- flagtrack:start --> and <!-- flagtrack:end -->, in that order.'
+    );
+    expect(await fs.readFile('/mock/repo/root/README.md', 'utf8')).toBe(original);
   });
 
   it('should handle challenges with missing metadata gracefully', async () => {
@@ -250,8 +583,8 @@ Challenge from Round 2
 Challenge with incomplete metadata
 `;
     
-    await fs.ensureDir('/mock/repo/root/Testevent/01_Web/99_incomplete');
-    await fs.writeFile('/mock/repo/root/Testevent/01_Web/99_incomplete/writeup.md', incompleteWriteup, 'utf8');
+    await fs.ensureDir('/mock/repo/root/Testevent/Round1/01_Web/99_incomplete');
+    await fs.writeFile('/mock/repo/root/Testevent/Round1/01_Web/99_incomplete/writeup.md', incompleteWriteup, 'utf8');
     
     // Execute the update README command
     await updateReadme();
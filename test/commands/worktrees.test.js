@@ -0,0 +1,117 @@
+const worktrees = require('../../src/commands/worktrees');
+
+// Mock dependencies
+const mockGit = {
+  raw: jest.fn()
+};
+
+jest.mock('simple-git', () => jest.fn(() => mockGit));
+
+jest.mock('../../src/utils/gitHelpers', () => ({
+  isGitRepo: jest.fn(),
+  getDefaultBranch: jest.fn(),
+  listWorktrees: jest.fn(),
+  getWorktreeDir: jest.fn()
+}));
+
+jest.mock('../../src/utils/configManager', () => ({
+  loadConfig: jest.fn()
+}));
+
+// Mock console logs
+global.console.log = jest.fn();
+global.console.error = jest.fn();
+
+// Mock process.exit
+const originalExit = process.exit;
+process.exit = jest.fn();
+
+const worktreeDir = '/repo-worktrees';
+
+/**
+ * Collect everything printed with console.log
+ * @returns {string} Printed output
+ */
+function output() {
+  return console.log.mock.calls.map(args => String(args[0])).join('\n');
+}
+
+describe('Worktrees Command', () => {
+  beforeEach(() => {
+    require('simple-git').mockImplementation(() => mockGit);
+    mockGit.raw.mockImplementation(async args => (
+      args[0] === 'branch' ? 'web-01-login\ncrypto-02-rsa\n' : ''
+    ));
+
+    const gitHelpers = require('../../src/utils/gitHelpers');
+    gitHelpers.isGitRepo.mockResolvedValue(true);
+    gitHelpers.getDefaultBranch.mockResolvedValue('main');
+    gitHelpers.getWorktreeDir.mockResolvedValue(worktreeDir);
+    gitHelpers.listWorktrees.mockResolvedValue([
+      { path: '/repo', branch: 'main', main: true, prunable: false },
+      { path: `${worktreeDir}/web-01-login`, branch: 'web-01-login', main: false, prunable: false },
+      { path: `${worktreeDir}/pwn-01-heap`, branch: 'pwn-01-heap', main: false, prunable: false },
+      { path: `${worktreeDir}/misc-01-gone`, branch: 'misc-01-gone', main: false, prunable: true },
+      { path: '/elsewhere/crypto-02-rsa', branch: 'crypto-02-rsa', main: false, prunable: false }
+    ]);
+    require('../../src/utils/configManager').loadConfig.mockResolvedValue({});
+  });
+
+  afterAll(() => {
+    process.exit = originalExit;
+  });
+
+  it('should list linked worktrees with their status', async () => {
+    await worktrees();
+
+    expect(output()).toMatch(/web-01-login\s+\/repo-worktrees\/web-01-login.*\[merged into main\]/);
+    expect(output()).toMatch(/misc-01-gone\s+\/repo-worktrees\/misc-01-gone.*\[missing\]/);
+    expect(output()).not.toMatch(/pwn-01-heap.*\[/);
+    expect(output()).toContain('4 worktrees in use');
+    expect(mockGit.raw).not.toHaveBeenCalledWith(['worktree', 'prune']);
+  });
+
+  it('should prune missing worktrees and remove merged ones in the worktree directory', async () => {
+    await worktrees({ prune: true });
+
+    expect(mockGit.raw).toHaveBeenCalledWith(['worktree', 'prune']);
+    expect(mockGit.raw).toHaveBeenCalledWith(['worktree', 'remove', `${worktreeDir}/web-01-login`]);
+    expect(mockGit.raw).not.toHaveBeenCalledWith(['worktree', 'remove', `${worktreeDir}/pwn-01-heap`]);
+    expect(mockGit.raw).not.toHaveBeenCalledWith(['worktree', 'remove', '/elsewhere/crypto-02-rsa']);
+    expect(output()).toContain('Pruned 2 worktrees');
+  });
+
+  it('should keep worktrees that cannot be removed', async () => {
+    mockGit.raw.mockImplementation(async args => {
+      if (args[1] === 'remove') {
+        throw new Error('contains modified or untracked files, use --force to delete it');
+      }
+      return args[0] === 'branch' ? 'web-01-login\n' : '';
+    });
+
+    await worktrees({ prune: true });
+
+    expect(output()).toContain(`Kept ${worktreeDir}/web-01-login: contains modified or untracked files`);
+    expect(output()).toContain('Pruned 1 worktree.');
+    expect(process.exit).not.toHaveBeenCalled();
+  });
+
+  it('should report when there are no task worktrees', async () => {
+    require('../../src/utils/gitHelpers').listWorktrees.mockResolvedValue([
+      { path: '/repo', branch: 'main', main: true, prunable: false }
+    ]);
+
+    await worktrees({ prune: true });
+
+    expect(output()).toContain('No task worktrees');
+    expect(mockGit.raw).not.toHaveBeenCalledWith(['worktree', 'prune']);
+  });
+
+  it('should exit outside a git repository', async () => {
+    require('../../src/utils/gitHelpers').isGitRepo.mockResolvedValue(false);
+
+    await worktrees();
+
+    expect(process.exit).toHaveBeenCalledWith(1);
+  });
+});
@@ -9,6 +9,16 @@ describe('FlagTrack Package Entry Point', () => {
     expect(flagtrack.commands).toHaveProperty('solve');
     expect(flagtrack.commands).toHaveProperty('leaderboard');
     expect(flagtrack.commands).toHaveProperty('updateReadme');
+    expect(flagtrack.commands).toHaveProperty('migrate');
+    expect(flagtrack.commands).toHaveProperty('status');
+    expect(flagtrack.commands).toHaveProperty('list');
+    expect(flagtrack.commands).toHaveProperty('search');
+    expect(flagtrack.commands).toHaveProperty('claim');
+    expect(flagtrack.commands).toHaveProperty('release');
+    expect(flagtrack.commands).toHaveProperty('sync');
+    expect(flagtrack.commands).toHaveProperty('worktrees');
+    expect(flagtrack.commands).toHaveProperty('exportSite');
+    expect(flagtrack.commands).toHaveProperty('timeline');
     
     // Verify each command is a function
     expect(typeof flagtrack.commands.setup).toBe('function');
@@ -16,6 +26,16 @@ describe('FlagTrack Package Entry Point', () => {
     expect(typeof flagtrack.commands.solve).toBe('function');
     expect(typeof flagtrack.commands.leaderboard).toBe('function');
     expect(typeof flagtrack.commands.updateReadme).toBe('function');
+    expect(typeof flagtrack.commands.migrate).toBe('function');
+    expect(typeof flagtrack.commands.status).toBe('function');
+    expect(typeof flagtrack.commands.list).toBe('function');
+    expect(typeof flagtrack.commands.search).toBe('function');
+    expect(typeof flagtrack.commands.claim).toBe('function');
+    expect(typeof flagtrack.commands.release).toBe('function');
+    expect(typeof flagtrack.commands.sync).toBe('function');
+    expect(typeof flagtrack.commands.worktrees).toBe('function');
+    expect(typeof flagtrack.commands.exportSite).toBe('function');
+    expect(typeof flagtrack.commands.timeline).toBe('function');
   });
 
   it('should export utility functions correctly', () => {
@@ -24,6 +44,18 @@ describe('FlagTrack Package Entry Point', () => {
     expect(flagtrack.utils).toHaveProperty('config');
     expect(flagtrack.utils).toHaveProperty('git');
     expect(flagtrack.utils).toHaveProperty('helpers');
+    expect(flagtrack.utils).toHaveProperty('eventModel');
+    expect(flagtrack.utils).toHaveProperty('writeup');
+    expect(flagtrack.utils).toHaveProperty('dryRun');
+    expect(flagtrack.utils).toHaveProperty('offline');
+    expect(flagtrack.utils).toHaveProperty('team');
+    expect(flagtrack.utils).toHaveProperty('dates');
+    expect(flagtrack.utils).toHaveProperty('template');
+    expect(flagtrack.utils).toHaveProperty('redaction');
+    expect(flagtrack.utils).toHaveProperty('progress');
+    expect(flagtrack.utils).toHaveProperty('markdown');
+    expect(flagtrack.utils).toHaveProperty('timeline');
+    expect(flagtrack.utils).toHaveProperty('charts');
     
     // Verify specific utility functions
     expect(flagtrack.utils.config).toHaveProperty('loadConfig');
@@ -31,5 +63,17 @@ describe('FlagTrack Package Entry Point', () => {
     expect(flagtrack.utils.git).toHaveProperty('getCurrentBranch');
     expect(flagtrack.utils.helpers).toHaveProperty('slugify');
     expect(flagtrack.utils.helpers).toHaveProperty('getEventContext');
+    expect(flagtrack.utils.eventModel).toHaveProperty('findTasks');
+    expect(flagtrack.utils.writeup).toHaveProperty('parseWriteup');
+    expect(flagtrack.utils.dryRun).toHaveProperty('setDryRun');
+    expect(flagtrack.utils.offline).toHaveProperty('setOffline');
+    expect(flagtrack.utils.team).toHaveProperty('getTeam');
+    expect(flagtrack.utils.dates).toHaveProperty('formatDate');
+    expect(flagtrack.utils.template).toHaveProperty('renderTemplate');
+    expect(flagtrack.utils.redaction).toHaveProperty('redactFlag');
+    expect(flagtrack.utils.progress).toHaveProperty('findCompetitionData');
+    expect(flagtrack.utils.markdown).toHaveProperty('renderMarkdown');
+    expect(flagtrack.utils.timeline).toHaveProperty('buildTimeline');
+    expect(flagtrack.utils.charts).toHaveProperty('renderProgressBadge');
   });
 });
\ No newline at end of file
@@ -0,0 +1,78 @@
+const mockFs = require('mock-fs');
+const { processSolvers, scanAllChallenges } = require('../../src/utils/challenges');
+
+const config = {
+  events: {
+    HTP: {
+      sub_events: {
+        Quals: { categories: { Web: 'Web' } }
+      }
+    }
+  }
+};
+
+// Mock console logs
+global.console.log = jest.fn();
+
+describe('Challenges', () => {
+  describe('processSolvers', () => {
+    it('should split multiple solvers', () => {
+      expect(processSolvers('Alice, Bob and Carol & Dave')).toEqual(['Alice', 'Bob', 'Carol', 'Dave']);
+    });
+
+    it('should treat placeholders as no solver', () => {
+      expect(processSolvers(null)).toEqual([]);
+      expect(processSolvers('TBD')).toEqual([]);
+      expect(processSolvers('Unknown')).toEqual([]);
+    });
+
+    it('should keep team efforts together', () => {
+      expect(processSolvers('Team effort (Alice, Bob)')).toEqual(['Team effort']);
+    });
+  });
+
+  describe('scanAllChallenges', () => {
+    beforeEach(() => {
+      mockFs({
+        '/repo/HTP/Quals/01_Web': {
+          '01_login': {
+            'writeup.md': '# 🧩 Login\n\n**Category:** Web\n**Points:** 100\n**Flag:** `flag{x}`\n**Solver:** Alice\n'
+          },
+          '02_broken': {
+            'writeup.md': 'no metadata here'
+          }
+        }
+      });
+    });
+
+    afterEach(() => {
+      mockFs.restore();
+    });
+
+    it('should build challenge records from writeups', async () => {
+      const challenges = await scanAllChallenges('/repo', config);
+
+      expect(challenges[0]).toMatchObject({
+        name: 'Login',
+        points: 100,
+        category: 'Web',
+        isCompleted: true,
+        solver: 'Alice',
+        flag: 'flag{x}',
+        competition: 'HTP',
+        subEvent: 'Quals',
+        categoryNum: '01',
+        taskNum: '01',
+        path: '/repo/HTP/Quals/01_Web/01_login'
+      });
+      expect(challenges[1]).toMatchObject({ name: '02_broken', points: null, isCompleted: false });
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Missing **Points:** line'));
+    });
+
+    it('should stay quiet when warnings are turned off', async () => {
+      await scanAllChallenges('/repo', config, { warnings: false });
+
+      expect(console.log).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,74 @@
+const { renderBadge, renderProgressBadge, renderCategoryChart, renderSolverChart } = require('../../src/utils/charts');
+
+describe('Charts', () => {
+  describe('renderBadge', () => {
+    it('should render a label and a message on a colored background', () => {
+      const svg = renderBadge('Quals', '3/10 (30%)', '#fe7d37');
+
+      expect(svg).toMatch(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="\d+" height="20"/);
+      expect(svg).toContain('<title>Quals: 3/10 (30%)</title>');
+      expect(svg).toContain('fill="#fe7d37"');
+      expect(svg).toContain('>Quals</text>');
+    });
+
+    it('should escape the texts', () => {
+      expect(renderBadge('<b>&', 'x', '#555')).toContain('>&lt;b&gt;&amp;</text>');
+    });
+
+    it('should grow with its text', () => {
+      const width = svg => Number(svg.match(/width="(\d+)"/)[1]);
+      expect(width(renderBadge('A much longer event name', '1/2', '#555'))).toBeGreaterThan(width(renderBadge('CTF', '1/2', '#555')));
+    });
+  });
+
+  describe('renderProgressBadge', () => {
+    it.each([
+      [{ solved: 10, total: 10, percent: 100 }, '#44cc11'],
+      [{ solved: 6, total: 10, percent: 60 }, '#dfb317'],
+      [{ solved: 1, total: 10, percent: 10 }, '#e05d44'],
+      [{ solved: 0, total: 0, percent: 0 }, '#9f9f9f']
+    ])('should color %o as %s', (counts, color) => {
+      const svg = renderProgressBadge('CTF', counts);
+
+      expect(svg).toContain(`fill="${color}"`);
+      expect(svg).toContain(`>${counts.solved}/${counts.total} (${counts.percent}%)</text>`);
+    });
+  });
+
+  describe('renderCategoryChart', () => {
+    it('should fill each bar by the solved share of its category', () => {
+      const svg = renderCategoryChart('CTF: categories', [
+        { name: 'Web', solved: 1, total: 4, points: 100 },
+        { name: 'Pwn', solved: 0, total: 2, points: 0 }
+      ]);
+
+      const bars = [...svg.matchAll(/<rect x="\d+" y="\d+" width="([\d.]+)" height="16" rx="3" fill="#0969da"\/>/g)];
+      const tracks = [...svg.matchAll(/<rect x="\d+" y="\d+" width="([\d.]+)" height="16" rx="3" fill="#eaeef2"\/>/g)];
+      expect(Number(bars[0][1])).toBeCloseTo(Number(tracks[0][1]) / 4, 0);
+      expect(Number(bars[1][1])).toBe(0);
+      expect(svg).toContain('>1/4 · 100 pts</text>');
+      expect(svg).toContain('<title>CTF: categories</title>');
+    });
+
+    it('should say when there are no categories', () => {
+      expect(renderCategoryChart('CTF', [])).toContain('No challenges yet');
+    });
+  });
+
+  describe('renderSolverChart', () => {
+    it('should scale the bars to the best solver', () => {
+      const svg = renderSolverChart('Solvers', [
+        { name: 'Alice', points: 400, solved: 2 },
+        { name: 'Bob', points: 100, solved: 1 }
+      ]);
+
+      const bars = [...svg.matchAll(/width="([\d.]+)" height="16" rx="3" fill="#0969da"/g)].map(match => Number(match[1]));
+      expect(bars[0]).toBeCloseTo(bars[1] * 4, 0);
+      expect(svg).toContain('>400 pts · 2 solved</text>');
+    });
+
+    it('should say when nobody solved anything', () => {
+      expect(renderSolverChart('Solvers', [])).toContain('No solves yet');
+    });
+  });
+});
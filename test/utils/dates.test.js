@@ -0,0 +1,44 @@
+const { getDateSettings, formatDate } = require('../../src/utils/dates');
+
+const oslo = { display: { timezone: 'Europe/Oslo' } };
+
+describe('Dates', () => {
+  describe('getDateSettings', () => {
+    it('should default to UTC', () => {
+      expect(getDateSettings({ events: {} })).toEqual({ timeZone: 'UTC', format: 'YYYY-MM-DD HH:mm:ss z' });
+      expect(getDateSettings()).toEqual({ timeZone: 'UTC', format: 'YYYY-MM-DD HH:mm:ss z' });
+    });
+
+    it('should reject unknown timezones', () => {
+      expect(() => getDateSettings({ display: { timezone: 'Norway/Oslo' } })).toThrow(
+        'Invalid display.timezone "Norway/Oslo" in the config. Use an IANA name such as Europe/Oslo.'
+      );
+    });
+  });
+
+  describe('formatDate', () => {
+    it('should format in UTC by default', () => {
+      expect(formatDate('2025-04-03T12:00:00.000Z')).toBe('2025-04-03 12:00:00 UTC');
+    });
+
+    it('should follow daylight saving time in the configured timezone', () => {
+      expect(formatDate('2025-01-15T12:00:00.000Z', oslo)).toBe('2025-01-15 13:00:00 GMT+1');
+      expect(formatDate('2025-07-15T12:00:00.000Z', oslo)).toBe('2025-07-15 14:00:00 GMT+2');
+    });
+
+    it('should roll over to the next day', () => {
+      expect(formatDate(new Date('2025-03-31T23:30:00.000Z'), oslo, 'YYYY-MM-DD')).toBe('2025-04-01');
+      expect(formatDate('2025-03-31T02:00:00.000Z', { display: { timezone: 'America/New_York' } }, 'DD.MM.YYYY HH:mm'))
+        .toBe('30.03.2025 22:00');
+    });
+
+    it('should use the configured format', () => {
+      const config = { display: { timezone: 'Asia/Tokyo', date_format: 'DD/MM/YYYY HH:mm (z)' } };
+      expect(formatDate('2025-04-03T00:05:00.000Z', config)).toBe('03/04/2025 09:05 (GMT+9)');
+    });
+
+    it('should return text that is not a date unchanged', () => {
+      expect(formatDate('yesterday')).toBe('yesterday');
+    });
+  });
+});
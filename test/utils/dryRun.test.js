@@ -0,0 +1,135 @@
+const fs = require('fs-extra');
+const mockFs = require('mock-fs');
+const { setDryRun, isDryRun, getGit, files } = require('../../src/utils/dryRun');
+
+const mockGit = {
+  add: jest.fn(),
+  commit: jest.fn(),
+  push: jest.fn(),
+  branch: jest.fn(),
+  deleteLocalBranch: jest.fn(),
+  getRemotes: jest.fn()
+};
+
+jest.mock('simple-git', () => jest.fn(() => mockGit));
+
+// Mock console logs
+global.console.log = jest.fn();
+
+/**
+ * Planned changes printed so far
+ * @returns {string[]} Printed dry-run lines
+ */
+function plannedLines() {
+  return console.log.mock.calls
+    .map(args => String(args[0]))
+    .filter(line => line.includes('[dry-run]'))
+    .map(line => line.replace(/^.*\[dry-run\] /, ''));
+}
+
+describe('Dry Run', () => {
+  beforeEach(() => {
+    require('simple-git').mockImplementation(() => mockGit);
+    mockGit.branch.mockResolvedValue({ all: ['main'] });
+    mockGit.getRemotes.mockResolvedValue([{ name: 'origin' }]);
+
+    mockFs({
+      '/repo': {
+        'existing': {},
+        'notes.txt': '',
+        'shot.png': 'png'
+      }
+    });
+  });
+
+  afterEach(() => {
+    setDryRun(false);
+    mockFs.restore();
+  });
+
+  describe('getGit', () => {
+    it('should run every command when dry-run is off', async () => {
+      const git = getGit();
+
+      await git.commit('Add task');
+      await git.branch(['web-01-login']);
+
+      expect(isDryRun()).toBe(false);
+      expect(mockGit.commit).toHaveBeenCalledWith('Add task');
+      expect(mockGit.branch).toHaveBeenCalledWith(['web-01-login']);
+      expect(plannedLines()).toEqual([]);
+    });
+
+    it('should print mutating commands in order instead of running them', async () => {
+      setDryRun(true);
+      const git = getGit();
+
+      await git.branch(['web-01-login']);
+      await git.add('/repo/Web/01_login');
+      await git.commit('Add task: Login');
+      await git.push('origin', 'web-01-login', ['--set-upstream']);
+      await git.deleteLocalBranch('web-01-login', true);
+
+      expect(mockGit.branch).not.toHaveBeenCalled();
+      expect(mockGit.add).not.toHaveBeenCalled();
+      expect(mockGit.commit).not.toHaveBeenCalled();
+      expect(mockGit.push).not.toHaveBeenCalled();
+      expect(mockGit.deleteLocalBranch).not.toHaveBeenCalled();
+      expect(plannedLines()).toEqual([
+        'git branch web-01-login',
+        'git add /repo/Web/01_login',
+        'git commit -m "Add task: Login"',
+        'git push origin web-01-login --set-upstream',
+        'git branch -D web-01-login'
+      ]);
+    });
+
+    it('should still run read-only commands', async () => {
+      setDryRun(true);
+      const git = getGit();
+
+      expect(await git.branch()).toEqual({ all: ['main'] });
+      expect(await git.getRemotes()).toEqual([{ name: 'origin' }]);
+      expect(plannedLines()).toEqual([]);
+    });
+  });
+
+  describe('files', () => {
+    it('should write files when dry-run is off', async () => {
+      await files.ensureDir('/repo/new/dir');
+      await files.writeFile('/repo/new/dir/writeup.md', '# 🧩 Login');
+      await files.createFile('/repo/new/dir/notes.txt');
+
+      expect(await fs.readFile('/repo/new/dir/writeup.md', 'utf-8')).toBe('# 🧩 Login');
+      expect(await fs.pathExists('/repo/new/dir/notes.txt')).toBe(true);
+    });
+
+    it('should only print writes in dry-run mode', async () => {
+      setDryRun(true);
+
+      await files.ensureDir('/repo/existing');
+      await files.ensureDir('/repo/new dir');
+      await files.writeFile('/repo/new dir/writeup.md', 'abc');
+      await files.createFile('/repo/notes.txt');
+      await files.createFile('/repo/new dir/notes.txt');
+
+      expect(await fs.pathExists('/repo/new dir')).toBe(false);
+      expect(plannedLines()).toEqual([
+        'mkdir -p "/repo/new dir"',
+        'write "/repo/new dir/writeup.md" (3 bytes)',
+        'touch "/repo/new dir/notes.txt"'
+      ]);
+    });
+
+    it('should copy files unless in dry-run mode', async () => {
+      await files.copyFile('/repo/shot.png', '/repo/site/shot.png');
+      expect(await fs.readFile('/repo/site/shot.png', 'utf-8')).toBe('png');
+
+      setDryRun(true);
+      await files.copyFile('/repo/shot.png', '/repo/site/copy.png');
+
+      expect(await fs.pathExists('/repo/site/copy.png')).toBe(false);
+      expect(plannedLines()).toEqual(['cp /repo/shot.png /repo/site/copy.png']);
+    });
+  });
+});
@@ -0,0 +1,147 @@
+const mockFs = require('mock-fs');
+const {
+  parseNumberedDir,
+  getEventNames,
+  getSubEventNames,
+  getCategoryNames,
+  getCategoryDirName,
+  getCategoryPath,
+  getTaskDirName,
+  getTaskBranchName,
+  findTasks,
+  findTaskByBranch
+} = require('../../src/utils/eventModel');
+
+const config = {
+  events: {
+    HTP: {
+      sub_events: {
+        Quals: { categories: { Web: 'Web', Crypto: 'Crypto' } },
+        Finals: { categories: { Pwn: 'Pwn' } }
+      }
+    },
+    Other: {
+      sub_events: {
+        Quals: { categories: { Web: 'Web' } }
+      }
+    }
+  }
+};
+
+describe('Event Model', () => {
+  describe('config accessors', () => {
+    it('should list events, sub-events and categories', () => {
+      expect(getEventNames(config)).toEqual(['HTP', 'Other']);
+      expect(getSubEventNames(config, 'HTP')).toEqual(['Quals', 'Finals']);
+      expect(getCategoryNames(config, 'HTP', 'Quals')).toEqual(['Web', 'Crypto']);
+    });
+
+    it('should return empty lists for unknown entries', () => {
+      expect(getEventNames(null)).toEqual([]);
+      expect(getSubEventNames(config, 'Missing')).toEqual([]);
+      expect(getCategoryNames(config, 'HTP', 'Missing')).toEqual([]);
+    });
+  });
+
+  describe('paths and names', () => {
+    it('should number category folders by their position in the config', () => {
+      expect(getCategoryDirName(config, 'HTP', 'Quals', 'Crypto')).toBe('02_Crypto');
+      expect(getCategoryPath('/repo', config, 'HTP', 'Quals', 'Web')).toBe('/repo/HTP/Quals/01_Web');
+    });
+
+    it('should throw for categories that are not configured', () => {
+      expect(() => getCategoryDirName(config, 'HTP', 'Quals', 'Pwn')).toThrow('not configured');
+    });
+
+    it('should build task folder and branch names', () => {
+      expect(getTaskDirName(3, 'Baby ROP')).toBe('03_baby_rop');
+      expect(getTaskBranchName('Crypto', 3, 'baby_rop')).toBe('crypto-03-baby_rop');
+    });
+
+    it('should parse numbered folder names', () => {
+      expect(parseNumberedDir('02_Crypto')).toEqual({ num: '02', name: 'Crypto' });
+      expect(parseNumberedDir('challenge_files')).toBeNull();
+    });
+  });
+
+  describe('findTasks', () => {
+    beforeEach(() => {
+      mockFs({
+        '/repo': {
+          'HTP': {
+            'Quals': {
+              '01_Web': {
+                '01_login': { 'writeup.md': '# 🧩 Login' },
+                '02_no_writeup': {}
+              },
+              '02_Crypto': {
+                '01_baby_rsa': { 'writeup.md': '# 🧩 Baby RSA' }
+              },
+              'notes.md': 'not a category'
+            }
+          },
+          'Other': {
+            'Quals': {
+              '01_Web': {
+                '01_login': { 'writeup.md': '# 🧩 Other Login' }
+              }
+            }
+          },
+          'Unconfigured': {
+            'Quals': {
+              '01_Web': {
+                '01_ignored': { 'writeup.md': '# 🧩 Ignored' }
+              }
+            }
+          }
+        }
+      });
+    });
+
+    afterEach(() => {
+      mockFs.restore();
+    });
+
+    it('should find tasks with a writeup in configured events only', async () => {
+      const tasks = await findTasks('/repo', config);
+
+      expect(tasks.map(task => `${task.event}/${task.subEvent}/${task.category}/${task.folderName}`)).toEqual([
+        'HTP/Quals/Web/01_login',
+        'HTP/Quals/Crypto/01_baby_rsa',
+        'Other/Quals/Web/01_login'
+      ]);
+      expect(tasks[1]).toMatchObject({
+        categoryNum: '02',
+        taskNum: '01',
+        taskSlug: 'baby_rsa',
+        path: '/repo/HTP/Quals/02_Crypto/01_baby_rsa',
+        writeupPath: '/repo/HTP/Quals/02_Crypto/01_baby_rsa/writeup.md'
+      });
+    });
+
+    it('should filter tasks by event', async () => {
+      const tasks = await findTasks('/repo', config, { eventName: 'Other' });
+      expect(tasks).toHaveLength(1);
+      expect(tasks[0].event).toBe('Other');
+    });
+
+    it('should find the task a branch belongs to', async () => {
+      const task = await findTaskByBranch('/repo', config, 'crypto-01-baby_rsa');
+      expect(task.path).toBe('/repo/HTP/Quals/02_Crypto/01_baby_rsa');
+    });
+
+    it('should accept branches with a uniqueness suffix', async () => {
+      const task = await findTaskByBranch('/repo', config, 'crypto-01-baby_rsa-123456');
+      expect(task.path).toBe('/repo/HTP/Quals/02_Crypto/01_baby_rsa');
+    });
+
+    it('should prefer tasks of the current event when a branch is ambiguous', async () => {
+      const task = await findTaskByBranch('/repo', config, 'web-01-login', { eventName: 'Other', subEventName: 'Quals' });
+      expect(task.event).toBe('Other');
+    });
+
+    it('should return null for unknown branches', async () => {
+      expect(await findTaskByBranch('/repo', config, 'feature-x')).toBeNull();
+    });
+  });
+});
@@ -4,6 +4,9 @@ const mockFs = require('mock-fs');
 const { 
   isGitRepo, 
   getCurrentBranch, 
+  getDefaultBranch,
+  listWorktrees,
+  getWorktreeDir,
   getGitUserName, 
   findRepoRoot,
   createGitHubActions
@@ -83,6 +86,77 @@ describe('Git Helpers', () => {
     });
   });
   
+  describe('getDefaultBranch', () => {
+    beforeEach(() => {
+      require('simple-git').mockImplementation(() => mockGitInstance);
+    });
+    
+    it('should use the branch from the config', async () => {
+      const result = await getDefaultBranch({ git: { default_branch: 'trunk' } });
+      expect(result).toBe('trunk');
+      expect(simpleGit.raw).not.toHaveBeenCalled();
+    });
+    
+    it('should fall back to the remote HEAD', async () => {
+      simpleGit.raw.mockResolvedValueOnce('refs/remotes/origin/ctf/main\n');
+      
+      const result = await getDefaultBranch({ events: {} });
+      expect(result).toBe('ctf/main');
+      expect(simpleGit.raw).toHaveBeenCalledWith(['symbolic-ref', '--quiet', 'refs/remotes/origin/HEAD']);
+    });
+    
+    it('should guess main or master without a remote HEAD', async () => {
+      simpleGit.raw.mockRejectedValueOnce(new Error('not a symbolic ref'));
+      simpleGit.branch.mockResolvedValueOnce({ all: ['master', 'web-01-login'] });
+      
+      const result = await getDefaultBranch();
+      expect(result).toBe('master');
+    });
+  });
+  
+  describe('worktrees', () => {
+    const porcelain = [
+      'worktree /fake/repo',
+      'HEAD 1111111111111111111111111111111111111111',
+      'branch refs/heads/main',
+      '',
+      'worktree /fake/repo-worktrees/web-01-login',
+      'HEAD 2222222222222222222222222222222222222222',
+      'branch refs/heads/web-01-login',
+      'prunable gitdir file points to non-existent location',
+      ''
+    ].join('\n');
+    
+    beforeEach(() => {
+      require('simple-git').mockImplementation(() => mockGitInstance);
+    });
+    
+    it('should parse the worktree list', async () => {
+      simpleGit.raw.mockResolvedValueOnce(porcelain);
+      
+      const result = await listWorktrees();
+      expect(simpleGit.raw).toHaveBeenCalledWith(['worktree', 'list', '--porcelain']);
+      expect(result).toEqual([
+        { path: '/fake/repo', branch: 'main', head: '1111111111111111111111111111111111111111', main: true, prunable: false },
+        { path: '/fake/repo-worktrees/web-01-login', branch: 'web-01-login', head: '2222222222222222222222222222222222222222', main: false, prunable: true }
+      ]);
+    });
+    
+    it('should return no worktrees outside a repository', async () => {
+      simpleGit.raw.mockRejectedValueOnce(new Error('not a git repository'));
+      
+      expect(await listWorktrees()).toEqual([]);
+      expect(await getWorktreeDir()).toBeNull();
+    });
+    
+    it('should put worktrees next to the main worktree by default', async () => {
+      simpleGit.raw.mockResolvedValue(porcelain);
+      
+      expect(await getWorktreeDir({})).toBe('/fake/repo-worktrees');
+      expect(await getWorktreeDir({ git: { worktree_dir: '../ctf-worktrees' } })).toBe('/fake/ctf-worktrees');
+    });
+  });
+  
   describe('getGitUserName', () => {
     it('should return the local username if available', async () => {
       simpleGit.raw.mockResolvedValueOnce('John Doe\n');
@@ -165,6 +239,40 @@ describe('Git Helpers', () => {
       expect(await fs.pathExists(workflowPath)).toBe(true);
     });
     
+    it('should commit only the root README with the single layout', async () => {
+      await createGitHubActions('/fake/repo', { readme: { layout: 'single', charts: false } });
+      
+      const workflow = await fs.readFile('/fake/repo/.github/workflows/update-readme.yml', 'utf8');
+      expect(workflow).toContain("      - '!README.md'\n  workflow_dispatch:");
+      expect(workflow).toContain('git add README.md\n');
+    });
+    
+    it('should commit and ignore the event READMEs with the split layout', async () => {
+      await createGitHubActions('/fake/repo', { readme: { layout: 'split', filename: 'index.md', charts: false } });
+      
+      const workflow = await fs.readFile('/fake/repo/.github/workflows/update-readme.yml', 'utf8');
+      expect(workflow).toContain([
+        "      - '**/*.md'",
+        "      - '!README.md'",
+        "      - '!*/index.md'",
+        "      - '!*/*/index.md'"
+      ].join('\n'));
+      expect(workflow).toContain("for file in README.md */'index.md' */*/'index.md'; do");
+      expect(workflow).toContain('if [ -e "$file" ]; then git add "$file"; fi');
+    });
+    
+    it('should commit the charts directory', async () => {
+      await createGitHubActions('/fake/repo', {});
+      
+      let workflow = await fs.readFile('/fake/repo/.github/workflows/update-readme.yml', 'utf8');
+      expect(workflow).toContain("for file in README.md '.flagtrack/charts'; do");
+      
+      await createGitHubActions('/fake/repo', { readme: { charts_dir: "docs/team's charts" } });
+      
+      workflow = await fs.readFile('/fake/repo/.github/workflows/update-readme.yml', 'utf8');
+      expect(workflow).toContain("for file in README.md 'docs/team'\\''s charts'; do");
+    });
+    
     it('should handle errors and return false', async () => {
       // Mock fs.ensureDir to throw an error
       const mockedEnsureDir = jest.spyOn(fs, 'ensureDir');
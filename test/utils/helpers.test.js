@@ -1,7 +1,11 @@
 const fs = require('fs-extra');
 const path = require('path');
 const mockFs = require('mock-fs');
-const { slugify, getEventContext } = require('../../src/utils/helpers');
+const { slugify, getEventContext, resolveOption } = require('../../src/utils/helpers');
+
+jest.mock('inquirer', () => ({
+  prompt: jest.fn()
+}));
 
 // Mock git helpers
 jest.mock('../../src/utils/gitHelpers', () => ({
@@ -55,72 +59,121 @@ describe('Helpers', () => {
 
   describe('getEventContext', () => {
     let originalCwd;
+    const config = {
+      events: {
+        event_Name: {
+          sub_events: {
+            Round1: { categories: { Crypto: 'Crypto', Web: 'Web' } }
+          }
+        }
+      }
+    };
 
     beforeEach(() => {
       originalCwd = process.cwd;
-      process.cwd = jest.fn().mockReturnValue('/current');
+      process.cwd = jest.fn().mockReturnValue('/mock/repo/root');
+
+      const { findRepoRoot } = require('../../src/utils/gitHelpers');
+      findRepoRoot.mockResolvedValue('/mock/repo/root');
     });
 
     afterEach(() => {
       process.cwd = originalCwd;
     });
 
-    it('should return the event directory if already in it', async () => {
-      process.cwd = jest.fn().mockReturnValue('/mock/repo/root/event_Name');
-      
-      const config = {
-        eventName: 'event_Name',
-        parentDir: null
-      };
-      
+    it('should report depth 0 and no event at the repo root', async () => {
       const result = await getEventContext(config);
-      expect(result).toBe('/mock/repo/root/event_Name');
+      expect(result).toMatchObject({
+        depth: 0,
+        repoRoot: '/mock/repo/root',
+        eventName: null,
+        subEventName: null,
+        path: '/mock/repo/root'
+      });
     });
 
-    it('should find event directory in the parent directory', async () => {
-      const config = {
-        eventName: 'event_Name',
-        parentDir: 'parent_dir'
-      };
-      
+    it('should detect the event and sub-event from the current directory', async () => {
+      process.cwd = jest.fn().mockReturnValue('/mock/repo/root/event_Name/Round1');
+
       const result = await getEventContext(config);
-      expect(result).toBe('/mock/repo/root/parent_dir/event_Name');
+      expect(result).toMatchObject({ depth: 2, eventName: 'event_Name', subEventName: 'Round1', categoryName: null });
     });
 
-    it('should return the event directory from repo root', async () => {
-      const config = {
-        eventName: 'event_Name',
-        parentDir: null
-      };
-      
+    it('should detect the category and task inside a task folder', async () => {
+      process.cwd = jest.fn().mockReturnValue('/mock/repo/root/event_Name/Round1/02_Web/03_baby_web/workspace');
+
       const result = await getEventContext(config);
-      expect(result).toBe('/mock/repo/root/event_Name');
+      expect(result).toMatchObject({
+        depth: 5,
+        eventName: 'event_Name',
+        subEventName: 'Round1',
+        categoryName: 'Web',
+        taskPath: '/mock/repo/root/event_Name/Round1/02_Web/03_baby_web'
+      });
     });
 
-    it('should create event directory if it does not exist', async () => {
-      const config = {
-        eventName: 'New_event',
-        parentDir: null
-      };
-      
+    it('should ignore folders that are not configured events', async () => {
+      process.cwd = jest.fn().mockReturnValue('/mock/repo/root/parent_dir/event_Name');
+
       const result = await getEventContext(config);
-      expect(result).toBe('/mock/repo/root/New_event');
-      
-      // Check if directory was created
-      expect(await fs.pathExists('/mock/repo/root/New_event')).toBe(true);
+      expect(result).toMatchObject({ depth: 2, eventName: null });
     });
 
-    it('should throw an error if not in a git repo', async () => {
-      // Mock findRepoRoot to return null
+    it('should return an empty context when not in a git repo', async () => {
       const { findRepoRoot } = require('../../src/utils/gitHelpers');
       findRepoRoot.mockResolvedValueOnce(null);
-      
-      const config = {
-        eventName: 'event_Name',
-        parentDir: null
-      };
-      
-      await expect(getEventContext(config)).rejects.toThrow('Not in a git repository');
+
+      const result = await getEventContext(config);
+      expect(result).toMatchObject({ depth: 0, repoRoot: null, eventName: null });
+    });
+  });
+
+  describe('resolveOption', () => {
+    let originalIsTTY;
+    const question = {
+      type: 'input',
+      name: 'taskNum',
+      validate: input => (parseInt(input) > 0 ? true : 'Please enter a valid positive number'),
+      filter: input => parseInt(input)
+    };
+
+    beforeEach(() => {
+      originalIsTTY = process.stdin.isTTY;
+    });
+
+    afterEach(() => {
+      process.stdin.isTTY = originalIsTTY;
+    });
+
+    it('should filter and return a given flag value without prompting', async () => {
+      const inquirer = require('inquirer');
+
+      await expect(resolveOption('7', question, 'num')).resolves.toBe(7);
+      expect(inquirer.prompt).not.toHaveBeenCalled();
+    });
+
+    it('should reject flag values that fail validation', async () => {
+      await expect(resolveOption('zero', question, 'num')).rejects.toThrow('Invalid value for --num');
+    });
+
+    it('should reject flag values outside the list of choices', async () => {
+      const listQuestion = { type: 'list', name: 'category', choices: [{ name: 'Web', value: 'Web' }] };
+
+      await expect(resolveOption('Pwn', listQuestion, 'category')).rejects.toThrow('Expected one of: Web');
+    });
+
+    it('should prompt for a missing value in a terminal', async () => {
+      const inquirer = require('inquirer');
+      inquirer.prompt.mockResolvedValueOnce({ taskNum: 3 });
+      process.stdin.isTTY = true;
+
+      await expect(resolveOption(undefined, question, 'num')).resolves.toBe(3);
+    });
+
+    it('should throw for a missing value without a terminal', async () => {
+      process.stdin.isTTY = false;
+
+      await expect(resolveOption(undefined, question, 'num')).rejects.toThrow('Missing required option --num');
     });
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,37 @@
+const { escapeHtml, renderMarkdown } = require('../../src/utils/markdown');
+
+describe('Markdown', () => {
+  it('should escape HTML', () => {
+    expect(escapeHtml('<b title="x">&</b>')).toBe('&lt;b title=&quot;x&quot;&gt;&amp;&lt;/b&gt;');
+    expect(renderMarkdown('<script>alert(1)</script>')).toBe('<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>');
+  });
+
+  it('should render headings, paragraphs and inline formatting', () => {
+    expect(renderMarkdown('# 🧩 Login\n\nSome **bold**, *italic* and `a_b*c` text\nwith [a link](https://example.com).'))
+      .toBe('<h1>🧩 Login</h1>\n<p>Some <strong>bold</strong>, <em>italic</em> and <code>a_b*c</code> text\nwith <a href="https://example.com">a link</a>.</p>');
+  });
+
+  it('should leave underscores inside words alone', () => {
+    expect(renderMarkdown('call get_flag_value now')).toBe('<p>call get_flag_value now</p>');
+  });
+
+  it('should render fenced code without formatting it', () => {
+    expect(renderMarkdown('```python\nprint("**hi**") < 3\n```'))
+      .toBe('<pre><code class="language-python">print(&quot;**hi**&quot;) &lt; 3</code></pre>');
+  });
+
+  it('should render lists, quotes, rules and tables', () => {
+    expect(renderMarkdown('- one\n- two\n\n1. first\n2. second')).toBe('<ul>\n<li>one</li>\n<li>two</li>\n</ul>\n<ol>\n<li>first</li>\n<li>second</li>\n</ol>');
+    expect(renderMarkdown('> quoted\n\n---')).toBe('<blockquote>\n<p>quoted</p>\n</blockquote>\n<hr>');
+    expect(renderMarkdown('| A | B |\n|:--|--:|\n| 1 | 2 |'))
+      .toBe('<table>\n<thead><tr><th style="text-align: left">A</th><th style="text-align: right">B</th></tr></thead>\n' +
+        '<tbody><tr><td style="text-align: left">1</td><td style="text-align: right">2</td></tr></tbody>\n</table>');
+  });
+
+  it('should map image sources and drop script links', () => {
+    const html = renderMarkdown('![shot](img/a%20b.png "Step 1") [x](javascript:alert)', { resolveImage: src => `copied/${src}` });
+
+    expect(html).toContain('<img src="copied/img/a%20b.png" alt="shot" title="Step 1">');
+    expect(html).toContain('<a href="#">x</a>');
+  });
+});
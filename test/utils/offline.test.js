@@ -0,0 +1,94 @@
+const fs = require('fs-extra');
+const mockFs = require('mock-fs');
+const { setOffline, isOffline, readQueue, pushOrQueue } = require('../../src/utils/offline');
+
+const mockGit = {
+  revparse: jest.fn(),
+  branch: jest.fn(),
+  push: jest.fn()
+};
+
+jest.mock('simple-git', () => jest.fn(() => mockGit));
+
+// Mock console logs
+global.console.log = jest.fn();
+
+const queuePath = '/repo/.git/flagtrack-push-queue.json';
+const offlineConfig = { git: { offline: true } };
+
+describe('Offline Mode', () => {
+  beforeEach(() => {
+    require('simple-git').mockImplementation(() => mockGit);
+    mockGit.revparse.mockResolvedValue('/repo/.git\n');
+    mockGit.branch.mockResolvedValue({ current: 'web-01-login' });
+
+    mockFs({ '/repo/.git': {} });
+  });
+
+  afterEach(() => {
+    setOffline(false);
+    mockFs.restore();
+  });
+
+  describe('isOffline', () => {
+    it('should follow --offline and the git.offline config value', () => {
+      expect(isOffline({ events: {} })).toBe(false);
+      expect(isOffline(offlineConfig)).toBe(true);
+
+      setOffline(true);
+      expect(isOffline()).toBe(true);
+    });
+  });
+
+  describe('readQueue', () => {
+    it('should name the queue file when it is corrupt', async () => {
+      await fs.writeFile(queuePath, '[{"remote": "origin",');
+
+      await expect(readQueue()).rejects.toThrow(`The push queue ${queuePath} is not valid JSON`);
+
+      await fs.writeFile(queuePath, '{}');
+
+      await expect(readQueue()).rejects.toThrow(`The push queue ${queuePath} is not a list of pushes`);
+    });
+  });
+
+  describe('pushOrQueue', () => {
+    it('should push right away when online', async () => {
+      expect(await pushOrQueue(mockGit, {}, 'origin', 'main')).toBe(true);
+      expect(await pushOrQueue(mockGit, {})).toBe(true);
+
+      expect(mockGit.push).toHaveBeenCalledWith('origin', 'main', []);
+      expect(mockGit.push).toHaveBeenCalledWith();
+      expect(await fs.pathExists(queuePath)).toBe(false);
+    });
+
+    it('should queue pushes in the git directory when offline', async () => {
+      expect(await pushOrQueue(mockGit, offlineConfig, 'origin', 'web-01-login', ['--set-upstream'])).toBe(false);
+      await pushOrQueue(mockGit, offlineConfig, 'origin', 'main');
+
+      expect(mockGit.push).not.toHaveBeenCalled();
+      expect(await readQueue()).toEqual([
+        { remote: 'origin', branch: 'web-01-login', options: ['--set-upstream'], queuedAt: expect.any(String) },
+        { remote: 'origin', branch: 'main', options: [], queuedAt: expect.any(String) }
+      ]);
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('queued push of main to origin'));
+    });
+
+    it('should queue the current branch when no branch is given', async () => {
+      setOffline(true);
+
+      await pushOrQueue(mockGit);
+
+      expect((await readQueue()).map(entry => entry.branch)).toEqual(['web-01-login']);
+    });
+
+    it('should keep one entry per branch and let deletions replace pushes', async () => {
+      await pushOrQueue(mockGit, offlineConfig, 'origin', 'web-01-login', ['--set-upstream']);
+      await pushOrQueue(mockGit, offlineConfig, 'origin', 'main');
+      await pushOrQueue(mockGit, offlineConfig, 'origin', 'main');
+      await pushOrQueue(mockGit, offlineConfig, 'origin', ':web-01-login');
+
+      expect((await readQueue()).map(entry => entry.branch)).toEqual(['main', ':web-01-login']);
+    });
+  });
+});
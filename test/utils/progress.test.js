@@ -0,0 +1,116 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { getChallengeHistory } = require('../../src/utils/progress');
+const { renderWriteup, updateWriteup } = require('../../src/utils/writeup');
+
+const mockGit = {
+  log: jest.fn(),
+  show: jest.fn()
+};
+
+jest.mock('simple-git', () => jest.fn(() => mockGit));
+
+// Mock console logs
+global.console.log = jest.fn();
+
+const writeupPath = '/repo/CTF/Quals/01_Web/01_login/writeup.md';
+
+/**
+ * Diff two versions of a writeup with git, as git show prints a commit
+ * @param {string} before - Old content
+ * @param {string} after - New content
+ * @returns {string} Unified diff
+ */
+function gitDiff(before, after) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flagtrack-diff-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'before.md'), before);
+    fs.writeFileSync(path.join(dir, 'after.md'), after);
+    return spawnSync('git', ['diff', '--no-index', '--', 'before.md', 'after.md'], { cwd: dir, encoding: 'utf8' }).stdout;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// Diffs of the commits, newest first as git log lists them
+const commits = [
+  { hash: 'solve', date: '2025-04-03T15:00:00+02:00', diff: '-points: TBD\n-flag: TBD\n-solver: TBD\n+points: 100\n+flag: flag{sqli}\n+solver: [Alice]\n' },
+  { hash: 'reclaim', date: '2025-04-03T11:00:00Z', diff: '+assignee: Bob\n+claimed: 2025-04-03T11:00:00.000Z\n' },
+  { hash: 'claim', date: '2025-04-03T10:00:00Z', diff: "+assignee: Alice\n+claimed: '2025-04-03T10:00:00.000Z'\n" },
+  { hash: 'create', date: '2025-04-03T09:00:00Z', diff: '+flag: TBD\n+solver: TBD\n' }
+];
+
+describe('Progress', () => {
+  describe('getChallengeHistory', () => {
+    beforeEach(() => {
+      require('simple-git').mockImplementation(() => mockGit);
+      mockGit.log.mockResolvedValue({ all: commits.map(({ hash, date }) => ({ hash, date })) });
+      mockGit.show.mockImplementation(async ([hash]) => commits.find(commit => commit.hash === hash).diff);
+    });
+
+    it('should find when the writeup was created, first claimed and solved', async () => {
+      const history = await getChallengeHistory('/repo', writeupPath);
+
+      expect(history).toEqual({
+        created: new Date('2025-04-03T09:00:00Z'),
+        claimed: new Date('2025-04-03T10:00:00Z'),
+        solved: new Date('2025-04-03T13:00:00Z')
+      });
+      expect(mockGit.log).toHaveBeenCalledWith(['--follow', '--', 'CTF/Quals/01_Web/01_login/writeup.md']);
+    });
+
+    it('should recognize bold metadata lines', async () => {
+      mockGit.log.mockResolvedValue({ all: [{ hash: 'solve', date: '2025-04-03T15:00:00Z' }] });
+      mockGit.show.mockResolvedValue('+**Claimed:** 2025-04-03T10:00:00.000Z  \n-**Flag:** `TBD`  \n+**Flag:** `flag{sqli}`  \n');
+
+      const history = await getChallengeHistory('/repo', writeupPath);
+
+      expect(history.claimed).toEqual(new Date('2025-04-03T15:00:00Z'));
+      expect(history.solved).toEqual(new Date('2025-04-03T15:00:00Z'));
+    });
+
+    it('should find the solve in the diff of a solve commit', async () => {
+      const created = renderWriteup('Login', 'Web');
+      mockGit.log.mockResolvedValue({ all: [{ hash: 'solve', date: '2025-04-03T15:00:00Z' }, { hash: 'create', date: '2025-04-03T09:00:00Z' }] });
+      mockGit.show.mockImplementation(async ([hash]) => (hash === 'solve'
+        ? gitDiff(created, updateWriteup(created, { flag: 'flag{sqli}', points: 100, solver: ['Alice', 'Bob'] }))
+        : ''));
+
+      expect((await getChallengeHistory('/repo', writeupPath)).solved).toEqual(new Date('2025-04-03T15:00:00Z'));
+    });
+
+    it('should find the solve of a bold-line writeup', async () => {
+      const before = '# 🧩 Login\n\n**Category:** Web  \n**Points:** TBD  \n**Flag:** `TBD`  \n**Solver:** TBD  \n';
+      mockGit.log.mockResolvedValue({ all: [{ hash: 'solve', date: '2025-04-03T15:00:00Z' }] });
+      mockGit.show.mockResolvedValue(gitDiff(before, updateWriteup(before, { flag: 'flag{sqli}', points: 100, solver: 'Alice' })));
+
+      expect((await getChallengeHistory('/repo', writeupPath)).solved).toEqual(new Date('2025-04-03T15:00:00Z'));
+    });
+
+    it('should not count a flag that stays TBD or is set in another hunk', async () => {
+      mockGit.log.mockResolvedValue({ all: [{ hash: 'edit', date: '2025-04-03T15:00:00Z' }] });
+      mockGit.show.mockResolvedValue('@@ -1,3 +1,3 @@\n-flag: TBD\n+flag: TBD\n@@ -20,3 +20,3 @@\n-Notes\n+flag: in the notes\n');
+
+      expect((await getChallengeHistory('/repo', writeupPath)).solved).toBeNull();
+    });
+
+    it('should leave out what has not happened', async () => {
+      mockGit.log.mockResolvedValue({ all: [{ hash: 'create', date: '2025-04-03T09:00:00Z' }] });
+
+      expect(await getChallengeHistory('/repo', writeupPath)).toEqual({
+        created: new Date('2025-04-03T09:00:00Z'),
+        claimed: null,
+        solved: null
+      });
+    });
+
+    it('should return an empty history when git fails', async () => {
+      mockGit.log.mockRejectedValue(new Error('not a git repository'));
+
+      expect(await getChallengeHistory('/repo', writeupPath)).toEqual({ created: null, claimed: null, solved: null });
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('not a git repository'));
+    });
+  });
+});
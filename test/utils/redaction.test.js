@@ -0,0 +1,61 @@
+const { getRedactionMode, redactFlag, createFlagRedactor } = require('../../src/utils/redaction');
+
+const config = {
+  events: {
+    Live: { flags: { redact: 'hash', ends_at: '2025-05-04T18:00:00Z' }, sub_events: {} },
+    Open: { sub_events: {} }
+  }
+};
+
+describe('Redaction', () => {
+  describe('getRedactionMode', () => {
+    it('should redact until the event ends', () => {
+      expect(getRedactionMode(config, 'Live', new Date('2025-05-04T17:59:59Z'))).toBe('hash');
+      expect(getRedactionMode(config, 'Live', new Date('2025-05-04T18:00:00Z'))).toBe('none');
+    });
+
+    it('should not redact events without settings', () => {
+      expect(getRedactionMode(config, 'Open')).toBe('none');
+      expect(getRedactionMode(config, 'Unknown')).toBe('none');
+    });
+
+    it('should reject invalid settings', () => {
+      expect(() => getRedactionMode({ events: { X: { flags: { redact: 'blur' } } } }, 'X'))
+        .toThrow('Invalid flags.redact "blur" for X. Use one of: none, full, hash, prefix.');
+      expect(() => getRedactionMode({ events: { X: { flags: { redact: 'full', ends_at: 'Sunday' } } } }, 'X'))
+        .toThrow('Invalid flags.ends_at "Sunday" for X.');
+    });
+  });
+
+  describe('redactFlag', () => {
+    it('should redact a flag in every mode', () => {
+      expect(redactFlag('flag{secret}', 'none')).toBe('flag{secret}');
+      expect(redactFlag('flag{secret}', 'full')).toBe('[redacted]');
+      expect(redactFlag('flag{secret}', 'prefix')).toBe('flag{...}');
+      expect(redactFlag('flag{secret}', 'hash')).toMatch(/^sha256:[0-9a-f]{16}$/);
+      expect(redactFlag('flag{secret}', 'hash')).toBe(redactFlag('flag{secret}', 'hash'));
+      expect(redactFlag('flag{secret}', 'hash')).not.toBe(redactFlag('flag{other}', 'hash'));
+    });
+
+    it('should hide flags without a prefix fully', () => {
+      expect(redactFlag('secret', 'prefix')).toBe('[redacted]');
+    });
+
+    it('should leave unknown flags alone', () => {
+      expect(redactFlag(null, 'full')).toBeNull();
+    });
+  });
+
+  describe('createFlagRedactor', () => {
+    it('should redact by the settings of the event', () => {
+      const redact = createFlagRedactor(config, new Date('2025-05-01T00:00:00Z'));
+
+      expect(redact('flag{a}', 'Live')).toMatch(/^sha256:/);
+      expect(redact('flag{a}', 'Open')).toBe('flag{a}');
+    });
+
+    it('should check the settings of every event up front', () => {
+      expect(() => createFlagRedactor({ events: { X: { flags: { redact: 'blur' } } } })).toThrow('Invalid flags.redact');
+    });
+  });
+});
@@ -0,0 +1,109 @@
+const {
+  getTeam,
+  findMember,
+  normalizeSolvers,
+  matchSolvers,
+  getCoAuthorTrailers,
+  withTrailers,
+  parseCoAuthors
+} = require('../../src/utils/team');
+
+// Mock console logs
+global.console.log = jest.fn();
+
+const config = {
+  team: [
+    {
+      name: 'Alice',
+      email: 'alice@example.com',
+      emails: ['alice@laptop.local'],
+      aliases: ['alice-laptop', 'ali'],
+      handles: ['@al1ce']
+    },
+    'Bob <bob@example.com>',
+    'Carol',
+    { email: 'nobody@example.com' }
+  ]
+};
+
+describe('Team', () => {
+  describe('getTeam', () => {
+    it('should read members from objects and "Name <email>" strings', () => {
+      expect(getTeam(config)).toEqual([
+        {
+          name: 'Alice',
+          email: 'alice@example.com',
+          emails: ['alice@example.com', 'alice@laptop.local'],
+          aliases: ['alice-laptop', 'ali'],
+          handles: ['al1ce']
+        },
+        { name: 'Bob', email: 'bob@example.com', emails: ['bob@example.com'], aliases: [], handles: [] },
+        { name: 'Carol', email: null, emails: [], aliases: [], handles: [] }
+      ]);
+    });
+
+    it('should return an empty roster without a team section', () => {
+      expect(getTeam({ events: {} })).toEqual([]);
+      expect(getTeam(null)).toEqual([]);
+    });
+  });
+
+  describe('matchSolvers', () => {
+    it('should use the roster spelling and drop duplicates', () => {
+      const team = getTeam(config);
+
+      expect(findMember(team, 'BOB')).toMatchObject({ name: 'Bob', email: 'bob@example.com' });
+      expect(matchSolvers(team, ['alice', 'Alice', 'bob'])).toEqual(['Alice', 'Bob']);
+    });
+
+    it('should resolve aliases, handles and git emails to the display name', () => {
+      const team = getTeam(config);
+
+      expect(normalizeSolvers(team, ['alice-laptop', 'AL1CE', '@al1ce', 'alice@laptop.local', 'Bob@Example.com'])).toEqual(['Alice', 'Bob']);
+      expect(normalizeSolvers(team, ['Dave', 'dave', ' '])).toEqual(['Dave']);
+      expect(console.log).not.toHaveBeenCalled();
+    });
+
+    it('should keep names that are not in the roster and warn about them', () => {
+      expect(matchSolvers(getTeam(config), ['Dave'])).toEqual(['Dave']);
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Dave is not in the team roster'));
+    });
+
+    it('should not warn without a roster', () => {
+      expect(matchSolvers([], ['Dave'])).toEqual(['Dave']);
+      expect(console.log).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('co-author trailers', () => {
+    it('should credit every solver but the author', () => {
+      const trailers = getCoAuthorTrailers(getTeam(config), ['Alice', 'Bob', 'Dave'], 'alice');
+
+      expect(trailers).toEqual(['Co-authored-by: Bob <bob@example.com>']);
+      expect(withTrailers('Add flag solution by Alice, Bob', trailers)).toBe(
+        'Add flag solution by Alice, Bob\n\nCo-authored-by: Bob <bob@example.com>'
+      );
+      expect(withTrailers('Add points to task', [])).toBe('Add points to task');
+    });
+
+    it('should recognise the author by an alias', () => {
+      expect(getCoAuthorTrailers(getTeam(config), ['Alice', 'Bob'], 'alice-laptop')).toEqual(['Co-authored-by: Bob <bob@example.com>']);
+    });
+
+    it('should recognise the author by their git email', () => {
+      expect(getCoAuthorTrailers(getTeam(config), ['Alice', 'Bob'], 'root', 'alice@laptop.local')).toEqual(['Co-authored-by: Bob <bob@example.com>']);
+    });
+
+    it('should warn about members without an email', () => {
+      expect(getCoAuthorTrailers(getTeam(config), ['Carol'], 'Alice')).toEqual([]);
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('No email for Carol'));
+    });
+
+    it('should read co-author names back from a commit message', () => {
+      const message = 'Add flag solution by Alice, Bob\n\nCo-authored-by: Bob <bob@example.com>\nco-authored-by: Carol <carol@example.com>\n';
+
+      expect(parseCoAuthors(message)).toEqual(['Bob', 'Carol']);
+      expect(parseCoAuthors(undefined)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,36 @@
+const { renderTemplate } = require('../../src/utils/template');
+
+describe('Template', () => {
+  it('should insert values and dotted paths', () => {
+    expect(renderTemplate('{{ name }} has {{stats.points}} pts{{missing}}', { name: 'Alice', stats: { points: 300 } }))
+      .toBe('Alice has 300 pts');
+  });
+
+  it('should repeat sections for every item and look names up in outer items', () => {
+    const view = {
+      event: 'CTF',
+      categories: [{ name: 'Web', challenges: ['a', 'b'] }, { name: 'Pwn', challenges: [] }]
+    };
+
+    expect(renderTemplate('{{#categories}}{{event}}/{{name}}: {{#challenges}}{{.}} {{/challenges}}{{^challenges}}none{{/challenges}};{{/categories}}', view))
+      .toBe('CTF/Web: a b ;CTF/Pwn: none;');
+  });
+
+  it('should render sections once for truthy values and skip falsy ones', () => {
+    expect(renderTemplate('{{#solved}}yes{{/solved}}{{^solved}}no{{/solved}}', { solved: true })).toBe('yes');
+    expect(renderTemplate('{{#solved}}yes{{/solved}}{{^solved}}no{{/solved}}', { solved: 0 })).toBe('no');
+    expect(renderTemplate('{{#event}}{{name}}{{/event}}', { event: { name: 'CTF' } })).toBe('CTF');
+  });
+
+  it('should not leave empty lines for standalone tags and comments', () => {
+    const template = '# Title\n{{! one row per item }}\n{{#items}}\n- {{.}}\n{{/items}}\nEnd\n';
+
+    expect(renderTemplate(template, { items: [1, 2] })).toBe('# Title\n- 1\n- 2\nEnd\n');
+  });
+
+  it('should reject sections that are not closed in order', () => {
+    expect(() => renderTemplate('{{#a}}{{#b}}{{/a}}{{/b}}', {})).toThrow('Unexpected {{/a}} in template, expected {{/b}}.');
+    expect(() => renderTemplate('{{/a}}', {})).toThrow('Unexpected {{/a}} in template.');
+    expect(() => renderTemplate('{{#a}}text', {})).toThrow('Unclosed {{#a}} in template.');
+  });
+});
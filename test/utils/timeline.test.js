@@ -0,0 +1,67 @@
+const { buildTimeline, timelineToCsv, renderTimelineSvg } = require('../../src/utils/timeline');
+
+const challenge = (name, points, isCompleted, solvers = []) => ({
+  name, points, isCompleted, solvers, competition: 'CTF', subEvent: 'Quals', category: 'Web'
+});
+
+const entries = [
+  {
+    challenge: challenge('Login', 100, true, ['Alice']),
+    history: { created: new Date('2025-04-03T09:00:00Z'), claimed: new Date('2025-04-03T10:00:00Z'), solved: new Date('2025-04-03T12:00:00Z') }
+  },
+  {
+    challenge: challenge('Upload, "v2"', 250, true, ['Alice', 'Bob']),
+    history: { created: new Date('2025-04-03T09:00:00Z'), claimed: null, solved: new Date('2025-04-03T11:00:00Z') }
+  },
+  {
+    challenge: challenge('Reverted', 50, false),
+    history: { created: new Date('2025-04-03T13:00:00Z'), claimed: null, solved: new Date('2025-04-03T14:00:00Z') }
+  }
+];
+
+describe('Timeline', () => {
+  describe('buildTimeline', () => {
+    it('should list events oldest first with the running points total', () => {
+      const events = buildTimeline(entries);
+
+      expect(events.map(event => [event.type, event.challenge, event.totalPoints])).toEqual([
+        ['created', 'Login', 0],
+        ['created', 'Upload, "v2"', 0],
+        ['claimed', 'Login', 0],
+        ['solved', 'Upload, "v2"', 250],
+        ['solved', 'Login', 350],
+        ['created', 'Reverted', 350]
+      ]);
+      expect(events[3].solvers).toEqual(['Alice', 'Bob']);
+      expect(events[0].solvers).toEqual([]);
+    });
+  });
+
+  describe('timelineToCsv', () => {
+    it('should quote values with commas and quotes', () => {
+      const csv = timelineToCsv(buildTimeline(entries)).split('\n');
+
+      expect(csv[0]).toBe('time,type,event,subEvent,category,challenge,points,solvers,totalPoints');
+      expect(csv[4]).toBe('2025-04-03T11:00:00.000Z,solved,CTF,Quals,Web,"Upload, ""v2""",250,"Alice, Bob",250');
+    });
+  });
+
+  describe('renderTimelineSvg', () => {
+    it('should draw the cumulative points as a step line', () => {
+      const svg = renderTimelineSvg(buildTimeline(entries));
+
+      expect(svg).toMatch(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="800" height="300"/);
+      expect(svg).toContain('<path d="M56.0,260.0 H416.0 V148.0 H596.0 V103.2 H776.0"');
+      expect(svg).toContain('<title>Upload, &quot;v2&quot; (+250 pts by Alice, Bob)</title>');
+      expect(svg).toContain('>2025-04-03 09:00</text>');
+      expect(svg).toContain('>500</text>');
+    });
+
+    it('should say when nothing is solved yet', () => {
+      const svg = renderTimelineSvg(buildTimeline([entries[2]]), { display: { timezone: 'Europe/Oslo' } });
+
+      expect(svg).toContain('No solves yet');
+      expect(svg).toContain('>2025-04-03 15:00</text>');
+    });
+  });
+});
@@ -0,0 +1,317 @@
+const fs = require('fs-extra');
+const mockFs = require('mock-fs');
+const {
+  parseWriteup,
+  isComplete,
+  updateWriteup,
+  migrateWriteup,
+  renderWriteup,
+  writeWriteup
+} = require('../../src/utils/writeup');
+
+const legacyTemplate = `# 🧩 New Task
+
+**Category:** Web  
+**Points:** TBD  
+**Flag:** \`TBD\`  
+**Solver:** TBD
+
+---
+
+## 📝 Challenge Description
+`;
+
+const solvedWriteup = `# 🧩 Baby RSA
+
+**Category:** Crypto
+**Points:** 250
+**Flag:** \`flag{small_e}\`
+**Solver:** Alice
+
+---
+
+## 📝 Challenge Description
+
+> **Points:** are awarded at the end.
+`;
+
+describe('Writeup', () => {
+  describe('parseWriteup', () => {
+    it('should parse a solved writeup into a typed record', () => {
+      const record = parseWriteup(solvedWriteup);
+
+      expect(record).toEqual({
+        name: 'Baby RSA',
+        category: 'Crypto',
+        points: 250,
+        flag: 'flag{small_e}',
+        solver: 'Alice',
+        solvers: ['Alice'],
+        assignee: null,
+        claimed: null,
+        tags: [],
+        isSolved: true,
+        format: 'legacy',
+        meta: {},
+        warnings: []
+      });
+      expect(isComplete(record)).toBe(true);
+    });
+
+    it('should parse TBD placeholders as null', () => {
+      const record = parseWriteup(legacyTemplate);
+
+      expect(record).toMatchObject({
+        name: 'New Task',
+        category: 'Web',
+        points: null,
+        flag: null,
+        solver: null,
+        isSolved: false,
+        format: 'legacy',
+        warnings: []
+      });
+      expect(isComplete(record)).toBe(false);
+    });
+
+    it('should parse front matter, including extra keys', () => {
+      const record = parseWriteup(`---
+name: JWT Forgery
+category: Web
+points: 300
+flag: "flag{none: alg}"
+solver: Bob
+tags: [jwt, auth]
+url: https://ctf.example/challenges/7
+---
+
+# 🧩 JWT Forgery
+
+**Flag:** \`not read from the body\`
+`);
+
+      expect(record).toMatchObject({
+        name: 'JWT Forgery',
+        category: 'Web',
+        points: 300,
+        flag: 'flag{none: alg}',
+        solver: 'Bob',
+        tags: ['jwt', 'auth'],
+        isSolved: true,
+        format: 'frontmatter',
+        warnings: []
+      });
+      expect(record.meta.url).toBe('https://ctf.example/challenges/7');
+    });
+
+    it('should parse the created template as an unsolved front matter writeup', () => {
+      const record = parseWriteup(renderWriteup('New Task', 'Web'));
+
+      expect(record).toMatchObject({
+        name: 'New Task',
+        category: 'Web',
+        points: null,
+        flag: null,
+        solver: null,
+        format: 'frontmatter',
+        warnings: []
+      });
+      expect(record.meta.created).toEqual(expect.any(String));
+    });
+
+    it('should fall back to bold lines when the front matter is invalid', () => {
+      const record = parseWriteup('---\nname: [broken\n---\n# 🧩 Fallback\n\n**Solver:** Alice\n');
+
+      expect(record.format).toBe('legacy');
+      expect(record.name).toBe('Fallback');
+      expect(record.solver).toBe('Alice');
+      expect(record.warnings[0]).toMatch(/^Invalid front matter/);
+    });
+
+    it('should warn about missing and malformed fields', () => {
+      const record = parseWriteup('Some notes\n\n**Points:** lots\n**Flag:** flag{raw}\n');
+
+      expect(record.name).toBeNull();
+      expect(record.points).toBeNull();
+      expect(record.flag).toBe('flag{raw}');
+      expect(record.warnings).toEqual([
+        'Missing "# 🧩 <name>" heading',
+        'Missing **Category:** line',
+        'Points value "lots" is not a number',
+        'Flag is not wrapped in backticks',
+        'Missing **Solver:** line'
+      ]);
+    });
+
+    it('should warn about duplicate fields and use the first one', () => {
+      const record = parseWriteup('# 🧩 Dup\n\n**Solver:** Alice\n**Solver:** Bob\n');
+
+      expect(record.solver).toBe('Alice');
+      expect(record.warnings).toContain('Multiple **Solver:** lines, using the first');
+    });
+  });
+
+  describe('updateWriteup', () => {
+    it('should replace field values and keep the rest of the file', () => {
+      const content = legacyTemplate;
+      const updated = updateWriteup(content, { flag: 'flag{$1 & more}', points: 100, solver: 'Bob' });
+
+      expect(updated).toContain('**Points:** 100  \n');
+      expect(updated).toContain('**Flag:** `flag{$1 & more}`  \n');
+      expect(updated).toContain('**Solver:** Bob\n');
+      expect(updated.split('\n').slice(6)).toEqual(content.split('\n').slice(6));
+      expect(parseWriteup(updated).flag).toBe('flag{$1 & more}');
+    });
+
+    it('should only touch metadata lines, not matching text further down', () => {
+      const updated = updateWriteup(solvedWriteup, { points: 300 });
+
+      expect(updated).toContain('**Points:** 300\n');
+      expect(updated).toContain('> **Points:** are awarded at the end.');
+    });
+
+    it('should write null as the TBD placeholder', () => {
+      const updated = updateWriteup(solvedWriteup, { flag: null });
+
+      expect(updated).toContain('**Flag:** `TBD`\n');
+      expect(parseWriteup(updated).isSolved).toBe(false);
+    });
+
+    it('should insert missing fields in template order', () => {
+      const content = '# 🧩 Old Task\n\n**Category:** Web\n\nNotes';
+      const updated = updateWriteup(content, { solver: 'Carol', points: 50 });
+
+      expect(updated).toBe('# 🧩 Old Task\n\n**Category:** Web  \n**Points:** 50  \n**Solver:** Carol\n\nNotes');
+    });
+
+    it('should insert fields below the heading when there is no metadata', () => {
+      const updated = updateWriteup('# 🧩 Bare\n\nNotes', { flag: 'flag{x}' });
+
+      expect(updated).toBe('# 🧩 Bare\n\n**Flag:** `flag{x}`\n\nNotes');
+    });
+
+    it('should rename the task heading', () => {
+      expect(updateWriteup(solvedWriteup, { name: 'Bigger RSA' })).toMatch(/^# 🧩 Bigger RSA\n/);
+    });
+
+    it('should update front matter keys and keep comments and the body', () => {
+      const content = '---\n# imported from CTFd\nname: Task\npoints: TBD\nflag: TBD\n---\n\n# 🧩 Task\n\n**Flag:** `TBD` in the body\n';
+      const updated = updateWriteup(content, { points: '150', flag: 'flag{a: b}', tags: ['web'], name: 'Renamed' });
+
+      expect(updated).toContain('# imported from CTFd\n');
+      expect(updated).toContain('points: 150\n');
+      expect(updated).toContain('# 🧩 Renamed\n\n**Flag:** `TBD` in the body\n');
+      expect(parseWriteup(updated)).toMatchObject({
+        name: 'Renamed',
+        points: 150,
+        flag: 'flag{a: b}',
+        tags: ['web']
+      });
+    });
+  });
+
+  describe('solvers', () => {
+    it('should split free-text solvers into names', () => {
+      const content = updateWriteup(legacyTemplate, { solver: 'Alice, Bob and Carol' });
+
+      expect(parseWriteup(content)).toMatchObject({ solver: 'Alice, Bob and Carol', solvers: ['Alice', 'Bob', 'Carol'] });
+    });
+
+    it('should write a solver list as a YAML list or comma separated line', () => {
+      const frontMatter = updateWriteup(renderWriteup('New Task', 'Web'), { solver: ['Alice', 'Bob'] });
+      expect(frontMatter).toContain('solver: [Alice, Bob]\n');
+      expect(parseWriteup(frontMatter)).toMatchObject({ solver: 'Alice, Bob', solvers: ['Alice', 'Bob'] });
+
+      const legacy = updateWriteup(legacyTemplate, { solver: ['Alice', 'Bob'] });
+      expect(legacy).toContain('**Solver:** Alice, Bob');
+      expect(parseWriteup(legacy).solvers).toEqual(['Alice', 'Bob']);
+    });
+
+    it('should write an empty solver list as TBD', () => {
+      const content = updateWriteup(renderWriteup('New Task', 'Web'), { solver: [] });
+
+      expect(parseWriteup(content)).toMatchObject({ solver: null, solvers: [] });
+    });
+  });
+
+  describe('claims', () => {
+    it('should add and remove claim lines in legacy writeups', () => {
+      const claimed = updateWriteup(legacyTemplate, { assignee: 'Bob', claimed: '2025-04-03T12:00:00.000Z' });
+
+      expect(claimed).toContain('**Solver:** TBD  \n**Assignee:** Bob  \n**Claimed:** 2025-04-03T12:00:00.000Z\n\n---');
+      expect(parseWriteup(claimed)).toMatchObject({ assignee: 'Bob', claimed: '2025-04-03T12:00:00.000Z', warnings: [] });
+
+      const released = updateWriteup(claimed, { assignee: null, claimed: null });
+      expect(released).not.toContain('Assignee');
+      expect(released).not.toContain('Claimed');
+      expect(parseWriteup(released)).toMatchObject({ assignee: null, claimed: null });
+    });
+
+    it('should add and remove claim keys in front matter', () => {
+      const content = renderWriteup('New Task', 'Web');
+      const claimed = updateWriteup(content, { assignee: 'Bob', claimed: '2025-04-03T12:00:00.000Z' });
+
+      expect(parseWriteup(claimed)).toMatchObject({ assignee: 'Bob', claimed: '2025-04-03T12:00:00.000Z' });
+      expect(updateWriteup(claimed, { assignee: null, claimed: null })).toBe(content);
+    });
+
+    it('should carry claims over when migrating', () => {
+      const claimed = updateWriteup(legacyTemplate, { assignee: 'Bob', claimed: '2025-04-03T12:00:00.000Z' });
+
+      expect(migrateWriteup(claimed)).toContain('tags: []\nassignee: Bob\nclaimed: 2025-04-03T12:00:00.000Z\n---');
+    });
+  });
+
+  describe('migrateWriteup', () => {
+    it('should move bold metadata lines into front matter', () => {
+      const migrated = migrateWriteup(solvedWriteup);
+
+      expect(migrated).toBe(`---
+name: Baby RSA
+category: Crypto
+points: 250
+flag: flag{small_e}
+solver: Alice
+tags: []
+---
+
+# 🧩 Baby RSA
+
+---
+
+## 📝 Challenge Description
+
+> **Points:** are awarded at the end.
+`);
+      expect(parseWriteup(migrated)).toMatchObject({ format: 'frontmatter', points: 250, warnings: [] });
+    });
+
+    it('should write unknown values as TBD', () => {
+      expect(migrateWriteup(legacyTemplate)).toContain('points: TBD\nflag: TBD\nsolver: TBD\n');
+    });
+
+    it('should leave front matter writeups unchanged', () => {
+      const content = renderWriteup('New Task', 'Web');
+      expect(migrateWriteup(content)).toBe(content);
+    });
+  });
+
+  describe('writeWriteup', () => {
+    beforeEach(() => {
+      mockFs({
+        '/task/writeup.md': renderWriteup('File Task', 'Pwn')
+      });
+    });
+
+    afterEach(() => {
+      mockFs.restore();
+    });
+
+    it('should update the file and return the new record', async () => {
+      const record = await writeWriteup('/task/writeup.md', { flag: 'flag{pwned}' });
+
+      expect(record.flag).toBe('flag{pwned}');
+      expect(await fs.readFile('/task/writeup.md', 'utf-8')).toContain('flag: flag{pwned}\n');
+    });
+  });
+});